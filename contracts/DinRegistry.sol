@@ -375,6 +375,20 @@ contract DinRegistry is AccessControl, Pausable {
         return _parameters[MAX_MATURITY_SECONDS];
     }
 
+    /**
+     * @notice Get default minimum purchase per account (USDT, 6 decimals)
+     */
+    function getPerAccountMinDefault() external view returns (uint256) {
+        return _parameters[PER_ACCOUNT_MIN_DEFAULT];
+    }
+
+    /**
+     * @notice Get default maximum purchase per account (USDT, 6 decimals)
+     */
+    function getPerAccountMaxDefault() external view returns (uint256) {
+        return _parameters[PER_ACCOUNT_MAX_DEFAULT];
+    }
+
     /**
      * @notice Get protocol fee in basis points
      */
@@ -1,16 +1,23 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.17;
 
-import "@kaiachain/contracts/token/ERC721/ERC721.sol";
+import "@kaiachain/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
 import "@kaiachain/contracts/access/AccessControl.sol";
+import "@kaiachain/contracts/utils/Base64.sol";
 import "./interfaces/IInsuranceToken.sol";
+import "./interfaces/IDinRegistry.sol";
+import "./interfaces/IProductCatalog.sol";
+import "./SettlementEngine.sol";
 
 /**
  * @title InsuranceToken
  * @notice ERC-721 tokens representing insurance positions
- * @dev Minted when buyers purchase insurance coverage, transferable before settlement
+ * @dev Minted when buyers purchase insurance coverage, transferable until the round matures.
+ *      Pools pay cover and refunds to the current holder. Metadata is rendered on-chain (SVG)
+ *      from the tranche spec and the live round state.
+ *      Enumerable so holders' positions can be listed without scanning token IDs.
  */
-contract InsuranceToken is ERC721, AccessControl, IInsuranceToken {
+contract InsuranceToken is ERC721Enumerable, AccessControl, IInsuranceToken {
     // ============ Constants ============
     bytes32 public constant ADMIN_ROLE = DEFAULT_ADMIN_ROLE;
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
@@ -28,10 +35,21 @@ contract InsuranceToken is ERC721, AccessControl, IInsuranceToken {
         uint256 mintTimestamp;
     }
 
+    // Display strings for tokenURI
+    struct PolicyView {
+        string asset;
+        string trigger;
+        string coverage;
+        string maturity;
+        string status;
+        string statusColor;
+    }
+
     // ============ Storage ============
     mapping(uint256 => TokenInfo) public tokenInfo;
     mapping(address => bool) public authorizedPools; // TranchePool addresses that can mint
     uint256 public nextTokenId = 1;
+    IDinRegistry public registry; // Resolves ProductCatalog / SettlementEngine for transfer locks and metadata
 
     // ============ Events ============
     event InsuranceTokenMinted(
@@ -43,7 +61,10 @@ contract InsuranceToken is ERC721, AccessControl, IInsuranceToken {
         address tranchePool
     );
     
+    event InsuranceTokenUpdated(uint256 indexed tokenId, uint256 purchaseAmount);
+    event InsuranceTokenBurned(uint256 indexed tokenId, address indexed tranchePool);
     event PoolAuthorized(address indexed pool, bool authorized);
+    event RegistryUpdated(address indexed oldRegistry, address indexed newRegistry);
 
     // ============ Constructor ============
     constructor(address _admin) ERC721("DIN Insurance Token", "DIN-INSURANCE") {
@@ -68,6 +89,16 @@ contract InsuranceToken is ERC721, AccessControl, IInsuranceToken {
         emit PoolAuthorized(pool, authorized);
     }
 
+    /**
+     * @notice Set the DinRegistry used to read round states and tranche specs
+     * @param newRegistry The DinRegistry address
+     */
+    function setRegistry(address newRegistry) external onlyRole(ADMIN_ROLE) {
+        require(newRegistry != address(0), "Invalid registry");
+        emit RegistryUpdated(address(registry), newRegistry);
+        registry = IDinRegistry(newRegistry);
+    }
+
     // ============ Minting Functions ============
     
     /**
@@ -106,6 +137,31 @@ contract InsuranceToken is ERC721, AccessControl, IInsuranceToken {
         emit InsuranceTokenMinted(tokenId, trancheId, roundId, to, purchaseAmount, msg.sender);
     }
 
+    /**
+     * @notice Update the coverage of a token after its order is topped up (called by the minting pool)
+     * @param tokenId The token ID
+     * @param purchaseAmount The new total purchase amount
+     */
+    function updatePurchaseAmount(uint256 tokenId, uint256 purchaseAmount) external onlyRole(MINTER_ROLE) {
+        require(tokenInfo[tokenId].tranchePool == msg.sender, "Unauthorized pool");
+        require(purchaseAmount > 0, "Purchase amount must be positive");
+
+        tokenInfo[tokenId].purchaseAmount = purchaseAmount;
+        emit InsuranceTokenUpdated(tokenId, purchaseAmount);
+    }
+
+    /**
+     * @notice Burn the token of a canceled order (called by the minting pool)
+     * @param tokenId The token ID
+     */
+    function burnInsuranceToken(uint256 tokenId) external onlyRole(MINTER_ROLE) {
+        require(tokenInfo[tokenId].tranchePool == msg.sender, "Unauthorized pool");
+
+        delete tokenInfo[tokenId];
+        _burn(tokenId);
+        emit InsuranceTokenBurned(tokenId, msg.sender);
+    }
+
     // ============ View Functions ============
     
     /**
@@ -122,48 +178,70 @@ contract InsuranceToken is ERC721, AccessControl, IInsuranceToken {
         return (info.trancheId, info.roundId, info.purchaseAmount, info.originalBuyer);
     }
     
+    /**
+     * @notice Get all token IDs held by an address
+     * @param owner The holder address
+     * @return tokenIds Token IDs in ownership index order
+     */
+    function tokensOfOwner(address owner) external view returns (uint256[] memory tokenIds) {
+        uint256 balance = balanceOf(owner);
+        tokenIds = new uint256[](balance);
+        for (uint256 i = 0; i < balance; i++) {
+            tokenIds[i] = tokenOfOwnerByIndex(owner, i);
+        }
+    }
+
     /**
      * @notice Check if token is transferable
+     * @dev Locked from maturity on, so the holder that settlement pays cannot change underneath it
      * @param tokenId The token to check
      */
     function isTransferable(uint256 tokenId) public view returns (bool) {
-        // Tokens are transferable before settlement
-        // In a real implementation, this would check the round state from the TranchePool
-        return _exists(tokenId);
+        if (!_exists(tokenId)) return false;
+        if (address(registry) == address(0)) return true;
+
+        IProductCatalog.RoundState state = _catalog().getRound(tokenInfo[tokenId].roundId).state;
+        return state != IProductCatalog.RoundState.MATURED && state != IProductCatalog.RoundState.SETTLED;
     }
     
     /**
-     * @notice Get token URI with metadata
+     * @notice Get token URI as a base64 JSON data URI with an on-chain SVG image
      * @param tokenId The token ID
      */
     function tokenURI(uint256 tokenId) public view virtual override returns (string memory) {
         require(_exists(tokenId), "Token does not exist");
         
         TokenInfo storage info = tokenInfo[tokenId];
+        PolicyView memory policy = _policyView(info);
         
-        // Return JSON metadata
-        return string(abi.encodePacked(
-            '{"name":"DIN Insurance Token #', 
+        bytes memory json = abi.encodePacked(
+            '{"name":"DIN Insurance Token #',
             _toString(tokenId),
-            '","description":"Insurance position for tranche ',
-            _toString(info.trancheId),
-            ' round ',
-            _toString(info.roundId),
+            '","description":"Pays ',
+            policy.coverage,
+            ' USDT if ',
+            policy.trigger,
+            '. Matures ',
+            policy.maturity,
+            '.","image":"data:image/svg+xml;base64,',
+            Base64.encode(_svg(tokenId, policy)),
             '","attributes":[',
-            '{"trait_type":"Purchase Amount","value":"',
-            _toString(info.purchaseAmount),
-            '"},',
-            '{"trait_type":"Tranche","value":"',
-            _toString(info.trancheId),
-            '"},',
-            '{"trait_type":"Round","value":"',
-            _toString(info.roundId),
-            '"},',
+            _attribute("Asset", policy.asset),
+            _attribute("Trigger", policy.trigger),
+            _attribute("Coverage", policy.coverage),
+            _attribute("Maturity", policy.maturity),
+            _attribute("Status", policy.status),
+            _attribute("Tranche", _toString(info.trancheId)),
+            _attribute("Round", _toString(info.roundId))
+        );
+        json = abi.encodePacked(
+            json,
             '{"trait_type":"Original Buyer","value":"',
             _toHexString(uint256(uint160(info.originalBuyer)), 20),
-            '"}',
-            ']}'
-        ));
+            '"}]}'
+        );
+        
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
     }
 
     // ============ Transfer Override ============
@@ -182,7 +260,153 @@ contract InsuranceToken is ERC721, AccessControl, IInsuranceToken {
         super._beforeTokenTransfer(from, to, tokenId);
     }
 
+    // ============ Metadata Rendering ============
+
+    function _catalog() internal view returns (IProductCatalog) {
+        return IProductCatalog(registry.getProductCatalog());
+    }
+
+    /**
+     * @notice Resolve the display strings for a token from the catalog, SettlementEngine and pool
+     * @dev Without a registry only the purchase data is known
+     */
+    function _policyView(TokenInfo storage info) internal view returns (PolicyView memory policy) {
+        policy.coverage = _formatUnits(info.purchaseAmount, 6);
+        policy.statusColor = "#94a3b8";
+        if (address(registry) == address(0)) {
+            (policy.asset, policy.trigger, policy.maturity, policy.status) = ("-", "-", "-", "-");
+            return policy;
+        }
+
+        IProductCatalog catalog = _catalog();
+        IProductCatalog.TrancheSpec memory spec = catalog.getTranche(info.trancheId);
+        IProductCatalog.RoundState state = catalog.getRound(info.roundId).state;
+        SettlementEngine engine = SettlementEngine(registry.getSettlementEngine());
+
+        policy.asset = _assetSymbol(engine, spec.oracleRouteId);
+        policy.trigger = _triggerText(policy.asset, spec.triggerType, spec.threshold);
+        policy.maturity = _formatDate(spec.maturityTimestamp);
+
+        // Once matched, coverage is the filled part of the order (zero if it was refunded)
+        if (state != IProductCatalog.RoundState.ANNOUNCED && state != IProductCatalog.RoundState.OPEN) {
+            TranchePoolCore.BuyerOrder memory order = TranchePoolCore(info.tranchePool).getBuyerOrder(info.roundId, info.originalBuyer);
+            policy.coverage = _formatUnits(order.filled ? order.purchaseAmount : 0, 6);
+        }
+
+        if (state == IProductCatalog.RoundState.OPEN) {
+            (policy.status, policy.statusColor) = ("OPEN", "#38bdf8");
+        } else if (state == IProductCatalog.RoundState.ACTIVE) {
+            (policy.status, policy.statusColor) = ("ACTIVE", "#38bdf8");
+        } else if (state == IProductCatalog.RoundState.MATURED) {
+            (policy.status, policy.statusColor) = ("MATURED", "#facc15");
+        } else if (state == IProductCatalog.RoundState.SETTLED && engine.getSettlementInfo(info.roundId).triggered) {
+            (policy.status, policy.statusColor) = ("SETTLED-PAID", "#4ade80");
+        } else if (state == IProductCatalog.RoundState.SETTLED) {
+            policy.status = "SETTLED-EXPIRED";
+        } else {
+            policy.status = state == IProductCatalog.RoundState.CANCELED ? "CANCELED" : "ANNOUNCED";
+        }
+    }
+
+    /**
+     * @notice Symbol bound to a tranche oracle route (e.g. "BTC-USDT")
+     */
+    function _assetSymbol(SettlementEngine engine, uint256 routeId) internal view returns (string memory) {
+        bytes32 identifier = engine.routeIdentifiers(routeId);
+        if (identifier != bytes32(0)) {
+            string memory symbol = engine.oracleRouter().getOracleConfig(identifier).symbol;
+            if (bytes(symbol).length > 0) return symbol;
+        }
+        return string(abi.encodePacked("Route #", _toString(routeId)));
+    }
+
+    /**
+     * @notice Human-readable trigger, e.g. "BTC-USDT closes below $100000"
+     * @dev Price thresholds have 18 decimals; RELATIVE thresholds are bps of the activation price
+     */
+    function _triggerText(
+        string memory asset,
+        IProductCatalog.TriggerType triggerType,
+        uint256 threshold
+    ) internal pure returns (string memory) {
+        string memory condition;
+        if (triggerType == IProductCatalog.TriggerType.PRICE_BELOW) {
+            condition = string(abi.encodePacked(" closes below $", _formatUnits(threshold, 18)));
+        } else if (triggerType == IProductCatalog.TriggerType.PRICE_ABOVE) {
+            condition = string(abi.encodePacked(" closes above $", _formatUnits(threshold, 18)));
+        } else if (triggerType == IProductCatalog.TriggerType.RELATIVE) {
+            condition = threshold < 10000
+                ? string(abi.encodePacked(" falls ", _formatUnits(10000 - threshold, 2), "% from activation"))
+                : string(abi.encodePacked(" rises ", _formatUnits(threshold - 10000, 2), "% from activation"));
+        } else if (triggerType == IProductCatalog.TriggerType.BARRIER_BELOW) {
+            condition = string(abi.encodePacked(" trades below $", _formatUnits(threshold, 18), " before maturity"));
+        } else if (triggerType == IProductCatalog.TriggerType.BARRIER_ABOVE) {
+            condition = string(abi.encodePacked(" trades above $", _formatUnits(threshold, 18), " before maturity"));
+        } else {
+            condition = " meets its custom condition";
+        }
+        return string(abi.encodePacked(asset, condition));
+    }
+
+    function _svg(uint256 tokenId, PolicyView memory policy) internal pure returns (bytes memory) {
+        return abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400" viewBox="0 0 400 400">',
+            '<style>text{font-family:monospace;fill:#e2e8f0}.l{fill:#94a3b8;font-size:12px}.v{font-size:18px}</style>',
+            '<rect width="400" height="400" rx="24" fill="#0b1f3a"/>',
+            '<text x="32" y="56" font-size="22">DIN Insurance #', _toString(tokenId), '</text>',
+            '<text x="32" y="104" class="l">TRIGGER</text><text x="32" y="128" class="v">', policy.trigger, '</text>',
+            '<text x="32" y="176" class="l">COVERAGE</text><text x="32" y="200" class="v">', policy.coverage, ' USDT</text>',
+            '<text x="32" y="248" class="l">MATURITY</text><text x="32" y="272" class="v">', policy.maturity, '</text>',
+            '<rect x="32" y="316" width="336" height="44" rx="22" fill="none" stroke="', policy.statusColor, '" stroke-width="2"/>',
+            '<text x="200" y="344" text-anchor="middle" font-size="18" style="fill:', policy.statusColor, '">', policy.status, '</text>',
+            '</svg>'
+        );
+    }
+
+    function _attribute(string memory traitType, string memory value) internal pure returns (bytes memory) {
+        return abi.encodePacked('{"trait_type":"', traitType, '","value":"', value, '"},');
+    }
+
     // ============ Utility Functions ============
+
+    /**
+     * @notice Format a fixed-point amount with at most two decimals (truncated), e.g. 1000.5
+     */
+    function _formatUnits(uint256 value, uint256 decimals) internal pure returns (string memory) {
+        uint256 unit = 10 ** decimals;
+        uint256 cents = ((value % unit) * 100) / unit;
+        if (cents == 0) return _toString(value / unit);
+        return string(abi.encodePacked(
+            _toString(value / unit),
+            cents < 10 ? ".0" : ".",
+            _toString(cents % 10 == 0 ? cents / 10 : cents)
+        ));
+    }
+
+    /**
+     * @notice Format a unix timestamp as YYYY-MM-DD (UTC)
+     * @dev Civil-from-days algorithm (Howard Hinnant) for dates after 1970
+     */
+    function _formatDate(uint256 timestamp) internal pure returns (string memory) {
+        uint256 z = timestamp / 1 days + 719468;
+        uint256 era = z / 146097;
+        uint256 doe = z - era * 146097;
+        uint256 yoe = (doe - doe / 1460 + doe / 36524 - doe / 146096) / 365;
+        uint256 doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+        uint256 mp = (5 * doy + 2) / 153;
+        uint256 day = doy - (153 * mp + 2) / 5 + 1;
+        uint256 month = mp < 10 ? mp + 3 : mp - 9;
+        uint256 year = yoe + era * 400 + (month <= 2 ? 1 : 0);
+
+        return string(abi.encodePacked(
+            _toString(year),
+            month < 10 ? "-0" : "-",
+            _toString(month),
+            day < 10 ? "-0" : "-",
+            _toString(day)
+        ));
+    }
+    
     
     /**
      * @notice Convert uint to string
@@ -226,13 +450,13 @@ contract InsuranceToken is ERC721, AccessControl, IInsuranceToken {
     // ============ Interface Support ============
     
     /**
-     * @notice Override supportsInterface to include AccessControl
+     * @notice Override supportsInterface to include AccessControl and ERC721Enumerable
      */
     function supportsInterface(bytes4 interfaceId) 
         public 
         view 
         virtual 
-        override(ERC721, AccessControl, IERC165) 
+        override(ERC721Enumerable, AccessControl, IERC165) 
         returns (bool) 
     {
         return super.supportsInterface(interfaceId);
@@ -0,0 +1,210 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@kaiachain/contracts/access/AccessControl.sol";
+import "@kaiachain/contracts/utils/math/Math.sol";
+import "./interfaces/IDinRegistry.sol";
+import "./interfaces/IPremiumEngine.sol";
+import "./interfaces/IProductCatalog.sol";
+import "./SettlementEngine.sol";
+
+/**
+ * @title PremiumEngine
+ * @notice Prices coverage from the tranche's base premium rate, round utilization,
+ *         time to maturity and distance from the trigger
+ * @dev rate = baseRate * timeFactor * (1 + utilizationSurcharge + proximitySurcharge), capped at the
+ *      registry's MAX_PREMIUM_BPS. A zero curve prices at the flat base rate, so tranches without a
+ *      configured curve keep their catalog pricing.
+ */
+contract PremiumEngine is AccessControl, IPremiumEngine {
+    // ============ Constants ============
+    bytes32 public constant ADMIN_ROLE = DEFAULT_ADMIN_ROLE;
+    uint256 public constant BPS = 10000;
+    uint256 public constant MAX_UTILIZATION_BPS = 20000; // Demand above 2x supply is priced as 2x
+
+    // ============ Structs ============
+    struct PricingCurve {
+        uint256 utilizationSlopeBps;   // Surcharge (bps of the base rate) when demand equals supply
+        uint256 referenceDuration;     // Time to maturity priced at the full base rate (0 = no time discount)
+        uint256 minTimeFactorBps;      // Floor of the time discount for rounds close to maturity
+        uint256 proximityBandBps;      // Distance from the trigger (bps of the price) inside which cover gets dearer
+        uint256 proximitySlopeBps;     // Surcharge (bps of the base rate) when the price sits on the trigger
+    }
+
+    // Every input of a quote, for previews and monitoring
+    struct RateBreakdown {
+        uint256 baseRateBps;
+        uint256 timeFactorBps;
+        uint256 utilizationBps;
+        uint256 utilizationSurchargeBps;
+        uint256 distanceBps;           // BPS when the trigger has no price distance or no price is available
+        uint256 proximitySurchargeBps;
+        uint256 maxPremiumBps;
+        uint256 rateBps;
+    }
+
+    // ============ Storage ============
+    IDinRegistry public immutable registry;
+
+    PricingCurve public defaultCurve;
+    mapping(uint256 => PricingCurve) public trancheCurves; // trancheId => curve override
+    mapping(uint256 => bool) public hasTrancheCurve;
+
+    // ============ Events ============
+    event DefaultCurveUpdated(PricingCurve curve);
+    event TrancheCurveUpdated(uint256 indexed trancheId, PricingCurve curve);
+    event TrancheCurveCleared(uint256 indexed trancheId);
+
+    // ============ Custom Errors ============
+    error ZeroAddress();
+    error InvalidCurve();
+
+    // ============ Constructor ============
+    constructor(address _registry, address _admin) {
+        if (_registry == address(0) || _admin == address(0)) revert ZeroAddress();
+
+        registry = IDinRegistry(_registry);
+        _grantRole(ADMIN_ROLE, _admin);
+    }
+
+    // ============ Admin Functions ============
+
+    /**
+     * @notice Set the curve used by tranches without an override
+     * @param curve The pricing curve
+     */
+    function setDefaultCurve(PricingCurve calldata curve) external onlyRole(ADMIN_ROLE) {
+        _validateCurve(curve);
+        defaultCurve = curve;
+        emit DefaultCurveUpdated(curve);
+    }
+
+    /**
+     * @notice Override the curve of a single tranche
+     * @param trancheId The tranche ID
+     * @param curve The pricing curve
+     */
+    function setTrancheCurve(uint256 trancheId, PricingCurve calldata curve) external onlyRole(ADMIN_ROLE) {
+        _validateCurve(curve);
+        trancheCurves[trancheId] = curve;
+        hasTrancheCurve[trancheId] = true;
+        emit TrancheCurveUpdated(trancheId, curve);
+    }
+
+    /**
+     * @notice Return a tranche to the default curve
+     * @param trancheId The tranche ID
+     */
+    function clearTrancheCurve(uint256 trancheId) external onlyRole(ADMIN_ROLE) {
+        delete trancheCurves[trancheId];
+        hasTrancheCurve[trancheId] = false;
+        emit TrancheCurveCleared(trancheId);
+    }
+
+    // ============ Quote Functions ============
+
+    /**
+     * @notice Quote the premium for adding coverage to a round
+     * @param trancheId The tranche ID
+     * @param purchaseAmount Coverage to price
+     * @param totalBuyerPurchases Coverage already ordered in the round
+     * @param totalSellerCollateral Collateral already deposited in the round
+     * @return premium The premium to pay
+     * @return rateBps The premium rate applied
+     */
+    function quotePremium(
+        uint256 trancheId,
+        uint256 purchaseAmount,
+        uint256 totalBuyerPurchases,
+        uint256 totalSellerCollateral
+    ) external view returns (uint256 premium, uint256 rateBps) {
+        // Demand includes the order being priced, so one large order pays for the utilization it adds
+        rateBps = quoteRate(trancheId, totalBuyerPurchases + purchaseAmount, totalSellerCollateral).rateBps;
+        premium = (purchaseAmount * rateBps) / BPS;
+    }
+
+    /**
+     * @notice Premium rate for a tranche at a given subscription, with each pricing component
+     * @param trancheId The tranche ID
+     * @param demand Coverage ordered in the round
+     * @param supply Collateral deposited in the round
+     */
+    function quoteRate(uint256 trancheId, uint256 demand, uint256 supply) public view returns (RateBreakdown memory quote) {
+        IProductCatalog.TrancheSpec memory tranche = IProductCatalog(registry.getProductCatalog()).getTranche(trancheId);
+        PricingCurve memory curve = getCurve(trancheId);
+
+        quote.baseRateBps = tranche.premiumRateBps;
+        quote.timeFactorBps = _timeFactor(curve, tranche.maturityTimestamp);
+
+        // Unbacked demand is priced at the utilization cap
+        quote.utilizationBps = supply == 0
+            ? (demand == 0 ? 0 : MAX_UTILIZATION_BPS)
+            : Math.min((demand * BPS) / supply, MAX_UTILIZATION_BPS);
+        quote.utilizationSurchargeBps = (curve.utilizationSlopeBps * quote.utilizationBps) / BPS;
+
+        quote.distanceBps = _triggerDistance(tranche);
+        if (quote.distanceBps < curve.proximityBandBps) {
+            quote.proximitySurchargeBps = (curve.proximitySlopeBps * (curve.proximityBandBps - quote.distanceBps)) / curve.proximityBandBps;
+        }
+
+        uint256 rate = (quote.baseRateBps * quote.timeFactorBps) / BPS;
+        rate = (rate * (BPS + quote.utilizationSurchargeBps + quote.proximitySurchargeBps)) / BPS;
+
+        quote.maxPremiumBps = registry.getMaxPremiumBps();
+        quote.rateBps = Math.min(rate, quote.maxPremiumBps);
+    }
+
+    /**
+     * @notice Curve applied to a tranche (its override, or the default curve)
+     */
+    function getCurve(uint256 trancheId) public view returns (PricingCurve memory) {
+        return hasTrancheCurve[trancheId] ? trancheCurves[trancheId] : defaultCurve;
+    }
+
+    // ============ Internal Functions ============
+
+    function _validateCurve(PricingCurve calldata curve) internal pure {
+        if (curve.minTimeFactorBps > BPS || curve.proximityBandBps > BPS) revert InvalidCurve();
+    }
+
+    /**
+     * @notice Share of the base rate charged for the remaining time to maturity
+     */
+    function _timeFactor(PricingCurve memory curve, uint256 maturityTimestamp) internal view returns (uint256) {
+        if (curve.referenceDuration == 0) return BPS;
+        uint256 remaining = maturityTimestamp > block.timestamp ? maturityTimestamp - block.timestamp : 0;
+        uint256 factor = Math.min((remaining * BPS) / curve.referenceDuration, BPS);
+        return Math.max(factor, curve.minTimeFactorBps);
+    }
+
+    /**
+     * @notice Distance of the latest price from a price trigger, in bps of the price (0 once breached)
+     * @dev Triggers without a fixed price level, unbound routes and unavailable prices return BPS
+     */
+    function _triggerDistance(IProductCatalog.TrancheSpec memory tranche) internal view returns (uint256) {
+        IProductCatalog.TriggerType triggerType = tranche.triggerType;
+        bool below = triggerType == IProductCatalog.TriggerType.PRICE_BELOW || triggerType == IProductCatalog.TriggerType.BARRIER_BELOW;
+        bool above = triggerType == IProductCatalog.TriggerType.PRICE_ABOVE || triggerType == IProductCatalog.TriggerType.BARRIER_ABOVE;
+        if (!below && !above) return BPS;
+
+        address engine = registry.getSettlementEngine();
+        if (engine == address(0)) return BPS;
+        bytes32 identifier = SettlementEngine(engine).routeIdentifiers(tranche.oracleRouteId);
+        if (identifier == bytes32(0)) return BPS;
+
+        uint256 price;
+        try SettlementEngine(engine).oracleRouter().getPrice(identifier) returns (OracleRouter.PriceResult memory result) {
+            if (!result.valid || result.price == 0) return BPS;
+            price = result.price;
+        } catch {
+            return BPS;
+        }
+
+        // Thresholds are stored with 18 decimals; compare in the oracle price decimals
+        uint256 threshold = SettlementEngine(engine).normalizeThreshold(tranche.threshold);
+        uint256 gap;
+        if (below && price > threshold) gap = price - threshold;
+        if (above && price < threshold) gap = threshold - price;
+        return Math.min((gap * BPS) / price, BPS);
+    }
+}
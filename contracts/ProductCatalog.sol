@@ -4,6 +4,15 @@ pragma solidity ^0.8.17;
 import "@kaiachain/contracts/access/AccessControl.sol";
 import "@kaiachain/contracts/security/Pausable.sol";
 import "@kaiachain/contracts/security/ReentrancyGuard.sol";
+import "./interfaces/IDinRegistry.sol";
+
+interface ITranchePoolFactory {
+    function getTranchePool(uint256 trancheId) external view returns (address pool);
+}
+
+interface ITranchePoolMatching {
+    function matchingProgress(uint256 roundId) external view returns (uint8 phase, uint256 cursor, uint256 filled);
+}
 
 /**
  * @title ProductCatalog
@@ -26,8 +35,11 @@ contract ProductCatalog is AccessControl, Pausable, ReentrancyGuard {
     // Engine role is for SettlementEngine to advance states at/after maturity
     bytes32 public constant ENGINE_ROLE = keccak256("ENGINE_ROLE");
 
+    // TranchePoolCore.BatchPhase.DONE
+    uint8 private constant MATCHING_DONE = 3;
+
     // Enums
-    enum TriggerType { PRICE_BELOW, PRICE_ABOVE, RELATIVE, BOOLEAN, CUSTOM }
+    enum TriggerType { PRICE_BELOW, PRICE_ABOVE, RELATIVE, BOOLEAN, CUSTOM, BARRIER_BELOW, BARRIER_ABOVE }
     // Simplified lifecycle: remove redundant MATCHED in favor of direct ACTIVE after matching
     enum RoundState { ANNOUNCED, OPEN, ACTIVE, MATURED, SETTLED, CANCELED }
 
@@ -57,7 +69,7 @@ contract ProductCatalog is AccessControl, Pausable, ReentrancyGuard {
         uint256 trancheId;
         uint256 productId;
         TriggerType triggerType;
-        uint256 threshold; // Trigger threshold value
+        uint256 threshold; // Trigger threshold value (18-decimal price; bps of the reference price for RELATIVE)
         uint256 maturityTimestamp;
         uint256 premiumRateBps; // Premium rate in basis points (e.g., 100 = 1%)
         uint256 perAccountMin; // Minimum purchase per account
@@ -160,7 +172,11 @@ contract ProductCatalog is AccessControl, Pausable, ReentrancyGuard {
     error InvalidRoundState(RoundState current, RoundState required);
     error RoundAlreadyExists(uint256 trancheId);
     error InvalidPremiumRate(uint256 rate);
+    error PremiumRateAboveMax(uint256 rate, uint256 maxPremiumBps);
+    error MaturityOutOfRange(uint256 duration, uint256 minMaturitySeconds, uint256 maxMaturitySeconds);
+    error CoverageWindowTooShort(uint256 salesEndTime, uint256 maturityTimestamp, uint256 minMaturitySeconds);
     error InvalidTrancheParams();
+    error MatchingNotFinished(uint256 roundId);
     error UnauthorizedAccess();
 
     /**
@@ -255,6 +271,8 @@ contract ProductCatalog is AccessControl, Pausable, ReentrancyGuard {
 
     /**
      * @notice Create a new tranche for a product
+     * @dev Enforces the registry's MAX_PREMIUM_BPS and MIN/MAX_MATURITY_SECONDS; zero per-account
+     *      limits take PER_ACCOUNT_MIN_DEFAULT / PER_ACCOUNT_MAX_DEFAULT
      * @param params Tranche parameters struct
      * @return trancheId The ID of the created tranche
      */
@@ -268,8 +286,15 @@ contract ProductCatalog is AccessControl, Pausable, ReentrancyGuard {
         if (!products[params.productId].active) revert ProductNotActive(params.productId);
         if (params.maturityTimestamp <= block.timestamp) revert InvalidMaturityTimestamp();
         if (params.premiumRateBps > 10000) revert InvalidPremiumRate(params.premiumRateBps);
+        (params.perAccountMin, params.perAccountMax) = _accountLimits(params.perAccountMin, params.perAccountMax, params.trancheCap);
         if (params.perAccountMin > params.perAccountMax) revert InvalidTrancheParams();
         if (params.perAccountMax > params.trancheCap) revert InvalidTrancheParams();
+        // RELATIVE thresholds are bps of the reference price; 10000 would have no direction
+        if (params.triggerType == TriggerType.RELATIVE && (params.threshold == 0 || params.threshold == 10000)) {
+            revert InvalidTrancheParams();
+        }
+        _checkPremiumRate(params.premiumRateBps);
+        _checkMaturity(params.maturityTimestamp);
 
         trancheId = nextTrancheId++;
 
@@ -304,6 +329,7 @@ contract ProductCatalog is AccessControl, Pausable, ReentrancyGuard {
 
     /**
      * @notice Update tranche parameters (only before any round is opened)
+     * @dev Same registry limits and per-account defaults as createTranche
      * @param trancheId The tranche ID to update
      * @param premiumRateBps New premium rate
      * @param perAccountMin New minimum per account
@@ -323,8 +349,10 @@ contract ProductCatalog is AccessControl, Pausable, ReentrancyGuard {
     {
         if (tranches[trancheId].trancheId == 0) revert TrancheNotFound(trancheId);
         if (premiumRateBps > 10000) revert InvalidPremiumRate(premiumRateBps);
+        (perAccountMin, perAccountMax) = _accountLimits(perAccountMin, perAccountMax, trancheCap);
         if (perAccountMin > perAccountMax) revert InvalidTrancheParams();
         if (perAccountMax > trancheCap) revert InvalidTrancheParams();
+        _checkPremiumRate(premiumRateBps);
 
         TrancheSpec storage tranche = tranches[trancheId];
         
@@ -390,8 +418,14 @@ contract ProductCatalog is AccessControl, Pausable, ReentrancyGuard {
         if (salesStartTime <= block.timestamp) revert InvalidSalesWindow();
         if (salesEndTime <= salesStartTime) revert InvalidSalesWindow();
 
-        // Check if there's already an active round for this tranche
+        // Matched coverage runs from sales end to maturity, at least MIN_MATURITY_SECONDS
         TrancheSpec storage tranche = tranches[trancheId];
+        uint256 minMaturitySeconds = IDinRegistry(registry).getMinMaturitySeconds();
+        if (salesEndTime + minMaturitySeconds > tranche.maturityTimestamp) {
+            revert CoverageWindowTooShort(salesEndTime, tranche.maturityTimestamp, minMaturitySeconds);
+        }
+
+        // Check if there's already an active round for this tranche
         if (tranche.roundIds.length > 0) {
             uint256 lastRoundId = tranche.roundIds[tranche.roundIds.length - 1];
             RoundState lastState = rounds[lastRoundId].state;
@@ -445,6 +479,7 @@ contract ProductCatalog is AccessControl, Pausable, ReentrancyGuard {
 
     /**
      * @notice Atomically set matched amount and activate coverage
+     * @dev Reverts while the tranche pool is still part way through its matching batches
      * @param roundId The round ID
      * @param matchedAmount Final matched purchase amount
      */
@@ -461,6 +496,7 @@ contract ProductCatalog is AccessControl, Pausable, ReentrancyGuard {
         }
         // Ensure sales window has ended
         require(block.timestamp >= round.salesEndTime, "Sales window not ended");
+        _requireMatchingFinished(roundId, round.trancheId);
 
         // Set matched amount and move to ACTIVE coverage immediately after matching
         round.matchedAmount = matchedAmount;
@@ -618,7 +654,8 @@ contract ProductCatalog is AccessControl, Pausable, ReentrancyGuard {
     }
 
     /**
-     * @notice Calculate premium amount for a purchase
+     * @notice Calculate premium amount for a purchase at the tranche's flat base rate
+     * @dev Pools charge the PremiumEngine quote when one is registered (TranchePoolCore.quotePremium)
      * @param trancheId The tranche ID
      * @param purchaseAmount The amount to purchase
      * @return premiumAmount The premium to pay (purchaseAmount * premiumRateBps / 10000)
@@ -685,6 +722,56 @@ contract ProductCatalog is AccessControl, Pausable, ReentrancyGuard {
         }
     }
 
+    /**
+     * @dev Premium rates must be positive and within the registry's MAX_PREMIUM_BPS
+     */
+    function _checkPremiumRate(uint256 premiumRateBps) internal view {
+        if (premiumRateBps == 0) revert InvalidPremiumRate(premiumRateBps);
+        uint256 maxPremiumBps = IDinRegistry(registry).getMaxPremiumBps();
+        if (premiumRateBps > maxPremiumBps) revert PremiumRateAboveMax(premiumRateBps, maxPremiumBps);
+    }
+
+    /**
+     * @dev Time to maturity must be within the registry's MIN/MAX_MATURITY_SECONDS
+     */
+    function _checkMaturity(uint256 maturityTimestamp) internal view {
+        uint256 duration = maturityTimestamp - block.timestamp;
+        uint256 minMaturitySeconds = IDinRegistry(registry).getMinMaturitySeconds();
+        uint256 maxMaturitySeconds = IDinRegistry(registry).getMaxMaturitySeconds();
+        if (duration < minMaturitySeconds || duration > maxMaturitySeconds) {
+            revert MaturityOutOfRange(duration, minMaturitySeconds, maxMaturitySeconds);
+        }
+    }
+
+    /**
+     * @dev Zero per-account limits take the registry defaults; the default maximum never exceeds the tranche cap
+     */
+    function _accountLimits(uint256 perAccountMin, uint256 perAccountMax, uint256 trancheCap)
+        internal
+        view
+        returns (uint256, uint256)
+    {
+        if (perAccountMin == 0) perAccountMin = IDinRegistry(registry).getPerAccountMinDefault();
+        if (perAccountMax == 0) {
+            perAccountMax = IDinRegistry(registry).getPerAccountMaxDefault();
+            if (perAccountMax > trancheCap) perAccountMax = trancheCap;
+        }
+        return (perAccountMin, perAccountMax);
+    }
+
+    /**
+     * @dev A tranche's pool must have finished every matching batch (phase DONE) for the round;
+     *      tranches without a registered factory or pool have nothing to match
+     */
+    function _requireMatchingFinished(uint256 roundId, uint256 trancheId) internal view {
+        address factory = IDinRegistry(registry).getTranchePoolFactory();
+        if (factory == address(0)) return;
+        address pool = ITranchePoolFactory(factory).getTranchePool(trancheId);
+        if (pool == address(0)) return;
+        (uint8 phase, , ) = ITranchePoolMatching(pool).matchingProgress(roundId);
+        if (phase != MATCHING_DONE) revert MatchingNotFinished(roundId);
+    }
+
     // ============ Emergency Functions ============
 
     /**
@@ -19,9 +19,11 @@ contract SettlementEngine is AccessControl, Pausable {
     bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
     bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
     bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    uint256 public constant BPS = 10000;
+    uint8 public constant THRESHOLD_DECIMALS = 18; // Precision of price thresholds in TrancheSpec
 
     // ============ Enums ============
-    enum TriggerType { PRICE_BELOW, PRICE_ABOVE, RELATIVE, BOOLEAN, CUSTOM }
+    enum TriggerType { PRICE_BELOW, PRICE_ABOVE, RELATIVE, BOOLEAN, CUSTOM, BARRIER_BELOW, BARRIER_ABOVE }
     enum OracleStatus { NONE, REQUESTED, RESOLVED, DISPUTED }
     enum RoundState { ANNOUNCED, OPEN, MATCHED, ACTIVE, MATURED, SETTLED, CANCELED }
 
@@ -40,6 +42,21 @@ contract SettlementEngine is AccessControl, Pausable {
         address resolver;
     }
 
+    // Price observed when a round went ACTIVE (baseline for RELATIVE triggers)
+    struct ReferencePrice {
+        uint256 price;
+        uint256 timestamp;
+    }
+
+    // Path-dependent trigger state built from the verified DINO prices between activation and maturity
+    struct BarrierState {
+        uint256 checkpoints;      // Number of verified prices checked
+        uint256 lastTimestamp;    // Latest checkpoint timestamp (prices are checked in timestamp order)
+        bool breached;
+        uint256 breachPrice;
+        uint256 breachTimestamp;
+    }
+
     // Legacy oracle route struct - kept for backward compatibility
     struct OracleRoute {
         address primaryOracle;
@@ -56,10 +73,16 @@ contract SettlementEngine is AccessControl, Pausable {
     // Settlement tracking
     mapping(uint256 => SettlementInfo) public settlements; // roundId => settlement info
     mapping(uint256 => OracleRoute) public oracleRoutes; // routeId => oracle route
+    mapping(uint256 => bytes32) public routeIdentifiers; // TrancheSpec.oracleRouteId => OracleRouter price identifier
+    mapping(uint256 => OracleRouter.AggregationMode) public routeAggregation; // routeId => maturity price aggregation
+    mapping(uint256 => ReferencePrice) public referencePrices; // roundId => price at activation
+    mapping(uint256 => BarrierState) public barrierStates; // roundId => barrier checkpoints
+    mapping(uint256 => bool) public settlementStarted; // roundId => a settlement batch has been processed
     
     // Parameters
     uint256 public livenessWindow = 10 minutes; // Dispute window after observation. Settelement is available after this window.
     uint256 public disputeWindow = 24 hours; // How long disputes are open
+    uint256 public observationTolerance = 1 hours; // Max age of the settlement observation at maturity (and of the reference at activation)
     
     // ============ Events ============
     event OracleObservationRequested(
@@ -90,6 +113,11 @@ contract SettlementEngine is AccessControl, Pausable {
     event CollateralReleased(uint256 indexed roundId, address indexed seller, uint256 amount);
     event SettlementDisputed(uint256 indexed roundId, address indexed disputer, uint256 timestamp);
     event OracleRouteConfigured(uint256 indexed routeId, address primaryOracle, uint8 decimals);
+    event RouteIdentifierSet(uint256 indexed routeId, bytes32 indexed identifier);
+    event RouteAggregationSet(uint256 indexed routeId, OracleRouter.AggregationMode mode);
+    event ReferencePriceRecorded(uint256 indexed roundId, uint256 price, uint256 timestamp);
+    event BarrierCheckpointRecorded(uint256 indexed roundId, uint256 timestamp, uint256 price, bool breached);
+    event SettlementBatchProcessed(uint256 indexed roundId, uint256 maxItems, bool done);
 
     // ============ Custom Errors ============
     error ZeroAddress();
@@ -102,6 +130,13 @@ contract SettlementEngine is AccessControl, Pausable {
     error DisputeWindowClosed();
     error UnauthorizedOracle();
     error OracleRequestFailed();
+    error ReferencePriceAlreadyRecorded(uint256 roundId);
+    error ReferencePriceNotRecorded(uint256 roundId);
+    error NotBarrierTrigger(uint256 trancheId);
+    error NoObservationNearMaturity(uint256 maturityTimestamp, uint256 observationTimestamp);
+    error ReferencePriceNotNearActivation(uint256 activatedAt, uint256 observationTimestamp);
+    error RouteNotBound(uint256 routeId);
+    error SettlementInProgress(uint256 roundId);
 
     // ============ Constructor ============
     constructor(address _registry, address _oracleRouter, address _admin) {
@@ -124,7 +159,7 @@ contract SettlementEngine is AccessControl, Pausable {
      * @param primaryOracle Primary oracle address
      * @param fallbackOracles Array of fallback oracle addresses
      * @param heartbeatThreshold Maximum staleness threshold (seconds)
-     * @param decimals Price decimals
+     * @param decimals Decimals of the route's raw feed answers (OracleRouter rescales prices to PRICE_DECIMALS)
      */
     function configureOracleRoute(
         uint256 routeId,
@@ -134,6 +169,7 @@ contract SettlementEngine is AccessControl, Pausable {
         uint8 decimals
     ) external onlyRole(ADMIN_ROLE) {
         require(primaryOracle != address(0), "Invalid primary oracle");
+        require(decimals > 0 && decimals <= THRESHOLD_DECIMALS, "Invalid decimals");
         
         oracleRoutes[routeId] = OracleRoute({
             primaryOracle: primaryOracle,
@@ -145,19 +181,114 @@ contract SettlementEngine is AccessControl, Pausable {
         
         emit OracleRouteConfigured(routeId, primaryOracle, decimals);
     }
+    
+    /**
+     * @notice Bind an oracle route to the OracleRouter price identifier it settles against
+     * @dev Settlement resolves the feed from TrancheSpec.oracleRouteId, never from keeper input
+     * @param routeId The route identifier referenced by TrancheSpec.oracleRouteId
+     * @param identifier OracleRouter price identifier (e.g., keccak256("BTC-USDT"))
+     */
+    function setRouteIdentifier(uint256 routeId, bytes32 identifier) external onlyRole(ADMIN_ROLE) {
+        require(oracleRouter.isConfigured(identifier), "Identifier not configured");
+        
+        routeIdentifiers[routeId] = identifier;
+        
+        emit RouteIdentifierSet(routeId, identifier);
+    }
+
+    /**
+     * @notice Select how the maturity price of tranches on a route is aggregated
+     * @dev Tranches pick the mode through TrancheSpec.oracleRouteId; DEFAULT follows the identifier's
+     *      OracleRouter configuration. Barrier checkpoints always use DINO verified prices.
+     * @param routeId The route identifier referenced by TrancheSpec.oracleRouteId
+     * @param mode OracleRouter aggregation mode (SPOT, TWAP or MEDIAN)
+     */
+    function setRouteAggregation(uint256 routeId, OracleRouter.AggregationMode mode) external onlyRole(ADMIN_ROLE) {
+        routeAggregation[routeId] = mode;
+        
+        emit RouteAggregationSet(routeId, mode);
+    }
 
     // ============ Settlement Functions ============
     
+    /**
+     * @notice Record the reference price of an ACTIVE round (baseline for RELATIVE triggers)
+     * @dev Called by the keeper once the round is activated. The reference is the route's price at
+     *      activation (at most observationTolerance old), so a late call still records the same baseline.
+     * @param roundId The activated round
+     * @param tranchePool The tranche pool contract address
+     */
+    function recordReferencePrice(
+        uint256 roundId,
+        address tranchePool
+    ) external onlyRole(KEEPER_ROLE) whenNotPaused {
+        require(tranchePool != address(0), "Invalid tranche pool");
+        if (referencePrices[roundId].timestamp != 0) revert ReferencePriceAlreadyRecorded(roundId);
+        
+        TranchePoolCore.TrancheInfo memory trancheInfo = TranchePoolCore(tranchePool).getTrancheInfo();
+        IProductCatalog catalog = IProductCatalog(trancheInfo.productCatalog);
+        IProductCatalog.Round memory round = catalog.getRound(roundId);
+        if (round.trancheId != trancheInfo.trancheId) revert InvalidRound(roundId);
+        require(round.state == IProductCatalog.RoundState.ACTIVE, "Round not active");
+        
+        uint256 routeId = catalog.getTranche(trancheInfo.trancheId).oracleRouteId;
+        uint256 activatedAt = round.stateChangedAt;
+        // Never a price published after activation, whenever the keeper calls
+        OracleRouter.PriceResult memory result = oracleRouter.getAggregatedPrice(
+            _routeIdentifier(routeId),
+            routeAggregation[routeId],
+            activatedAt
+        );
+        if (!result.valid || result.price == 0) revert OracleRequestFailed();
+        if (activatedAt - result.timestamp > observationTolerance) {
+            revert ReferencePriceNotNearActivation(activatedAt, result.timestamp);
+        }
+        
+        referencePrices[roundId] = ReferencePrice({ price: result.price, timestamp: result.timestamp });
+        
+        emit ReferencePriceRecorded(roundId, result.price, result.timestamp);
+    }
+    
+    /**
+     * @notice Check the verified DINO prices of an ACTIVE barrier round against its threshold
+     * @dev Walks DinoOracle.priceTimestamps from activation (or the last checkpoint) toward maturity, so
+     *      the keeper only paces the checks and cannot skip a price; requestOracleObservation checks the rest.
+     * @param roundId The round being monitored
+     * @param tranchePool The tranche pool contract address
+     * @param maxCheckpoints Most verified prices to check in this call
+     * @return recorded Number of checkpoints recorded
+     */
+    function recordBarrierCheckpoints(
+        uint256 roundId,
+        address tranchePool,
+        uint256 maxCheckpoints
+    ) external onlyRole(KEEPER_ROLE) whenNotPaused returns (uint256 recorded) {
+        require(tranchePool != address(0), "Invalid tranche pool");
+        
+        TranchePoolCore.TrancheInfo memory trancheInfo = TranchePoolCore(tranchePool).getTrancheInfo();
+        IProductCatalog catalog = IProductCatalog(trancheInfo.productCatalog);
+        IProductCatalog.Round memory round = catalog.getRound(roundId);
+        if (round.trancheId != trancheInfo.trancheId) revert InvalidRound(roundId);
+        require(round.state == IProductCatalog.RoundState.ACTIVE, "Round not active");
+        
+        IProductCatalog.TrancheSpec memory tranche = catalog.getTranche(trancheInfo.trancheId);
+        if (!_isBarrier(TriggerType(uint256(tranche.triggerType)))) revert NotBarrierTrigger(trancheInfo.trancheId);
+        
+        return _checkBarrier(roundId, round.stateChangedAt, tranche, maxCheckpoints);
+    }
+    
     /**
      * @notice Request oracle observation at maturity using unified Oracle Router
+     * @dev Settles against the latest verified price at or before maturity, chosen by the engine, so
+     *      neither the keeper's call time nor its choice can change the outcome. The observation must be
+     *      at most observationTolerance older than maturity; there is no fallback to the latest price.
+     *      Routes can settle on a TWAP or median instead of a single price (setRouteAggregation).
      * @param roundId The round requesting settlement
      * @param tranchePool The tranche pool contract address
-     * @param priceIdentifier The price identifier for oracle lookup (e.g., keccak256("BTC-USDT"))
      */
     function requestOracleObservation(
         uint256 roundId,
-        address tranchePool,
-        bytes32 priceIdentifier
+        address tranchePool
     ) external onlyRole(KEEPER_ROLE) whenNotPaused {
         require(tranchePool != address(0), "Invalid tranche pool");
         
@@ -176,24 +307,46 @@ contract SettlementEngine is AccessControl, Pausable {
         if (settlements[roundId].oracleStatus != OracleStatus.NONE) {
             revert SettlementNotReady();
         }
+        
+        // RELATIVE triggers compare against the price recorded at activation
+        TriggerType triggerType = TriggerType(uint256(tranche.triggerType));
+        if (triggerType == TriggerType.RELATIVE && referencePrices[roundId].price == 0) {
+            revert ReferencePriceNotRecorded(roundId);
+        }
+        
+        // The feed is bound to the tranche's oracle route, not chosen by the keeper
+        bytes32 priceIdentifier = _routeIdentifier(tranche.oracleRouteId);
+        
+        // Barrier rounds check every verified price up to maturity the keeper has not checkpointed yet
+        if (_isBarrier(triggerType)) {
+            _checkBarrier(roundId, catalog.getRound(roundId).stateChangedAt, tranche, type(uint256).max);
+        }
 
         // Emit observation request event
         emit OracleObservationRequested(
             roundId,
             trancheInfo.trancheId,
-            uint256(priceIdentifier), // Use priceIdentifier as route identifier
+            tranche.oracleRouteId,
             tranchePool,
             block.timestamp
         );
         
-        // Get price from OracleRouter
-        try oracleRouter.getPrice(priceIdentifier) returns (OracleRouter.PriceResult memory result) {
+        // Get the maturity-time price from OracleRouter with the route's aggregation mode
+        // (never a price published after maturity; a TWAP reports its newest input, checked below)
+        try oracleRouter.getAggregatedPrice(
+            priceIdentifier,
+            routeAggregation[tranche.oracleRouteId],
+            tranche.maturityTimestamp
+        ) returns (OracleRouter.PriceResult memory result) {
             if (!result.valid) {
                 revert OracleRequestFailed();
             }
+            if (!_isObservedAtMaturity(result.timestamp, tranche.maturityTimestamp)) {
+                revert NoObservationNearMaturity(tranche.maturityTimestamp, result.timestamp);
+            }
             
             // Evaluate trigger condition
-            bool triggered = _evaluateTrigger(TriggerType(uint256(tranche.triggerType)), tranche.threshold, result.price);
+            bool triggered = _isTriggered(roundId, triggerType, _triggerThreshold(tranche), result.price);
             
             // Initialize settlement info with oracle result
             settlements[roundId] = SettlementInfo({
@@ -248,7 +401,7 @@ contract SettlementEngine is AccessControl, Pausable {
         settlement.oracleStatus = OracleStatus.RESOLVED;
         
         // Evaluate trigger condition
-        bool triggered = _evaluateTrigger(TriggerType(uint256(tranche.triggerType)), tranche.threshold, result);
+        bool triggered = _isTriggered(roundId, TriggerType(uint256(tranche.triggerType)), _triggerThreshold(tranche), result);
         settlement.triggered = triggered;
         
         emit OracleResultReceived(roundId, result, block.timestamp, msg.sender, triggered);
@@ -259,45 +412,19 @@ contract SettlementEngine is AccessControl, Pausable {
      * @param roundId The round to settle
      */
     function finalizeSettlement(uint256 roundId) external onlyRole(KEEPER_ROLE) whenNotPaused {
-        SettlementInfo storage settlement = settlements[roundId];
-        
-        if (settlement.oracleStatus != OracleStatus.RESOLVED) {
-            revert SettlementNotReady();
-        }
-        if (settlement.settled) {
-            revert AlreadySettled();
-        }
-        if (block.timestamp < settlement.livenessDeadline) {
-            revert LivenessWindowNotPassed();
-        }
-        
-        settlement.settled = true;
-        
-        TranchePoolCore pool = TranchePoolCore(settlement.tranchePool);
-        uint256 totalPayouts = 0;
-        
-        if (settlement.triggered) {
-            // Execute buyer payouts (buyers get their purchase amounts)
-            // Sellers lose their collateral but KEEP premiums and yield benefits via NAV
-            totalPayouts = pool.executeBuyerPayouts(roundId);
-            settlement.totalPayouts = totalPayouts;
-        } else {
-            // Release collateral to sellers (sellers get collateral + premiums + any yield)
-            pool.releaseSellerCollateral(roundId);
-        }
-        
-        // Update catalog round state → SETTLED
-        TranchePoolCore.TrancheInfo memory trancheInfo = pool.getTrancheInfo();
-        IProductCatalog catalog = IProductCatalog(trancheInfo.productCatalog);
-        catalog.updateRoundState(roundId, IProductCatalog.RoundState.SETTLED);
-        
-        emit SettlementFinalized(
-            roundId,
-            settlement.trancheId,
-            settlement.triggered,
-            totalPayouts,
-            block.timestamp
-        );
+        _settleBatch(roundId, type(uint256).max);
+    }
+
+    /**
+     * @notice Settle up to maxItems participants; the round is finalized by the batch that completes it
+     * @dev Progress is tracked by the pool, so keepers repeat this call until it returns true
+     * @param roundId The round to settle
+     * @param maxItems Maximum number of seller positions and buyer orders to process
+     * @return done Whether settlement is finalized
+     */
+    function settleBatch(uint256 roundId, uint256 maxItems) external onlyRole(KEEPER_ROLE) whenNotPaused returns (bool done) {
+        done = _settleBatch(roundId, maxItems);
+        emit SettlementBatchProcessed(roundId, maxItems, done);
     }
 
     // ============ Dispute Functions ============
@@ -318,6 +445,8 @@ contract SettlementEngine is AccessControl, Pausable {
         if (block.timestamp > settlement.livenessDeadline + disputeWindow) {
             revert DisputeWindowClosed();
         }
+        // Batches already credited under the current result
+        if (settlementStarted[roundId]) revert SettlementInProgress(roundId);
         
         settlement.oracleStatus = OracleStatus.DISPUTED;
         
@@ -349,7 +478,7 @@ contract SettlementEngine is AccessControl, Pausable {
         IProductCatalog catalog = IProductCatalog(trancheInfo.productCatalog);
         IProductCatalog.TrancheSpec memory tranche = catalog.getTranche(settlement.trancheId);
         
-        bool triggered = _evaluateTrigger(TriggerType(uint256(tranche.triggerType)), tranche.threshold, newResult);
+        bool triggered = _isTriggered(roundId, TriggerType(uint256(tranche.triggerType)), _triggerThreshold(tranche), newResult);
         settlement.triggered = triggered;
         
         // Reset liveness deadline
@@ -359,31 +488,159 @@ contract SettlementEngine is AccessControl, Pausable {
     }
 
     // ============ Internal Functions ============
+
+    function _settleBatch(uint256 roundId, uint256 maxItems) internal returns (bool done) {
+        SettlementInfo storage settlement = settlements[roundId];
+        
+        if (settlement.oracleStatus != OracleStatus.RESOLVED) {
+            revert SettlementNotReady();
+        }
+        if (settlement.settled) {
+            revert AlreadySettled();
+        }
+        if (block.timestamp < settlement.livenessDeadline) {
+            revert LivenessWindowNotPassed();
+        }
+        
+        settlementStarted[roundId] = true;
+        
+        // Triggered: sellers lose their collateral but KEEP premiums and yield, buyers get their purchase amounts
+        // Not triggered: sellers get collateral + premiums + any yield
+        TranchePoolCore pool = TranchePoolCore(settlement.tranchePool);
+        uint256 totalPayouts;
+        (done, totalPayouts) = pool.settleBatch(roundId, settlement.triggered, maxItems);
+        if (!done) return false;
+        
+        settlement.settled = true;
+        settlement.totalPayouts = totalPayouts;
+        
+        // Update catalog round state → SETTLED
+        TranchePoolCore.TrancheInfo memory trancheInfo = pool.getTrancheInfo();
+        IProductCatalog catalog = IProductCatalog(trancheInfo.productCatalog);
+        catalog.updateRoundState(roundId, IProductCatalog.RoundState.SETTLED);
+        
+        emit SettlementFinalized(
+            roundId,
+            settlement.trancheId,
+            settlement.triggered,
+            totalPayouts,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @notice Evaluate a round's trigger at its maturity observation
+     * @dev Barrier rounds that breached at a checkpoint stay triggered whatever the maturity price
+     */
+    function _isTriggered(
+        uint256 roundId,
+        TriggerType triggerType,
+        uint256 threshold,
+        uint256 oracleResult
+    ) internal view returns (bool) {
+        if (_isBarrier(triggerType) && barrierStates[roundId].breached) return true;
+        return _evaluateTrigger(triggerType, threshold, oracleResult, referencePrices[roundId].price);
+    }
+    
+    /**
+     * @notice Tranche threshold in the precision its trigger compares against
+     * @dev Price thresholds are converted to OracleRouter.PRICE_DECIMALS; RELATIVE (bps), BOOLEAN
+     *      and CUSTOM thresholds are used as stored
+     */
+    function _triggerThreshold(IProductCatalog.TrancheSpec memory tranche) internal view returns (uint256) {
+        IProductCatalog.TriggerType triggerType = tranche.triggerType;
+        if (
+            triggerType == IProductCatalog.TriggerType.RELATIVE ||
+            triggerType == IProductCatalog.TriggerType.BOOLEAN ||
+            triggerType == IProductCatalog.TriggerType.CUSTOM
+        ) return tranche.threshold;
+        return normalizeThreshold(tranche.threshold);
+    }
+    
+    /**
+     * @notice Check verified DINO prices after the last checkpoint (from activatedAt) through maturity, oldest first
+     */
+    function _checkBarrier(
+        uint256 roundId,
+        uint256 activatedAt,
+        IProductCatalog.TrancheSpec memory tranche,
+        uint256 maxCheckpoints
+    ) internal returns (uint256 recorded) {
+        bytes32 identifier = _routeIdentifier(tranche.oracleRouteId);
+        TriggerType triggerType = TriggerType(uint256(tranche.triggerType));
+        uint256 threshold = _triggerThreshold(tranche);
+        DinoOracle dinoOracle = oracleRouter.dinoOracle();
+        BarrierState storage barrier = barrierStates[roundId];
+        
+        // priceTimestamps is ascending: find the first price after the last checkpoint
+        uint256 from = barrier.lastTimestamp >= activatedAt ? barrier.lastTimestamp + 1 : activatedAt;
+        uint256 count = dinoOracle.priceTimestampCount(identifier);
+        uint256 index;
+        uint256 high = count;
+        while (index < high) {
+            uint256 mid = (index + high) / 2;
+            if (dinoOracle.priceTimestamps(identifier, mid) < from) index = mid + 1;
+            else high = mid;
+        }
+        
+        for (; index < count && recorded < maxCheckpoints; index++) {
+            uint256 timestamp = dinoOracle.priceTimestamps(identifier, index);
+            if (timestamp > tranche.maturityTimestamp) break;
+            uint256 price = dinoOracle.verifiedPrices(identifier, timestamp);
+            
+            bool breached = _evaluateTrigger(triggerType, threshold, price, 0);
+            if (breached && !barrier.breached) {
+                barrier.breached = true;
+                barrier.breachPrice = price;
+                barrier.breachTimestamp = timestamp;
+            }
+            barrier.checkpoints++;
+            barrier.lastTimestamp = timestamp;
+            recorded++;
+            
+            emit BarrierCheckpointRecorded(roundId, timestamp, price, breached);
+        }
+    }
+    
+    function _routeIdentifier(uint256 routeId) internal view returns (bytes32 identifier) {
+        identifier = routeIdentifiers[routeId];
+        if (identifier == bytes32(0)) revert RouteNotBound(routeId);
+    }
+    
+    function _isObservedAtMaturity(uint256 timestamp, uint256 maturityTimestamp) internal view returns (bool) {
+        return timestamp <= maturityTimestamp && maturityTimestamp - timestamp <= observationTolerance;
+    }
+    
+    function _isBarrier(TriggerType triggerType) internal pure returns (bool) {
+        return triggerType == TriggerType.BARRIER_BELOW || triggerType == TriggerType.BARRIER_ABOVE;
+    }
     
     /**
      * @notice Evaluate trigger condition based on oracle result
      * @param triggerType The type of trigger condition
-     * @param threshold The trigger threshold
+     * @param threshold The trigger threshold (price thresholds already in OracleRouter.PRICE_DECIMALS)
      * @param oracleResult The oracle result
+     * @param referencePrice Price recorded at activation (RELATIVE triggers only)
      * @return triggered Whether the condition is triggered
      */
     function _evaluateTrigger(
         TriggerType triggerType,
         uint256 threshold,
-        uint256 oracleResult
+        uint256 oracleResult,
+        uint256 referencePrice
     ) internal pure returns (bool triggered) {
-        if (triggerType == TriggerType.PRICE_BELOW) {
-            // Convert threshold from 18 decimals to 8 decimals for comparison with oracle price
-            // threshold is stored as ETH format (18 decimals), both Orakl and DINO oracles use 8 decimals
-            uint256 normalizedThreshold = threshold / 1e10; // Convert 18 decimals to 8 decimals
-            return oracleResult < normalizedThreshold;
-        } else if (triggerType == TriggerType.PRICE_ABOVE) {
-            // Convert threshold from 18 decimals to 8 decimals for comparison with oracle price
-            uint256 normalizedThreshold = threshold / 1e10; // Convert 18 decimals to 8 decimals
-            return oracleResult > normalizedThreshold;
+        if (triggerType == TriggerType.PRICE_BELOW || triggerType == TriggerType.BARRIER_BELOW) {
+            return oracleResult < threshold;
+        } else if (triggerType == TriggerType.PRICE_ABOVE || triggerType == TriggerType.BARRIER_ABOVE) {
+            return oracleResult > threshold;
         } else if (triggerType == TriggerType.RELATIVE) {
-            // For relative triggers, custom logic would go here
-            return false; // Placeholder - implement later
+            // Threshold is the trigger level in bps of the reference price:
+            // below BPS triggers on a drop (9000 = more than 10% down), above BPS on a rise (11000 = more than 10% up)
+            if (referencePrice == 0) return false;
+            if (threshold < BPS) {
+                return oracleResult * BPS < referencePrice * threshold;
+            }
+            return oracleResult * BPS > referencePrice * threshold;
         } else if (triggerType == TriggerType.BOOLEAN) {
             // For boolean triggers, oracle result is 0 or 1
             return oracleResult == 1;
@@ -411,6 +668,16 @@ contract SettlementEngine is AccessControl, Pausable {
         return oracleRoutes[routeId];
     }
     
+    /**
+     * @notice Convert a price threshold (THRESHOLD_DECIMALS) to the precision of settlement prices
+     * @dev Every route settles on OracleRouter prices, which always carry PRICE_DECIMALS
+     *      whatever decimals the underlying feed reports
+     * @param threshold Price threshold with THRESHOLD_DECIMALS decimals
+     */
+    function normalizeThreshold(uint256 threshold) public view returns (uint256) {
+        return threshold / 10 ** (THRESHOLD_DECIMALS - oracleRouter.PRICE_DECIMALS());
+    }
+    
     /**
      * @notice Check if settlement is ready for finalization
      * @param roundId The round ID
@@ -442,6 +709,15 @@ contract SettlementEngine is AccessControl, Pausable {
         disputeWindow = newWindow;
     }
     
+    /**
+     * @notice Set how old the settlement observation may be at maturity, and the reference price at activation (admin only)
+     * @param newTolerance New tolerance in seconds
+     */
+    function setObservationTolerance(uint256 newTolerance) external onlyRole(ADMIN_ROLE) {
+        require(newTolerance <= 1 days, "Invalid tolerance");
+        observationTolerance = newTolerance;
+    }
+    
     /**
      * @notice Emergency pause
      */
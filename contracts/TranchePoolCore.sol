@@ -6,8 +6,10 @@ import "@kaiachain/contracts/security/Pausable.sol";
 import "@kaiachain/contracts/security/ReentrancyGuard.sol";
 import "@kaiachain/contracts/token/ERC20/IERC20.sol";
 import "@kaiachain/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@kaiachain/contracts/utils/math/Math.sol";
 import "./interfaces/IDinRegistry.sol";
 import "./interfaces/IProductCatalog.sol";
+import "./interfaces/IPremiumEngine.sol";
 import "./interfaces/IInsuranceToken.sol";
 
 interface IYieldRouter {
@@ -31,6 +33,7 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
 
     // ============ Enums ============
     enum RoundState { ANNOUNCED, OPEN, ACTIVE, MATURED, SETTLED, CANCELED }
+    enum BatchPhase { NONE, BUYERS, SELLERS, DONE }
 
     // ============ Structs ============
     struct TrancheInfo {
@@ -85,6 +88,12 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
         uint256 yieldEarned;        // Total yield earned from YieldRouter
     }
 
+    struct BatchProgress {
+        BatchPhase phase;
+        uint256 cursor;             // Next participant index within the phase
+        uint256 filled;             // Matching: amount filled so far within the phase
+    }
+
     // ============ Storage ============
     
     // Core references
@@ -110,6 +119,17 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
     // Seller shares
     mapping(address => uint256) public shareBalances;
     mapping(address => uint256) public lockedShares; // Shares locked in active rounds
+    mapping(address => uint256) public pendingShares; // Shares backing positions that await matching
+    uint256 public pendingCollateral; // Collateral backing positions that await matching
+    
+    // Pull-based claims: matching and settlement only credit balances, participants claim them
+    mapping(uint256 => mapping(address => uint256)) public claimable; // roundId => account => USDT owed
+    mapping(address => uint256[]) private claimRounds; // account => rounds credited (may contain claimed rounds)
+    uint256 public totalClaimable; // USDT held for claims, outside poolAccounting
+    
+    // Cursor-based batching so rounds with many participants can be matched and settled over several txs
+    mapping(uint256 => BatchProgress) public matchingProgress;
+    mapping(uint256 => BatchProgress) public settlementProgress;
     
     uint256 public protocolFeeBps = 1000; // 10% default
 
@@ -118,6 +138,8 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
     // Round Management Events
     event BuyerOrderPlaced(uint256 indexed roundId, address indexed buyer, uint256 purchaseAmount, uint256 premiumPaid, uint256 tokenId);
     event SellerPositionCreated(uint256 indexed roundId, address indexed seller, uint256 collateralAmount, uint256 sharesMinted);
+    event BuyerOrderUpdated(uint256 indexed roundId, address indexed buyer, uint256 purchaseAmount, uint256 premiumPaid);
+    event SellerPositionUpdated(uint256 indexed roundId, address indexed seller, uint256 collateralAmount, uint256 sharesMinted);
     event RoundMatched(uint256 indexed roundId, uint256 matchedAmount, uint256 totalBuyers, uint256 totalSellers);
     event RefundProcessed(uint256 indexed roundId, address indexed user, uint256 amount, bool isBuyer);
     
@@ -129,6 +151,9 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
     event NAVUpdated(uint256 oldNavPerShare, uint256 newNavPerShare, uint256 timestamp);
     event PremiumTransferred(uint256 indexed roundId, address indexed seller, uint256 amount);
     event CollateralReleased(uint256 indexed roundId, address indexed seller, uint256 amount);
+    event SharesWithdrawn(address indexed seller, uint256 shares, uint256 assets);
+    event PendingSharesReleased(uint256 indexed roundId, address indexed seller, uint256 shares);
+    event Claimed(uint256 indexed roundId, address indexed account, uint256 amount);
     
     // Freeze/Unfreeze Events
     event RoundFrozen(uint256 indexed roundId, address indexed admin, uint256 timestamp);
@@ -152,6 +177,7 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
     error InsufficientCollateral();
     error InsufficientShares();
     error OrderAlreadyExists();
+    error OrderNotFound();
     error AccountLimitExceeded();
     error TrancheLimitExceeded();
     error TrancheNotActive();
@@ -161,6 +187,7 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
     error YieldRouterNotSet();
     error InsufficientAvailableFunds();
     error InvalidYieldReturn();
+    error AlreadyProcessed(uint256 roundId);
 
     // ============ Constructor ============
     
@@ -297,54 +324,74 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
         uint256 roundId,
         uint256 purchaseAmount
     ) external onlyUnfrozenRound(roundId) nonReentrant {
-        _requireOpenSales(roundId);
-        if (purchaseAmount == 0) revert InvalidAmount();
-        // Enforce tranche limits from catalog
-        IProductCatalog.TrancheSpec memory t = IProductCatalog(trancheInfo.productCatalog).getTranche(trancheInfo.trancheId);
-        if (purchaseAmount < t.perAccountMin || purchaseAmount > t.perAccountMax) revert AccountLimitExceeded();
-        if (buyerOrders[roundId][msg.sender].buyer != address(0)) {
+        BuyerOrder storage order = buyerOrders[roundId][msg.sender];
+        if (order.purchaseAmount > 0) {
             revert OrderAlreadyExists();
         }
-        // Check tranche cap
-        RoundEconomics storage econ = roundEconomics[roundId];
-        if (econ.totalBuyerPurchases + purchaseAmount > t.trancheCap) revert TrancheLimitExceeded();
         
-        // Calculate premium from catalog tranche spec
-        uint256 premium = (purchaseAmount * t.premiumRateBps) / 10000;
-        
-        // Transfer premium from buyer
-        usdtToken.safeTransferFrom(msg.sender, address(this), premium);
+        // A canceled order can be placed again; its buyer is already listed for matching
+        if (order.buyer == address(0)) {
+            roundBuyers[roundId].push(msg.sender);
+            order.buyer = msg.sender;
+        }
+        uint256 premium = _addCoverage(roundId, order, purchaseAmount);
         
         // Mint insurance token
-        uint256 tokenId = insuranceToken.mintInsuranceToken(
+        order.insuranceTokenId = insuranceToken.mintInsuranceToken(
             msg.sender,
             trancheInfo.trancheId,
             roundId,
             purchaseAmount
         );
+        order.timestamp = block.timestamp;
         
-        // Record buyer order
-        buyerOrders[roundId][msg.sender] = BuyerOrder({
-            buyer: msg.sender,
-            purchaseAmount: purchaseAmount,
-            premiumPaid: premium,
-            insuranceTokenId: tokenId,
-            filled: false,
-            refunded: false,
-            timestamp: block.timestamp,
-            refundAmount: 0
-        });
+        emit BuyerOrderPlaced(roundId, msg.sender, purchaseAmount, premium, order.insuranceTokenId);
+    }
+
+    /**
+     * @notice Add coverage to an existing order while the round is OPEN
+     * @dev Only the buyer who still holds the order's InsuranceToken may change it
+     * @param roundId The round of the order
+     * @param additionalAmount Coverage to add (the new total must respect the per-account limits)
+     */
+    function increaseBuyerOrder(
+        uint256 roundId,
+        uint256 additionalAmount
+    ) external onlyUnfrozenRound(roundId) nonReentrant {
+        BuyerOrder storage order = _heldOrder(roundId);
+        _addCoverage(roundId, order, additionalAmount);
+        insuranceToken.updatePurchaseAmount(order.insuranceTokenId, order.purchaseAmount);
         
-        roundBuyers[roundId].push(msg.sender);
-        econ.totalBuyerPurchases += purchaseAmount;
-        econ.premiumPool += premium;
+        emit BuyerOrderUpdated(roundId, msg.sender, order.purchaseAmount, order.premiumPaid);
+    }
+
+    /**
+     * @notice Cancel an order while the round is OPEN: burn its InsuranceToken and refund the premium
+     * @param roundId The round of the order
+     */
+    function cancelBuyerOrder(uint256 roundId) external onlyUnfrozenRound(roundId) nonReentrant whenNotPaused {
+        _requireOpenSales(roundId);
+        BuyerOrder storage order = _heldOrder(roundId);
+        uint256 refund = order.premiumPaid;
+        
+        RoundEconomics storage econ = roundEconomics[roundId];
+        econ.totalBuyerPurchases -= order.purchaseAmount;
+        econ.premiumPool -= refund;
+        _syncSubscription(roundId);
+        
+        // The buyer stays listed; matching skips orders without coverage
+        order.purchaseAmount = 0;
+        order.premiumPaid = 0;
+        insuranceToken.burnInsuranceToken(order.insuranceTokenId);
         
-        emit BuyerOrderPlaced(roundId, msg.sender, purchaseAmount, premium, tokenId);
-        emit PremiumCalculated(roundId, msg.sender, purchaseAmount, premium);
+        usdtToken.safeTransfer(msg.sender, refund);
+        
+        emit RefundProcessed(roundId, msg.sender, refund, true);
+        emit BuyerOrderUpdated(roundId, msg.sender, 0, 0);
     }
     
     /**
-     * @notice Calculate premium for a purchase amount
+     * @notice Calculate premium for a purchase amount at the tranche's flat base rate
      * @param purchaseAmount The amount to purchase coverage for
      * @return premium The premium to pay
      */
@@ -353,6 +400,27 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
         return (purchaseAmount * t.premiumRateBps) / 10000;
     }
 
+    /**
+     * @notice Quote the premium for adding coverage to a round, as charged by placeBuyerOrder and increaseBuyerOrder
+     * @dev Priced by the registry's PremiumEngine from the round's current subscription;
+     *      the flat base rate applies when no engine is registered
+     * @param roundId The round to buy coverage in
+     * @param purchaseAmount The amount to purchase coverage for
+     * @return premium The premium to pay
+     */
+    function quotePremium(uint256 roundId, uint256 purchaseAmount) public view returns (uint256 premium) {
+        address engine = registry.getPremiumEngine();
+        if (engine == address(0)) return calculatePremium(purchaseAmount);
+
+        RoundEconomics storage econ = roundEconomics[roundId];
+        (premium, ) = IPremiumEngine(engine).quotePremium(
+            trancheInfo.trancheId,
+            purchaseAmount,
+            econ.totalBuyerPurchases,
+            econ.totalSellerCollateral
+        );
+    }
+
     // ============ Seller Position Functions (TranchePool) ============
     
     /**
@@ -364,43 +432,142 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
         uint256 roundId,
         uint256 collateralAmount
     ) external onlyUnfrozenRound(roundId) nonReentrant {
-        _requireOpenSales(roundId);
-        if (collateralAmount == 0) revert InvalidAmount();
-        if (sellerPositions[roundId][msg.sender].seller != address(0)) {
+        SellerPosition storage position = sellerPositions[roundId][msg.sender];
+        if (position.collateralAmount > 0) {
             revert OrderAlreadyExists();
         }
         
-        // Transfer collateral from seller
-        usdtToken.safeTransferFrom(msg.sender, address(this), collateralAmount);
+        // A fully withdrawn position can be reopened; its seller is already listed for matching
+        if (position.seller == address(0)) {
+            roundSellers[roundId].push(msg.sender);
+            position.seller = msg.sender;
+        }
+        uint256 sharesMinted = _addCollateral(roundId, position, collateralAmount);
+        position.timestamp = block.timestamp;
         
-        // Calculate shares to mint (based on current NAV)
-        uint256 sharesMinted = (collateralAmount * 1e18) / poolAccounting.navPerShare;
+        emit SellerPositionCreated(roundId, msg.sender, collateralAmount, sharesMinted);
+    }
+
+    /**
+     * @notice Add collateral to an existing position while the round is OPEN
+     * @param roundId The round of the position
+     * @param collateralAmount Additional USDT to deposit
+     */
+    function increaseCollateral(
+        uint256 roundId,
+        uint256 collateralAmount
+    ) external onlyUnfrozenRound(roundId) nonReentrant {
+        SellerPosition storage position = sellerPositions[roundId][msg.sender];
+        if (position.collateralAmount == 0) revert OrderNotFound();
+        _addCollateral(roundId, position, collateralAmount);
         
-        // Update pool accounting
-        poolAccounting.totalAssets += collateralAmount;
-        poolAccounting.totalShares += sharesMinted;
-        shareBalances[msg.sender] += sharesMinted;
+        emit SellerPositionUpdated(roundId, msg.sender, position.collateralAmount, position.sharesMinted);
+    }
+
+    /**
+     * @notice Withdraw collateral from a position while the round is OPEN, burning the shares it minted
+     * @param roundId The round of the position
+     * @param collateralAmount USDT to withdraw (up to the whole position)
+     */
+    function withdrawCollateral(
+        uint256 roundId,
+        uint256 collateralAmount
+    ) external onlyUnfrozenRound(roundId) nonReentrant whenNotPaused {
+        _requireOpenSales(roundId);
+        SellerPosition storage position = sellerPositions[roundId][msg.sender];
+        if (collateralAmount == 0 || collateralAmount > position.collateralAmount) revert InvalidAmount();
         
-        // Record seller position
-        sellerPositions[roundId][msg.sender] = SellerPosition({
-            seller: msg.sender,
-            collateralAmount: collateralAmount,
-            sharesMinted: sharesMinted,
-            premiumEarned: 0,
-            filledCollateral: 0,
-            lockedSharesAssigned: 0,
-            filled: false,
-            refunded: false,
-            timestamp: block.timestamp,
-            refundAmount: 0,
-            sharesToBurn: 0
-        });
+        uint256 shares = collateralAmount == position.collateralAmount
+            ? position.sharesMinted
+            : (position.sharesMinted * collateralAmount) / position.collateralAmount;
+        position.collateralAmount -= collateralAmount;
+        position.sharesMinted -= shares;
         
-        roundSellers[roundId].push(msg.sender);
-        roundEconomics[roundId].totalSellerCollateral += collateralAmount;
+        pendingShares[msg.sender] -= shares;
+        pendingCollateral -= collateralAmount;
+        shareBalances[msg.sender] -= shares;
+        poolAccounting.totalShares -= shares;
+        poolAccounting.totalAssets -= collateralAmount;
+        roundEconomics[roundId].totalSellerCollateral -= collateralAmount;
+        _syncSubscription(roundId);
         
-        emit SellerPositionCreated(roundId, msg.sender, collateralAmount, sharesMinted);
-        emit CollateralDeposited(msg.sender, collateralAmount, sharesMinted);
+        usdtToken.safeTransfer(msg.sender, collateralAmount);
+        _updateNAV();
+        
+        emit RefundProcessed(roundId, msg.sender, collateralAmount, false);
+        emit SellerPositionUpdated(roundId, msg.sender, position.collateralAmount, position.sharesMinted);
+    }
+
+    /**
+     * @notice Withdraw idle shares at the current NAV
+     * @dev Shares locked in matched rounds or pending in open rounds cannot be withdrawn
+     * @param shares Number of shares to burn
+     * @return assets USDT paid out (rounded down)
+     */
+    function withdrawShares(uint256 shares) external nonReentrant whenNotPaused returns (uint256 assets) {
+        assets = (shares * poolAccounting.navPerShare) / 1e18;
+        _burnIdleShares(msg.sender, shares, assets);
+    }
+
+    /**
+     * @notice Withdraw an exact USDT amount by burning idle shares at the current NAV
+     * @param assets USDT amount to receive
+     * @return shares Shares burned (rounded up)
+     */
+    function redeem(uint256 assets) external nonReentrant whenNotPaused returns (uint256 shares) {
+        shares = Math.ceilDiv(assets * 1e18, poolAccounting.navPerShare);
+        _burnIdleShares(msg.sender, shares, assets);
+    }
+
+    /**
+     * @notice Release shares from a position whose round was canceled before matching
+     * @dev The shares stay in the pool as idle shares and can then be withdrawn
+     * @param roundId The canceled round
+     */
+    function releaseCanceledPosition(uint256 roundId) external nonReentrant {
+        // Positions only exist for this tranche's rounds, so the seller check below covers foreign rounds
+        IProductCatalog.Round memory r = IProductCatalog(trancheInfo.productCatalog).getRound(roundId);
+        if (r.state != IProductCatalog.RoundState.CANCELED) {
+            revert InvalidRoundState(RoundState(uint256(r.state)), RoundState.CANCELED);
+        }
+
+        SellerPosition storage position = sellerPositions[roundId][msg.sender];
+        if (position.seller == address(0) || position.filled || position.refunded) revert InvalidAmount();
+
+        position.refunded = true;
+        pendingShares[msg.sender] -= position.sharesMinted;
+        pendingCollateral -= position.collateralAmount;
+        roundEconomics[roundId].totalSellerCollateral -= position.collateralAmount;
+
+        emit PendingSharesReleased(roundId, msg.sender, position.sharesMinted);
+    }
+
+    // ============ Claim Functions ============
+
+    /**
+     * @notice Claim everything credited to the caller in a round (refunds, premiums, payouts, collateral)
+     * @param roundId The round to claim from
+     * @return amount USDT transferred
+     */
+    function claim(uint256 roundId) external nonReentrant whenNotPaused returns (uint256 amount) {
+        amount = _takeClaim(roundId, msg.sender);
+        if (amount == 0) revert InvalidAmount();
+        _payClaim(msg.sender, amount);
+    }
+
+    /**
+     * @notice Claim every round balance credited to the caller in one transfer
+     * @return amount USDT transferred
+     */
+    function claimAll() external nonReentrant whenNotPaused returns (uint256 amount) {
+        uint256[] memory rounds = claimRounds[msg.sender];
+        delete claimRounds[msg.sender];
+
+        for (uint256 i = 0; i < rounds.length; i++) {
+            amount += _takeClaim(rounds[i], msg.sender);
+        }
+        if (amount == 0) revert InvalidAmount();
+        _payClaim(msg.sender, amount);
     }
     
 
@@ -408,15 +575,31 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
     // ============ Round Matching Functions ============
     
     /**
-     * @notice Compute match and perform distributions. Returns matched amount.
+     * @notice Compute match and perform distributions in one call. Returns matched amount.
+     * @dev Finishes any batches already processed; use processMatchingBatch for large rounds
      * @param roundId The round to compute match for
      */
-    function computeMatchAndDistribute(uint256 roundId)
-        external
+    function computeMatchAndDistribute(uint256 roundId) external returns (uint256 matchedAmount) {
+        processMatchingBatch(roundId, type(uint256).max);
+        return roundEconomics[roundId].matchedAmount;
+    }
+
+    /**
+     * @notice Match up to maxItems orders and positions, resuming from the round's on-chain cursor
+     * @dev The first batch fixes and locks the matched amount. Buyers are filled (or refunded) first,
+     *      then the protocol fee is taken and sellers are filled, refunded and credited premiums.
+     * @param roundId The round to match
+     * @param maxItems Maximum number of buyer orders and seller positions to process
+     * @return done Whether the round is fully matched (RoundMatched is emitted once, on completion)
+     */
+    function processMatchingBatch(uint256 roundId, uint256 maxItems)
+        public
         onlyRole(OPERATOR_ROLE)
         onlyUnfrozenRound(roundId)
-        returns (uint256 matchedAmount)
+        returns (bool done)
     {
+        if (maxItems == 0) revert InvalidAmount();
+
         // Read lifecycle from catalog
         IProductCatalog.Round memory r = IProductCatalog(trancheInfo.productCatalog).getRound(roundId);
         if (r.trancheId != trancheInfo.trancheId) revert InvalidRound(roundId);
@@ -424,23 +607,56 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
         if (block.timestamp <= r.salesEndTime) revert SalesWindowNotOpen();
         
         RoundEconomics storage econ = roundEconomics[roundId];
-        matchedAmount = econ.totalBuyerPurchases < econ.totalSellerCollateral
-            ? econ.totalBuyerPurchases
-            : econ.totalSellerCollateral;
-        
-        econ.matchedAmount = matchedAmount;
-        econ.lockedCollateral = matchedAmount;
-        
-        // Lock collateral in pool accounting
-        poolAccounting.lockedAssets += matchedAmount;
-        
-        // Process matching, refunds, then premium distribution
-        _processMatching(roundId, matchedAmount);
-        _processRefunds(roundId);
-        _distributePremiums(roundId);
-        
-        emit RoundMatched(roundId, matchedAmount, roundBuyers[roundId].length, roundSellers[roundId].length);
-        return matchedAmount;
+        BatchProgress storage progress = matchingProgress[roundId];
+        if (progress.phase == BatchPhase.DONE) revert AlreadyProcessed(roundId);
+
+        if (progress.phase == BatchPhase.NONE) {
+            uint256 matchedAmount = Math.min(econ.totalBuyerPurchases, econ.totalSellerCollateral);
+            econ.matchedAmount = matchedAmount;
+            econ.lockedCollateral = matchedAmount;
+
+            // Lock collateral in pool accounting
+            poolAccounting.lockedAssets += matchedAmount;
+            progress.phase = BatchPhase.BUYERS;
+        }
+
+        address[] storage buyers = roundBuyers[roundId];
+        address[] storage sellers = roundSellers[roundId];
+        uint256 i = progress.cursor;
+
+        if (progress.phase == BatchPhase.BUYERS) {
+            for (; i < buyers.length && maxItems > 0; i++) {
+                maxItems--;
+                _matchBuyer(roundId, buyers[i], progress);
+            }
+            if (i == buyers.length) {
+                // The premium pool is final once every buyer is resolved
+                econ.protocolFees = (econ.premiumPool * protocolFeeBps) / 10000;
+                if (econ.protocolFees > 0) {
+                    usdtToken.safeTransfer(feeTreasury, econ.protocolFees);
+                }
+                progress.phase = BatchPhase.SELLERS;
+                progress.filled = 0;
+                i = 0;
+            }
+        }
+
+        if (progress.phase == BatchPhase.SELLERS) {
+            for (; i < sellers.length && maxItems > 0; i++) {
+                maxItems--;
+                _matchSeller(roundId, sellers[i], progress);
+            }
+            if (i == sellers.length) progress.phase = BatchPhase.DONE;
+        }
+
+        progress.cursor = i;
+        _updateNAV();
+
+        if (progress.phase != BatchPhase.DONE) return false;
+
+        emit PremiumDistributed(roundId, econ.premiumPool - econ.protocolFees, econ.protocolFees);
+        emit RoundMatched(roundId, econ.matchedAmount, buyers.length, sellers.length);
+        return true;
     }
     
     /**
@@ -461,106 +677,82 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
     /**
      * @notice Execute buyer payouts when triggered (called by SettlementEngine)
      * @param roundId The round to pay out
-     * @return totalPayouts Total amount paid to buyers
+     * @return totalPayouts Total amount credited to buyers
      */
-    function executeBuyerPayouts(uint256 roundId) external onlySettlementEngine returns (uint256 totalPayouts) {
-        address[] memory buyers = roundBuyers[roundId];
-        address[] memory sellers = roundSellers[roundId];
-        
-        // 1. Update NAV to include any yield that was already returned before settlement
-        _updateNAV();
-        
-        // 2. Pay buyers their insurance claims
-        for (uint256 i = 0; i < buyers.length; i++) {
-            BuyerOrder storage order = buyerOrders[roundId][buyers[i]];
-            if (order.filled) {
-                uint256 payout = order.purchaseAmount;
-                totalPayouts += payout;
-                
-                usdtToken.safeTransfer(order.buyer, payout);
-            }
-        }
-        
-        // 3. Pay sellers their yield portion (they lose collateral but keep yield earnings)
-        uint256 totalSellerYieldPayout = 0;
-        for (uint256 i = 0; i < sellers.length; i++) {
-            SellerPosition storage position = sellerPositions[roundId][sellers[i]];
-            if (position.filled && position.lockedSharesAssigned > 0) {
-                // Calculate yield earned on locked shares
-                uint256 totalValue = (position.lockedSharesAssigned * poolAccounting.navPerShare) / 1e18;
-                uint256 originalCollateral = position.filledCollateral;
-                
-                // Yield = total value - original collateral
-                if (totalValue > originalCollateral) {
-                    uint256 yieldEarned = totalValue - originalCollateral;
-                    if (yieldEarned > 0) {
-                        usdtToken.safeTransfer(position.seller, yieldEarned);
-                        totalSellerYieldPayout += yieldEarned;
-                        
-                        emit CollateralReleased(roundId, position.seller, yieldEarned);
-                    }
-                }
-                
-                // Burn the locked shares (sellers lose collateral portion, got yield portion)
-                poolAccounting.totalShares -= position.lockedSharesAssigned;
-                shareBalances[position.seller] -= position.lockedSharesAssigned;
-                lockedShares[position.seller] -= position.lockedSharesAssigned;
-            }
-        }
-        
-        // 4. Update pool accounting
-        poolAccounting.totalAssets -= (totalPayouts + totalSellerYieldPayout);
-        poolAccounting.lockedAssets -= roundEconomics[roundId].lockedCollateral;
-        
-        // 5. Update NAV after all changes
-        _updateNAV();
+    function executeBuyerPayouts(uint256 roundId) external returns (uint256 totalPayouts) {
+        (, totalPayouts) = settleBatch(roundId, true, type(uint256).max);
     }
     
     /**
      * @notice Release collateral to sellers when not triggered (called by SettlementEngine)
      * @param roundId The round to release collateral for
      */
-    function releaseSellerCollateral(uint256 roundId) external onlySettlementEngine {
-        address[] memory sellers = roundSellers[roundId];
-        uint256 totalPayout = 0;
-        uint256 totalSharesBurned = 0;
-        
-        // 1. Update NAV to include any yield that was already returned before settlement
+    function releaseSellerCollateral(uint256 roundId) external {
+        settleBatch(roundId, false, type(uint256).max);
+    }
+
+    /**
+     * @notice Settle up to maxItems participants, resuming from the round's on-chain cursor
+     * @dev Sellers are settled first. When triggered they lose their filled collateral but keep any
+     *      yield on their locked shares, and buyers are then credited their cover. Otherwise sellers
+     *      are credited their locked shares at NAV (collateral + yield).
+     * @param roundId The round to settle
+     * @param triggered Whether the round's trigger fired
+     * @param maxItems Maximum number of seller positions and buyer orders to process
+     * @return done Whether every participant has been settled
+     * @return totalPayouts Total amount credited to buyers (set on the completing batch)
+     */
+    function settleBatch(uint256 roundId, bool triggered, uint256 maxItems)
+        public
+        onlySettlementEngine
+        returns (bool done, uint256 totalPayouts)
+    {
+        if (maxItems == 0) revert InvalidAmount();
+
+        BatchProgress storage progress = settlementProgress[roundId];
+        if (progress.phase == BatchPhase.DONE) revert AlreadyProcessed(roundId);
+        if (progress.phase == BatchPhase.NONE) progress.phase = BatchPhase.SELLERS;
+
+        // Update NAV to include any yield that was already returned before settlement
         _updateNAV();
-        
-        for (uint256 i = 0; i < sellers.length; i++) {
-            SellerPosition storage position = sellerPositions[roundId][sellers[i]];
-            if (position.filled) {
-                // Calculate shares to burn (locked shares that were committed to this round)
-                uint256 sharesToBurn = position.lockedSharesAssigned > 0 ? position.lockedSharesAssigned : position.sharesMinted;
-                
-                // Calculate total payout based on NAV (collateral + accumulated yield)
-                uint256 sellerPayout = (sharesToBurn * poolAccounting.navPerShare) / 1e18;
-                
-                if (sellerPayout > 0 && sharesToBurn > 0) {
-                    // Transfer total amount (collateral + yield) to seller
-                    usdtToken.safeTransfer(position.seller, sellerPayout);
-                    totalPayout += sellerPayout;
-                    
-                    // Burn the shares (seller got their money, shares should be removed)
-                    shareBalances[position.seller] -= sharesToBurn;
-                    lockedShares[position.seller] -= sharesToBurn;
-                    totalSharesBurned += sharesToBurn;
-                    
-                    emit CollateralReleased(roundId, position.seller, sellerPayout);
-                }
+
+        address[] storage sellers = roundSellers[roundId];
+        address[] storage buyers = roundBuyers[roundId];
+        uint256 i = progress.cursor;
+
+        if (progress.phase == BatchPhase.SELLERS) {
+            for (; i < sellers.length && maxItems > 0; i++) {
+                maxItems--;
+                _settleSeller(roundId, sellers[i], triggered);
+            }
+            if (i == sellers.length) {
+                progress.phase = triggered ? BatchPhase.BUYERS : BatchPhase.DONE;
+                i = 0;
             }
         }
-        
-        // 2. Update pool accounting: reduce both assets and shares proportionally
-        poolAccounting.totalAssets -= totalPayout;
-        poolAccounting.totalShares -= totalSharesBurned;
-        poolAccounting.lockedAssets -= roundEconomics[roundId].lockedCollateral;
-        
-        // 3. Update NAV after proper accounting changes
+
+        if (progress.phase == BatchPhase.BUYERS) {
+            for (; i < buyers.length && maxItems > 0; i++) {
+                maxItems--;
+                // Pay policy holders their insurance claims (assets were already released with the sellers' collateral)
+                BuyerOrder storage order = buyerOrders[roundId][buyers[i]];
+                if (order.filled) _credit(roundId, _policyHolder(order), order.purchaseAmount);
+            }
+            if (i == buyers.length) progress.phase = BatchPhase.DONE;
+        }
+
+        progress.cursor = i;
+
+        if (progress.phase == BatchPhase.DONE) {
+            done = true;
+            poolAccounting.lockedAssets -= roundEconomics[roundId].lockedCollateral;
+            // Filled buyers cover exactly the matched amount
+            if (triggered) totalPayouts = roundEconomics[roundId].matchedAmount;
+        }
+
+        // Update NAV after accounting changes
         _updateNAV();
     }
-
     // ============ Yield Management Functions ============
     
     /**
@@ -610,215 +802,271 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
     // ============ Internal Functions ============
     
     /**
-     * @notice Process round matching logic (pure matching, no refunds)
+     * @notice Fill a buyer order FCFS against the matched amount, refunding any unmatched premium
      */
-    function _processMatching(uint256 roundId, uint256 matchedAmount) internal {
-        address[] memory buyers = roundBuyers[roundId];
-        address[] memory sellers = roundSellers[roundId];
+    function _matchBuyer(uint256 roundId, address buyer, BatchProgress storage progress) internal {
+        BuyerOrder storage order = buyerOrders[roundId][buyer];
         RoundEconomics storage econ = roundEconomics[roundId];
-        
-        // Process buyer matching with partial fill support (FCFS)
-        uint256 buyerTotal = 0;
-        
-        for (uint256 i = 0; i < buyers.length && buyerTotal < matchedAmount; i++) {
-            BuyerOrder storage order = buyerOrders[roundId][buyers[i]];
-            uint256 remainingCapacity = matchedAmount - buyerTotal;
+        uint256 remainingCapacity = econ.matchedAmount - progress.filled;
+        // Canceled orders have no coverage and their token is burned
+        if (order.purchaseAmount == 0) return;
 
-            if (order.purchaseAmount == 0) {
-                continue;
-            }
+        if (remainingCapacity == 0) {
+            // Completely unfilled - refund full premium and remove from round economics
+            order.refunded = true;
+            econ.totalBuyerPurchases -= order.purchaseAmount;
+            econ.premiumPool -= order.premiumPaid;
 
-            if (order.purchaseAmount <= remainingCapacity) {
-                // Fully fill this buyer
-                order.filled = true;
-                buyerTotal += order.purchaseAmount;
-            } else {
-                // Partial fill - update order to matched portion and store refund amount
-                order.filled = true;
-                
-                uint256 matchedPortion = remainingCapacity;
-                uint256 unmatchedPortion = order.purchaseAmount - matchedPortion;
-                uint256 unmatchedPremium = (order.premiumPaid * unmatchedPortion) / order.purchaseAmount;
-                uint256 matchedPremium = order.premiumPaid - unmatchedPremium;
-                
-                // Store refund amount for _processRefunds
-                order.refundAmount = unmatchedPremium;
-                
-                // Update round economics to reflect reduced buyer demand
-                econ.totalBuyerPurchases -= unmatchedPortion;
-                
-                // Update order to matched portion immediately
-                order.purchaseAmount = matchedPortion;
-                order.premiumPaid = matchedPremium;
-                
-                buyerTotal = matchedAmount;
-            }
+            address refundee = _policyHolder(order);
+            _credit(roundId, refundee, order.premiumPaid);
+            emit RefundProcessed(roundId, refundee, order.premiumPaid, true);
+            return;
         }
-        
-        // Process seller matching (FCFS)
-        uint256 sellerTotal = 0;
-        for (uint256 i = 0; i < sellers.length && sellerTotal < matchedAmount; i++) {
-            SellerPosition storage position = sellerPositions[roundId][sellers[i]];
-            uint256 remainingNeeded = matchedAmount - sellerTotal;
-
-            if (position.collateralAmount == 0) {
-                continue;
-            }
 
-            if (position.collateralAmount <= remainingNeeded) {
-                // Fully fill this seller
-                position.filled = true;
-                position.filledCollateral = position.collateralAmount;
-                position.lockedSharesAssigned = position.sharesMinted;
-                lockedShares[sellers[i]] += position.lockedSharesAssigned;
-                sellerTotal += position.collateralAmount;
-            } else {
-                // Partial fill - update position to matched portion and store refund amounts
-                position.filled = true;
-                position.filledCollateral = remainingNeeded;
-                uint256 sharesToLock = (position.sharesMinted * remainingNeeded) / position.collateralAmount;
-                position.lockedSharesAssigned = sharesToLock;
-                lockedShares[sellers[i]] += sharesToLock;
-
-                // Store refund amounts for _processRefunds
-                uint256 refundAmount = position.collateralAmount - remainingNeeded;
-                uint256 sharesToBurn = position.sharesMinted - sharesToLock;
-                position.refundAmount = refundAmount;
-                position.sharesToBurn = sharesToBurn;
-
-                // Update round economics to reflect reduced seller supply
-                econ.totalSellerCollateral -= refundAmount;
-                
-                // Update position to filled portion immediately
-                position.collateralAmount = remainingNeeded;
-                position.sharesMinted = sharesToLock;
-
-                sellerTotal = matchedAmount;
-            }
+        order.filled = true;
+        if (order.purchaseAmount <= remainingCapacity) {
+            // Fully fill this buyer
+            progress.filled += order.purchaseAmount;
+            return;
         }
+
+        // Partial fill - shrink the order to the matched portion and refund the unmatched premium
+        uint256 unmatchedPortion = order.purchaseAmount - remainingCapacity;
+        uint256 unmatchedPremium = (order.premiumPaid * unmatchedPortion) / order.purchaseAmount;
+
+        order.refunded = true;
+        order.purchaseAmount = remainingCapacity;
+        order.premiumPaid -= unmatchedPremium;
+        econ.totalBuyerPurchases -= unmatchedPortion;
+        econ.premiumPool -= unmatchedPremium;
+        progress.filled = econ.matchedAmount;
+
+        address holder = _policyHolder(order);
+        _credit(roundId, holder, unmatchedPremium);
+        emit RefundProcessed(roundId, holder, unmatchedPremium, true);
     }
-    
+
     /**
-     * @notice Distribute premiums to sellers and protocol
+     * @notice Fill a seller position FCFS, refund unmatched collateral and credit its premium share
      */
-    function _distributePremiums(uint256 roundId) internal {
+    function _matchSeller(uint256 roundId, address seller, BatchProgress storage progress) internal {
+        SellerPosition storage position = sellerPositions[roundId][seller];
         RoundEconomics storage econ = roundEconomics[roundId];
-        uint256 totalPremiums = econ.premiumPool;
-        
-        // Calculate protocol fee
-        uint256 protocolFee = (totalPremiums * protocolFeeBps) / 10000;
-        uint256 sellerShare = totalPremiums - protocolFee;
-        
-        econ.protocolFees = protocolFee;
-        
-        // Transfer protocol fee to treasury
-        if (protocolFee > 0) {
-            usdtToken.safeTransfer(feeTreasury, protocolFee);
-        }
-        
-        // Distribute premiums directly to filled sellers (immediate transfer)
-        address[] memory sellers = roundSellers[roundId];
-        uint256 totalFilledCollateral = 0;
-        
-        for (uint256 i = 0; i < sellers.length; i++) {
-            if (sellerPositions[roundId][sellers[i]].filled) {
-                // After partial fills, collateralAmount reflects filled portion
-                totalFilledCollateral += sellerPositions[roundId][sellers[i]].collateralAmount;
-            }
+        uint256 remainingNeeded = econ.matchedAmount - progress.filled;
+        uint256 fill = Math.min(position.collateralAmount, remainingNeeded);
+
+        // Matching resolves the position: filled shares are now locked, the rest is refunded below
+        pendingShares[seller] -= position.sharesMinted;
+        pendingCollateral -= position.collateralAmount;
+
+        uint256 sharesToLock = fill == position.collateralAmount
+            ? position.sharesMinted
+            : (position.sharesMinted * fill) / position.collateralAmount;
+        uint256 refundAmount = position.collateralAmount - fill;
+        uint256 sharesToBurn = position.sharesMinted - sharesToLock;
+
+        if (refundAmount > 0) {
+            // Unfilled or partially filled - refund unmatched collateral and burn its shares
+            position.refunded = true;
+            poolAccounting.totalAssets -= refundAmount;
+            poolAccounting.totalShares -= sharesToBurn;
+            shareBalances[seller] -= sharesToBurn;
+            econ.totalSellerCollateral -= refundAmount;
+
+            _credit(roundId, seller, refundAmount);
+            emit RefundProcessed(roundId, seller, refundAmount, false);
         }
-        
-        if (totalFilledCollateral > 0 && sellerShare > 0) {
-            for (uint256 i = 0; i < sellers.length; i++) {
-                SellerPosition storage position = sellerPositions[roundId][sellers[i]];
-                if (position.filled) {
-                    uint256 sellerPremium = (sellerShare * position.collateralAmount) / totalFilledCollateral;
-                    position.premiumEarned = sellerPremium;
-                    
-                    // Transfer premium directly to seller (just like refunds)
-                    if (sellerPremium > 0) {
-                        usdtToken.safeTransfer(position.seller, sellerPremium);
-                        emit PremiumTransferred(roundId, position.seller, sellerPremium);
-                    }
-                }
-            }
+        if (fill == 0) return;
+
+        position.filled = true;
+        position.filledCollateral = fill;
+        position.lockedSharesAssigned = sharesToLock;
+        position.collateralAmount = fill;
+        position.sharesMinted = sharesToLock;
+        lockedShares[seller] += sharesToLock;
+        progress.filled += fill;
+
+        // Premiums are shared pro rata to filled collateral (the protocol fee already went to the treasury)
+        uint256 sellerPremium = ((econ.premiumPool - econ.protocolFees) * fill) / econ.matchedAmount;
+        position.premiumEarned = sellerPremium;
+        if (sellerPremium > 0) {
+            _credit(roundId, seller, sellerPremium);
+            emit PremiumTransferred(roundId, seller, sellerPremium);
         }
-        
-        // Update NAV (no need to add seller share to pool since it was transferred out)
-        _updateNAV();
-        
-        emit PremiumDistributed(roundId, sellerShare, protocolFee);
     }
-    
+
     /**
-     * @notice Process all refunds (order amounts already updated to matched portions in _processMatching)
+     * @notice Burn a filled seller's locked shares and credit what the outcome leaves them
+     * @dev Triggered: the filled collateral covers buyers and only yield above it is credited.
+     *      Not triggered: the locked shares are credited at NAV.
      */
-    function _processRefunds(uint256 roundId) internal {
-        address[] memory buyers = roundBuyers[roundId];
-        address[] memory sellers = roundSellers[roundId];
-        RoundEconomics storage econ = roundEconomics[roundId];
-        
-        // Process buyer refunds
-        for (uint256 i = 0; i < buyers.length; i++) {
-            BuyerOrder storage order = buyerOrders[roundId][buyers[i]];
-            
-            if (!order.filled) {
-                // Completely unfilled - refund full premium
-                order.refunded = true;
-                usdtToken.safeTransfer(order.buyer, order.premiumPaid);
-                emit RefundProcessed(roundId, order.buyer, order.premiumPaid, true);
-                
-                // Remove from round economics
-                econ.totalBuyerPurchases -= order.purchaseAmount;
-                econ.premiumPool -= order.premiumPaid;
-                
-            } else if (order.refundAmount > 0) {
-                // Partially filled - refund unmatched premium (order & economics already updated)
-                order.refunded = true;
-                usdtToken.safeTransfer(order.buyer, order.refundAmount);
-                emit RefundProcessed(roundId, order.buyer, order.refundAmount, true);
-                
-                // Only update premium pool (totalBuyerPurchases already updated in matching)
-                econ.premiumPool -= order.refundAmount;
-                order.refundAmount = 0; // Clear refund amount after processing
-            }
+    function _settleSeller(uint256 roundId, address seller, bool triggered) internal {
+        SellerPosition storage position = sellerPositions[roundId][seller];
+        if (!position.filled) return;
+
+        uint256 shares = position.lockedSharesAssigned;
+        if (!triggered && shares == 0) shares = position.sharesMinted;
+        uint256 value = (shares * poolAccounting.navPerShare) / 1e18;
+        uint256 payout = value;
+
+        if (triggered) {
+            // The collateral leaves the pool as buyer payouts even if the seller holds no locked shares
+            payout = value > position.filledCollateral ? value - position.filledCollateral : 0;
+            poolAccounting.totalAssets -= position.filledCollateral;
+        } else if (value == 0 || shares == 0) {
+            return;
         }
-        
-        // Process seller refunds
-        for (uint256 i = 0; i < sellers.length; i++) {
-            SellerPosition storage position = sellerPositions[roundId][sellers[i]];
-            
-            if (!position.filled) {
-                // Completely unfilled - refund full collateral
-                position.refunded = true;
-                
-                poolAccounting.totalAssets -= position.collateralAmount;
-                poolAccounting.totalShares -= position.sharesMinted;
-                shareBalances[position.seller] -= position.sharesMinted;
-                
-                usdtToken.safeTransfer(position.seller, position.collateralAmount);
-                emit RefundProcessed(roundId, position.seller, position.collateralAmount, false);
-                
-                // Remove from round economics
-                econ.totalSellerCollateral -= position.collateralAmount;
-                
-            } else if (position.refundAmount > 0) {
-                // Partially filled - refund unmatched collateral (position & economics already updated)
-                position.refunded = true;
-                
-                poolAccounting.totalAssets -= position.refundAmount;
-                poolAccounting.totalShares -= position.sharesToBurn;
-                shareBalances[position.seller] -= position.sharesToBurn;
-                
-                usdtToken.safeTransfer(position.seller, position.refundAmount);
-                emit RefundProcessed(roundId, position.seller, position.refundAmount, false);
-                
-                // Clear refund amounts after processing (totalSellerCollateral already updated in matching)
-                position.refundAmount = 0;
-                position.sharesToBurn = 0;
-            }
+
+        if (payout > 0) {
+            _credit(roundId, seller, payout);
+            poolAccounting.totalAssets -= payout;
+            emit CollateralReleased(roundId, seller, payout);
         }
+
+        poolAccounting.totalShares -= shares;
+        shareBalances[seller] -= shares;
+        lockedShares[seller] -= shares;
     }
-    
+    /**
+     * @notice Add coverage to a buyer order, collecting its premium and checking the tranche limits
+     * @return premium Premium charged for the added coverage
+     */
+    function _addCoverage(uint256 roundId, BuyerOrder storage order, uint256 amount) internal returns (uint256 premium) {
+        _requireOpenSales(roundId);
+        if (amount == 0) revert InvalidAmount();
+        // Enforce tranche limits from catalog; per-account limits apply to the order total
+        IProductCatalog.TrancheSpec memory t = IProductCatalog(trancheInfo.productCatalog).getTranche(trancheInfo.trancheId);
+        uint256 total = order.purchaseAmount + amount;
+        if (total < t.perAccountMin || total > t.perAccountMax) revert AccountLimitExceeded();
+
+        RoundEconomics storage econ = roundEconomics[roundId];
+        if (econ.totalBuyerPurchases + amount > t.trancheCap) revert TrancheLimitExceeded();
+
+        premium = quotePremium(roundId, amount);
+        usdtToken.safeTransferFrom(msg.sender, address(this), premium);
+
+        order.purchaseAmount = total;
+        order.premiumPaid += premium;
+        econ.totalBuyerPurchases += amount;
+        econ.premiumPool += premium;
+        _syncSubscription(roundId);
+
+        emit PremiumCalculated(roundId, msg.sender, amount, premium);
+    }
+
+    /**
+     * @notice Add collateral to a seller position, minting shares at the current NAV
+     * @return sharesMinted Shares minted for the added collateral
+     */
+    function _addCollateral(uint256 roundId, SellerPosition storage position, uint256 amount) internal returns (uint256 sharesMinted) {
+        _requireOpenSales(roundId);
+        if (amount == 0) revert InvalidAmount();
+
+        usdtToken.safeTransferFrom(msg.sender, address(this), amount);
+        sharesMinted = (amount * 1e18) / poolAccounting.navPerShare;
+
+        poolAccounting.totalAssets += amount;
+        poolAccounting.totalShares += sharesMinted;
+        shareBalances[msg.sender] += sharesMinted;
+        pendingShares[msg.sender] += sharesMinted;
+        pendingCollateral += amount;
+
+        position.collateralAmount += amount;
+        position.sharesMinted += sharesMinted;
+        roundEconomics[roundId].totalSellerCollateral += amount;
+        _syncSubscription(roundId);
+
+        emit CollateralDeposited(msg.sender, amount, sharesMinted);
+    }
+
+    /**
+     * @notice The caller's live order, which only the current holder of its InsuranceToken may change
+     */
+    function _heldOrder(uint256 roundId) internal view returns (BuyerOrder storage order) {
+        order = buyerOrders[roundId][msg.sender];
+        if (order.purchaseAmount == 0) revert OrderNotFound();
+        if (_policyHolder(order) != msg.sender) revert Unauthorized();
+    }
+
+    /**
+     * @notice Mirror the round's subscription totals into ProductCatalog
+     */
+    function _syncSubscription(uint256 roundId) internal {
+        RoundEconomics storage econ = roundEconomics[roundId];
+        IProductCatalog(trancheInfo.productCatalog).updateRoundSubscription(
+            roundId,
+            econ.totalBuyerPurchases,
+            econ.totalSellerCollateral
+        );
+    }
+
+    /**
+     * @notice Current owner of an order's InsuranceToken; cover and refunds follow the token, not the order
+     */
+    function _policyHolder(BuyerOrder storage order) internal view returns (address) {
+        return insuranceToken.ownerOf(order.insuranceTokenId);
+    }
+
+    /**
+     * @notice Credit a claimable balance instead of transferring, so one failing recipient cannot block a round
+     */
+    function _credit(uint256 roundId, address account, uint256 amount) internal {
+        if (amount == 0) return;
+        if (claimable[roundId][account] == 0) claimRounds[account].push(roundId);
+        claimable[roundId][account] += amount;
+        totalClaimable += amount;
+    }
+
+    /**
+     * @notice Clear a round balance and return it (0 if nothing is owed)
+     */
+    function _takeClaim(uint256 roundId, address account) internal returns (uint256 amount) {
+        amount = claimable[roundId][account];
+        if (amount == 0) return 0;
+
+        claimable[roundId][account] = 0;
+        emit Claimed(roundId, account, amount);
+    }
+
+    function _payClaim(address account, uint256 amount) internal {
+        totalClaimable -= amount;
+        usdtToken.safeTransfer(account, amount);
+    }
+
+    /**
+     * @notice Burn idle shares and pay out their value from liquid pool funds
+     */
+    function _burnIdleShares(address seller, uint256 shares, uint256 assets) internal {
+        if (shares == 0 || assets == 0) revert InvalidAmount();
+        if (shares > _withdrawableShares(seller)) revert InsufficientShares();
+        if (assets > _liquidAssets()) revert InsufficientAvailableFunds();
+
+        shareBalances[seller] -= shares;
+        poolAccounting.totalShares -= shares;
+        poolAccounting.totalAssets -= assets;
+
+        usdtToken.safeTransfer(seller, assets);
+
+        _updateNAV();
+
+        emit SharesWithdrawn(seller, shares, assets);
+    }
+
+    /**
+     * @notice Shares that are neither locked in a matched round nor pending in an open one
+     */
+    function _withdrawableShares(address seller) internal view returns (uint256) {
+        return shareBalances[seller] - lockedShares[seller] - pendingShares[seller];
+    }
+
+    /**
+     * @notice Funds held by the pool that are not locked, pending matching or deployed to yield
+     */
+    function _liquidAssets() internal view returns (uint256) {
+        uint256 committed = poolAccounting.lockedAssets + poolAccounting.yieldDeposited + pendingCollateral;
+        return poolAccounting.totalAssets > committed ? poolAccounting.totalAssets - committed : 0;
+    }
+
     /**
      * @notice Update NAV per share
      */
@@ -881,19 +1129,29 @@ contract TranchePoolCore is AccessControl, Pausable, ReentrancyGuard {
      * @notice Get available collateral for withdrawal
      */
     function getAvailableCollateral(address seller) external view returns (uint256) {
-        uint256 totalShares = shareBalances[seller];
-        uint256 lockedSharesAmount = lockedShares[seller];
-        uint256 availableShares = totalShares - lockedSharesAmount;
-        
-        return (availableShares * poolAccounting.navPerShare) / 1e18;
+        return (_withdrawableShares(seller) * poolAccounting.navPerShare) / 1e18;
+    }
+
+    /**
+     * @notice Get rounds credited to an account since its last claimAll (entries may already be claimed)
+     */
+    function getClaimRounds(address account) external view returns (uint256[] memory) {
+        return claimRounds[account];
+    }
+
+    /**
+     * @notice Get shares a seller can withdraw right now
+     */
+    function getWithdrawableShares(address seller) external view returns (uint256) {
+        return _withdrawableShares(seller);
     }
     
     /**
      * @notice Get available funds for yield generation
+     * @dev Collateral of open orders stays liquid so sellers can withdraw it
      */
     function getAvailableForYield() external view returns (uint256) {
-        uint256 availableFunds = poolAccounting.totalAssets - poolAccounting.lockedAssets - poolAccounting.yieldDeposited;
-        return availableFunds;
+        return _liquidAssets();
     }
     
     /**
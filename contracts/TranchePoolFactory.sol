@@ -8,6 +8,32 @@ import "./InsuranceToken.sol";
 import "./interfaces/IDinRegistry.sol";
 import "./interfaces/IProductCatalog.sol";
 
+/**
+ * @title TranchePoolDeployer
+ * @notice Holds the TranchePoolCore creation code on behalf of TranchePoolFactory
+ * @dev Embedding the pool creation code directly would push the factory past the 24KB code size limit
+ */
+contract TranchePoolDeployer {
+    address public immutable factory;
+
+    constructor() {
+        factory = msg.sender;
+    }
+
+    /**
+     * @notice Deploy a TranchePoolCore (factory only)
+     */
+    function deployPool(
+        address registry,
+        TranchePoolCore.TrancheInfo calldata trancheInfo,
+        address insuranceToken,
+        address admin
+    ) external returns (address) {
+        require(msg.sender == factory, "Only factory");
+        return address(new TranchePoolCore(registry, trancheInfo, insuranceToken, admin));
+    }
+}
+
 /**
  * @title TranchePoolFactory
  * @notice Factory contract for deploying TranchePoolCore instances per tranche
@@ -22,6 +48,7 @@ contract TranchePoolFactory is AccessControl, Pausable {
     // ============ Storage ============
     IDinRegistry public immutable registry;
     InsuranceToken public immutable insuranceToken;
+    TranchePoolDeployer public immutable poolDeployer;
     
     // Mapping from tranche ID to pool address
     mapping(uint256 => address) public tranchePools;
@@ -61,6 +88,7 @@ contract TranchePoolFactory is AccessControl, Pausable {
         
         registry = IDinRegistry(_registry);
         insuranceToken = InsuranceToken(_insuranceToken);
+        poolDeployer = new TranchePoolDeployer();
         
         _grantRole(ADMIN_ROLE, _admin);
         _grantRole(PAUSER_ROLE, _admin);
@@ -96,12 +124,12 @@ contract TranchePoolFactory is AccessControl, Pausable {
         });
         
         // Deploy new TranchePoolCore with msg.sender as admin
-        pool = address(new TranchePoolCore(
+        pool = poolDeployer.deployPool(
             address(registry),
             trancheInfo,
             address(insuranceToken),
             msg.sender // Deployer as admin (gets ADMIN_ROLE and PAUSER_ROLE automatically)
-        ));
+        );
         
         // Pool is created with msg.sender as admin
         // Additional roles (OPERATOR_ROLE, KEEPER_ROLE) can be granted by the admin later
@@ -6,7 +6,15 @@ interface IDinRegistry {
     function getDINToken() external view returns (address);
     function getProductCatalog() external view returns (address);
     function getFeeTreasury() external view returns (address);
+    function getTranchePoolFactory() external view returns (address);
+    function getSettlementEngine() external view returns (address);
+    function getPremiumEngine() external view returns (address);
     function getYieldRouter() external view returns (address);
     function getProtocolFeeBps() external view returns (uint256);
+    function getMaxPremiumBps() external view returns (uint256);
+    function getMinMaturitySeconds() external view returns (uint256);
+    function getMaxMaturitySeconds() external view returns (uint256);
+    function getPerAccountMinDefault() external view returns (uint256);
+    function getPerAccountMaxDefault() external view returns (uint256);
     function getContractAddress(bytes32 identifier) external view returns (address);
 }
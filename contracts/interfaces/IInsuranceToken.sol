@@ -10,6 +10,10 @@ interface IInsuranceToken is IERC721 {
         uint256 roundId,
         uint256 purchaseAmount
     ) external returns (uint256 tokenId);
+
+    function updatePurchaseAmount(uint256 tokenId, uint256 purchaseAmount) external;
+
+    function burnInsuranceToken(uint256 tokenId) external;
     
     function getTokenInfo(uint256 tokenId) external view returns (
         uint256 trancheId,
@@ -19,4 +23,6 @@ interface IInsuranceToken is IERC721 {
     );
     
     function isTransferable(uint256 tokenId) external view returns (bool);
+
+    function tokensOfOwner(address owner) external view returns (uint256[] memory tokenIds);
 }
@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+interface IPremiumEngine {
+    function quotePremium(
+        uint256 trancheId,
+        uint256 purchaseAmount,
+        uint256 totalBuyerPurchases,
+        uint256 totalSellerCollateral
+    ) external view returns (uint256 premium, uint256 rateBps);
+}
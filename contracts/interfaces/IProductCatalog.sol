@@ -3,7 +3,7 @@ pragma solidity ^0.8.17;
 
 interface IProductCatalog {
     // Match enums with ProductCatalog.sol
-    enum TriggerType { PRICE_BELOW, PRICE_ABOVE, RELATIVE, BOOLEAN, CUSTOM }
+    enum TriggerType { PRICE_BELOW, PRICE_ABOVE, RELATIVE, BOOLEAN, CUSTOM, BARRIER_BELOW, BARRIER_ABOVE }
     enum RoundState { ANNOUNCED, OPEN, ACTIVE, MATURED, SETTLED, CANCELED }
 
     struct TrancheSpec {
@@ -40,4 +40,5 @@ interface IProductCatalog {
     function getRound(uint256 roundId) external view returns (Round memory);
     function updateRoundState(uint256 roundId, RoundState newState) external;
     function closeAndMarkMatched(uint256 roundId, uint256 matchedAmount) external;
+    function updateRoundSubscription(uint256 roundId, uint256 totalBuyerPurchases, uint256 totalSellerCollateral) external;
 }
@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/**
+ * @title MockFeedProxy
+ * @notice Scriptable stand-in for an Orakl Network feed proxy in tests and local deployments
+ * @dev Matches the IFeedProxy calls OraklPriceFeed makes (decimals, description, latestRoundData,
+ *      getRoundData). Every update appends a round.
+ */
+contract MockFeedProxy {
+    struct Round {
+        int256 answer;
+        uint256 updatedAt;
+    }
+
+    uint8 public decimals;
+    string public description;
+    uint64 public latestRound;
+
+    mapping(uint64 => Round) private rounds;
+
+    error RoundNotFound(uint64 roundId);
+
+    event AnswerUpdated(uint64 indexed roundId, int256 answer, uint256 updatedAt);
+
+    constructor(uint8 _decimals, string memory _description, int256 initialAnswer) {
+        decimals = _decimals;
+        description = _description;
+        _pushRound(initialAnswer, block.timestamp);
+    }
+
+    /**
+     * @notice Publish a new answer timestamped at the current block
+     */
+    function setPrice(int256 answer) external {
+        _pushRound(answer, block.timestamp);
+    }
+
+    /**
+     * @notice Publish a new answer with an explicit update time (e.g., to simulate a stale feed)
+     */
+    function setRoundData(int256 answer, uint256 updatedAt) external {
+        _pushRound(answer, updatedAt);
+    }
+
+    function latestRoundData() external view returns (uint64 id, int256 answer, uint256 updatedAt) {
+        Round memory round = rounds[latestRound];
+        return (latestRound, round.answer, round.updatedAt);
+    }
+
+    function getRoundData(uint64 roundId) external view returns (uint64 id, int256 answer, uint256 updatedAt) {
+        if (roundId == 0 || roundId > latestRound) revert RoundNotFound(roundId);
+        Round memory round = rounds[roundId];
+        return (roundId, round.answer, round.updatedAt);
+    }
+
+    function _pushRound(int256 answer, uint256 updatedAt) internal {
+        latestRound++;
+        rounds[latestRound] = Round({ answer: answer, updatedAt: updatedAt });
+        emit AnswerUpdated(latestRound, answer, updatedAt);
+    }
+}
@@ -21,6 +21,7 @@ contract DinoOracle is AccessControl, Pausable, ReentrancyGuard {
     bytes32 public constant PROPOSER_ROLE = keccak256("PROPOSER_ROLE");
     bytes32 public constant DISPUTER_ROLE = keccak256("DISPUTER_ROLE");
     bytes32 public constant RESOLVER_ROLE = keccak256("RESOLVER_ROLE");
+    uint8 public constant PRICE_DECIMALS = 8; // Precision proposed prices must use (same as OraklPriceFeed)
 
     // ============ Enums ============
     enum ProposalState {
@@ -85,6 +86,7 @@ contract DinoOracle is AccessControl, Pausable, ReentrancyGuard {
     mapping(bytes32 => mapping(uint256 => uint256)) public verifiedPrices; // identifier => timestamp => price
     mapping(bytes32 => uint256) public latestTimestamp; // identifier => latest timestamp
     mapping(bytes32 => uint256) public latestPrice; // identifier => latest price
+    mapping(bytes32 => uint256[]) public priceTimestamps; // identifier => verified price timestamps, ascending
 
     // Governance parameters
     uint256 public proposalBond = 1000 * 10**18;        // 1000 DIN required to propose
@@ -248,7 +250,7 @@ contract DinoOracle is AccessControl, Pausable, ReentrancyGuard {
      * @notice Propose a price for a given identifier and timestamp
      * @param identifier Price identifier
      * @param timestamp Price timestamp
-     * @param value Proposed price value
+     * @param value Proposed price value with PRICE_DECIMALS decimals
      * @param description Human-readable description
      */
     function proposePrice(
@@ -300,13 +302,7 @@ contract DinoOracle is AccessControl, Pausable, ReentrancyGuard {
         
         // Accept proposal
         proposal.state = ProposalState.ACCEPTED;
-        verifiedPrices[proposal.identifier][proposal.timestamp] = proposal.value;
-        
-        // Update latest price if this is newer
-        if (proposal.timestamp > latestTimestamp[proposal.identifier]) {
-            latestTimestamp[proposal.identifier] = proposal.timestamp;
-            latestPrice[proposal.identifier] = proposal.value;
-        }
+        _recordVerifiedPrice(proposal.identifier, proposal.timestamp, proposal.value);
         
         // Return bond to proposer
         dinToken.safeTransfer(proposal.proposer, proposal.bond);
@@ -427,13 +423,7 @@ contract DinoOracle is AccessControl, Pausable, ReentrancyGuard {
         } else {
             // Dispute lost - accept original proposal
             proposal.state = ProposalState.ACCEPTED;
-            verifiedPrices[proposal.identifier][proposal.timestamp] = proposal.value;
-            
-            // Update latest price if this is newer
-            if (proposal.timestamp > latestTimestamp[proposal.identifier]) {
-                latestTimestamp[proposal.identifier] = proposal.timestamp;
-                latestPrice[proposal.identifier] = proposal.value;
-            }
+            _recordVerifiedPrice(proposal.identifier, proposal.timestamp, proposal.value);
             
             // Return bonds to original proposer and slash disputer
             dinToken.safeTransfer(proposal.proposer, proposal.bond + dispute.disputeBond);
@@ -487,6 +477,28 @@ contract DinoOracle is AccessControl, Pausable, ReentrancyGuard {
 
     // ============ Internal Functions ============
     
+    /**
+     * @notice Store an accepted price and index its timestamp (kept ascending for OracleRouter TWAPs)
+     */
+    function _recordVerifiedPrice(bytes32 identifier, uint256 timestamp, uint256 value) internal {
+        if (verifiedPrices[identifier][timestamp] == 0) {
+            // Proposals can settle out of order, so insert rather than append
+            uint256[] storage timestamps = priceTimestamps[identifier];
+            timestamps.push(timestamp);
+            for (uint256 i = timestamps.length - 1; i > 0 && timestamps[i - 1] > timestamp; i--) {
+                timestamps[i] = timestamps[i - 1];
+                timestamps[i - 1] = timestamp;
+            }
+        }
+        verifiedPrices[identifier][timestamp] = value;
+        
+        // Update latest price if this is newer
+        if (timestamp > latestTimestamp[identifier]) {
+            latestTimestamp[identifier] = timestamp;
+            latestPrice[identifier] = value;
+        }
+    }
+
     /**
      * @notice Distribute rewards to successful voters
      */
@@ -534,6 +546,13 @@ contract DinoOracle is AccessControl, Pausable, ReentrancyGuard {
         return verifiedPrices[identifier][timestamp] != 0;
     }
     
+    /**
+     * @notice Number of verified prices for identifier (indexes into priceTimestamps)
+     */
+    function priceTimestampCount(bytes32 identifier) external view returns (uint256) {
+        return priceTimestamps[identifier].length;
+    }
+    
     /**
      * @notice Get all supported identifiers
      */
@@ -15,6 +15,10 @@ contract OracleRouter is AccessControl, Pausable {
     // ============ Constants ============
     bytes32 public constant ADMIN_ROLE = DEFAULT_ADMIN_ROLE;
     bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
+    uint8 public constant PRICE_DECIMALS = 8; // Precision of every routed price (OraklPriceFeed and DinoOracle)
+    uint256 public constant MAX_TWAP_WINDOW = 7 days;
+    uint256 public constant MAX_TWAP_INPUTS = 48; // Most inputs a TWAP window may hold
 
     // ============ Enums ============
     enum OracleType {
@@ -30,6 +34,13 @@ contract OracleRouter is AccessControl, Pausable {
         MANUAL_ONLY     // Only manual override allowed
     }
 
+    enum AggregationMode {
+        DEFAULT,        // The identifier's configured mode (SPOT when none is set)
+        SPOT,           // Single price from the primary oracle and fallback strategy
+        TWAP,           // Time-weighted average over the window before the requested time
+        MEDIAN          // Median of the Orakl, DINO and manual prices at the requested time
+    }
+
     // ============ Structs ============
     struct OracleConfig {
         OracleType primaryType;
@@ -37,7 +48,8 @@ contract OracleRouter is AccessControl, Pausable {
         uint256 maxPriceDeviationBps; // Maximum allowed deviation between oracles (in basis points)
         uint256 maxStaleness;         // Maximum acceptable price staleness in seconds
         bool active;
-        string description;
+        string symbol;                // Human-readable symbol the identifier hashes (e.g., "BTC-USDT")
+        string oraklSymbol;           // Symbol of the OraklPriceFeed feed backing the identifier
     }
 
     struct PriceResult {
@@ -48,6 +60,38 @@ contract OracleRouter is AccessControl, Pausable {
         string error;
     }
 
+    struct AggregationConfig {
+        AggregationMode mode;
+        uint256 twapWindow;           // Seconds averaged by TWAP requests (0 = TWAP unavailable)
+    }
+
+    // Price sampled by recordObservation
+    struct Observation {
+        uint256 price;
+        uint256 timestamp;
+        OracleType source;
+    }
+
+    // Price that went into an aggregate; weight is seconds held for TWAP, 1 for MEDIAN/SPOT
+    struct AggregateInput {
+        uint256 price;
+        uint256 timestamp;
+        OracleType source;
+        uint256 weight;
+    }
+
+    // How a price was resolved, so fetchPrice can report fallbacks and deviations
+    struct Resolution {
+        PriceResult result;
+        bool fallbackUsed;
+        OracleType fallbackType;
+        string primaryError;
+        bool compared;            // Both sources were read (REQUIRE_BOTH)
+        uint256 oraklPrice;
+        uint256 dinoPrice;
+        uint256 deviationBps;
+    }
+
     // ============ Storage ============
     OraklPriceFeed public immutable oraklFeed;
     DinoOracle public immutable dinoOracle;
@@ -60,6 +104,10 @@ contract OracleRouter is AccessControl, Pausable {
     mapping(bytes32 => mapping(uint256 => uint256)) public manualPrices;
     mapping(bytes32 => bool) public emergencyMode;
 
+    // Aggregation modes and the observations TWAPs are built from
+    mapping(bytes32 => AggregationConfig) public aggregationConfigs;
+    mapping(bytes32 => Observation[]) public observations; // identifier => samples, ascending timestamps
+
     // Price deviation tracking
     mapping(bytes32 => uint256) public lastOraklPrice;
     mapping(bytes32 => uint256) public lastDinoPrice;
@@ -71,7 +119,9 @@ contract OracleRouter is AccessControl, Pausable {
         OracleType primaryType,
         FallbackStrategy fallbackStrategy,
         uint256 maxDeviationBps,
-        uint256 maxStaleness
+        uint256 maxStaleness,
+        string symbol,
+        string oraklSymbol
     );
 
     event PriceRequested(
@@ -101,6 +151,19 @@ contract OracleRouter is AccessControl, Pausable {
         uint256 deviationBps
     );
 
+    event AggregationConfigured(
+        bytes32 indexed identifier,
+        AggregationMode mode,
+        uint256 twapWindow
+    );
+
+    event ObservationRecorded(
+        bytes32 indexed identifier,
+        uint256 price,
+        uint256 timestamp,
+        OracleType source
+    );
+
     event ManualPriceSet(
         bytes32 indexed identifier,
         uint256 timestamp,
@@ -122,6 +185,8 @@ contract OracleRouter is AccessControl, Pausable {
     error NoValidPrice(bytes32 identifier);
     error EmergencyModeActive(bytes32 identifier);
     error InvalidConfiguration();
+    error TooManyTwapInputs(bytes32 identifier, uint256 windowStart);
+    error SymbolMismatch(bytes32 identifier, string symbol);
 
     // ============ Constructor ============
     constructor(
@@ -138,18 +203,21 @@ contract OracleRouter is AccessControl, Pausable {
 
         _grantRole(ADMIN_ROLE, _admin);
         _grantRole(OPERATOR_ROLE, _admin);
+        _grantRole(KEEPER_ROLE, _admin);
     }
 
     // ============ Configuration Functions ============
 
     /**
      * @notice Configure oracle routing for an identifier
-     * @param identifier Price identifier (e.g., "BTC-USDT")
+     * @dev identifier must be keccak256(bytes(symbol)), so the symbol shown for an identifier is the one it hashes
+     * @param identifier Price identifier (e.g., keccak256("BTC-USDT"))
      * @param primaryType Primary oracle type to use
      * @param fallbackStrategy Fallback strategy if primary fails
      * @param maxDeviationBps Maximum price deviation between oracles (basis points)
      * @param maxStaleness Maximum acceptable staleness in seconds
-     * @param description Human-readable description
+     * @param symbol Human-readable symbol of the identifier (e.g., "BTC-USDT")
+     * @param oraklSymbol OraklPriceFeed symbol to read for the identifier (empty = same as symbol)
      */
     function configureOracle(
         bytes32 identifier,
@@ -157,10 +225,15 @@ contract OracleRouter is AccessControl, Pausable {
         FallbackStrategy fallbackStrategy,
         uint256 maxDeviationBps,
         uint256 maxStaleness,
-        string calldata description
+        string calldata symbol,
+        string calldata oraklSymbol
     ) external onlyRole(ADMIN_ROLE) {
         if (maxDeviationBps > 10000) revert InvalidConfiguration(); // Max 100%
         if (maxStaleness == 0) revert InvalidConfiguration();
+        if (bytes(symbol).length == 0) revert InvalidConfiguration();
+        if (keccak256(bytes(symbol)) != identifier) revert SymbolMismatch(identifier, symbol);
+
+        string memory feedSymbol = bytes(oraklSymbol).length == 0 ? symbol : oraklSymbol;
 
         // Add to configured identifiers if new
         if (!oracleConfigs[identifier].active) {
@@ -173,7 +246,8 @@ contract OracleRouter is AccessControl, Pausable {
             maxPriceDeviationBps: maxDeviationBps,
             maxStaleness: maxStaleness,
             active: true,
-            description: description
+            symbol: symbol,
+            oraklSymbol: feedSymbol
         });
 
         emit OracleConfigured(
@@ -181,10 +255,34 @@ contract OracleRouter is AccessControl, Pausable {
             primaryType,
             fallbackStrategy,
             maxDeviationBps,
-            maxStaleness
+            maxStaleness,
+            symbol,
+            feedSymbol
         );
     }
 
+    /**
+     * @notice Set how getPriceAtTimestamp aggregates prices for an identifier
+     * @dev Callers of getAggregatedPrice (e.g., SettlementEngine routes) can request another mode;
+     *      twapWindow applies to every TWAP request for the identifier
+     * @param identifier Price identifier
+     * @param mode Default aggregation mode (DEFAULT = SPOT)
+     * @param twapWindow Seconds a TWAP averages over (required when mode is TWAP)
+     */
+    function setAggregation(
+        bytes32 identifier,
+        AggregationMode mode,
+        uint256 twapWindow
+    ) external onlyRole(ADMIN_ROLE) {
+        if (!oracleConfigs[identifier].active) revert IdentifierNotConfigured(identifier);
+        if (twapWindow > MAX_TWAP_WINDOW) revert InvalidConfiguration();
+        if (mode == AggregationMode.TWAP && twapWindow == 0) revert InvalidConfiguration();
+
+        aggregationConfigs[identifier] = AggregationConfig({ mode: mode, twapWindow: twapWindow });
+
+        emit AggregationConfigured(identifier, mode, twapWindow);
+    }
+
     /**
      * @notice Deactivate oracle configuration for an identifier
      * @param identifier Price identifier to deactivate
@@ -206,6 +304,8 @@ contract OracleRouter is AccessControl, Pausable {
 
     /**
      * @notice Get latest price for identifier using configured routing
+     * @dev REQUIRE_BOTH reads Orakl and DINO and is only valid when both are fresh and
+     *      agree within maxPriceDeviationBps
      * @param identifier Price identifier
      * @return result Price result with metadata
      */
@@ -215,27 +315,65 @@ contract OracleRouter is AccessControl, Pausable {
         whenNotPaused 
         returns (PriceResult memory result) 
     {
-        OracleConfig memory config = oracleConfigs[identifier];
-        if (!config.active) revert IdentifierNotConfigured(identifier);
+        return _resolvePrice(identifier).result;
+    }
 
-        // Check emergency mode
-        if (emergencyMode[identifier]) {
-            return _getManualPrice(identifier, block.timestamp);
+    /**
+     * @notice Resolve the latest price like getPrice, recording the outcome for settlement
+     * @dev Emits FallbackTriggered when the primary oracle failed and PriceDeviationAlert when
+     *      REQUIRE_BOTH sources disagree. An invalid result is returned, not reverted, so the
+     *      events are kept for callers that handle the failure themselves.
+     * @param identifier Price identifier
+     * @return result Price result with metadata
+     */
+    function fetchPrice(bytes32 identifier) external whenNotPaused returns (PriceResult memory result) {
+        Resolution memory resolution = _resolvePrice(identifier);
+        OracleConfig storage config = oracleConfigs[identifier];
+
+        emit PriceRequested(identifier, block.timestamp, config.primaryType);
+
+        if (resolution.fallbackUsed) {
+            emit FallbackTriggered(identifier, config.primaryType, resolution.fallbackType, resolution.primaryError);
         }
+        if (resolution.compared) {
+            lastOraklPrice[identifier] = resolution.oraklPrice;
+            lastDinoPrice[identifier] = resolution.dinoPrice;
+            lastPriceUpdate[identifier] = block.timestamp;
 
-        // Try primary oracle
-        result = _getPriceFromOracle(identifier, config.primaryType, config.maxStaleness);
-        
+            if (resolution.deviationBps > config.maxPriceDeviationBps) {
+                emit PriceDeviationAlert(identifier, resolution.oraklPrice, resolution.dinoPrice, resolution.deviationBps);
+            }
+        }
+
+        result = resolution.result;
         if (result.valid) {
+            emit PriceRetrieved(identifier, result.price, result.timestamp, result.source);
+        }
+    }
+
+    /**
+     * @notice Sample the latest price into the observations TWAPs are built from
+     * @dev Resolves like getPrice; invalid prices and prices less than observationInterval after the
+     *      last sample are not stored, so a TWAP window never holds more than MAX_TWAP_INPUTS samples.
+     * @param identifier Price identifier
+     * @return result Price result with metadata
+     */
+    function recordObservation(bytes32 identifier) external onlyRole(KEEPER_ROLE) whenNotPaused returns (PriceResult memory result) {
+        result = _resolvePrice(identifier).result;
+        if (!result.valid) return result;
+
+        Observation[] storage history = observations[identifier];
+        if (history.length > 0 && result.timestamp < history[history.length - 1].timestamp + observationInterval(identifier)) {
             return result;
         }
 
-        // Try fallback if primary failed
-        return _tryFallback(identifier, config, result.error);
+        history.push(Observation({ price: result.price, timestamp: result.timestamp, source: result.source }));
+        emit ObservationRecorded(identifier, result.price, result.timestamp, result.source);
     }
 
     /**
      * @notice Get price at specific timestamp
+     * @dev Aggregates with the identifier's configured mode (see setAggregation)
      * @param identifier Price identifier
      * @param timestamp Specific timestamp
      * @return result Price result with metadata
@@ -246,26 +384,45 @@ contract OracleRouter is AccessControl, Pausable {
         whenNotPaused 
         returns (PriceResult memory result) 
     {
-        OracleConfig memory config = oracleConfigs[identifier];
-        if (!config.active) revert IdentifierNotConfigured(identifier);
-
-        // Check emergency mode first
-        if (emergencyMode[identifier]) {
-            return _getManualPrice(identifier, timestamp);
-        }
+        (, result, ) = _aggregate(identifier, AggregationMode.DEFAULT, timestamp);
+    }
 
-        // For historical prices, try DINO first (as it stores historical data)
-        if (config.primaryType == OracleType.DINO_ORACLE || 
-            config.fallbackStrategy == FallbackStrategy.PREFER_DINO) {
-            
-            result = _getDinoPrice(identifier, timestamp);
-            if (result.valid) {
-                return result;
-            }
-        }
+    /**
+     * @notice Get price at specific timestamp with the given aggregation mode
+     * @dev SPOT takes the latest verified price at or before timestamp. TWAP averages the observations
+     *      (or, without observations in the window, the DINO verified prices) in the twapWindow before
+     *      timestamp. MEDIAN takes the Orakl, DINO and manual prices at or before timestamp and within
+     *      maxStaleness of it; two sources must also agree within maxPriceDeviationBps. No mode uses
+     *      a price published after timestamp.
+     * @param identifier Price identifier
+     * @param mode Aggregation mode (DEFAULT = the identifier's configured mode)
+     * @param timestamp Requested time (0 = now)
+     * @return result Price result with metadata
+     */
+    function getAggregatedPrice(bytes32 identifier, AggregationMode mode, uint256 timestamp) 
+        external 
+        view 
+        whenNotPaused 
+        returns (PriceResult memory result) 
+    {
+        (, result, ) = _aggregate(identifier, mode, timestamp);
+    }
 
-        // Fallback to latest available price if exact timestamp not found
-        return _getPriceFromOracle(identifier, config.primaryType, config.maxStaleness);
+    /**
+     * @notice Explain an aggregated price
+     * @param identifier Price identifier
+     * @param mode Aggregation mode (DEFAULT = the identifier's configured mode)
+     * @param timestamp Requested time (0 = now)
+     * @return resolvedMode Mode applied after resolving DEFAULT
+     * @return result Price result with metadata
+     * @return inputs Prices that went into the result, newest first for TWAP and ascending for MEDIAN
+     */
+    function getAggregationInputs(bytes32 identifier, AggregationMode mode, uint256 timestamp) 
+        external 
+        view 
+        returns (AggregationMode resolvedMode, PriceResult memory result, AggregateInput[] memory inputs) 
+    {
+        return _aggregate(identifier, mode, timestamp);
     }
 
     /**
@@ -284,8 +441,8 @@ contract OracleRouter is AccessControl, Pausable {
             uint256 deviation
         ) 
     {
-        oraklResult = _getOraklPrice(identifier, 3600); // 1 hour staleness
-        dinoResult = _getDinoPrice(identifier, 0); // Latest available
+        oraklResult = _getOraklPrice(identifier, oracleConfigs[identifier].maxStaleness);
+        dinoResult = _getDinoPrice(identifier);
 
         if (oraklResult.valid && dinoResult.valid) {
             deviation = _calculateDeviation(oraklResult.price, dinoResult.price);
@@ -294,6 +451,341 @@ contract OracleRouter is AccessControl, Pausable {
 
     // ============ Internal Functions ============
 
+    /**
+     * @notice Resolve the latest price through emergency mode, consensus or primary and fallback
+     */
+    function _resolvePrice(bytes32 identifier) internal view returns (Resolution memory resolution) {
+        OracleConfig memory config = oracleConfigs[identifier];
+        if (!config.active) revert IdentifierNotConfigured(identifier);
+
+        // Check emergency mode
+        if (emergencyMode[identifier]) {
+            resolution.result = _getManualPrice(identifier, block.timestamp);
+            return resolution;
+        }
+
+        if (config.fallbackStrategy == FallbackStrategy.REQUIRE_BOTH) {
+            return _getConsensusPrice(identifier, config, 0);
+        }
+
+        // Try primary oracle
+        resolution.result = _getPriceFromOracle(identifier, config.primaryType, config.maxStaleness);
+        if (resolution.result.valid) {
+            return resolution;
+        }
+
+        // Try fallback if primary failed
+        resolution.fallbackUsed = true;
+        resolution.fallbackType = _fallbackType(config);
+        resolution.primaryError = resolution.result.error;
+        resolution.result = _tryFallback(identifier, config);
+    }
+
+    /**
+     * @notice REQUIRE_BOTH: read Orakl and DINO and accept the primary's price only if they agree
+     * @dev Both prices must lie within maxStaleness of the requested time (now when timestamp is 0)
+     *      and deviate by at most maxPriceDeviationBps. For a past timestamp only prices published
+     *      at or before it count: the latest DINO verified price and the Orakl answer if not yet replaced.
+     */
+    function _getConsensusPrice(
+        bytes32 identifier,
+        OracleConfig memory config,
+        uint256 timestamp
+    ) internal view returns (Resolution memory resolution) {
+        uint256 target = timestamp == 0 ? block.timestamp : timestamp;
+
+        PriceResult memory orakl = _getOraklPrice(identifier, 0);
+        if (orakl.valid && orakl.timestamp > target) {
+            orakl.valid = false;
+            orakl.error = "Orakl price published after timestamp";
+        } else if (orakl.valid && target - orakl.timestamp > config.maxStaleness) {
+            orakl.valid = false;
+            orakl.error = "Orakl price too stale";
+        }
+        PriceResult memory dino = timestamp == 0 ? _getDinoPrice(identifier) : _getDinoPriceAtOrBefore(identifier, timestamp);
+        if (dino.valid && target - dino.timestamp > config.maxStaleness) {
+            dino.valid = false;
+            dino.error = "DINO price too stale";
+        }
+
+        if (!orakl.valid || !dino.valid) {
+            resolution.result.error = string(abi.encodePacked(
+                "Both oracles required: ",
+                orakl.valid ? dino.error : orakl.error
+            ));
+            return resolution;
+        }
+
+        resolution.compared = true;
+        resolution.oraklPrice = orakl.price;
+        resolution.dinoPrice = dino.price;
+        resolution.deviationBps = _calculateDeviation(orakl.price, dino.price);
+
+        if (resolution.deviationBps > config.maxPriceDeviationBps) {
+            resolution.result.error = "Oracle price deviation too high";
+        } else {
+            resolution.result = config.primaryType == OracleType.DINO_ORACLE ? dino : orakl;
+        }
+    }
+
+    /**
+     * @notice Resolve a price at timestamp with an aggregation mode; emergency mode overrides every mode
+     */
+    function _aggregate(
+        bytes32 identifier,
+        AggregationMode mode,
+        uint256 timestamp
+    ) internal view returns (AggregationMode resolvedMode, PriceResult memory result, AggregateInput[] memory inputs) {
+        OracleConfig memory config = oracleConfigs[identifier];
+        if (!config.active) revert IdentifierNotConfigured(identifier);
+
+        resolvedMode = mode == AggregationMode.DEFAULT ? aggregationConfigs[identifier].mode : mode;
+        if (resolvedMode == AggregationMode.DEFAULT) resolvedMode = AggregationMode.SPOT;
+        uint256 target = timestamp == 0 ? block.timestamp : timestamp;
+
+        if (emergencyMode[identifier]) {
+            result = _getManualPrice(identifier, target);
+        } else if (resolvedMode == AggregationMode.TWAP) {
+            inputs = _twapInputs(identifier, target);
+            return (resolvedMode, _getTwapPrice(identifier, target, inputs), inputs);
+        } else if (resolvedMode == AggregationMode.MEDIAN) {
+            inputs = _medianInputs(identifier, config, target);
+            return (resolvedMode, _getMedianPrice(config, inputs), inputs);
+        } else {
+            result = _getSpotPrice(identifier, config, timestamp);
+        }
+
+        if (result.valid) {
+            inputs = new AggregateInput[](1);
+            inputs[0] = AggregateInput({ price: result.price, timestamp: result.timestamp, source: result.source, weight: 1 });
+        }
+    }
+
+    /**
+     * @notice Single price at timestamp: the latest price (timestamp 0) or the latest verified
+     *         price at or before timestamp, never a later one
+     * @dev Candidates for a past timestamp are the newest recorded observation, plus the newest DINO
+     *      verified price and the Orakl answer when the routing uses those oracles (REQUIRE_BOTH: their
+     *      consensus, whose error is returned when there is no candidate). The most recent candidate wins
+     *      and must lie within maxStaleness of timestamp.
+     */
+    function _getSpotPrice(
+        bytes32 identifier,
+        OracleConfig memory config,
+        uint256 timestamp
+    ) internal view returns (PriceResult memory result) {
+        if (timestamp == 0) return _resolvePrice(identifier).result;
+
+        // Observations were resolved through the routing rules (and consensus) when sampled
+        AggregateInput[] memory recorded = _historyInputs(identifier, timestamp, timestamp, false);
+        if (recorded.length > 0) {
+            result = PriceResult({ price: recorded[0].price, timestamp: recorded[0].timestamp, source: recorded[0].source, valid: true, error: "" });
+        }
+
+        if (config.fallbackStrategy == FallbackStrategy.REQUIRE_BOTH) {
+            PriceResult memory consensus = _getConsensusPrice(identifier, config, timestamp).result;
+            // Without a recorded observation, report why the two oracles gave no price
+            if (!result.valid && !consensus.valid) return consensus;
+            result = _newer(result, consensus);
+        } else {
+            if (_usesOracle(config, OracleType.DINO_ORACLE)) {
+                result = _newer(result, _getDinoPriceAtOrBefore(identifier, timestamp));
+            }
+            if (_usesOracle(config, OracleType.ORAKL_NETWORK)) {
+                PriceResult memory orakl = _getOraklPrice(identifier, 0);
+                if (orakl.timestamp <= timestamp) result = _newer(result, orakl);
+            }
+        }
+
+        if (!result.valid) {
+            result.error = "No verified price at or before timestamp";
+        } else if (timestamp - result.timestamp > config.maxStaleness) {
+            result = PriceResult({ price: 0, timestamp: 0, source: result.source, valid: false, error: "Price too stale at timestamp" });
+        }
+    }
+
+    /**
+     * @notice The more recent of two prices (a on ties), ignoring invalid ones
+     */
+    function _newer(PriceResult memory a, PriceResult memory b) internal pure returns (PriceResult memory) {
+        return b.valid && (!a.valid || b.timestamp > a.timestamp) ? b : a;
+    }
+
+    /**
+     * @notice Whether the routing reads oracleType, as primary or as fallback
+     */
+    function _usesOracle(OracleConfig memory config, OracleType oracleType) internal pure returns (bool) {
+        return config.primaryType == oracleType ||
+            config.fallbackStrategy == FallbackStrategy.PREFER_ORAKL ||
+            config.fallbackStrategy == FallbackStrategy.PREFER_DINO;
+    }
+
+    /**
+     * @notice Inputs of a TWAP ending at end: recorded observations, or DINO verified prices when
+     *         no observation falls in the window. Newest first, down to the last price at or before the window start.
+     */
+    function _twapInputs(bytes32 identifier, uint256 end) internal view returns (AggregateInput[] memory inputs) {
+        uint256 window = aggregationConfigs[identifier].twapWindow;
+        if (window == 0) return inputs;
+        uint256 start = end > window ? end - window : 0;
+
+        inputs = _historyInputs(identifier, start, end, false);
+        if (inputs.length == 0 || inputs[0].timestamp < start) {
+            inputs = _historyInputs(identifier, start, end, true);
+        }
+
+        // Each price holds until the next one (or end); time before the window start is not counted
+        uint256 segmentEnd = end;
+        for (uint256 i = 0; i < inputs.length; i++) {
+            uint256 segmentStart = inputs[i].timestamp > start ? inputs[i].timestamp : start;
+            inputs[i].weight = segmentEnd - segmentStart;
+            segmentEnd = segmentStart;
+        }
+    }
+
+    /**
+     * @notice Time-weighted average of the inputs from _twapInputs
+     */
+    function _getTwapPrice(
+        bytes32 identifier,
+        uint256 end,
+        AggregateInput[] memory inputs
+    ) internal view returns (PriceResult memory result) {
+        uint256 window = aggregationConfigs[identifier].twapWindow;
+        if (window == 0) {
+            result.error = "TWAP window not configured";
+            return result;
+        }
+        if (inputs.length == 0 || inputs[0].timestamp + window < end) {
+            result.error = "No observations in TWAP window";
+            return result;
+        }
+
+        uint256 weightedSum;
+        uint256 totalWeight;
+        for (uint256 i = 0; i < inputs.length; i++) {
+            weightedSum += inputs[i].price * inputs[i].weight;
+            totalWeight += inputs[i].weight;
+        }
+
+        result = PriceResult({
+            price: totalWeight == 0 ? inputs[0].price : weightedSum / totalWeight,
+            timestamp: inputs[0].timestamp,
+            source: inputs[0].source,
+            valid: true,
+            error: ""
+        });
+    }
+
+    /**
+     * @notice Recorded observations (fromDino = false) or DINO verified prices at or before end,
+     *         newest first, stopping at the first one at or before start
+     * @dev Reverts when the window holds more than MAX_TWAP_INPUTS prices rather than averaging only the newest
+     */
+    function _historyInputs(
+        bytes32 identifier,
+        uint256 start,
+        uint256 end,
+        bool fromDino
+    ) internal view returns (AggregateInput[] memory inputs) {
+        AggregateInput[] memory buffer = new AggregateInput[](MAX_TWAP_INPUTS);
+        uint256 count;
+        uint256 length = fromDino ? dinoOracle.priceTimestampCount(identifier) : observations[identifier].length;
+
+        for (uint256 i = length; i > 0; i--) {
+            AggregateInput memory input;
+            if (fromDino) {
+                input.timestamp = dinoOracle.priceTimestamps(identifier, i - 1);
+                input.source = OracleType.DINO_ORACLE;
+            } else {
+                Observation storage observation = observations[identifier][i - 1];
+                input.timestamp = observation.timestamp;
+                input.source = observation.source;
+                input.price = observation.price;
+            }
+            if (input.timestamp > end) continue;
+            if (fromDino) input.price = dinoOracle.verifiedPrices(identifier, input.timestamp);
+
+            if (count == MAX_TWAP_INPUTS) revert TooManyTwapInputs(identifier, start);
+            buffer[count++] = input;
+            if (input.timestamp <= start) break;
+        }
+
+        inputs = new AggregateInput[](count);
+        for (uint256 i = 0; i < count; i++) {
+            inputs[i] = buffer[i];
+        }
+    }
+
+    /**
+     * @notice Orakl, DINO and manual prices at or before target and within maxStaleness of it, ascending by price
+     */
+    function _medianInputs(
+        bytes32 identifier,
+        OracleConfig memory config,
+        uint256 target
+    ) internal view returns (AggregateInput[] memory inputs) {
+        AggregateInput[] memory buffer = new AggregateInput[](3);
+        uint256 count;
+
+        PriceResult memory orakl = _getOraklPrice(identifier, 0);
+        if (orakl.valid && orakl.timestamp <= target && target - orakl.timestamp <= config.maxStaleness) {
+            buffer[count++] = AggregateInput({ price: orakl.price, timestamp: orakl.timestamp, source: OracleType.ORAKL_NETWORK, weight: 1 });
+        }
+
+        // Latest DINO verified price at or before target
+        AggregateInput[] memory dino = _historyInputs(identifier, target, target, true);
+        if (dino.length > 0 && target - dino[0].timestamp <= config.maxStaleness) {
+            dino[0].weight = 1;
+            buffer[count++] = dino[0];
+        }
+
+        uint256 manualPrice = manualPrices[identifier][target];
+        if (manualPrice > 0) {
+            buffer[count++] = AggregateInput({ price: manualPrice, timestamp: target, source: OracleType.FALLBACK, weight: 1 });
+        }
+
+        inputs = new AggregateInput[](count);
+        for (uint256 i = 0; i < count; i++) {
+            // Insertion sort by price
+            uint256 j = i;
+            for (; j > 0 && inputs[j - 1].price > buffer[i].price; j--) {
+                inputs[j] = inputs[j - 1];
+            }
+            inputs[j] = buffer[i];
+        }
+    }
+
+    /**
+     * @notice Median of the inputs from _medianInputs
+     * @dev Two sources average, and only when they agree within maxPriceDeviationBps. The result
+     *      carries the oldest input timestamp so freshness checks apply to every source used.
+     */
+    function _getMedianPrice(
+        OracleConfig memory config,
+        AggregateInput[] memory inputs
+    ) internal pure returns (PriceResult memory result) {
+        if (inputs.length < 2) {
+            result.error = "Median requires two sources";
+            return result;
+        }
+        if (inputs.length == 2 && _calculateDeviation(inputs[0].price, inputs[1].price) > config.maxPriceDeviationBps) {
+            result.error = "Oracle price deviation too high";
+            return result;
+        }
+
+        uint256 oldest = inputs[0].timestamp;
+        for (uint256 i = 1; i < inputs.length; i++) {
+            if (inputs[i].timestamp < oldest) oldest = inputs[i].timestamp;
+        }
+
+        AggregateInput memory middle = inputs[inputs.length / 2];
+        result = PriceResult({ price: middle.price, timestamp: oldest, source: middle.source, valid: true, error: "" });
+        if (inputs.length == 2) {
+            result.price = (inputs[0].price + inputs[1].price) / 2;
+        }
+    }
+
     /**
      * @notice Get price from specific oracle type
      */
@@ -305,7 +797,7 @@ contract OracleRouter is AccessControl, Pausable {
         if (oracleType == OracleType.ORAKL_NETWORK) {
             return _getOraklPrice(identifier, maxStaleness);
         } else if (oracleType == OracleType.DINO_ORACLE) {
-            return _getDinoPrice(identifier, 0); // Get latest
+            return _getDinoPrice(identifier);
         } else {
             result.error = "Invalid oracle type";
         }
@@ -319,7 +811,11 @@ contract OracleRouter is AccessControl, Pausable {
         view 
         returns (PriceResult memory result) 
     {
-        string memory symbol = _identifierToString(identifier);
+        string memory symbol = oracleConfigs[identifier].oraklSymbol;
+        if (bytes(symbol).length == 0) {
+            result.error = "No Orakl symbol configured";
+            return result;
+        }
         
         try oraklFeed.getLatestPrice(symbol) returns (OraklPriceFeed.PriceData memory priceData) {
             if (priceData.valid && 
@@ -343,15 +839,15 @@ contract OracleRouter is AccessControl, Pausable {
     }
 
     /**
-     * @notice Get price from DINO Oracle
+     * @notice Get latest price from DINO Oracle
      */
-    function _getDinoPrice(bytes32 identifier, uint256 specificTimestamp) 
+    function _getDinoPrice(bytes32 identifier) 
         internal 
         view 
         returns (PriceResult memory result) 
     {
         try dinoOracle.getLatestPrice(identifier) returns (uint256 price, uint256 timestamp) {
-            if (price > 0 && (specificTimestamp == 0 || timestamp == specificTimestamp)) {
+            if (price > 0) {
                 result = PriceResult({
                     price: price,
                     timestamp: timestamp,
@@ -359,19 +855,6 @@ contract OracleRouter is AccessControl, Pausable {
                     valid: true,
                     error: ""
                 });
-            } else if (specificTimestamp > 0) {
-                // Try specific timestamp
-                try dinoOracle.getPrice(identifier, specificTimestamp) returns (uint256 historicalPrice) {
-                    result = PriceResult({
-                        price: historicalPrice,
-                        timestamp: specificTimestamp,
-                        source: OracleType.DINO_ORACLE,
-                        valid: true,
-                        error: ""
-                    });
-                } catch {
-                    result.error = "DINO price not available for timestamp";
-                }
             } else {
                 result.error = "DINO price not available";
             }
@@ -382,33 +865,47 @@ contract OracleRouter is AccessControl, Pausable {
         }
     }
 
+    /**
+     * @notice Latest DINO verified price at or before timestamp
+     */
+    function _getDinoPriceAtOrBefore(bytes32 identifier, uint256 timestamp) 
+        internal 
+        view 
+        returns (PriceResult memory result) 
+    {
+        AggregateInput[] memory dino = _historyInputs(identifier, timestamp, timestamp, true);
+        if (dino.length == 0) {
+            result.error = "DINO price not available for timestamp";
+            return result;
+        }
+        result = PriceResult({ price: dino[0].price, timestamp: dino[0].timestamp, source: OracleType.DINO_ORACLE, valid: true, error: "" });
+    }
+
     /**
      * @notice Try fallback strategy when primary oracle fails
      */
     function _tryFallback(
         bytes32 identifier, 
-        OracleConfig memory config, 
-        string memory primaryError
+        OracleConfig memory config
     ) internal view returns (PriceResult memory result) {
-        if (config.fallbackStrategy == FallbackStrategy.PREFER_ORAKL) {
-            if (config.primaryType != OracleType.ORAKL_NETWORK) {
-                return _getOraklPrice(identifier, config.maxStaleness);
-            } else {
-                return _getDinoPrice(identifier, 0);
-            }
-        } else if (config.fallbackStrategy == FallbackStrategy.PREFER_DINO) {
-            if (config.primaryType != OracleType.DINO_ORACLE) {
-                return _getDinoPrice(identifier, 0);
-            } else {
-                return _getOraklPrice(identifier, config.maxStaleness);
-            }
-        } else if (config.fallbackStrategy == FallbackStrategy.REQUIRE_BOTH) {
-            // Both oracles must agree - already failed if we're here
-            result.error = "Both oracles required but primary failed";
-        } else {
-            // MANUAL_ONLY
+        if (config.fallbackStrategy == FallbackStrategy.MANUAL_ONLY) {
             result.error = "Manual override required";
+            return result;
+        }
+        return _getPriceFromOracle(identifier, _fallbackType(config), config.maxStaleness);
+    }
+
+    /**
+     * @notice Oracle the fallback strategy turns to after the primary (FALLBACK = manual override)
+     */
+    function _fallbackType(OracleConfig memory config) internal pure returns (OracleType) {
+        if (config.fallbackStrategy == FallbackStrategy.PREFER_ORAKL) {
+            return config.primaryType != OracleType.ORAKL_NETWORK ? OracleType.ORAKL_NETWORK : OracleType.DINO_ORACLE;
         }
+        if (config.fallbackStrategy == FallbackStrategy.PREFER_DINO) {
+            return config.primaryType != OracleType.DINO_ORACLE ? OracleType.DINO_ORACLE : OracleType.ORAKL_NETWORK;
+        }
+        return OracleType.FALLBACK;
     }
 
     /**
@@ -449,48 +946,13 @@ contract OracleRouter is AccessControl, Pausable {
         deviation = (diff * 10000) / average;
     }
 
-    /**
-     * @notice Convert bytes32 identifier to string for Orakl
-     */
-    function _identifierToString(bytes32 identifier) internal pure returns (string memory) {
-        // For known identifiers, return direct mapping to symbol strings
-        // This is more reliable than converting bytes32 back to string
-        if (identifier == keccak256("BTC-USDT")) return "BTC-USDT";
-        if (identifier == keccak256("ETH-USDT")) return "ETH-USDT";
-        if (identifier == keccak256("KAIA-USDT")) return "KAIA-USDT";
-        
-        // Fallback: convert bytes32 to string (may not work for all cases)
-        bytes memory bytesArray = new bytes(32);
-        for (uint256 i = 0; i < 32; i++) {
-            bytesArray[i] = identifier[i];
-        }
-        
-        // Find actual length by locating last non-zero byte
-        uint256 length = 0;
-        for (uint256 i = 0; i < 32; i++) {
-            if (bytesArray[i] != 0) {
-                length = i + 1;
-            }
-        }
-        
-        // Return empty string if no valid chars found
-        if (length == 0) return "";
-        
-        bytes memory result = new bytes(length);
-        for (uint256 i = 0; i < length; i++) {
-            result[i] = bytesArray[i];
-        }
-        
-        return string(result);
-    }
-
     // ============ Emergency Functions ============
 
     /**
      * @notice Set manual price override (emergency use)
      * @param identifier Price identifier
      * @param timestamp Price timestamp
-     * @param price Manual price value
+     * @param price Manual price value with PRICE_DECIMALS decimals
      */
     function setManualPrice(
         bytes32 identifier,
@@ -523,6 +985,44 @@ contract OracleRouter is AccessControl, Pausable {
         return configuredIdentifiers;
     }
 
+    /**
+     * @notice Symbols of all configured identifiers
+     * @return identifiers Configured identifiers
+     * @return symbols Human-readable symbol of each identifier
+     * @return oraklSymbols OraklPriceFeed symbol each identifier reads
+     */
+    function getConfiguredSymbols() 
+        external 
+        view 
+        returns (bytes32[] memory identifiers, string[] memory symbols, string[] memory oraklSymbols) 
+    {
+        identifiers = configuredIdentifiers;
+        symbols = new string[](identifiers.length);
+        oraklSymbols = new string[](identifiers.length);
+
+        for (uint256 i = 0; i < identifiers.length; i++) {
+            OracleConfig storage config = oracleConfigs[identifiers[i]];
+            symbols[i] = config.symbol;
+            oraklSymbols[i] = config.oraklSymbol;
+        }
+    }
+
+    /**
+     * @notice Minimum spacing between recorded observations: one sample per twapWindow / (MAX_TWAP_INPUTS - 1)
+     */
+    function observationInterval(bytes32 identifier) public view returns (uint256) {
+        uint256 window = aggregationConfigs[identifier].twapWindow;
+        uint256 interval = (window + MAX_TWAP_INPUTS - 2) / (MAX_TWAP_INPUTS - 1);
+        return interval > 0 ? interval : 1;
+    }
+
+    /**
+     * @notice Number of observations recorded for identifier (indexes into observations)
+     */
+    function getObservationCount(bytes32 identifier) external view returns (uint256) {
+        return observations[identifier].length;
+    }
+
     /**
      * @notice Check if identifier is configured
      */
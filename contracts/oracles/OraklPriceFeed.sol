@@ -26,7 +26,7 @@ contract OraklPriceFeed is AccessControl, Pausable {
     }
 
     struct PriceData {
-        uint256 price;
+        uint256 price;            // Scaled to PRICE_DECIMALS whatever the feed's own decimals
         uint256 timestamp;
         uint80 roundId;
         bool valid;
@@ -43,6 +43,7 @@ contract OraklPriceFeed is AccessControl, Pausable {
     
     // Price validation parameters
     uint256 public constant MAX_STALENESS = 3600; // 1 hour default staleness
+    uint8 public constant PRICE_DECIMALS = 8;     // Canonical precision of returned prices (same as DinoOracle)
     uint256 public priceDeviationThresholdBps = 1000; // 10% price deviation threshold
 
     // ============ Events ============
@@ -181,6 +182,8 @@ contract OraklPriceFeed is AccessControl, Pausable {
         // Validate new feed
         IFeedProxy feed = IFeedProxy(newFeedAddress);
         try feed.decimals() returns (uint8 decimals) {
+            if (decimals == 0 || decimals > 18) revert InvalidDecimals(decimals);
+            
             try feed.latestRoundData() returns (uint64, int256 price, uint256) {
                 if (price <= 0) revert InvalidPriceData(price);
             } catch {
@@ -248,6 +251,7 @@ contract OraklPriceFeed is AccessControl, Pausable {
     
     /**
      * @notice Get the latest price for a symbol
+     * @dev The feed answer is rescaled from the feed's decimals to PRICE_DECIMALS
      * @param symbol The price pair symbol (e.g., "BTC-USDT")
      * @return priceData Structured price information
      */
@@ -272,7 +276,8 @@ contract OraklPriceFeed is AccessControl, Pausable {
             revert StalePriceData(updatedAt, config.heartbeatSeconds + MAX_STALENESS);
         }
         
-        uint256 normalizedPrice = uint256(price);
+        uint256 normalizedPrice = _normalizePrice(uint256(price), config.decimals);
+        if (normalizedPrice == 0) revert InvalidPriceData(price);
         
         // Trust oracle data - no artificial price bounds
         priceData = PriceData({
@@ -283,6 +288,14 @@ contract OraklPriceFeed is AccessControl, Pausable {
         });
     }
 
+    /**
+     * @notice Rescale a feed answer from the feed's decimals to PRICE_DECIMALS
+     */
+    function _normalizePrice(uint256 price, uint8 decimals) internal pure returns (uint256) {
+        if (decimals > PRICE_DECIMALS) return price / 10 ** (decimals - PRICE_DECIMALS);
+        return price * 10 ** (PRICE_DECIMALS - decimals);
+    }
+
     // ============ View Functions ============
     
     /**
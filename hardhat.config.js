@@ -1,8 +1,15 @@
 require("@nomicfoundation/hardhat-toolbox");
 require('dotenv').config();
 
-// Import monitoring tasks
+// Import deployment, catalog, monitoring, keeper, indexer, seller, premium and simulation tasks
+require("./tasks/deploy");
+require("./tasks/catalog");
 require("./tasks/monitoring");
+require("./tasks/keeper");
+require("./tasks/indexer");
+require("./tasks/seller");
+require("./tasks/premium");
+require("./tasks/simulate");
 
 const { KAIROS_TESTNET_URL = "", PRIVATE_KEY = "" } = process.env;
 
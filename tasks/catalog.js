@@ -0,0 +1,451 @@
+const { task, types } = require("hardhat/config");
+
+// ============================================================================
+// CATALOG ADMINISTRATION
+// ============================================================================
+// Create products, tranches, pools and rounds from JSON/YAML specs. Specs are checked
+// against the DinRegistry protocol parameters before any transaction is sent, so a
+// bad spec fails here with every problem listed instead of as an on-chain revert.
+
+const BPS = 10000;
+const USDT_DECIMALS = 6;
+
+// ProductCatalog.TriggerType values
+const TRIGGER_TYPES = {
+    PRICE_BELOW: 0,
+    PRICE_ABOVE: 1,
+    RELATIVE: 2,
+    BOOLEAN: 3,
+    CUSTOM: 4,
+    BARRIER_BELOW: 5,
+    BARRIER_ABOVE: 6
+};
+
+// Triggers whose threshold is a USD price, stored with 18 decimals
+const PRICE_TRIGGERS = ["PRICE_BELOW", "PRICE_ABOVE", "BARRIER_BELOW", "BARRIER_ABOVE"];
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Load a JSON or YAML spec file.
+ * A file may hold several sections (product, tranche, pool, round); the one a task
+ * reads is returned when present, otherwise the whole document is the spec.
+ * @param file Path to a .json, .yaml or .yml file
+ * @param section Section key the calling task reads
+ */
+function loadSpec(file, section) {
+    const fs = require("fs");
+
+    const text = fs.readFileSync(file, "utf8");
+    const spec = /\.ya?ml$/i.test(file) ? require("js-yaml").load(text) : JSON.parse(text);
+    if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+        throw new Error(`Spec ${file} must be an object`);
+    }
+    return spec[section] && typeof spec[section] === "object" ? spec[section] : spec;
+}
+
+/**
+ * Parse a duration: seconds, or a number with an s/m/h/d/w suffix (e.g. "30d", "2h")
+ */
+function parseDuration(value) {
+    if (typeof value === "number") return value;
+    const match = /^(\d+(?:\.\d+)?)\s*([smhdw])?$/.exec(String(value).trim());
+    if (!match) throw new Error(`Unrecognized duration "${value}"`);
+    return Math.round(Number(match[1]) * DURATION_UNITS[match[2] || "s"]);
+}
+
+/**
+ * Parse a point in time: unix seconds, an ISO date (YAML dates included), or an
+ * offset from the latest block such as "+30d"
+ * @param now Latest block timestamp
+ */
+function parseTime(value, now) {
+    if (value instanceof Date) return Math.floor(value.getTime() / 1000);
+    if (typeof value === "number") return value;
+
+    const text = String(value).trim();
+    if (text.startsWith("+")) return now + parseDuration(text.slice(1));
+    if (/^\d+$/.test(text)) return Number(text);
+
+    const parsed = Date.parse(text);
+    if (Number.isNaN(parsed)) throw new Error(`Unrecognized timestamp "${value}"`);
+    return Math.floor(parsed / 1000);
+}
+
+/**
+ * Resolve a trigger type given by name (case-insensitive) or enum value
+ * @return The TRIGGER_TYPES key
+ */
+function parseTriggerType(value) {
+    const name = typeof value === "number"
+        ? Object.keys(TRIGGER_TYPES).find((key) => TRIGGER_TYPES[key] === value)
+        : String(value).trim().toUpperCase();
+    if (!name || TRIGGER_TYPES[name] === undefined) {
+        throw new Error(`Unknown trigger type "${value}"; use one of ${Object.keys(TRIGGER_TYPES).join(", ")}`);
+    }
+    return name;
+}
+
+/**
+ * Read the DinRegistry parameters tranche and round specs are validated against
+ */
+async function readProtocolLimits(registry) {
+    return {
+        maxPremiumBps: await registry.getMaxPremiumBps(),
+        minMaturitySeconds: await registry.getMinMaturitySeconds(),
+        maxMaturitySeconds: await registry.getMaxMaturitySeconds(),
+        perAccountMinDefault: await registry.getPerAccountMinDefault(),
+        perAccountMaxDefault: await registry.getPerAccountMaxDefault()
+    };
+}
+
+/**
+ * Build ProductCatalog.TrancheParams from a tranche spec.
+ * Human specs give the trigger price in USD (converted to 18 decimals), amounts in USDT
+ * and `maturity` as a time; RELATIVE thresholds are bps of the activation price.
+ * A spec that already carries `maturityTimestamp` (e.g. simulate-tranche --out) is
+ * read as raw TrancheParams. Missing per-account bounds fall back to the registry defaults,
+ * the maximum clamped to trancheCap as ProductCatalog does.
+ * @param limits Result of readProtocolLimits
+ * @param now Latest block timestamp
+ */
+function buildTrancheParams(ethers, spec, limits, now) {
+    const raw = spec.maturityTimestamp !== undefined;
+    const required = ["productId", "triggerType", "threshold", raw ? "maturityTimestamp" : "maturity", "trancheCap"];
+    const missing = required.filter((field) => spec[field] === undefined || spec[field] === null);
+    if (spec.premiumRateBps === undefined && spec.premiumBps === undefined) missing.push("premiumRateBps");
+    throwIfInvalid("tranche", missing.map((field) => `${field} is required`));
+
+    const triggerName = parseTriggerType(spec.triggerType);
+    const usdt = (value, fallback) => {
+        if (value === undefined || value === null) return fallback;
+        return raw ? BigInt(value) : ethers.parseUnits(String(value), USDT_DECIMALS);
+    };
+
+    let threshold;
+    if (raw || !PRICE_TRIGGERS.includes(triggerName)) {
+        threshold = BigInt(spec.threshold);
+    } else {
+        threshold = ethers.parseEther(String(spec.threshold));
+    }
+
+    // Like ProductCatalog, never let the default per-account maximum exceed the cap
+    const trancheCap = usdt(spec.trancheCap);
+    let perAccountMax = usdt(spec.perAccountMax);
+    if (perAccountMax === undefined) {
+        perAccountMax = limits.perAccountMaxDefault < trancheCap ? limits.perAccountMaxDefault : trancheCap;
+    }
+
+    return {
+        productId: BigInt(spec.productId),
+        triggerType: TRIGGER_TYPES[triggerName],
+        threshold,
+        maturityTimestamp: BigInt(raw ? spec.maturityTimestamp : parseTime(spec.maturity, now)),
+        premiumRateBps: BigInt(spec.premiumRateBps ?? spec.premiumBps),
+        perAccountMin: usdt(spec.perAccountMin, limits.perAccountMinDefault),
+        perAccountMax,
+        trancheCap,
+        oracleRouteId: BigInt(spec.oracleRouteId ?? 0)
+    };
+}
+
+/**
+ * Check TrancheParams against the registry parameters and ProductCatalog's own rules
+ * @return { errors, warnings } lists of messages; the spec is valid when errors is empty
+ */
+function validateTrancheParams(params, limits, now) {
+    const errors = [];
+    const warnings = [];
+
+    if (params.premiumRateBps === 0n) {
+        errors.push("premiumRateBps must be greater than 0");
+    } else if (params.premiumRateBps > limits.maxPremiumBps) {
+        errors.push(`premiumRateBps ${params.premiumRateBps} exceeds MAX_PREMIUM_BPS ${limits.maxPremiumBps}`);
+    }
+
+    const duration = params.maturityTimestamp - BigInt(now);
+    if (duration < limits.minMaturitySeconds) {
+        errors.push(`maturity is ${duration}s away, below MIN_MATURITY_SECONDS ${limits.minMaturitySeconds}`);
+    } else if (duration > limits.maxMaturitySeconds) {
+        errors.push(`maturity is ${duration}s away, above MAX_MATURITY_SECONDS ${limits.maxMaturitySeconds}`);
+    }
+
+    if (params.trancheCap === 0n) {
+        errors.push("trancheCap must be greater than 0");
+    } else if (params.perAccountMin > params.perAccountMax || params.perAccountMax > params.trancheCap) {
+        errors.push("per-account bounds must satisfy perAccountMin <= perAccountMax <= trancheCap");
+    }
+    if (params.perAccountMin < limits.perAccountMinDefault || params.perAccountMax > limits.perAccountMaxDefault) {
+        warnings.push(
+            `per-account bounds fall outside the registry defaults ` +
+            `(${limits.perAccountMinDefault} - ${limits.perAccountMaxDefault})`
+        );
+    }
+
+    if (params.triggerType === TRIGGER_TYPES.RELATIVE && (params.threshold === 0n || params.threshold === BigInt(BPS))) {
+        errors.push("RELATIVE threshold is bps of the activation price and cannot be 0 or 10000");
+    } else if (params.threshold === 0n) {
+        errors.push("threshold must be greater than 0");
+    }
+    if (params.productId === 0n) errors.push("productId is required");
+
+    return { errors, warnings };
+}
+
+function throwIfInvalid(kind, errors) {
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${kind} spec:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+    }
+}
+
+async function requireRole(contract, name, roleName, account) {
+    if (!(await contract.hasRole(await contract[roleName](), account))) {
+        throw new Error(`${account} is missing ${name}.${roleName}`);
+    }
+}
+
+function findEvent(contract, receipt, eventName) {
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== contract.target.toLowerCase()) continue;
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && parsed.name === eventName) return parsed.args;
+    }
+    throw new Error(`${eventName} not emitted in ${receipt.hash}`);
+}
+
+async function latestTimestamp(ethers) {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+}
+
+// ============================================================================
+// TASKS
+// ============================================================================
+
+task("create-product", "Register a product in ProductCatalog from a JSON/YAML spec")
+  .addParam("spec", "Spec file with `metadata` (hashed) or `metadataHash`", undefined, types.string)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addFlag("dryRun", "Validate and print without sending a transaction")
+  .setAction(async (taskArgs, hre) => {
+    const { ethers } = hre;
+    const { setupWallet, loadProtocolContext, requireContracts } = require("./utils");
+
+    setupWallet(hre);
+    const spec = loadSpec(taskArgs.spec, "product");
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "productCatalog");
+
+    let metadataHash = spec.metadataHash;
+    if (!metadataHash && spec.metadata !== undefined) {
+        const metadata = typeof spec.metadata === "string" ? spec.metadata : JSON.stringify(spec.metadata);
+        metadataHash = ethers.keccak256(ethers.toUtf8Bytes(metadata));
+    }
+    if (!metadataHash || !ethers.isHexString(metadataHash, 32) || metadataHash === ethers.ZeroHash) {
+        throw new Error("Invalid product spec:\n  - metadata or a non-zero 32-byte metadataHash is required");
+    }
+
+    console.log("\n📦 Create Product");
+    console.log("=" .repeat(60));
+    console.log(`🧾 Metadata hash: ${metadataHash}`);
+
+    const result = { metadataHash };
+    if (taskArgs.dryRun) {
+        console.log("\n🧪 Dry run: nothing sent");
+        return result;
+    }
+
+    const [signer] = await ethers.getSigners();
+    await requireRole(context.productCatalog, "ProductCatalog", "OPERATOR_ROLE", signer.address);
+
+    const receipt = await (await context.productCatalog.createProduct(metadataHash)).wait();
+    result.productId = Number(findEvent(context.productCatalog, receipt, "ProductCreated").productId);
+    result.txHash = receipt.hash;
+
+    console.log(`\n✅ Product ${result.productId} created`);
+    console.log(`   🧾 Tx: ${receipt.hash}`);
+    return result;
+  });
+
+task("create-tranche", "Create a tranche from a JSON/YAML spec, validated against DinRegistry parameters")
+  .addParam("spec", "Spec file (human units, or raw TrancheParams such as simulate-tranche --out)", undefined, types.string)
+  .addOptionalParam("productId", "Override the spec's productId", undefined, types.int)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addFlag("dryRun", "Validate and print without sending a transaction")
+  .setAction(async (taskArgs, hre) => {
+    const { ethers } = hre;
+    const { setupWallet, loadProtocolContext, requireContracts } = require("./utils");
+
+    setupWallet(hre);
+    const spec = loadSpec(taskArgs.spec, "tranche");
+    if (taskArgs.productId !== undefined) spec.productId = taskArgs.productId;
+
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "registry", "productCatalog");
+
+    const now = await latestTimestamp(ethers);
+    const limits = await readProtocolLimits(context.registry);
+    const params = buildTrancheParams(ethers, spec, limits, now);
+    const { errors, warnings } = validateTrancheParams(params, limits, now);
+    throwIfInvalid("tranche", errors);
+
+    const triggerName = Object.keys(TRIGGER_TYPES).find((key) => TRIGGER_TYPES[key] === params.triggerType);
+    const threshold = PRICE_TRIGGERS.includes(triggerName)
+        ? `$${ethers.formatEther(params.threshold)}`
+        : `${params.threshold}${triggerName === "RELATIVE" ? " bps" : ""}`;
+
+    console.log("\n🎯 Create Tranche");
+    console.log("=" .repeat(60));
+    console.log(`📦 Product: ${params.productId}`);
+    console.log(`⚡ Trigger: ${triggerName} ${threshold}`);
+    console.log(`⏰ Maturity: ${new Date(Number(params.maturityTimestamp) * 1000).toISOString()}`);
+    console.log(`💰 Premium: ${(Number(params.premiumRateBps) / 100).toFixed(2)}%`);
+    console.log(`👤 Per account: $${ethers.formatUnits(params.perAccountMin, USDT_DECIMALS)} - $${ethers.formatUnits(params.perAccountMax, USDT_DECIMALS)}`);
+    console.log(`🧢 Cap: $${ethers.formatUnits(params.trancheCap, USDT_DECIMALS)}`);
+    console.log(`🔗 Oracle route: ${params.oracleRouteId}`);
+    for (const warning of warnings) console.log(`⚠️  ${warning}`);
+
+    const result = { params, warnings };
+    if (taskArgs.dryRun) {
+        console.log("\n🧪 Dry run: nothing sent");
+        return result;
+    }
+
+    const [signer] = await ethers.getSigners();
+    await requireRole(context.productCatalog, "ProductCatalog", "OPERATOR_ROLE", signer.address);
+
+    const receipt = await (await context.productCatalog.createTranche(params)).wait();
+    result.trancheId = Number(findEvent(context.productCatalog, receipt, "TrancheCreated").trancheId);
+    result.txHash = receipt.hash;
+
+    console.log(`\n✅ Tranche ${result.trancheId} created`);
+    console.log(`   🧾 Tx: ${receipt.hash}`);
+    console.log(`   ➡️  Next: npx hardhat create-pool --tranche-id ${result.trancheId}`);
+    return result;
+  });
+
+task("create-pool", "Deploy a tranche's pool through TranchePoolFactory and wire it into the protocol")
+  .addOptionalParam("trancheId", "Tranche to deploy a pool for (or `trancheId` in --spec)", undefined, types.int)
+  .addOptionalParam("spec", "Spec file with a `trancheId`", undefined, types.string)
+  .addOptionalParam("keeper", "Keeper granted the pool OPERATOR_ROLE (defaults to the manifest keeper, then KEEPER_ADDRESS)", undefined, types.string)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addFlag("dryRun", "Validate and print without sending a transaction")
+  .setAction(async (taskArgs, hre) => {
+    const { ethers } = hre;
+    const { setupWallet, loadProtocolContext, requireContracts } = require("./utils");
+    const { wirePool } = require("./deploy");
+
+    setupWallet(hre);
+    const trancheId = taskArgs.trancheId ?? (taskArgs.spec ? loadSpec(taskArgs.spec, "pool").trancheId : undefined);
+    if (trancheId === undefined) throw new Error("Pass --tranche-id <id> or a --spec with a trancheId");
+
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "productCatalog", "tranchePoolFactory", "insuranceToken", "settlementEngine", "yieldRouter");
+    const keeper = taskArgs.keeper || context.manifest?.keeper || process.env.KEEPER_ADDRESS;
+    if (keeper && !ethers.isAddress(keeper)) throw new Error(`Invalid keeper address: ${keeper}`);
+
+    const tranche = await context.productCatalog.getTranche(trancheId);
+    if (tranche.trancheId === 0n) throw new Error(`Tranche ${trancheId} does not exist`);
+    if (!tranche.active) throw new Error(`Tranche ${trancheId} is not active`);
+
+    console.log("\n🏊 Create Pool");
+    console.log("=" .repeat(60));
+    console.log(`🎯 Tranche: ${trancheId}`);
+    console.log(`🤖 Keeper: ${keeper || "(none)"}`);
+
+    let poolAddress = await context.tranchePoolFactory.getTranchePool(trancheId);
+    const result = { trancheId };
+    if (taskArgs.dryRun) {
+        console.log(`\n🧪 Dry run: nothing sent${poolAddress === ethers.ZeroAddress ? "" : ` (pool ${poolAddress} exists and would be re-wired)`}`);
+        return result;
+    }
+
+    if (poolAddress === ethers.ZeroAddress) {
+        const [signer] = await ethers.getSigners();
+        await requireRole(context.tranchePoolFactory, "TranchePoolFactory", "OPERATOR_ROLE", signer.address);
+
+        const receipt = await (await context.tranchePoolFactory.createTranchePool(trancheId)).wait();
+        poolAddress = await context.tranchePoolFactory.getTranchePool(trancheId);
+        result.txHash = receipt.hash;
+        console.log(`\n✅ Pool deployed: ${poolAddress}`);
+        console.log(`   🧾 Tx: ${receipt.hash}`);
+    } else {
+        console.log(`\nℹ️  Pool already deployed: ${poolAddress}; re-wiring`);
+    }
+
+    // The factory makes the caller pool admin, so the same signer can wire it
+    await wirePool(hre, context, poolAddress, keeper);
+    result.pool = poolAddress;
+    console.log("✅ Pool wired: InsuranceToken, SettlementEngine, YieldRouter" + (keeper ? ", keeper" : ""));
+    return result;
+  });
+
+task("announce-round", "Announce a sales round for a tranche from a JSON/YAML spec")
+  .addParam("spec", "Spec file with `trancheId`, `salesStart` and `salesEnd` (or `salesDuration`)", undefined, types.string)
+  .addOptionalParam("trancheId", "Override the spec's trancheId", undefined, types.int)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addFlag("dryRun", "Validate and print without sending a transaction")
+  .setAction(async (taskArgs, hre) => {
+    const { ethers } = hre;
+    const { setupWallet, loadProtocolContext, requireContracts } = require("./utils");
+
+    setupWallet(hre);
+    const spec = loadSpec(taskArgs.spec, "round");
+    const trancheId = taskArgs.trancheId ?? spec.trancheId;
+    if (trancheId === undefined) throw new Error("Invalid round spec:\n  - trancheId is required");
+
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "registry", "productCatalog");
+
+    const now = await latestTimestamp(ethers);
+    const salesStart = parseTime(spec.salesStart ?? "+1h", now);
+    const salesEnd = spec.salesEnd !== undefined
+        ? parseTime(spec.salesEnd, now)
+        : salesStart + parseDuration(spec.salesDuration ?? "1d");
+
+    const tranche = await context.productCatalog.getTranche(trancheId);
+    const errors = [];
+    if (tranche.trancheId === 0n) {
+        errors.push(`tranche ${trancheId} does not exist`);
+    } else {
+        if (!tranche.active) errors.push(`tranche ${trancheId} is not active`);
+        // ProductCatalog requires MIN_MATURITY_SECONDS of coverage between sales end and maturity
+        const minMaturitySeconds = await context.registry.getMinMaturitySeconds();
+        if (BigInt(salesEnd) + minMaturitySeconds > tranche.maturityTimestamp) {
+            errors.push(`salesEnd must leave MIN_MATURITY_SECONDS (${minMaturitySeconds}) of coverage before the tranche maturity`);
+        }
+    }
+    if (salesStart <= now) errors.push(`salesStart ${salesStart} must be after the latest block (${now})`);
+    if (salesEnd <= salesStart) errors.push("salesEnd must be after salesStart");
+    throwIfInvalid("round", errors);
+
+    console.log("\n📣 Announce Round");
+    console.log("=" .repeat(60));
+    console.log(`🎯 Tranche: ${trancheId}`);
+    console.log(`🟢 Sales start: ${new Date(salesStart * 1000).toISOString()}`);
+    console.log(`🔴 Sales end: ${new Date(salesEnd * 1000).toISOString()}`);
+
+    const result = { trancheId, salesStart, salesEnd };
+    if (taskArgs.dryRun) {
+        console.log("\n🧪 Dry run: nothing sent");
+        return result;
+    }
+
+    const [signer] = await ethers.getSigners();
+    await requireRole(context.productCatalog, "ProductCatalog", "OPERATOR_ROLE", signer.address);
+
+    const receipt = await (await context.productCatalog.announceRound(trancheId, salesStart, salesEnd)).wait();
+    result.roundId = Number(findEvent(context.productCatalog, receipt, "RoundAnnounced").roundId);
+    result.txHash = receipt.hash;
+
+    console.log(`\n✅ Round ${result.roundId} announced; the keeper opens it at sales start`);
+    console.log(`   🧾 Tx: ${receipt.hash}`);
+    return result;
+  });
+
+module.exports = {
+    TRIGGER_TYPES,
+    loadSpec,
+    parseTime,
+    readProtocolLimits,
+    buildTrancheParams,
+    validateTrancheParams
+};
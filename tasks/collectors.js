@@ -0,0 +1,1087 @@
+// ============================================================================
+// MONITOR DATA COLLECTORS
+// ============================================================================
+// Collectors only read chain state and return plain objects. Rendering lives in
+// the monitor tasks (table) and tasks/output.js (json / csv), so the same data can
+// be reused programmatically: `await collectPools(hre, await loadProtocolContext(hre))`.
+//
+// Amounts are returned as { raw: bigint, formatted: string } so serialized output
+// keeps full precision alongside a human-readable value.
+
+const ROUND_STATES = ["ANNOUNCED", "OPEN", "ACTIVE", "MATURED", "SETTLED", "CANCELED"];
+const RoundState = { ANNOUNCED: 0, OPEN: 1, ACTIVE: 2, MATURED: 3, SETTLED: 4, CANCELED: 5 };
+
+// ProductCatalog.TriggerType
+const TriggerType = { PRICE_BELOW: 0, PRICE_ABOVE: 1, RELATIVE: 2, BOOLEAN: 3, CUSTOM: 4, BARRIER_BELOW: 5, BARRIER_ABOVE: 6 };
+
+// SettlementEngine.OracleStatus
+const ORACLE_STATUSES = ["NONE", "REQUESTED", "RESOLVED", "DISPUTED"];
+
+// OracleRouter.AggregationMode / OracleType
+const AGGREGATION_MODES = ["DEFAULT", "SPOT", "TWAP", "MEDIAN"];
+const ORACLE_TYPES = ["ORAKL_NETWORK", "DINO_ORACLE", "FALLBACK"];
+
+const USDT_DECIMALS = 6;
+const ORACLE_DECIMALS = 8; // OracleRouter.PRICE_DECIMALS; Orakl answers are rescaled to it
+
+function amount(ethers, value, decimals) {
+    const raw = BigInt(value ?? 0);
+    return { raw, formatted: ethers.formatUnits(raw, decimals) };
+}
+
+function usdtAmount(ethers, value) {
+    return amount(ethers, value, USDT_DECIMALS);
+}
+
+function triggerDirection(triggerType) {
+    const type = Number(triggerType);
+    if (type === TriggerType.PRICE_BELOW || type === TriggerType.BARRIER_BELOW) return "BELOW";
+    if (type === TriggerType.PRICE_ABOVE || type === TriggerType.BARRIER_ABOVE) return "ABOVE";
+    return "OTHER";
+}
+
+function isBarrierTrigger(triggerType) {
+    const type = Number(triggerType);
+    return type === TriggerType.BARRIER_BELOW || type === TriggerType.BARRIER_ABOVE;
+}
+
+/**
+ * Price feeds configured in OracleRouter, labelled with the symbols recorded on-chain
+ * @return Array of { identifier, symbol, oraklSymbol }
+ */
+async function configuredFeeds(oracleRouter) {
+    const [identifiers, symbols, oraklSymbols] = await oracleRouter.getConfiguredSymbols();
+    return identifiers.map((identifier, i) => ({ identifier, symbol: symbols[i], oraklSymbol: oraklSymbols[i] }));
+}
+
+/**
+ * Build a resolver for TrancheSpec.oracleRouteId using the binding stored in SettlementEngine
+ * @return async (oracleRouteId) => { routeId, identifier, symbol, aggregation, twapWindow } or null when the route is unbound
+ */
+function oracleRouteResolver({ settlementEngine, oracleRouter }) {
+    const routes = new Map();
+    return async (oracleRouteId) => {
+        const routeId = Number(oracleRouteId);
+        if (!routes.has(routeId)) {
+            routes.set(routeId, (async () => {
+                const identifier = settlementEngine ? await settlementEngine.routeIdentifiers(routeId) : null;
+                if (!identifier || BigInt(identifier) === 0n) return null;
+                const config = oracleRouter ? await oracleRouter.getOracleConfig(identifier) : null;
+                const aggregation = await routeAggregation({ settlementEngine, oracleRouter }, routeId, identifier);
+                return { routeId, identifier, symbol: config?.symbol || identifier, ...aggregation };
+            })());
+        }
+        return routes.get(routeId);
+    };
+}
+
+/**
+ * Aggregation a route settles with: its SettlementEngine mode, else the identifier's OracleRouter mode
+ * @return { aggregation: "SPOT" | "TWAP" | "MEDIAN", twapWindow } (twapWindow in seconds)
+ */
+async function routeAggregation({ settlementEngine, oracleRouter }, routeId, identifier) {
+    const routeMode = Number(await settlementEngine.routeAggregation(routeId));
+    const config = oracleRouter ? await oracleRouter.aggregationConfigs(identifier) : null;
+    const mode = routeMode || Number(config?.mode ?? 0) || AGGREGATION_MODES.indexOf("SPOT");
+    return { aggregation: AGGREGATION_MODES[mode], twapWindow: Number(config?.twapWindow ?? 0) };
+}
+
+function header(hre, kind) {
+    return {
+        kind,
+        network: hre.network.name,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Read current OracleRouter prices for a list of identifiers (defaults to every configured feed)
+ * @return Array of { symbol, identifier, price, timestamp, valid, error }
+ */
+async function collectMarketPrices(hre, oracleRouter, symbols) {
+    const { ethers } = hre;
+    const prices = [];
+    if (!oracleRouter) return prices;
+
+    // Unknown symbols are still queried so the report shows why they fail
+    const configured = await configuredFeeds(oracleRouter);
+    const feeds = symbols
+        ? symbols.map((symbol) => configured.find((feed) => feed.symbol === symbol)
+            || { identifier: ethers.keccak256(ethers.toUtf8Bytes(symbol)), symbol })
+        : configured;
+
+    for (const { identifier, symbol } of feeds) {
+        try {
+            const result = await oracleRouter.getPrice(identifier);
+            prices.push({
+                symbol,
+                identifier,
+                price: amount(ethers, result.price, ORACLE_DECIMALS),
+                timestamp: Number(result.timestamp),
+                valid: result.valid,
+                error: null
+            });
+        } catch (error) {
+            prices.push({ symbol, identifier, price: null, timestamp: null, valid: false, error: error.message });
+        }
+    }
+    return prices;
+}
+
+function priceLookup(marketPrices) {
+    const lookup = {};
+    for (const entry of marketPrices) {
+        lookup[entry.symbol] = entry.price ? Number(entry.price.formatted) : null;
+    }
+    return lookup;
+}
+
+// ============================================================================
+// POOLS
+// ============================================================================
+
+async function collectPools(hre, { tranchePoolFactory, usdt }) {
+    const { ethers } = hre;
+    const poolCount = await tranchePoolFactory.getPoolCount();
+    const pools = [];
+    let tvl = 0n;
+    let totalAssets = 0n;
+    let lockedAssets = 0n;
+
+    for (let i = 0; i < poolCount; i++) {
+        let address;
+        try {
+            address = await tranchePoolFactory.allPools(i);
+        } catch (error) {
+            pools.push({ index: i, address: null, error: `Could not fetch pool at index ${i}` });
+            continue;
+        }
+
+        try {
+            const pool = await ethers.getContractAt("TranchePoolCore", address);
+            const trancheInfo = await pool.getTrancheInfo();
+            const accounting = await pool.getPoolAccounting();
+            const usdtBalance = await usdt.balanceOf(address);
+            const utilizationBps = accounting.totalAssets > 0n
+                ? Number((accounting.lockedAssets * 10000n) / accounting.totalAssets)
+                : 0;
+
+            pools.push({
+                index: i,
+                address,
+                trancheId: trancheInfo.trancheId,
+                totalAssets: usdtAmount(ethers, accounting.totalAssets),
+                lockedAssets: usdtAmount(ethers, accounting.lockedAssets),
+                yieldDeposited: usdtAmount(ethers, accounting.yieldDeposited),
+                yieldEarned: usdtAmount(ethers, accounting.yieldEarned),
+                usdtBalance: usdtAmount(ethers, usdtBalance),
+                balanceMismatch: usdtAmount(ethers, accounting.totalAssets - usdtBalance),
+                navPerShare: amount(ethers, accounting.navPerShare, 18),
+                utilizationBps,
+                error: null
+            });
+
+            tvl += usdtBalance;
+            totalAssets += accounting.totalAssets;
+            lockedAssets += accounting.lockedAssets;
+        } catch (error) {
+            pools.push({ index: i, address, error: error.message });
+        }
+    }
+
+    return {
+        ...header(hre, "pools"),
+        pools,
+        summary: {
+            poolCount: pools.length,
+            tvl: usdtAmount(ethers, tvl),
+            totalAssets: usdtAmount(ethers, totalAssets),
+            lockedAssets: usdtAmount(ethers, lockedAssets),
+            availableAssets: usdtAmount(ethers, totalAssets - lockedAssets),
+            utilizationBps: totalAssets > 0n ? Number((lockedAssets * 10000n) / totalAssets) : 0
+        }
+    };
+}
+
+// ============================================================================
+// TRANCHES
+// ============================================================================
+
+function classifyRisk(distanceToTriggerPct) {
+    if (distanceToTriggerPct === null) return "Unknown";
+    if (distanceToTriggerPct <= 0) return "Triggered";
+    if (distanceToTriggerPct < 5) return "High Risk";
+    if (distanceToTriggerPct < 15) return "Medium Risk";
+    return "Low Risk";
+}
+
+async function collectTranches(hre, { productCatalog, tranchePoolFactory, settlementEngine, oracleRouter }) {
+    const { ethers } = hre;
+    const activeTranches = await productCatalog.getActiveTranches();
+    const marketPrices = await collectMarketPrices(hre, oracleRouter);
+    const prices = priceLookup(marketPrices);
+    const resolveRoute = oracleRouteResolver({ settlementEngine, oracleRouter });
+    const now = Math.floor(Date.now() / 1000);
+
+    const tranches = [];
+    const riskCounts = { "Low Risk": 0, "Medium Risk": 0, "High Risk": 0, "Triggered": 0 };
+    let totalCapacity = 0n;
+    let estimatedRevenue = 0n;
+
+    for (const trancheId of activeTranches) {
+        try {
+            const spec = await productCatalog.getTranche(trancheId);
+            const poolAddress = await tranchePoolFactory.getTranchePool(trancheId);
+
+            const direction = triggerDirection(spec.triggerType);
+            const triggerPrice = Number(ethers.formatEther(spec.threshold));
+            const premiumRatePct = Number(spec.premiumRateBps) / 100;
+            const maturityTimestamp = Number(spec.maturityTimestamp);
+            const daysToMaturity = (maturityTimestamp - now) / (24 * 60 * 60);
+            const route = await resolveRoute(spec.oracleRouteId);
+            const symbol = route?.symbol ?? null;
+            const currentPrice = route ? prices[symbol] ?? null : null;
+
+            let distanceToTriggerPct = null;
+            if (currentPrice && direction !== "OTHER") {
+                distanceToTriggerPct = direction === "BELOW"
+                    ? ((currentPrice - triggerPrice) / currentPrice) * 100
+                    : ((triggerPrice - currentPrice) / currentPrice) * 100;
+            }
+            const riskLevel = classifyRisk(distanceToTriggerPct);
+            if (riskLevel in riskCounts) riskCounts[riskLevel]++;
+
+            let poolAssets = null;
+            let utilizationPct = null;
+            if (poolAddress !== ethers.ZeroAddress) {
+                const pool = await ethers.getContractAt("TranchePoolCore", poolAddress);
+                const accounting = await pool.getPoolAccounting();
+                poolAssets = usdtAmount(ethers, accounting.totalAssets);
+                utilizationPct = spec.trancheCap > 0n
+                    ? (Number(ethers.formatUnits(accounting.totalAssets, USDT_DECIMALS)) / Number(ethers.formatUnits(spec.trancheCap, USDT_DECIMALS))) * 100
+                    : 0;
+
+                totalCapacity += spec.trancheCap;
+                estimatedRevenue += (accounting.totalAssets * spec.premiumRateBps) / 10000n;
+            }
+
+            tranches.push({
+                trancheId,
+                poolAddress,
+                triggerType: Number(spec.triggerType),
+                triggerDirection: direction,
+                threshold: amount(ethers, spec.threshold, 18),
+                premiumRateBps: Number(spec.premiumRateBps),
+                trancheCap: usdtAmount(ethers, spec.trancheCap),
+                maturityTimestamp,
+                daysToMaturity,
+                annualizedYieldPct: premiumRatePct * (365 / Math.max(daysToMaturity, 1)),
+                oracleRouteId: Number(spec.oracleRouteId),
+                symbol,
+                currentPrice,
+                distanceToTriggerPct,
+                riskLevel,
+                poolAssets,
+                utilizationPct,
+                error: null
+            });
+        } catch (error) {
+            tranches.push({ trancheId, error: error.message });
+        }
+    }
+
+    return {
+        ...header(hre, "tranches"),
+        marketPrices,
+        tranches,
+        summary: {
+            trancheCount: tranches.length,
+            totalCapacity: usdtAmount(ethers, totalCapacity),
+            estimatedRevenue: usdtAmount(ethers, estimatedRevenue),
+            lowRisk: riskCounts["Low Risk"],
+            mediumRisk: riskCounts["Medium Risk"],
+            highRisk: riskCounts["High Risk"],
+            triggered: riskCounts["Triggered"]
+        }
+    };
+}
+
+// ============================================================================
+// INSURANCE ROUNDS
+// ============================================================================
+
+async function collectRoundParticipants(ethers, pool, roundId) {
+    let buyers = [];
+    let sellers = [];
+    try {
+        const participants = await pool.getRoundParticipants(roundId);
+        buyers = participants[0] || [];
+        sellers = participants[1] || [];
+    } catch {}
+
+    // Orders canceled and positions withdrawn during the sales window stay listed with a zero amount
+    const buyerStats = { count: 0, filled: 0, unfilled: 0, filledAmount: 0n, premiumRefunds: 0n };
+    for (const buyer of buyers) {
+        try {
+            const order = await pool.getBuyerOrder(roundId, buyer);
+            if (order.buyer === ethers.ZeroAddress || (order.purchaseAmount === 0n && !order.refunded)) continue;
+            buyerStats.count++;
+            if (order.filled) {
+                buyerStats.filled++;
+                buyerStats.filledAmount += order.purchaseAmount;
+            } else {
+                buyerStats.unfilled++;
+                if (order.refunded) buyerStats.premiumRefunds += order.premiumPaid;
+            }
+        } catch {}
+    }
+
+    const sellerStats = { count: 0, filled: 0, unfilled: 0 };
+    for (const seller of sellers) {
+        try {
+            const position = await pool.getSellerPosition(roundId, seller);
+            if (position.seller === ethers.ZeroAddress || (position.collateralAmount === 0n && !position.refunded)) continue;
+            sellerStats.count++;
+            if (position.filled) {
+                sellerStats.filled++;
+            } else if (position.refunded) {
+                sellerStats.unfilled++;
+            }
+        } catch {}
+    }
+
+    return { buyerStats, sellerStats };
+}
+
+/**
+ * Same stats as collectRoundParticipants, derived from the local event store instead
+ * of one getBuyerOrder/getSellerPosition call per participant.
+ * Before the pool's RoundMatched event nothing is filled yet; afterwards a participant
+ * is unfilled only when refunded in full (partial fills get a partial refund).
+ * Top-ups, cancellations and withdrawals during the sales window replace the recorded amounts.
+ */
+function collectRoundParticipantsFromStore(store, poolAddress, roundId) {
+    const { queryEvents } = require("./eventStore");
+    const events = queryEvents(store, {
+        address: poolAddress,
+        roundId,
+        events: ["BuyerOrderPlaced", "BuyerOrderUpdated", "SellerPositionCreated", "SellerPositionUpdated", "RoundMatched", "RefundProcessed"]
+    });
+
+    const orders = new Map();
+    const positions = new Map();
+    const refunds = new Map();
+    let matchedAmount = null;
+    const track = (map, key, amount) => (amount === 0n ? map.delete(key) : map.set(key, amount));
+    for (const { event, args } of events) {
+        if (event === "BuyerOrderPlaced") orders.set(args.buyer, BigInt(args.premiumPaid));
+        else if (event === "SellerPositionCreated") positions.set(args.seller, BigInt(args.collateralAmount));
+        else if (event === "RoundMatched") matchedAmount = BigInt(args.matchedAmount);
+        else if (event === "RefundProcessed") refunds.set(`${args.isBuyer}:${args.user}`, BigInt(args.amount));
+        // Each update follows the refund of a cancellation or withdrawal, which is not a matching refund
+        else if (event === "BuyerOrderUpdated") {
+            track(orders, args.buyer, BigInt(args.premiumPaid));
+            refunds.delete(`true:${args.buyer}`);
+        } else {
+            track(positions, args.seller, BigInt(args.collateralAmount));
+            refunds.delete(`false:${args.seller}`);
+        }
+    }
+
+    const buyerStats = { count: orders.size, filled: 0, unfilled: 0, filledAmount: 0n, premiumRefunds: 0n };
+    const sellerStats = { count: positions.size, filled: 0, unfilled: 0 };
+    if (matchedAmount === null) {
+        buyerStats.unfilled = orders.size;
+        return { buyerStats, sellerStats };
+    }
+
+    buyerStats.filledAmount = matchedAmount;
+    for (const [buyer, premiumPaid] of orders) {
+        const refund = refunds.get(`true:${buyer}`);
+        if (refund !== undefined && refund === premiumPaid) {
+            buyerStats.unfilled++;
+            buyerStats.premiumRefunds += refund;
+        } else {
+            buyerStats.filled++;
+        }
+    }
+    for (const [seller, collateral] of positions) {
+        if (refunds.get(`false:${seller}`) === collateral) sellerStats.unfilled++;
+        else sellerStats.filled++;
+    }
+
+    return { buyerStats, sellerStats };
+}
+
+/**
+ * Round state transitions recorded in the local event store
+ */
+function collectRoundHistory(store, roundId) {
+    const { queryEvents } = require("./eventStore");
+    return queryEvents(store, { contract: "ProductCatalog", event: "RoundStateChanged", roundId }).map((row) => ({
+        from: ROUND_STATES[Number(row.args.oldState)],
+        to: ROUND_STATES[Number(row.args.newState)],
+        timestamp: Number(row.args.timestamp),
+        blockNumber: row.blockNumber,
+        txHash: row.txHash
+    }));
+}
+
+async function collectSettlement(ethers, settlementEngine, roundId, maturityTimestamp, now) {
+    const info = await settlementEngine.getSettlementInfo(roundId);
+
+    if (info.roundId === 0n) {
+        return {
+            observed: false,
+            readyForObservation: now >= maturityTimestamp,
+            secondsToMaturity: Math.max(maturityTimestamp - now, 0)
+        };
+    }
+
+    const livenessDeadline = Number(info.livenessDeadline);
+    return {
+        observed: true,
+        oracleResult: amount(ethers, info.oracleResult, ORACLE_DECIMALS),
+        triggered: info.triggered,
+        settled: info.settled,
+        livenessDeadline,
+        readyToFinalize: !info.settled && livenessDeadline <= now,
+        totalPayouts: usdtAmount(ethers, info.totalPayouts)
+    };
+}
+
+/**
+ * @param options.store Optional event store handle (see ./eventStore): participant stats
+ *        and round history are then read from indexed events
+ */
+async function collectInsurances(hre, { productCatalog, tranchePoolFactory, settlementEngine, oracleRouter }, options = {}) {
+    const { store } = options;
+    const { ethers } = hre;
+    const prices = priceLookup(await collectMarketPrices(hre, oracleRouter));
+    const resolveRoute = oracleRouteResolver({ settlementEngine, oracleRouter });
+    const activeTranches = await productCatalog.getActiveTranches();
+    const now = Math.floor(Date.now() / 1000);
+
+    const tranches = [];
+    const actions = [];
+    let totalCoverage = 0n;
+
+    for (const trancheId of activeTranches) {
+        try {
+            const trancheRounds = await productCatalog.getTrancheRounds(trancheId);
+            if (trancheRounds.length === 0) continue;
+
+            const spec = await productCatalog.getTranche(trancheId);
+            const poolAddress = await tranchePoolFactory.getTranchePool(trancheId);
+            const pool = poolAddress !== ethers.ZeroAddress
+                ? await ethers.getContractAt("TranchePoolCore", poolAddress)
+                : null;
+
+            const symbol = (await resolveRoute(spec.oracleRouteId))?.symbol ?? null;
+            const direction = triggerDirection(spec.triggerType);
+            const triggerPrice = Number(ethers.formatEther(spec.threshold));
+            const maturityTimestamp = Number(spec.maturityTimestamp);
+            const rounds = [];
+
+            for (const roundId of trancheRounds) {
+                const roundInfo = await productCatalog.getRound(roundId);
+                const state = Number(roundInfo.state);
+                const stateChangedAt = Number(roundInfo.stateChangedAt || 0);
+
+                // Skip canceled rounds and settled rounds older than 24 hours
+                if (state === RoundState.CANCELED) continue;
+                if (state === RoundState.SETTLED && (now - stateChangedAt) / 3600 > 24) continue;
+
+                const round = {
+                    roundId,
+                    state,
+                    stateName: ROUND_STATES[state],
+                    salesStartTime: Number(roundInfo.salesStartTime),
+                    salesEndTime: Number(roundInfo.salesEndTime),
+                    maturityTimestamp,
+                    createdAt: Number(roundInfo.createdAt || 0),
+                    stateChangedAt,
+                    economics: null,
+                    buyers: null,
+                    sellers: null,
+                    pool: null,
+                    settlement: null,
+                    currentPrice: null,
+                    distanceFromTriggerPct: null,
+                    history: store ? collectRoundHistory(store, roundId) : null
+                };
+
+                if (pool) {
+                    const [totalBuyerPurchases, totalSellerCollateral, matchedAmount, lockedCollateral, premiumPool] =
+                        await pool.getRoundEconomics(roundId);
+                    const { buyerStats, sellerStats } = store
+                        ? collectRoundParticipantsFromStore(store, poolAddress, roundId)
+                        : await collectRoundParticipants(ethers, pool, roundId);
+
+                    round.economics = {
+                        totalBuyerPurchases: usdtAmount(ethers, totalBuyerPurchases),
+                        totalSellerCollateral: usdtAmount(ethers, totalSellerCollateral),
+                        matchedAmount: usdtAmount(ethers, matchedAmount),
+                        // After settlement, locked collateral is released in pool accounting
+                        lockedCollateral: usdtAmount(ethers, state === RoundState.SETTLED ? 0n : lockedCollateral),
+                        premiumPool: usdtAmount(ethers, premiumPool)
+                    };
+                    round.buyers = {
+                        count: buyerStats.count,
+                        filled: buyerStats.filled,
+                        unfilled: buyerStats.unfilled,
+                        filledAmount: usdtAmount(ethers, buyerStats.filledAmount),
+                        unmatched: usdtAmount(ethers, totalBuyerPurchases > matchedAmount ? totalBuyerPurchases - matchedAmount : 0n),
+                        premiumRefunds: usdtAmount(ethers, buyerStats.premiumRefunds)
+                    };
+                    round.sellers = {
+                        count: sellerStats.count,
+                        filled: sellerStats.filled,
+                        unfilled: sellerStats.unfilled,
+                        unmatched: usdtAmount(ethers, totalSellerCollateral > matchedAmount ? totalSellerCollateral - matchedAmount : 0n)
+                    };
+                    totalCoverage += matchedAmount;
+
+                    try {
+                        const accounting = await pool.getPoolAccounting();
+                        round.pool = {
+                            totalAssets: usdtAmount(ethers, accounting.totalAssets),
+                            lockedAssets: usdtAmount(ethers, accounting.lockedAssets),
+                            navPerShare: amount(ethers, accounting.navPerShare, 18)
+                        };
+                    } catch {}
+                }
+
+                if ((state === RoundState.MATURED || state === RoundState.SETTLED) && settlementEngine) {
+                    try {
+                        round.settlement = await collectSettlement(ethers, settlementEngine, roundId, maturityTimestamp, now);
+                        if (round.settlement.readyToFinalize) {
+                            actions.push({ roundId, action: "finalize-settlement", urgency: "high", description: `Round ${roundId} ready for final settlement` });
+                        } else if (!round.settlement.observed && round.settlement.readyForObservation) {
+                            actions.push({ roundId, action: "settle-rounds", urgency: "high", description: `Round ${roundId} matured, needs oracle observation` });
+                        }
+                    } catch (error) {
+                        round.settlement = { error: error.message };
+                    }
+                }
+
+                if (state === RoundState.ACTIVE || state === RoundState.MATURED) {
+                    const currentPrice = symbol ? prices[symbol] : null;
+                    if (currentPrice) {
+                        round.currentPrice = currentPrice;
+                        round.distanceFromTriggerPct = Math.abs(currentPrice - triggerPrice) / triggerPrice * 100;
+                    }
+                }
+
+                if (state === RoundState.OPEN && now > round.salesEndTime) {
+                    actions.push({ roundId, action: "close-rounds", urgency: "medium", description: `Round ${roundId} sales period ended, needs closure` });
+                }
+
+                rounds.push(round);
+            }
+
+            tranches.push({
+                trancheId,
+                displayName: `${symbol ?? `route ${spec.oracleRouteId}`} ${direction} $${triggerPrice.toLocaleString()}`,
+                symbol,
+                triggerDirection: direction,
+                threshold: amount(ethers, spec.threshold, 18),
+                poolAddress,
+                rounds,
+                error: null
+            });
+        } catch (error) {
+            tranches.push({ trancheId, rounds: [], error: error.message });
+        }
+    }
+
+    const urgencyOrder = { high: 0, medium: 1, low: 2 };
+    actions.sort((a, b) => urgencyOrder[a.urgency] - urgencyOrder[b.urgency]);
+
+    return {
+        ...header(hre, "insurances"),
+        indexedBlock: store ? require("./eventStore").getIndexedBlock(store) : null,
+        tranches,
+        actions,
+        summary: {
+            trancheCount: tranches.length,
+            roundCount: tranches.reduce((count, tranche) => count + tranche.rounds.length, 0),
+            totalCoverage: usdtAmount(ethers, totalCoverage),
+            actionCount: actions.length
+        }
+    };
+}
+
+// ============================================================================
+// YIELD
+// ============================================================================
+
+async function collectYield(hre, { yieldRouter }) {
+    const { ethers } = hre;
+    const totalBalance = await yieldRouter.getTotalBalance();
+    const valueAtRisk = await yieldRouter.getTotalValueAtRisk();
+    const availableForWithdrawal = await yieldRouter.getAvailableForWithdrawal();
+    const yieldRecord = await yieldRouter.getYieldRecord();
+    const registeredPools = await yieldRouter.getRegisteredPools();
+
+    const pools = [];
+    let totalPoolDeposits = 0n;
+    let activeCount = 0;
+
+    for (let i = 0; i < registeredPools.length; i++) {
+        const address = registeredPools[i];
+        const poolInfo = await yieldRouter.getPoolInfo(address);
+        const entry = {
+            index: i,
+            address,
+            trancheId: poolInfo.trancheId,
+            fundsInYield: usdtAmount(ethers, poolInfo.fundsInYield),
+            totalYieldEarned: usdtAmount(ethers, poolInfo.totalYieldEarned),
+            registrationTimestamp: Number(poolInfo.registrationTimestamp),
+            active: poolInfo.fundsInYield > 0n,
+            error: null
+        };
+
+        try {
+            if (!entry.trancheId) {
+                const pool = await ethers.getContractAt("TranchePoolCore", address);
+                entry.trancheId = (await pool.getTrancheInfo()).trancheId;
+            }
+        } catch (error) {
+            entry.error = error.message;
+        }
+
+        totalPoolDeposits += poolInfo.fundsInYield;
+        if (entry.active) activeCount++;
+        pools.push(entry);
+    }
+
+    return {
+        ...header(hre, "yield"),
+        router: {
+            totalBalance: usdtAmount(ethers, totalBalance),
+            valueAtRisk: usdtAmount(ethers, valueAtRisk),
+            availableForWithdrawal: usdtAmount(ethers, availableForWithdrawal),
+            totalDeposited: usdtAmount(ethers, yieldRecord.totalDeposited),
+            totalReturned: usdtAmount(ethers, yieldRecord.totalReturned),
+            totalYieldGenerated: usdtAmount(ethers, yieldRecord.totalYieldGenerated)
+        },
+        pools,
+        summary: {
+            poolCount: pools.length,
+            activeCount,
+            totalPoolDeposits: usdtAmount(ethers, totalPoolDeposits),
+            balanceDifference: usdtAmount(ethers, totalBalance - totalPoolDeposits),
+            healthy: totalBalance >= valueAtRisk,
+            utilizationBps: totalBalance > 0n ? Number((valueAtRisk * 10000n) / totalBalance) : 0
+        }
+    };
+}
+
+// ============================================================================
+// ADDRESS POSITIONS
+// ============================================================================
+
+/**
+ * Claim status of a policy from its round state, pool order and settlement
+ */
+function policyClaimStatus(state, order, settlement, claimable) {
+    if (state === RoundState.CANCELED) return "CANCELED";
+    if (state === RoundState.ANNOUNCED || state === RoundState.OPEN) return "PENDING_MATCH";
+    if (!order.filled) return order.refunded ? (claimable > 0n ? "REFUND_CLAIMABLE" : "REFUNDED") : "UNFILLED";
+    if (state === RoundState.ACTIVE) return "COVERED";
+    if (!settlement) return "AWAITING_SETTLEMENT";
+    if (state === RoundState.SETTLED) {
+        if (!settlement.triggered) return "EXPIRED";
+        return claimable > 0n ? "CLAIMABLE" : "PAID";
+    }
+    // MATURED: oracle observed, waiting for finalization (or a dispute)
+    if (ORACLE_STATUSES[Number(settlement.oracleStatus)] === "DISPUTED") return "DISPUTED";
+    return settlement.triggered ? "TRIGGERED" : "NOT_TRIGGERED";
+}
+
+/**
+ * @param options.store Optional event store handle; adds the address's indexed event history
+ */
+async function collectAddressPositions(hre, { productCatalog, tranchePoolFactory, insuranceToken, settlementEngine }, user, options = {}) {
+    const { ethers } = hre;
+    const policies = [];
+    const buyer = { tokenCount: 0n, skipped: null };
+
+    // Buyer positions via InsuranceToken owner enumeration
+    try {
+        const code = await ethers.provider.getCode(insuranceToken.target);
+        if (code === "0x") {
+            buyer.skipped = "InsuranceToken is not a deployed contract";
+        } else {
+            const tokenIds = await insuranceToken.tokensOfOwner(user);
+            buyer.tokenCount = BigInt(tokenIds.length);
+            const rounds = new Map();
+
+            for (const tokenId of tokenIds) {
+                const info = await insuranceToken.tokenInfo(tokenId);
+                if (!rounds.has(info.roundId)) {
+                    const round = await productCatalog.getRound(info.roundId);
+                    const state = Number(round.state);
+                    const settlement = settlementEngine && (state === RoundState.MATURED || state === RoundState.SETTLED)
+                        ? await settlementEngine.getSettlementInfo(info.roundId)
+                        : null;
+                    rounds.set(info.roundId, { state, settlement });
+                }
+                const { state, settlement } = rounds.get(info.roundId);
+
+                // Orders are keyed by the original buyer, but cover and refunds are credited to the holder
+                const pool = await ethers.getContractAt("TranchePoolCore", info.tranchePool);
+                const order = await pool.getBuyerOrder(info.roundId, info.originalBuyer);
+                const claimable = await pool.claimable(info.roundId, user);
+                const covered = order.filled && state !== RoundState.CANCELED;
+
+                policies.push({
+                    tokenId,
+                    trancheId: info.trancheId,
+                    roundId: info.roundId,
+                    roundState: ROUND_STATES[state],
+                    purchaseAmount: usdtAmount(ethers, info.purchaseAmount),
+                    coverage: usdtAmount(ethers, covered ? order.purchaseAmount : 0n),
+                    premiumPaid: usdtAmount(ethers, order.premiumPaid),
+                    claimable: usdtAmount(ethers, claimable),
+                    claimStatus: policyClaimStatus(state, order, settlement, claimable),
+                    originalBuyer: info.originalBuyer,
+                    transferable: await insuranceToken.isTransferable(tokenId),
+                    poolAddress: info.tranchePool
+                });
+            }
+        }
+    } catch (error) {
+        buyer.skipped = error.message;
+    }
+
+    // Seller stakes across active tranches
+    const stakes = [];
+    let totalShares = 0n;
+    let totalAvailable = 0n;
+    const activeTranches = await productCatalog.getActiveTranches();
+    for (const trancheId of activeTranches) {
+        try {
+            const poolAddress = await tranchePoolFactory.getTranchePool(trancheId);
+            if (poolAddress === ethers.ZeroAddress) continue;
+            const pool = await ethers.getContractAt("TranchePoolCore", poolAddress);
+            const shares = await pool.shareBalances(user);
+            if (shares === 0n) continue;
+            const available = await pool.getAvailableCollateral(user);
+            totalShares += shares;
+            totalAvailable += available;
+            stakes.push({
+                trancheId,
+                poolAddress,
+                shares: amount(ethers, shares, USDT_DECIMALS),
+                available: usdtAmount(ethers, available)
+            });
+        } catch {}
+    }
+
+    return {
+        ...header(hre, "address"),
+        address: user,
+        buyer,
+        policies,
+        stakes,
+        activity: options.store ? collectAddressActivity(options.store, user) : null,
+        totals: {
+            shares: amount(ethers, totalShares, USDT_DECIMALS),
+            available: usdtAmount(ethers, totalAvailable)
+        }
+    };
+}
+
+/**
+ * Indexed events where the address is the buyer, seller, refund user, proposer, etc.
+ */
+function collectAddressActivity(store, user) {
+    const { queryEvents } = require("./eventStore");
+    return queryEvents(store, { account: user }).map((row) => ({
+        blockNumber: row.blockNumber,
+        timestamp: row.timestamp,
+        contract: row.contract,
+        event: row.event,
+        roundId: row.roundId,
+        txHash: row.txHash,
+        args: row.args
+    }));
+}
+
+// ============================================================================
+// CLAIMABLE
+// ============================================================================
+
+async function collectClaimable(hre, { productCatalog, tranchePoolFactory }, user, roundId) {
+    const { ethers } = hre;
+    const roundInfo = await productCatalog.getRound(roundId);
+    const poolAddress = await tranchePoolFactory.getTranchePool(roundInfo.trancheId);
+    const pool = await ethers.getContractAt("TranchePoolCore", poolAddress);
+
+    const order = await pool.getBuyerOrder(roundId, user);
+    const position = await pool.getSellerPosition(roundId, user);
+    const claimable = await pool.claimable(roundId, user);
+
+    // Other rounds of this pool with an unclaimed balance (claimAll pays them together)
+    const otherRounds = [];
+    let poolClaimable = claimable;
+    for (const creditedRound of new Set(await pool.getClaimRounds(user))) {
+        if (creditedRound === BigInt(roundId)) continue;
+        const owed = await pool.claimable(creditedRound, user);
+        if (owed === 0n) continue;
+        poolClaimable += owed;
+        otherRounds.push({ roundId: creditedRound, claimable: usdtAmount(ethers, owed) });
+    }
+
+    const status = (entry) => (entry.filled ? "FILLED" : entry.refunded ? "REFUNDED" : "UNFILLED");
+
+    let buyer = null;
+    if (order.buyer !== ethers.ZeroAddress) {
+        buyer = {
+            status: status(order),
+            purchaseAmount: usdtAmount(ethers, order.purchaseAmount),
+            premiumPaid: usdtAmount(ethers, order.premiumPaid),
+            filled: order.filled,
+            refunded: order.refunded
+        };
+    }
+
+    let seller = null;
+    if (position.seller !== ethers.ZeroAddress) {
+        const filledCollateral = position.filledCollateral || 0n;
+        seller = {
+            status: status(position),
+            collateralAmount: usdtAmount(ethers, position.collateralAmount),
+            filledCollateral: usdtAmount(ethers, filledCollateral),
+            unmatched: usdtAmount(ethers, position.collateralAmount > filledCollateral ? position.collateralAmount - filledCollateral : 0n),
+            lockedSharesAssigned: amount(ethers, position.lockedSharesAssigned || 0n, USDT_DECIMALS),
+            filled: position.filled,
+            refunded: position.refunded
+        };
+    }
+
+    return {
+        ...header(hre, "claimable"),
+        address: user,
+        roundId: BigInt(roundId),
+        trancheId: roundInfo.trancheId,
+        roundState: ROUND_STATES[Number(roundInfo.state)],
+        poolAddress,
+        claimable: usdtAmount(ethers, claimable),
+        poolClaimable: usdtAmount(ethers, poolClaimable),
+        otherRounds,
+        buyer,
+        seller
+    };
+}
+
+// ============================================================================
+// PREMIUM QUOTES
+// ============================================================================
+
+/**
+ * Preview the premium a pool would charge, with every PremiumEngine pricing component.
+ * The subscription defaults to the round's ProductCatalog counters (the tranche's latest
+ * round when none is given); demand/supply override it to preview other fills.
+ * @param options.trancheId Tranche to price
+ * @param options.purchaseAmount Coverage to price (USDT, 6 decimals)
+ * @param options.roundId Round whose subscription is priced
+ * @param options.demand Coverage already ordered (USDT, 6 decimals)
+ * @param options.supply Collateral already deposited (USDT, 6 decimals)
+ */
+async function collectPremiumQuote(hre, { productCatalog, premiumEngine }, options) {
+    const { ethers } = hre;
+    const { trancheId, purchaseAmount } = options;
+    const spec = await productCatalog.getTranche(trancheId);
+
+    let roundId = options.roundId ?? (spec.roundIds.length > 0 ? spec.roundIds[spec.roundIds.length - 1] : null);
+    let demand = 0n;
+    let supply = 0n;
+    if (roundId !== null) {
+        roundId = BigInt(roundId);
+        const round = await productCatalog.getRound(roundId);
+        demand = round.totalBuyerPurchases;
+        supply = round.totalSellerCollateral;
+    }
+    if (options.demand !== undefined) demand = BigInt(options.demand);
+    if (options.supply !== undefined) supply = BigInt(options.supply);
+
+    const flatPremium = (BigInt(purchaseAmount) * spec.premiumRateBps) / 10000n;
+    const quote = {
+        trancheId: Number(trancheId),
+        roundId: roundId === null ? null : Number(roundId),
+        engine: premiumEngine ? premiumEngine.target : null,
+        purchaseAmount: usdtAmount(ethers, purchaseAmount),
+        demand: usdtAmount(ethers, demand),
+        supply: usdtAmount(ethers, supply),
+        baseRateBps: Number(spec.premiumRateBps),
+        flatPremium: usdtAmount(ethers, flatPremium)
+    };
+
+    // Without an engine, pools charge the flat base rate
+    if (!premiumEngine) {
+        return { ...quote, rateBps: quote.baseRateBps, premium: quote.flatPremium, breakdown: null };
+    }
+
+    // Demand includes the order being priced, as in PremiumEngine.quotePremium
+    const breakdown = await premiumEngine.quoteRate(trancheId, demand + BigInt(purchaseAmount), supply);
+    const [premium, rateBps] = await premiumEngine.quotePremium(trancheId, purchaseAmount, demand, supply);
+
+    return {
+        ...quote,
+        rateBps: Number(rateBps),
+        premium: usdtAmount(ethers, premium),
+        breakdown: {
+            timeFactorBps: Number(breakdown.timeFactorBps),
+            utilizationBps: Number(breakdown.utilizationBps),
+            utilizationSurchargeBps: Number(breakdown.utilizationSurchargeBps),
+            distanceBps: Number(breakdown.distanceBps),
+            proximitySurchargeBps: Number(breakdown.proximitySurchargeBps),
+            maxPremiumBps: Number(breakdown.maxPremiumBps),
+            capped: breakdown.rateBps === breakdown.maxPremiumBps
+        }
+    };
+}
+
+// ============================================================================
+// ORACLES
+// ============================================================================
+
+async function collectOracles(hre, { oracleRouter }, symbols) {
+    const { ethers } = hre;
+    const now = Math.floor(Date.now() / 1000);
+    const prices = await collectMarketPrices(hre, oracleRouter, symbols);
+
+    for (const entry of prices) {
+        entry.ageSeconds = entry.timestamp ? now - entry.timestamp : null;
+        entry.comparison = null;
+        if (entry.error) continue;
+
+        // comparePrices is best-effort: one source may be unavailable
+        try {
+            const cmp = await oracleRouter.comparePrices(entry.identifier);
+            entry.comparison = {
+                orakl: amount(ethers, cmp[0].price, ORACLE_DECIMALS),
+                dino: amount(ethers, cmp[1].price, ORACLE_DECIMALS),
+                deviationBps: Number(cmp[2])
+            };
+        } catch {}
+    }
+
+    return { ...header(hre, "oracles"), prices };
+}
+
+async function collectOraklFeed(hre, { oraklPriceFeed }, symbol) {
+    const { ethers } = hre;
+    const feedId = ethers.keccak256(ethers.toUtf8Bytes(symbol));
+    const cfg = await oraklPriceFeed.priceFeeds(feedId);
+    const decimals = Number(cfg.decimals || 0);
+
+    const feed = {
+        ...header(hre, "orakl-feed"),
+        symbol,
+        feedId,
+        config: {
+            feedProxy: cfg.feedProxyAddress,
+            decimals,
+            heartbeatSeconds: Number(cfg.heartbeatSeconds || 0),
+            description: cfg.description || "",
+            active: Boolean(cfg.active)
+        },
+        supported: await oraklPriceFeed.isFeedSupported(symbol),
+        latest: null,
+        error: null
+    };
+
+    try {
+        const data = await oraklPriceFeed.getLatestPrice(symbol);
+        feed.latest = {
+            price: amount(ethers, data.price, ORACLE_DECIMALS),
+            timestamp: Number(data.timestamp),
+            ageSeconds: Math.floor(Date.now() / 1000 - Number(data.timestamp)),
+            roundId: data.roundId,
+            valid: data.valid
+        };
+    } catch (error) {
+        feed.error = error.message;
+    }
+    return feed;
+}
+
+/**
+ * OraklPriceFeed state for the given symbols, or for every Orakl symbol OracleRouter routes to
+ */
+async function collectOraklFeeds(hre, context, symbols) {
+    if (!symbols) {
+        const routed = context.oracleRouter ? await configuredFeeds(context.oracleRouter) : [];
+        symbols = [...new Set(routed.map((feed) => feed.oraklSymbol))];
+    }
+
+    const feeds = [];
+    for (const symbol of symbols) {
+        feeds.push(await collectOraklFeed(hre, context, symbol));
+    }
+    return { ...header(hre, "orakl-feeds"), feeds };
+}
+
+async function collectDinoPrice(hre, { dinoOracle }, idString) {
+    const { ethers } = hre;
+    const identifier = ethers.keccak256(ethers.toUtf8Bytes(idString));
+    const result = {
+        ...header(hre, "dino-price"),
+        identifier: idString,
+        identifierHash: identifier,
+        latest: null,
+        historical: null,
+        error: null
+    };
+
+    try {
+        const [price, timestamp] = await dinoOracle.getLatestPrice(identifier);
+        result.latest = {
+            price: amount(ethers, price, ORACLE_DECIMALS),
+            timestamp: Number(timestamp),
+            ageSeconds: Math.floor(Date.now() / 1000 - Number(timestamp))
+        };
+    } catch (error) {
+        result.error = error.message;
+    }
+
+    // Historical read (1h ago), if any
+    try {
+        const timestamp = Math.floor(Date.now() / 1000) - 3600;
+        const priceAt = await dinoOracle.getPrice(identifier, timestamp);
+        result.historical = { timestamp, price: amount(ethers, priceAt, ORACLE_DECIMALS) };
+    } catch {}
+
+    return result;
+}
+
+module.exports = {
+    ROUND_STATES,
+    RoundState,
+    TriggerType,
+    isBarrierTrigger,
+    ORACLE_STATUSES,
+    AGGREGATION_MODES,
+    ORACLE_TYPES,
+    configuredFeeds,
+    oracleRouteResolver,
+    routeAggregation,
+    collectMarketPrices,
+    collectPools,
+    collectTranches,
+    collectInsurances,
+    collectRoundParticipantsFromStore,
+    collectRoundHistory,
+    collectYield,
+    collectAddressPositions,
+    collectClaimable,
+    collectPremiumQuote,
+    collectOracles,
+    collectOraklFeed,
+    collectOraklFeeds,
+    collectDinoPrice
+};
@@ -0,0 +1,240 @@
+const { task, types } = require("hardhat/config");
+
+// ============================================================================
+// PROTOCOL DEPLOYMENT
+// ============================================================================
+
+async function deployContract(ethers, name, args) {
+    const factory = await ethers.getContractFactory(name);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    console.log(`   ✅ ${name}: ${contract.target}`);
+    return contract;
+}
+
+async function grantRoleIfMissing(contract, roleName, account) {
+    const role = await contract[roleName]();
+    if (await contract.hasRole(role, account)) return false;
+    await (await contract.grantRole(role, account)).wait();
+    return true;
+}
+
+/**
+ * Wire a TranchePoolCore into the protocol: InsuranceToken mint authorization,
+ * SettlementEngine binding, YieldRouter registration and keeper operator role.
+ * Caller must be admin of the pool and of InsuranceToken.
+ */
+async function wirePool(hre, contracts, poolAddress, keeper) {
+    const pool = await hre.ethers.getContractAt("TranchePoolCore", poolAddress);
+
+    if (!(await contracts.insuranceToken.authorizedPools(poolAddress))) {
+        await (await contracts.insuranceToken.setPoolAuthorization(poolAddress, true)).wait();
+    }
+    if ((await pool.settlementEngine()) !== contracts.settlementEngine.target) {
+        await (await pool.setSettlementEngine(contracts.settlementEngine.target)).wait();
+    }
+    // Pools register themselves on deployment, unless the router was paused or replaced since
+    if (contracts.yieldRouter) {
+        if ((await pool.yieldRouter()) !== contracts.yieldRouter.target) {
+            await (await pool.setYieldRouter(contracts.yieldRouter.target)).wait();
+        }
+        if (!(await contracts.yieldRouter.poolInfo(poolAddress)).registered) {
+            await (await contracts.yieldRouter.registerPool(poolAddress)).wait();
+        }
+    }
+    if (keeper) {
+        await grantRoleIfMissing(pool, "OPERATOR_ROLE", keeper);
+    }
+    return pool;
+}
+
+task("deploy-protocol", "Deploy and wire the full DIN protocol, then write a deployment manifest")
+  .addOptionalParam("keeper", "Keeper address (defaults to KEEPER_ADDRESS from .env, then the deployer)", undefined, types.string)
+  .addOptionalParam("usdt", "Reuse an existing USDT token instead of deploying DinUSDT", undefined, types.string)
+  .addOptionalParam("din", "Reuse an existing DIN token instead of deploying DinToken", undefined, types.string)
+  .addOptionalParam("manifestDir", "Directory for the deployment manifest (defaults to ./deployments)", undefined, types.string)
+  .addOptionalParam("protocolVersion", "Protocol version recorded in DinRegistry", "1.0.0", types.string)
+  .setAction(async (taskArgs, hre) => {
+    const { ethers } = hre;
+    const { PROTOCOL_CONTRACTS, setupWallet, getManifestPath, writeManifest } = require("./utils");
+
+    console.log("🚀 DIN Protocol Deployment");
+    console.log("=" .repeat(60));
+
+    setupWallet(hre);
+    const [deployer] = await ethers.getSigners();
+    // Roles are granted by the deployer while wiring, so it administers every contract; hand over afterwards
+    const admin = deployer.address;
+    const keeper = taskArgs.keeper || process.env.KEEPER_ADDRESS || deployer.address;
+    const emergencyRecipient = process.env.EMERGENCY_RECIPIENT && ethers.isAddress(process.env.EMERGENCY_RECIPIENT)
+        ? process.env.EMERGENCY_RECIPIENT
+        : admin;
+
+    const { chainId } = await ethers.provider.getNetwork();
+    console.log(`\n👤 Deployer: ${deployer.address}`);
+    console.log(`🌐 Network: ${hre.network.name} (chainId ${chainId})`);
+    console.log(`🤖 Keeper: ${keeper}`);
+
+    // ---------------------------------------------------------------------
+    // 1. Core registry and tokens
+    // ---------------------------------------------------------------------
+    console.log("\n📦 Phase 1: Registry and tokens");
+    const registry = await deployContract(ethers, "DinRegistry", [admin, taskArgs.protocolVersion]);
+
+    const usdt = taskArgs.usdt
+        ? await ethers.getContractAt("DinUSDT", taskArgs.usdt)
+        : await deployContract(ethers, "DinUSDT", [ethers.parseUnits("1000000", 6), "DIN USD Tether", "USDT", 6]);
+    const dinToken = taskArgs.din
+        ? await ethers.getContractAt("DinToken", taskArgs.din)
+        : await deployContract(ethers, "DinToken", [admin, 1000000]);
+
+    const feeTreasury = await deployContract(ethers, "FeeTreasury", [admin, emergencyRecipient, "Emergency Treasury"]);
+    const insuranceToken = await deployContract(ethers, "InsuranceToken", [admin]);
+    const productCatalog = await deployContract(ethers, "ProductCatalog", [registry.target, admin]);
+
+    // DinoOracle and YieldRouter read token addresses from the registry in their constructors
+    await (await registry.setAddresses(
+        [await registry.USDT_TOKEN(), await registry.DIN_TOKEN(), await registry.FEE_TREASURY(), await registry.PRODUCT_CATALOG()],
+        [usdt.target, dinToken.target, feeTreasury.target, productCatalog.target]
+    )).wait();
+
+    // ---------------------------------------------------------------------
+    // 2. Oracles
+    // ---------------------------------------------------------------------
+    console.log("\n🔮 Phase 2: Oracles");
+    const oraklPriceFeed = await deployContract(ethers, "OraklPriceFeed", [admin]);
+    const dinoOracle = await deployContract(ethers, "DinoOracle", [registry.target, admin]);
+    const oracleRouter = await deployContract(ethers, "OracleRouter", [oraklPriceFeed.target, dinoOracle.target, admin]);
+
+    // ---------------------------------------------------------------------
+    // 3. Pools, yield and settlement
+    // ---------------------------------------------------------------------
+    console.log("\n🏊 Phase 3: Pools, yield and settlement");
+    const tranchePoolFactory = await deployContract(ethers, "TranchePoolFactory", [registry.target, insuranceToken.target, admin]);
+    const yieldRouter = await deployContract(ethers, "YieldRouter", [registry.target, admin]);
+    const settlementEngine = await deployContract(ethers, "SettlementEngine", [registry.target, oracleRouter.target, admin]);
+    // Pools price orders through the registered PremiumEngine; curves start flat until configured
+    const premiumEngine = await deployContract(ethers, "PremiumEngine", [registry.target, admin]);
+
+    const byName = {
+        DinRegistry: registry,
+        DinUSDT: usdt,
+        DinToken: dinToken,
+        FeeTreasury: feeTreasury,
+        InsuranceToken: insuranceToken,
+        ProductCatalog: productCatalog,
+        OraklPriceFeed: oraklPriceFeed,
+        DinoOracle: dinoOracle,
+        OracleRouter: oracleRouter,
+        TranchePoolFactory: tranchePoolFactory,
+        YieldRouter: yieldRouter,
+        SettlementEngine: settlementEngine,
+        PremiumEngine: premiumEngine
+    };
+    const contracts = Object.fromEntries(
+        Object.entries(byName).map(([name, contract]) => [PROTOCOL_CONTRACTS[name].key, contract])
+    );
+
+    // ---------------------------------------------------------------------
+    // 4. Registry wiring
+    // ---------------------------------------------------------------------
+    console.log("\n🗂️  Phase 4: Registering addresses in DinRegistry");
+    const identifiers = [];
+    const addresses = [];
+    for (const [name, info] of Object.entries(PROTOCOL_CONTRACTS)) {
+        if (!info.registryId) continue;
+        identifiers.push(await registry[info.registryId]());
+        addresses.push(byName[name].target);
+    }
+    await (await registry.setAddresses(identifiers, addresses)).wait();
+    console.log(`   ✅ ${identifiers.length} addresses registered`);
+
+    // InsuranceToken is not registered itself, but reads round states and tranche specs through the registry
+    await (await insuranceToken.setRegistry(registry.target)).wait();
+    console.log("   ✅ InsuranceToken → DinRegistry");
+
+    // ---------------------------------------------------------------------
+    // 5. Cross-contract roles
+    // ---------------------------------------------------------------------
+    console.log("\n🔐 Phase 5: Granting roles");
+    const grants = [
+        [productCatalog, "ProductCatalog", "ENGINE_ROLE", settlementEngine.target],
+        [productCatalog, "ProductCatalog", "OPERATOR_ROLE", admin],
+        [productCatalog, "ProductCatalog", "OPERATOR_ROLE", keeper],
+        [tranchePoolFactory, "TranchePoolFactory", "OPERATOR_ROLE", admin],
+        [yieldRouter, "YieldRouter", "OPERATOR_ROLE", admin],
+        [settlementEngine, "SettlementEngine", "KEEPER_ROLE", keeper],
+        [oracleRouter, "OracleRouter", "KEEPER_ROLE", keeper]
+    ];
+    for (const [contract, name, roleName, account] of grants) {
+        const granted = await grantRoleIfMissing(contract, roleName, account);
+        console.log(`   ${granted ? "✅" : "ℹ️ "} ${name}.${roleName} → ${account}${granted ? "" : " (already set)"}`);
+    }
+
+    // Pools are created later through the factory; wire any that already exist
+    const poolCount = await tranchePoolFactory.getPoolCount();
+    for (let i = 0n; i < poolCount; i++) {
+        const poolAddress = await tranchePoolFactory.allPools(i);
+        await wirePool(hre, contracts, poolAddress, keeper);
+        console.log(`   ✅ Pool wired: ${poolAddress}`);
+    }
+
+    // ---------------------------------------------------------------------
+    // 6. Manifest
+    // ---------------------------------------------------------------------
+    const manifest = {
+        network: hre.network.name,
+        chainId: chainId.toString(),
+        deployer: deployer.address,
+        admin,
+        keeper,
+        version: taskArgs.protocolVersion,
+        deployedAt: new Date().toISOString(),
+        blockNumber: await ethers.provider.getBlockNumber(),
+        contracts: Object.fromEntries(
+            Object.entries(byName).map(([name, contract]) => [name, contract.target])
+        )
+    };
+    const manifestPath = writeManifest(getManifestPath(hre.network.name, taskArgs.manifestDir), manifest);
+
+    console.log("\n" + "=" .repeat(60));
+    console.log(`📝 Manifest written: ${manifestPath}`);
+
+    return { manifest, manifestPath, contracts };
+  });
+
+// ============================================================================
+// ORACLE ROUTE BINDING
+// ============================================================================
+
+task("bind-oracle-route", "Bind a tranche oracleRouteId to the OracleRouter identifier SettlementEngine settles against")
+  .addParam("routeId", "Oracle route id referenced by TrancheSpec.oracleRouteId", undefined, types.int)
+  .addParam("identifier", "Price identifier string configured in OracleRouter (e.g., BTC-USDT)", undefined, types.string)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const { ethers } = hre;
+    const { setupWallet, loadProtocolContext, requireContracts } = require("./utils");
+
+    setupWallet(hre);
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "settlementEngine", "oracleRouter");
+
+    const identifier = ethers.keccak256(ethers.toUtf8Bytes(taskArgs.identifier));
+    if (!(await context.oracleRouter.isConfigured(identifier))) {
+        throw new Error(`${taskArgs.identifier} is not configured in OracleRouter`);
+    }
+
+    const current = await context.settlementEngine.routeIdentifiers(taskArgs.routeId);
+    if (current === identifier) {
+        console.log(`✅ Route ${taskArgs.routeId} already bound to ${taskArgs.identifier}`);
+        return { routeId: taskArgs.routeId, identifier };
+    }
+
+    console.log(`🔗 Binding route ${taskArgs.routeId} => ${taskArgs.identifier} (${identifier})`);
+    const receipt = await (await context.settlementEngine.setRouteIdentifier(taskArgs.routeId, identifier)).wait();
+    console.log(`   🧾 Tx: ${receipt.hash}`);
+
+    return { routeId: taskArgs.routeId, identifier, txHash: receipt.hash };
+  });
+
+module.exports = { wirePool };
@@ -0,0 +1,206 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+// ============================================================================
+// LOCAL EVENT STORE (SQLite)
+// ============================================================================
+// Written by the `index` task, read by monitor tasks with --from-store.
+// Every source contract keeps its own checkpoint (last indexed block) so pools
+// created later are backfilled independently. Block hashes are recorded for every
+// block that produced events and for every checkpoint, which is what reorg
+// detection compares against the chain.
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS sources (
+    address TEXT PRIMARY KEY,
+    contract TEXT NOT NULL,
+    start_block INTEGER NOT NULL,
+    indexed_to INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    address TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    event TEXT NOT NULL,
+    round_id TEXT,
+    account TEXT,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_by_round ON events (round_id, event);
+CREATE INDEX IF NOT EXISTS events_by_account ON events (account);
+CREATE INDEX IF NOT EXISTS events_by_address ON events (address, event);
+`;
+
+/**
+ * Open (and create if needed) the event store
+ * @param dbPath SQLite file path
+ * @param chainId Chain the store belongs to; a store from another chain is rejected
+ */
+function openEventStore(dbPath, chainId) {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    const db = new Database(dbPath);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+
+    const meta = Object.fromEntries(db.prepare("SELECT key, value FROM meta").all().map((row) => [row.key, row.value]));
+    if (meta.schemaVersion && Number(meta.schemaVersion) !== SCHEMA_VERSION) {
+        db.close();
+        throw new Error(`Event store ${dbPath} has schema v${meta.schemaVersion}, expected v${SCHEMA_VERSION}; delete it and re-index`);
+    }
+    if (chainId !== undefined && meta.chainId && meta.chainId !== String(chainId)) {
+        db.close();
+        throw new Error(`Event store ${dbPath} belongs to chainId ${meta.chainId}, not ${chainId}`);
+    }
+
+    const setMeta = db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value");
+    setMeta.run("schemaVersion", String(SCHEMA_VERSION));
+    if (chainId !== undefined) setMeta.run("chainId", String(chainId));
+    return db;
+}
+
+/**
+ * Open an existing store read-only (monitor tasks with --from-store)
+ */
+function openEventStoreReadOnly(dbPath) {
+    if (!fs.existsSync(dbPath)) {
+        throw new Error(`No event store at ${dbPath}; run \`npx hardhat index\` first`);
+    }
+    return new Database(dbPath, { readonly: true, fileMustExist: true });
+}
+
+/**
+ * Register a contract to index. Existing sources keep their checkpoint.
+ * @return The source row
+ */
+function addSource(db, address, contract, startBlock) {
+    const key = address.toLowerCase();
+    db.prepare(
+        "INSERT INTO sources (address, contract, start_block, indexed_to) VALUES (?, ?, ?, ?) ON CONFLICT(address) DO NOTHING"
+    ).run(key, contract, startBlock, startBlock - 1);
+    return getSource(db, key);
+}
+
+function getSource(db, address) {
+    return db.prepare("SELECT address, contract, start_block AS startBlock, indexed_to AS indexedTo FROM sources WHERE address = ?")
+        .get(address.toLowerCase());
+}
+
+function getSources(db) {
+    return db.prepare("SELECT address, contract, start_block AS startBlock, indexed_to AS indexedTo FROM sources ORDER BY start_block, address").all();
+}
+
+/**
+ * Atomically store one batch of decoded events for a source and advance its checkpoint
+ * @param batch.address Source address
+ * @param batch.toBlock Last block covered by this batch (becomes the checkpoint)
+ * @param batch.blocks [{ number, hash, timestamp }] for event blocks and toBlock
+ * @param batch.events Decoded event rows (see insertEvent fields)
+ */
+function storeBatch(db, batch) {
+    const upsertBlock = db.prepare(
+        "INSERT INTO blocks (number, hash, timestamp) VALUES (@number, @hash, @timestamp) " +
+        "ON CONFLICT(number) DO UPDATE SET hash = excluded.hash, timestamp = excluded.timestamp"
+    );
+    const insertEvent = db.prepare(
+        "INSERT OR REPLACE INTO events (block_number, log_index, block_hash, tx_hash, address, contract, event, round_id, account, args) " +
+        "VALUES (@blockNumber, @logIndex, @blockHash, @txHash, @address, @contract, @event, @roundId, @account, @args)"
+    );
+    const advance = db.prepare("UPDATE sources SET indexed_to = ? WHERE address = ?");
+
+    db.transaction(() => {
+        for (const block of batch.blocks) upsertBlock.run(block);
+        for (const event of batch.events) insertEvent.run({ ...event, address: event.address.toLowerCase() });
+        advance.run(batch.toBlock, batch.address.toLowerCase());
+    })();
+}
+
+/**
+ * Recorded block hashes, newest first (used to find the common ancestor after a reorg)
+ */
+function getRecordedBlocks(db, limit = 256) {
+    return db.prepare("SELECT number, hash, timestamp FROM blocks ORDER BY number DESC LIMIT ?").all(limit);
+}
+
+/**
+ * Drop everything above a block and pull checkpoints back to it
+ * @param blockNumber Last block that is still canonical
+ * @return Number of events removed
+ */
+function rewindTo(db, blockNumber) {
+    return db.transaction(() => {
+        const removed = db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber).changes;
+        db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+        db.prepare("UPDATE sources SET indexed_to = MAX(start_block - 1, ?) WHERE indexed_to > ?").run(blockNumber, blockNumber);
+        return removed;
+    })();
+}
+
+/**
+ * Query stored events in chain order
+ * @param filter { contract, address, event, roundId, account, events: [names] }
+ * @return Rows with parsed args and the block timestamp
+ */
+function queryEvents(db, filter = {}) {
+    const where = [];
+    const params = {};
+    if (filter.contract) { where.push("e.contract = @contract"); params.contract = filter.contract; }
+    if (filter.address) { where.push("e.address = @address"); params.address = filter.address.toLowerCase(); }
+    if (filter.event) { where.push("e.event = @event"); params.event = filter.event; }
+    if (filter.roundId !== undefined) { where.push("e.round_id = @roundId"); params.roundId = String(filter.roundId); }
+    if (filter.account) { where.push("e.account = @account"); params.account = filter.account.toLowerCase(); }
+    if (filter.events) {
+        where.push(`e.event IN (${filter.events.map((_, i) => `@event${i}`).join(", ")})`);
+        filter.events.forEach((name, i) => { params[`event${i}`] = name; });
+    }
+
+    const sql =
+        "SELECT e.block_number AS blockNumber, e.log_index AS logIndex, e.tx_hash AS txHash, e.address, e.contract, " +
+        "e.event, e.round_id AS roundId, e.account, e.args, b.timestamp " +
+        "FROM events e LEFT JOIN blocks b ON b.number = e.block_number " +
+        (where.length ? `WHERE ${where.join(" AND ")} ` : "") +
+        "ORDER BY e.block_number, e.log_index";
+
+    return db.prepare(sql).all(params).map((row) => ({ ...row, args: JSON.parse(row.args) }));
+}
+
+/**
+ * Lowest checkpoint across sources: everything up to this block is fully indexed
+ */
+function getIndexedBlock(db) {
+    const row = db.prepare("SELECT MIN(indexed_to) AS indexedTo, COUNT(*) AS count FROM sources").get();
+    return row.count === 0 ? null : row.indexedTo;
+}
+
+function countEvents(db) {
+    return db.prepare("SELECT COUNT(*) AS count FROM events").get().count;
+}
+
+module.exports = {
+    openEventStore,
+    openEventStoreReadOnly,
+    addSource,
+    getSource,
+    getSources,
+    storeBatch,
+    getRecordedBlocks,
+    rewindTo,
+    queryEvents,
+    getIndexedBlock,
+    countEvents
+};
@@ -0,0 +1,256 @@
+const { task, types } = require("hardhat/config");
+
+// ============================================================================
+// EVENT INDEXER
+// ============================================================================
+// Backfills and tails protocol events into the local SQLite store (./eventStore).
+// Checkpoints are per source contract; before each pass the newest recorded block
+// hashes are compared against the chain and the store is rewound to the last
+// common block if they diverge.
+
+// Events indexed per contract; null indexes every event the contract declares
+const INDEXED_EVENTS = {
+    ProductCatalog: ["RoundAnnounced", "RoundStateChanged", "RoundMatched"],
+    TranchePoolCore: ["BuyerOrderPlaced", "BuyerOrderUpdated", "SellerPositionCreated", "SellerPositionUpdated", "RoundMatched", "RefundProcessed", "PremiumDistributed", "PendingSharesReleased", "SharesWithdrawn", "Claimed"],
+    SettlementEngine: null,
+    FeeTreasury: null,
+    DinoOracle: null
+};
+
+// Event arguments copied into the `account` column, in priority order
+const ACCOUNT_FIELDS = ["buyer", "seller", "user", "proposer", "disputer", "voter", "recipient", "source", "account"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Build the interface and topic0 filter for every indexed contract
+ */
+async function loadEventInterfaces(hre) {
+    const interfaces = {};
+    for (const [contract, names] of Object.entries(INDEXED_EVENTS)) {
+        const { abi } = await hre.artifacts.readArtifact(contract);
+        const iface = new hre.ethers.Interface(abi);
+        const topics = [];
+        if (names) {
+            for (const name of names) topics.push(iface.getEvent(name).topicHash);
+        } else {
+            iface.forEachEvent((fragment) => topics.push(fragment.topicHash));
+        }
+        interfaces[contract] = { iface, topics };
+    }
+    return interfaces;
+}
+
+/**
+ * Contracts to index: the core singletons plus every pool the factory has created
+ */
+async function discoverSources(context) {
+    const sources = [];
+    for (const [contract, key] of [
+        ["ProductCatalog", "productCatalog"],
+        ["SettlementEngine", "settlementEngine"],
+        ["FeeTreasury", "feeTreasury"],
+        ["DinoOracle", "dinoOracle"]
+    ]) {
+        if (context[key]) sources.push({ contract, address: context[key].target });
+    }
+
+    if (context.tranchePoolFactory) {
+        const poolCount = await context.tranchePoolFactory.getPoolCount();
+        for (let i = 0n; i < poolCount; i++) {
+            sources.push({ contract: "TranchePoolCore", address: await context.tranchePoolFactory.allPools(i) });
+        }
+    }
+    return sources;
+}
+
+function plainValue(value) {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return Array.from(value, plainValue);
+    return value;
+}
+
+/**
+ * Decode a raw log into a store row
+ */
+function decodeLog(iface, contract, log) {
+    const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+    if (!parsed) return null;
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name] = plainValue(parsed.args[i]);
+    });
+    const accountField = ACCOUNT_FIELDS.find((field) => args[field] !== undefined);
+
+    return {
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        blockHash: log.blockHash,
+        txHash: log.transactionHash,
+        address: log.address,
+        contract,
+        event: parsed.name,
+        roundId: args.roundId ?? null,
+        account: accountField ? args[accountField].toLowerCase() : null,
+        args: JSON.stringify(args)
+    };
+}
+
+/**
+ * Compare recorded block hashes with the chain and rewind the store on divergence
+ * @return null when no reorg was found, otherwise { ancestor, removed }
+ */
+async function rewindReorgs(provider, db) {
+    const { getRecordedBlocks, rewindTo } = require("./eventStore");
+    const recorded = getRecordedBlocks(db);
+    if (recorded.length === 0) return null;
+
+    let ancestor = recorded[recorded.length - 1].number - 1;
+    for (const [i, stored] of recorded.entries()) {
+        const block = await provider.getBlock(stored.number);
+        if (block && block.hash === stored.hash) {
+            if (i === 0) return null;
+            ancestor = stored.number;
+            break;
+        }
+    }
+    return { ancestor, removed: rewindTo(db, ancestor) };
+}
+
+/**
+ * Run one indexing pass: reorg check, new source registration, then batched backfill
+ * of every source up to head - confirmations.
+ * @param options { startBlock, confirmations, batchSize }
+ */
+async function indexEvents(hre, context, db, options = {}) {
+    const { provider } = hre.ethers;
+    const { addSource, getSources, storeBatch } = require("./eventStore");
+    const { startBlock = 0, confirmations = 0, batchSize = 2000 } = options;
+
+    const reorg = await rewindReorgs(provider, db);
+    if (reorg) {
+        console.log(`   ⚠️  Reorg detected: rewound to block ${reorg.ancestor} (${reorg.removed} event(s) dropped)`);
+    }
+
+    for (const source of await discoverSources(context)) {
+        addSource(db, source.address, source.contract, startBlock);
+    }
+
+    const interfaces = await loadEventInterfaces(hre);
+    const head = await provider.getBlockNumber();
+    const target = head - confirmations;
+    let inserted = 0;
+
+    for (const source of getSources(db)) {
+        const { iface, topics } = interfaces[source.contract];
+
+        for (let from = source.indexedTo + 1; from <= target; from += batchSize) {
+            const to = Math.min(from + batchSize - 1, target);
+            const logs = await provider.getLogs({ address: source.address, fromBlock: from, toBlock: to, topics: [topics] });
+            const events = logs.map((log) => decodeLog(iface, source.contract, log)).filter(Boolean);
+
+            const blocks = new Map();
+            for (const number of new Set([...events.map((event) => event.blockNumber), to])) {
+                const block = await provider.getBlock(number);
+                blocks.set(number, { number, hash: block.hash, timestamp: block.timestamp });
+            }
+            // A log from a block that is no longer canonical means the chain moved under us
+            for (const event of events) {
+                if (blocks.get(event.blockNumber).hash !== event.blockHash) {
+                    throw new Error(`Chain reorganized at block ${event.blockNumber} while indexing; run the indexer again`);
+                }
+            }
+
+            storeBatch(db, { address: source.address, toBlock: to, blocks: [...blocks.values()], events });
+            inserted += events.length;
+        }
+    }
+
+    return { head, indexedTo: target, inserted, reorg };
+}
+
+task("index", "Backfill and tail protocol events into a local SQLite store")
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addOptionalParam("db", "SQLite store path (defaults to deployments/<network>.sqlite)", undefined, types.string)
+  .addOptionalParam("fromBlock", "First block for newly added sources (defaults to the manifest deployment block)", undefined, types.int)
+  .addOptionalParam("confirmations", "Blocks to stay behind the chain head", 3, types.int)
+  .addOptionalParam("batchSize", "Blocks per eth_getLogs request", 2000, types.int)
+  .addOptionalParam("interval", "Seconds between passes with --follow", 15, types.int)
+  .addFlag("follow", "Keep tailing new blocks after the backfill")
+  .setAction(async (taskArgs, hre) => {
+    const { ethers } = hre;
+    const { setupWallet, loadProtocolContext, requireContracts, getStorePath } = require("./utils");
+    const { openEventStore, getIndexedBlock, countEvents } = require("./eventStore");
+
+    console.log("🗂️  DIN Event Indexer");
+    console.log("=" .repeat(60));
+
+    setupWallet(hre);
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "productCatalog", "tranchePoolFactory", "settlementEngine");
+
+    let startBlock = taskArgs.fromBlock ?? context.manifest?.blockNumber;
+    if (startBlock === undefined) {
+        if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
+            throw new Error("No deployment manifest to take the start block from; pass --from-block");
+        }
+        startBlock = 0;
+    }
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const dbPath = taskArgs.db || getStorePath(hre.network.name);
+    const db = openEventStore(dbPath, chainId);
+    const options = {
+        startBlock,
+        confirmations: hre.network.name === "hardhat" ? 0 : taskArgs.confirmations,
+        batchSize: taskArgs.batchSize
+    };
+
+    console.log(`\n💾 Store: ${dbPath}`);
+    console.log(`📚 Contracts from: ${context.source}`);
+
+    const pass = async () => {
+        const result = await indexEvents(hre, context, db, options);
+        console.log(`   ✅ Indexed to block ${result.indexedTo} (head ${result.head}): +${result.inserted} event(s), ${countEvents(db)} total`);
+        return result;
+    };
+
+    try {
+        if (!taskArgs.follow) {
+            const result = await pass();
+            return { ...result, dbPath, indexedBlock: getIndexedBlock(db), totalEvents: countEvents(db) };
+        }
+
+        let stopping = false;
+        const stop = () => {
+            console.log("\n🛑 Stopping indexer after the current pass...");
+            stopping = true;
+        };
+        process.once("SIGINT", stop);
+        process.once("SIGTERM", stop);
+
+        console.log(`\n🔄 Tailing every ${taskArgs.interval}s (Ctrl+C to stop)`);
+        while (!stopping) {
+            try {
+                await pass();
+            } catch (error) {
+                // RPC errors and mid-pass reorgs are retried on the next pass
+                console.log(`❌ Indexing pass failed: ${error.shortMessage || error.message}`);
+            }
+            for (let waited = 0; waited < taskArgs.interval && !stopping; waited++) {
+                await sleep(1000);
+            }
+        }
+
+        process.removeListener("SIGINT", stop);
+        process.removeListener("SIGTERM", stop);
+    } finally {
+        db.close();
+    }
+  });
+
+module.exports = {
+    INDEXED_EVENTS,
+    indexEvents
+};
@@ -0,0 +1,447 @@
+const { task, types } = require("hardhat/config");
+
+// ============================================================================
+// KEEPER DAEMON
+// ============================================================================
+// Drives every round through the ProductCatalog lifecycle:
+//   ANNOUNCED --openRound--> OPEN --processMatchingBatch (until done) + closeAndMarkMatched--> ACTIVE
+//   ACTIVE --recordReferencePrice (RELATIVE tranches only)
+//   ACTIVE --recordBarrierCheckpoints (BARRIER tranches, whenever new verified DINO prices are due)
+//   ACTIVE --recordObservation (every new price in the tolerance / TWAP window before maturity)
+//   ACTIVE --requestOracleObservation (latest verified price at or before maturity)--> MATURED --settleBatch (until done)--> SETTLED
+// Each tick re-reads on-chain state before sending, so a restarted keeper (or a retry
+// after a dropped receipt) never repeats a transition that already happened. Matching and
+// settlement resume from cursors kept on-chain, so an interrupted loop picks up where it stopped.
+
+// Participants processed per matching / settlement transaction
+const DEFAULT_BATCH_SIZE = 100;
+// TranchePoolCore.BatchPhase.DONE
+const BATCH_DONE = 3n;
+
+// Actions that must not run in the same tick when their prerequisite did not go through
+const DEPENDENT_ACTIONS = {
+    match: { kind: "close", reason: "waiting for matching batches" },
+    checkpoint: { kind: "observe", reason: "waiting for barrier checkpoints" }
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function describeError(error) {
+    return error.shortMessage || error.reason || error.message || String(error);
+}
+
+/**
+ * Check whether a pool has finished matching a round (every batch processed)
+ */
+async function isRoundMatched(pool, roundId) {
+    return (await pool.matchingProgress(roundId)).phase === BATCH_DONE;
+}
+
+/**
+ * Timestamps of every verified DINO price for an identifier, ascending
+ */
+async function verifiedPriceTimestamps(context, priceIdentifier) {
+    const { dinoOracle } = context;
+    if (!dinoOracle) return [];
+
+    const fromBlock = context.manifest?.blockNumber ?? 0;
+    const accepted = await dinoOracle.queryFilter(dinoOracle.filters.ProposalAccepted(null, priceIdentifier), fromBlock);
+    const timestamps = accepted.map((event) => event.args.timestamp);
+    return [...new Set(timestamps)].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * Verified DINO price timestamps a barrier round has not checkpointed yet.
+ * The engine walks them itself between activation and maturity; the keeper only decides when to check.
+ */
+async function pendingBarrierCheckpoints(context, roundId, priceIdentifier, windowStart, windowEnd) {
+    const { lastTimestamp } = await context.settlementEngine.barrierStates(roundId);
+    const timestamps = await verifiedPriceTimestamps(context, priceIdentifier);
+    return timestamps.filter((timestamp) => timestamp > lastTimestamp && timestamp >= windowStart && timestamp <= windowEnd);
+}
+
+/**
+ * Work out the keeper actions due for every active tranche at the given chain time.
+ * Actions are returned in execution order; a round past its sales window yields
+ * "match" followed by "close" so both steps land in the same tick.
+ */
+async function planKeeperActions(hre, context, now) {
+    const { ethers } = hre;
+    const { RoundState, TriggerType, isBarrierTrigger, ROUND_STATES, ORACLE_STATUSES, oracleRouteResolver } = require("./collectors");
+    const { productCatalog, tranchePoolFactory, settlementEngine } = context;
+
+    const actions = [];
+    const activeTranches = await productCatalog.getActiveTranches();
+    const resolveRoute = oracleRouteResolver(context);
+
+    for (const trancheId of activeTranches) {
+        const spec = await productCatalog.getTranche(trancheId);
+        const roundIds = await productCatalog.getTrancheRounds(trancheId);
+        const poolAddress = await tranchePoolFactory.getTranchePool(trancheId);
+        const maturityTimestamp = Number(spec.maturityTimestamp);
+        const isRelative = Number(spec.triggerType) === TriggerType.RELATIVE;
+        const isBarrier = isBarrierTrigger(spec.triggerType);
+        // SettlementEngine derives the feed from the route; the identifier is only used to read DINO history
+        const route = await resolveRoute(spec.oracleRouteId);
+        const { symbol, identifier: priceIdentifier } = route ?? {};
+        const unbound = { kind: "skip", reason: `oracle route ${spec.oracleRouteId} not bound in SettlementEngine` };
+
+        for (const roundId of roundIds) {
+            const round = await productCatalog.getRound(roundId);
+            const state = Number(round.state);
+            const base = { trancheId, roundId, state: ROUND_STATES[state], poolAddress };
+
+            if (state === RoundState.SETTLED || state === RoundState.CANCELED) continue;
+
+            if (state === RoundState.ANNOUNCED) {
+                if (now >= Number(round.salesStartTime)) {
+                    actions.push({ ...base, kind: "open" });
+                }
+                continue;
+            }
+
+            // Everything past ANNOUNCED needs the tranche pool
+            if (poolAddress === ethers.ZeroAddress) {
+                actions.push({ ...base, kind: "skip", reason: "no TranchePoolCore deployed for tranche" });
+                continue;
+            }
+
+            if (state === RoundState.OPEN) {
+                // processMatchingBatch requires block.timestamp > salesEndTime
+                if (now > Number(round.salesEndTime)) {
+                    const pool = await ethers.getContractAt("TranchePoolCore", poolAddress);
+                    if (!(await isRoundMatched(pool, roundId))) {
+                        actions.push({ ...base, kind: "match" });
+                    }
+                    actions.push({ ...base, kind: "close" });
+                    // Record the RELATIVE baseline as soon as the round is ACTIVE
+                    if (isRelative) {
+                        actions.push(route ? { ...base, kind: "reference", symbol } : { ...base, ...unbound });
+                    }
+                }
+                continue;
+            }
+
+            if (state === RoundState.ACTIVE) {
+                if (!route && (isRelative || isBarrier || now >= maturityTimestamp)) {
+                    actions.push({ ...base, ...unbound });
+                    continue;
+                }
+                if (isRelative && (await settlementEngine.referencePrices(roundId)).timestamp === 0n) {
+                    actions.push({ ...base, kind: "reference", symbol });
+                }
+                // Checkpoints only land while the round is ACTIVE, so they go before the observation
+                if (isBarrier) {
+                    const timestamps = await pendingBarrierCheckpoints(
+                        context, roundId, priceIdentifier, round.stateChangedAt, spec.maturityTimestamp
+                    );
+                    if (timestamps.length > 0) {
+                        actions.push({ ...base, kind: "checkpoint", symbol, timestamps });
+                    }
+                }
+                // Samples keep a verified price at or before maturity on the router once the feed moves on;
+                // TWAP routes average the samples in their window
+                if (route && context.oracleRouter && now <= maturityTimestamp) {
+                    const window = route.aggregation === "TWAP"
+                        ? route.twapWindow
+                        : Number(await settlementEngine.observationTolerance());
+                    if (now >= maturityTimestamp - window) {
+                        actions.push({ ...base, kind: "sample", symbol, identifier: priceIdentifier });
+                    }
+                }
+                // The engine picks the settlement price itself
+                if (now >= maturityTimestamp) {
+                    const info = await settlementEngine.getSettlementInfo(roundId);
+                    if (Number(info.oracleStatus) === 0) {
+                        actions.push({ ...base, kind: "observe", symbol });
+                    } else {
+                        actions.push({
+                            ...base,
+                            kind: "skip",
+                            reason: `oracle status ${ORACLE_STATUSES[Number(info.oracleStatus)]}`
+                        });
+                    }
+                }
+                continue;
+            }
+
+            if (state === RoundState.MATURED) {
+                if (await settlementEngine.canFinalize(roundId)) {
+                    actions.push({ ...base, kind: "finalize" });
+                } else {
+                    const info = await settlementEngine.getSettlementInfo(roundId);
+                    const status = ORACLE_STATUSES[Number(info.oracleStatus)];
+                    const reason = status === "RESOLVED"
+                        ? `liveness window ends at ${new Date(Number(info.livenessDeadline) * 1000).toISOString()}`
+                        : `oracle status ${status}`;
+                    actions.push({ ...base, kind: "skip", reason });
+                }
+            }
+        }
+    }
+
+    return actions;
+}
+
+/**
+ * Resolve the contract call for an action plus a fresh "still needed?" check.
+ * The check runs before every attempt so retries stay idempotent.
+ */
+async function buildActionCall(hre, context, action, options = {}) {
+    const { ethers } = hre;
+    const { RoundState } = require("./collectors");
+    const { productCatalog, settlementEngine } = context;
+    const roundState = async () => Number((await productCatalog.getRound(action.roundId)).state);
+    const batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+
+    switch (action.kind) {
+        case "open":
+            return {
+                method: productCatalog.openRound,
+                args: [action.roundId],
+                pending: async () => (await roundState()) === RoundState.ANNOUNCED
+            };
+        case "match": {
+            const pool = await ethers.getContractAt("TranchePoolCore", action.poolAddress);
+            return {
+                method: pool.processMatchingBatch,
+                args: [action.roundId, batchSize],
+                batched: true,
+                pending: async () => (await roundState()) === RoundState.OPEN && !(await isRoundMatched(pool, action.roundId))
+            };
+        }
+        case "close": {
+            const pool = await ethers.getContractAt("TranchePoolCore", action.poolAddress);
+            const [totalBuyerPurchases, totalSellerCollateral, matchedAmount] = await pool.getRoundEconomics(action.roundId);
+            // Before the match step runs (dry-run), report the amount it would match
+            const expected = (await isRoundMatched(pool, action.roundId))
+                ? matchedAmount
+                : (totalBuyerPurchases < totalSellerCollateral ? totalBuyerPurchases : totalSellerCollateral);
+            return {
+                method: productCatalog.closeAndMarkMatched,
+                args: [action.roundId, expected],
+                pending: async () => (await roundState()) === RoundState.OPEN
+            };
+        }
+        case "reference":
+            return {
+                method: settlementEngine.recordReferencePrice,
+                args: [action.roundId, action.poolAddress],
+                pending: async () => (await settlementEngine.referencePrices(action.roundId)).timestamp === 0n
+            };
+        case "checkpoint": {
+            const lastTimestamp = action.timestamps[action.timestamps.length - 1];
+            return {
+                method: settlementEngine.recordBarrierCheckpoints,
+                args: [action.roundId, action.poolAddress, action.timestamps.length],
+                pending: async () => (await settlementEngine.barrierStates(action.roundId)).lastTimestamp < lastTimestamp
+            };
+        }
+        case "sample": {
+            const { oracleRouter } = context;
+            return {
+                method: oracleRouter.recordObservation,
+                args: [action.identifier],
+                // Only a price at least observationInterval after the last observation is stored
+                pending: async () => {
+                    const count = await oracleRouter.getObservationCount(action.identifier);
+                    const { valid, timestamp } = await oracleRouter.getPrice(action.identifier);
+                    if (count === 0n) return valid;
+                    const last = (await oracleRouter.observations(action.identifier, count - 1n)).timestamp;
+                    return valid && timestamp >= last + (await oracleRouter.observationInterval(action.identifier));
+                }
+            };
+        }
+        case "observe":
+            return {
+                method: settlementEngine.requestOracleObservation,
+                args: [action.roundId, action.poolAddress],
+                pending: async () => Number((await settlementEngine.getSettlementInfo(action.roundId)).oracleStatus) === 0
+            };
+        case "finalize":
+            return {
+                method: settlementEngine.settleBatch,
+                args: [action.roundId, batchSize],
+                batched: true,
+                pending: async () => !(await settlementEngine.getSettlementInfo(action.roundId)).settled
+            };
+        default:
+            throw new Error(`Unknown keeper action "${action.kind}"`);
+    }
+}
+
+/**
+ * Execute one action with retries and exponential backoff.
+ * A staticCall revert means the chain does not accept the transition yet, so it is
+ * reported as "waiting" instead of being retried; only send failures are retried.
+ * Batched actions keep sending until the on-chain cursor reports completion.
+ */
+async function executeAction(hre, context, action, options) {
+    const { dryRun = false, maxRetries = 3, retryDelayMs = 2000 } = options;
+    const label = `${action.kind} round #${action.roundId} (tranche #${action.trancheId})`;
+
+    if (action.kind === "skip") {
+        console.log(`   ⏸️  round #${action.roundId} (${action.state}): ${action.reason}`);
+        return { ...action, status: "waiting" };
+    }
+
+    let lastError;
+    let batches = 0;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        if (attempt > 0) {
+            const delay = retryDelayMs * 2 ** (attempt - 1);
+            console.log(`   🔁 Retrying ${label} in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
+            await sleep(delay);
+        }
+
+        try {
+            const call = await buildActionCall(hre, context, action, options);
+            if (!(await call.pending())) {
+                console.log(`   ✔️  ${label}: already done`);
+                return { ...action, status: "done", attempts: attempt + 1 };
+            }
+
+            try {
+                await call.method.staticCall(...call.args);
+            } catch (error) {
+                console.log(`   ⏸️  ${label}: would revert (${describeError(error)})`);
+                return { ...action, status: "waiting", error: describeError(error) };
+            }
+
+            if (dryRun) {
+                console.log(`   📝 [dry-run] ${label}`);
+                return { ...action, status: "planned", args: call.args };
+            }
+
+            let receipt;
+            do {
+                const tx = await call.method(...call.args);
+                receipt = await tx.wait();
+                batches++;
+                if (call.batched) console.log(`   📦 ${label}: batch ${batches} ${receipt.hash}`);
+            } while (call.batched && (await call.pending()));
+
+            console.log(`   ✅ ${label}: ${receipt.hash}`);
+            return { ...action, status: "sent", txHash: receipt.hash, batches, attempts: attempt + 1 };
+        } catch (error) {
+            lastError = error;
+            console.log(`   ⚠️  ${label} failed: ${describeError(error)}`);
+        }
+    }
+
+    console.log(`   ❌ ${label}: giving up after ${maxRetries + 1} attempt(s)`);
+    return { ...action, status: "failed", error: describeError(lastError) };
+}
+
+/**
+ * Run a single keeper pass against the latest block.
+ * @param hre Hardhat runtime environment
+ * @param context Protocol context from loadProtocolContext
+ * @param options { dryRun, maxRetries, retryDelayMs, batchSize }
+ * @return { blockTimestamp, results } with one result per planned action
+ */
+async function runKeeperTick(hre, context, options = {}) {
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const blockTimestamp = Number(latest.timestamp);
+    const actions = await planKeeperActions(hre, context, blockTimestamp);
+
+    console.log(`\n⏱️  Keeper tick @ block ${latest.number} (${new Date(blockTimestamp * 1000).toISOString()})`);
+    if (actions.length === 0) {
+        console.log("   💤 Nothing to do");
+    }
+
+    const results = [];
+    for (const action of actions) {
+        const result = await executeAction(hre, context, action, options);
+        results.push(result);
+        // Closing without a successful match would activate a round with no distributions, and
+        // observing before the checkpoints land would settle a barrier round without its breaches
+        const dependent = DEPENDENT_ACTIONS[action.kind];
+        if (dependent && result.status !== "sent" && result.status !== "done" && !options.dryRun) {
+            const next = actions.find((candidate) => candidate.kind === dependent.kind && candidate.roundId === action.roundId);
+            if (next) {
+                next.kind = "skip";
+                next.reason = dependent.reason;
+            }
+        }
+    }
+
+    return { blockTimestamp, results };
+}
+
+task("keeper", "Run the keeper daemon that drives rounds through the ProductCatalog lifecycle")
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addOptionalParam("interval", "Seconds between keeper ticks", 60, types.int)
+  .addOptionalParam("maxRetries", "Retries per action when a transaction fails", 3, types.int)
+  .addOptionalParam("retryDelay", "Initial retry backoff in milliseconds (doubles per retry)", 2000, types.int)
+  .addOptionalParam("batchSize", "Participants processed per matching / settlement transaction", DEFAULT_BATCH_SIZE, types.int)
+  .addFlag("once", "Run a single tick and exit")
+  .addFlag("dryRun", "Log the transactions that would be sent without sending them")
+  .setAction(async (taskArgs, hre) => {
+    const { ethers } = hre;
+    const { setupWallet, loadProtocolContext, requireContracts } = require("./utils");
+
+    console.log("🤖 DIN Keeper");
+    console.log("=" .repeat(60));
+
+    setupWallet(hre);
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "productCatalog", "tranchePoolFactory", "settlementEngine");
+
+    const [keeper] = await ethers.getSigners();
+    console.log(`\n👤 Keeper account: ${keeper.address}`);
+    console.log(`📚 Contracts from: ${context.source}`);
+    if (taskArgs.dryRun) console.log("📝 Dry-run mode: no transactions will be sent");
+
+    // Missing roles are only a warning: dry-run from any account is still useful
+    const { productCatalog, settlementEngine } = context;
+    if (!(await productCatalog.hasRole(await productCatalog.OPERATOR_ROLE(), keeper.address))) {
+        console.log("⚠️  Keeper lacks ProductCatalog OPERATOR_ROLE (openRound / closeAndMarkMatched will revert)");
+    }
+    if (!(await settlementEngine.hasRole(await settlementEngine.KEEPER_ROLE(), keeper.address))) {
+        console.log("⚠️  Keeper lacks SettlementEngine KEEPER_ROLE (observation / settlement will revert)");
+    }
+    if (context.oracleRouter && !(await context.oracleRouter.hasRole(await context.oracleRouter.KEEPER_ROLE(), keeper.address))) {
+        console.log("⚠️  Keeper lacks OracleRouter KEEPER_ROLE (recordObservation will revert)");
+    }
+
+    const options = {
+        dryRun: taskArgs.dryRun,
+        maxRetries: taskArgs.maxRetries,
+        retryDelayMs: taskArgs.retryDelay,
+        batchSize: taskArgs.batchSize
+    };
+
+    if (taskArgs.once) {
+        return runKeeperTick(hre, context, options);
+    }
+
+    let stopping = false;
+    const stop = () => {
+        console.log("\n🛑 Stopping keeper after the current tick...");
+        stopping = true;
+    };
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+
+    console.log(`\n🔄 Polling every ${taskArgs.interval}s (Ctrl+C to stop)`);
+    while (!stopping) {
+        try {
+            await runKeeperTick(hre, context, options);
+        } catch (error) {
+            // A failed poll (RPC hiccup, etc.) must not kill the daemon
+            console.log(`❌ Keeper tick failed: ${describeError(error)}`);
+        }
+        for (let waited = 0; waited < taskArgs.interval && !stopping; waited++) {
+            await sleep(1000);
+        }
+    }
+
+    process.removeListener("SIGINT", stop);
+    process.removeListener("SIGTERM", stop);
+  });
+
+module.exports = {
+    planKeeperActions,
+    runKeeperTick
+};
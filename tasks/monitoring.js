@@ -3,122 +3,89 @@ const { task, types } = require("hardhat/config");
 // ============================================================================
 // MONITORING TASKS
 // ============================================================================
+// Data gathering lives in ./collectors; these tasks only render it.
+// Every monitor-* task accepts --format table|json|csv and returns its report.
 
 task("monitor-pools", "Monitor pool health and TVL across all pools")
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addOptionalParam("format", "Output format: table, json or csv", "table", types.string)
   .setAction(async (taskArgs, hre) => {
     const { ethers } = hre;
-    const { setupWallet, getEnvAddresses } = require("./utils");
-    
-    console.log("🏊 Pool Health Monitor");
-    console.log("=" .repeat(60));
+    const { setupWallet, loadProtocolContext, requireContracts } = require("./utils");
+    const { collectPools } = require("./collectors");
+    const { parseFormat, printReport } = require("./output");
 
-    // Setup wallet and get environment variables
-    setupWallet(hre);
-    const env = getEnvAddresses();
+    const format = parseFormat(taskArgs.format);
 
-    if (!env.TRANCHE_POOL_FACTORY_ADDRESS || !env.USDT_TOKEN_ADDRESS) {
-        throw new Error("Please set TRANCHE_POOL_FACTORY_ADDRESS and USDT_TOKEN_ADDRESS (or USDT_TOKEN_ADDRESS) in your .env file");
-    }
+    // Setup wallet and resolve protocol contracts
+    setupWallet(hre);
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "tranchePoolFactory", "usdt");
 
-    const [deployer] = await ethers.getSigners();
-    console.log(`\n👤 Using account: ${deployer.address}`);
+    try {
+        const report = await collectPools(hre, context);
+        if (printReport(format, report, report.pools)) return report;
 
-    const tranchePoolFactory = await ethers.getContractAt("TranchePoolFactory", env.TRANCHE_POOL_FACTORY_ADDRESS);
-    const usdt = await ethers.getContractAt("DinUSDT", env.USDT_TOKEN_ADDRESS);
+        console.log("🏊 Pool Health Monitor");
+        console.log("=" .repeat(60));
 
-    try {
-        // Get pool count first, then get all pools by index
-        const poolCount = await tranchePoolFactory.getPoolCount();
-        console.log(`\n🏊 Found ${poolCount} pool(s)`);
-        
-        // Get all pools by accessing the public allPools array
-        const allPools = [];
-        for (let i = 0; i < poolCount; i++) {
-            try {
-                const poolAddress = await tranchePoolFactory.allPools(i);
-                allPools.push(poolAddress);
-            } catch (error) {
-                console.log(`Warning: Could not fetch pool at index ${i}`);
-            }
-        }
+        const [deployer] = await ethers.getSigners();
+        console.log(`\n👤 Using account: ${deployer.address}`);
+        console.log(`\n🏊 Found ${report.pools.length} pool(s)`);
 
-        if (allPools.length === 0) {
-            console.log("\n⚠️  No pools found. Create pools first:");
-            console.log("   npx hardhat create-pools");
-            return;
+        if (report.pools.length === 0) {
+            console.log("\n⚠️  No pools found. Create a pool for each tranche first:");
+            console.log("   npx hardhat create-pool --tranche-id <id>");
+            return report;
         }
 
-        let totalTVL = 0n;
-        let totalAssets = 0n;
-        let totalLockedAssets = 0n;
-
         console.log("\n📊 Pool Overview:");
         console.log("──────────────────────────────────────────────────");
 
-        for (let i = 0; i < allPools.length; i++) {
-            const poolAddress = allPools[i];
-            const pool = await ethers.getContractAt("TranchePoolCore", poolAddress);
-            
-            try {
-                const trancheInfo = await pool.getTrancheInfo();
-                const poolAccounting = await pool.getPoolAccounting();
-                const usdtBalance = await usdt.balanceOf(poolAddress);
-                
-                console.log(`\n🏊 Pool ${i}: Tranche ${trancheInfo.trancheId}`);
-                console.log(`   💰 Total Assets: $${ethers.formatUnits(poolAccounting.totalAssets, 6)}`);
-                console.log(`   🔒 Locked: $${ethers.formatUnits(poolAccounting.lockedAssets, 6)}`);
-                console.log(`   💸 In Yield: $${ethers.formatUnits(poolAccounting.yieldDeposited || 0n, 6)}`);
-                console.log(`   🎁 Yield Earned: $${ethers.formatUnits(poolAccounting.yieldEarned || 0n, 6)}`);
-                console.log(`   💎 NAV/Share: ${ethers.formatEther(poolAccounting.navPerShare)}`);
-                
-                // Calculate utilization
-                const utilization = poolAccounting.totalAssets > 0n ? 
-                    (poolAccounting.lockedAssets * 10000n) / poolAccounting.totalAssets : 0n;
-                console.log(`   📈 Utilization: ${Number(utilization) / 100}%`);
-                
-                // Health checks
-                const balanceVsAccounting = poolAccounting.totalAssets - usdtBalance;
-                const navHealth = poolAccounting.navPerShare;
-                
-                if (balanceVsAccounting !== 0n) {
-                    console.log(`   ⚠️  Balance mismatch: ${ethers.formatUnits(balanceVsAccounting, 6)}`);
-                }
-                
-                if (navHealth < ethers.parseEther("0.5") || navHealth > ethers.parseEther("2.0")) {
-                    console.log(`   ⚠️  NAV unusual: ${ethers.formatEther(navHealth)}`);
-                }
-                
-                totalTVL += usdtBalance;
-                totalAssets += poolAccounting.totalAssets;
-                totalLockedAssets += poolAccounting.lockedAssets;
-                
-            } catch (poolError) {
-                console.log(`\n❌ Pool ${i}: Error reading pool data`);
-                console.log(`   📍 Address: ${poolAddress}`);
-                console.log(`   ⚠️  Error: ${poolError.message}`);
+        for (const pool of report.pools) {
+            if (pool.error) {
+                console.log(`\n❌ Pool ${pool.index}: Error reading pool data`);
+                console.log(`   📍 Address: ${pool.address}`);
+                console.log(`   ⚠️  Error: ${pool.error}`);
+                continue;
+            }
+
+            console.log(`\n🏊 Pool ${pool.index}: Tranche ${pool.trancheId}`);
+            console.log(`   💰 Total Assets: $${pool.totalAssets.formatted}`);
+            console.log(`   🔒 Locked: $${pool.lockedAssets.formatted}`);
+            console.log(`   💸 In Yield: $${pool.yieldDeposited.formatted}`);
+            console.log(`   🎁 Yield Earned: $${pool.yieldEarned.formatted}`);
+            console.log(`   💎 NAV/Share: ${pool.navPerShare.formatted}`);
+            console.log(`   📈 Utilization: ${pool.utilizationBps / 100}%`);
+
+            // Health checks
+            if (pool.balanceMismatch.raw !== 0n) {
+                console.log(`   ⚠️  Balance mismatch: ${pool.balanceMismatch.formatted}`);
+            }
+            if (pool.navPerShare.raw < ethers.parseEther("0.5") || pool.navPerShare.raw > ethers.parseEther("2.0")) {
+                console.log(`   ⚠️  NAV unusual: ${pool.navPerShare.formatted}`);
             }
         }
 
+        const { summary } = report;
         console.log("\n" + "=" .repeat(60));
         console.log("📊 System Summary");
         console.log("=" .repeat(60));
-        console.log(`💰 Total TVL: $${ethers.formatUnits(totalTVL, 6)}`);
-        console.log(`📊 Total Assets (Accounting): $${ethers.formatUnits(totalAssets, 6)}`);
-        console.log(`🔒 Total Locked Assets: $${ethers.formatUnits(totalLockedAssets, 6)}`);
-        console.log(`💧 Total Available: $${ethers.formatUnits(totalAssets - totalLockedAssets, 6)}`);
-        
-        const overallUtilization = totalAssets > 0n ? 
-            (totalLockedAssets * 10000n) / totalAssets : 0n;
-        console.log(`📈 Overall Utilization: ${Number(overallUtilization) / 100}%`);
+        console.log(`💰 Total TVL: $${summary.tvl.formatted}`);
+        console.log(`📊 Total Assets (Accounting): $${summary.totalAssets.formatted}`);
+        console.log(`🔒 Total Locked Assets: $${summary.lockedAssets.formatted}`);
+        console.log(`💧 Total Available: $${summary.availableAssets.formatted}`);
+        console.log(`📈 Overall Utilization: ${summary.utilizationBps / 100}%`);
 
         console.log("\n📝 Health Status:");
-        if (Number(overallUtilization) > 8000) { // > 80%
+        if (summary.utilizationBps > 8000) { // > 80%
             console.log("⚠️  High utilization - consider expanding capacity");
-        } else if (Number(overallUtilization) < 1000) { // < 10%
+        } else if (summary.utilizationBps < 1000) { // < 10%
             console.log("💡 Low utilization - more marketing needed");
         } else {
             console.log("✅ Healthy utilization levels");
         }
+        return report;
 
     } catch (error) {
         console.error(`❌ Error: ${error.message}`);
@@ -127,197 +94,104 @@ task("monitor-pools", "Monitor pool health and TVL across all pools")
   });
 
 task("monitor-tranches", "Monitor all tranches with auto-discovery and risk analysis")
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addOptionalParam("format", "Output format: table, json or csv", "table", types.string)
   .setAction(async (taskArgs, hre) => {
     const { ethers } = hre;
-    require("dotenv").config();
+    const { loadProtocolContext, requireContracts } = require("./utils");
+    const { collectTranches } = require("./collectors");
+    const { parseFormat, printReport } = require("./output");
 
-    console.log("🎯 Tranche Monitor with Auto-Discovery");
-    console.log("=" .repeat(60));
+    const format = parseFormat(taskArgs.format);
 
-    const PRODUCT_CATALOG_ADDRESS = process.env.PRODUCT_CATALOG_ADDRESS;
-    const TRANCHE_POOL_FACTORY_ADDRESS = process.env.TRANCHE_POOL_FACTORY_ADDRESS;
-    const ORACLE_ROUTER_ADDRESS = process.env.ORACLE_ROUTER_ADDRESS;
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "productCatalog", "tranchePoolFactory");
 
-    if (!PRODUCT_CATALOG_ADDRESS || !TRANCHE_POOL_FACTORY_ADDRESS) {
-        throw new Error("Please set required contract addresses in your .env file");
-    }
+    try {
+        const report = await collectTranches(hre, context);
+        if (printReport(format, report, report.tranches)) return report;
 
-    const [deployer] = await ethers.getSigners();
-    console.log(`\n👤 Using account: ${deployer.address}`);
+        console.log("🎯 Tranche Monitor with Auto-Discovery");
+        console.log("=" .repeat(60));
 
-    const productCatalog = await ethers.getContractAt("ProductCatalog", PRODUCT_CATALOG_ADDRESS);
-    const tranchePoolFactory = await ethers.getContractAt("TranchePoolFactory", TRANCHE_POOL_FACTORY_ADDRESS);
-    
-    let oracleRouter;
-    if (ORACLE_ROUTER_ADDRESS) {
-        oracleRouter = await ethers.getContractAt("OracleRouter", ORACLE_ROUTER_ADDRESS);
-    }
+        const [deployer] = await ethers.getSigners();
+        console.log(`\n👤 Using account: ${deployer.address}`);
+        console.log(`\n🔍 Auto-discovered ${report.tranches.length} active tranche(s)`);
 
-    try {
-        // Auto-discover all tranches
-        const activeTranches = await productCatalog.getActiveTranches();
-        console.log(`\n🔍 Auto-discovered ${activeTranches.length} active tranche(s)`);
-
-        if (activeTranches.length === 0) {
-            console.log("\n⚠️  No active tranches found. Register products first:");
-            console.log("   npx hardhat register-products");
-            return;
+        if (report.tranches.length === 0) {
+            console.log("\n⚠️  No active tranches found. Create a product and tranche first:");
+            console.log("   npx hardhat create-product --spec product.yaml");
+            console.log("   npx hardhat create-tranche --spec tranche.yaml");
+            return report;
         }
 
-        // Get current market prices for risk analysis
-        let marketPrices = {};
-        if (oracleRouter) {
-            const symbols = ["BTC-USDT", "ETH-USDT", "KAIA-USDT"];
+        if (report.marketPrices.length > 0) {
             console.log(`\n💰 Current Market Prices:`);
-            for (const symbol of symbols) {
-                try {
-                    const identifier = ethers.keccak256(ethers.toUtf8Bytes(symbol));
-                    const priceResult = await oracleRouter.getPrice(identifier);
-                    const price = Number(ethers.formatUnits(priceResult.price, 8));
-                    marketPrices[symbol] = price;
-                    console.log(`   ${symbol}: $${price.toLocaleString()}`);
-                } catch (priceError) {
-                    console.log(`   ${symbol}: ❌ ${priceError.message}`);
-                    marketPrices[symbol] = null;
+            for (const entry of report.marketPrices) {
+                if (entry.error) {
+                    console.log(`   ${entry.symbol}: ❌ ${entry.error}`);
+                } else {
+                    console.log(`   ${entry.symbol}: $${Number(entry.price.formatted).toLocaleString()}`);
                 }
             }
         }
 
-        let portfolioStats = {
-            totalCapacity: 0,
-            totalPremiumPool: 0,
-            totalRevenue: 0,
-            lowRisk: 0,
-            mediumRisk: 0,
-            highRisk: 0,
-            triggered: 0
-        };
-
         console.log("\n📊 Tranche Analysis:");
         console.log("──────────────────────────────────────────────────");
 
-        for (let i = 0; i < activeTranches.length; i++) {
-            const trancheId = activeTranches[i];
-            
-            try {
-                const trancheSpec = await productCatalog.getTranche(trancheId);
-                const poolAddress = await tranchePoolFactory.getTranchePool(trancheId);
-                
-                console.log(`\n🎯 Tranche ${trancheId}`);
-                console.log(`   📍 Pool: ${poolAddress}`);
-                
-                const triggerPrice = Number(ethers.formatEther(trancheSpec.threshold));
-                const trancheCap = Number(ethers.formatUnits(trancheSpec.trancheCap, 6));
-                const premiumRate = Number(trancheSpec.premiumRateBps) / 100;
-                const maturityTime = Number(trancheSpec.maturityTimestamp);
-                const now = Math.floor(Date.now() / 1000);
-                const daysToMaturity = (maturityTime - now) / (24 * 60 * 60);
-                const annualizedYield = premiumRate * (365 / Math.max(daysToMaturity, 1));
-                
-                // Determine trigger direction based on TriggerType
-                const triggerType = Number(trancheSpec.triggerType);
-                const triggerDirection = triggerType === 0 ? "BELOW" : triggerType === 1 ? "ABOVE" : "OTHER";
-                
-                console.log(`   🎯 Trigger: $${triggerPrice.toLocaleString()} (${triggerDirection})`);
-                console.log(`   💰 Premium Rate: ${premiumRate}%`);
-                console.log(`   🏦 Capacity: $${trancheCap.toLocaleString()}`);
-                console.log(`   📅 Maturity: ${new Date(maturityTime * 1000).toLocaleString()}`);
-                console.log(`   ⏰ Days to Maturity: ${daysToMaturity.toFixed(1)}`);
-                console.log(`   📈 Annualized Yield: ${annualizedYield.toFixed(2)}%`);
-                
-                // Risk analysis - determine which oracle identifier to use
-                let riskLevel = "Unknown";
-                let riskColor = "⚪";
-                
-                // Determine relevant market price based on oracle route ID or product type
-                let relevantPrice = marketPrices["BTC-USDT"]; // Default to BTC
-                const oracleRouteId = Number(trancheSpec.oracleRouteId || 1);
-                
-                // Map oracle route IDs to symbols (based on configureOracles.js)
-                const routeMapping = {
-                    1: "BTC-USDT",    // Default BTC route
-                    2: "ETH-USDT",    // ETH route 
-                    3: "KAIA-USDT"    // KAIA route
-                };
-                
-                const targetSymbol = routeMapping[oracleRouteId] || "BTC-USDT";
-                relevantPrice = marketPrices[targetSymbol];
-                
-                console.log(`   🔮 Oracle Route: ${targetSymbol} (Route ID: ${oracleRouteId})`);
-                
-                if (relevantPrice && triggerDirection !== "OTHER") {
-                    let distanceToTrigger;
-                    if (triggerDirection === "BELOW") {
-                        distanceToTrigger = ((relevantPrice - triggerPrice) / relevantPrice) * 100;
-                    } else { // ABOVE
-                        distanceToTrigger = ((triggerPrice - relevantPrice) / relevantPrice) * 100;
-                    }
-                    
-                    console.log(`   📊 Current Price: $${relevantPrice.toLocaleString()}`);
-                    console.log(`   📊 Distance to Trigger: ${distanceToTrigger.toFixed(2)}%`);
-                    
-                    if (distanceToTrigger <= 0) {
-                        riskLevel = "Triggered";
-                        riskColor = "🔴";
-                        portfolioStats.triggered++;
-                    } else if (distanceToTrigger < 5) {
-                        riskLevel = "High Risk";
-                        riskColor = "🟠";
-                        portfolioStats.highRisk++;
-                    } else if (distanceToTrigger < 15) {
-                        riskLevel = "Medium Risk";
-                        riskColor = "🟡";
-                        portfolioStats.mediumRisk++;
-                    } else {
-                        riskLevel = "Low Risk";
-                        riskColor = "🟢";
-                        portfolioStats.lowRisk++;
-                    }
-                } else if (!relevantPrice) {
-                    console.log(`   ⚠️  No price data available for ${targetSymbol}`);
-                }
-                
-                console.log(`   ${riskColor} Risk Level: ${riskLevel}`);
-                
-                // Get pool data if available
-                if (poolAddress !== ethers.ZeroAddress) {
-                    const pool = await ethers.getContractAt("TranchePoolCore", poolAddress);
-                    const poolAccounting = await pool.getPoolAccounting();
-                    
-                    const utilizationRate = trancheCap > 0 ? (Number(ethers.formatUnits(poolAccounting.totalAssets, 6)) / trancheCap) * 100 : 0;
-                    
-                    console.log(`   💧 Pool Assets: $${ethers.formatUnits(poolAccounting.totalAssets, 6)}`);
-                    console.log(`   📈 Utilization: ${utilizationRate.toFixed(2)}%`);
-                    
-                    portfolioStats.totalCapacity += trancheCap;
-                    portfolioStats.totalRevenue += Number(ethers.formatUnits(poolAccounting.totalAssets, 6)) * (premiumRate / 100);
-                }
-                
-            } catch (trancheError) {
-                console.log(`\n❌ Tranche ${trancheId}: Error reading data`);
-                console.log(`   ⚠️  Error: ${trancheError.message}`);
+        const riskColors = { "Triggered": "🔴", "High Risk": "🟠", "Medium Risk": "🟡", "Low Risk": "🟢", "Unknown": "⚪" };
+        for (const tranche of report.tranches) {
+            if (tranche.error) {
+                console.log(`\n❌ Tranche ${tranche.trancheId}: Error reading data`);
+                console.log(`   ⚠️  Error: ${tranche.error}`);
+                continue;
+            }
+
+            console.log(`\n🎯 Tranche ${tranche.trancheId}`);
+            console.log(`   📍 Pool: ${tranche.poolAddress}`);
+            console.log(`   🎯 Trigger: $${Number(tranche.threshold.formatted).toLocaleString()} (${tranche.triggerDirection})`);
+            console.log(`   💰 Premium Rate: ${tranche.premiumRateBps / 100}%`);
+            console.log(`   🏦 Capacity: $${Number(tranche.trancheCap.formatted).toLocaleString()}`);
+            console.log(`   📅 Maturity: ${new Date(tranche.maturityTimestamp * 1000).toLocaleString()}`);
+            console.log(`   ⏰ Days to Maturity: ${tranche.daysToMaturity.toFixed(1)}`);
+            console.log(`   📈 Annualized Yield: ${tranche.annualizedYieldPct.toFixed(2)}%`);
+            console.log(`   🔮 Oracle Route: ${tranche.symbol ?? "⚠️ not bound in SettlementEngine"} (Route ID: ${tranche.oracleRouteId})`);
+
+            if (tranche.distanceToTriggerPct !== null) {
+                console.log(`   📊 Current Price: $${tranche.currentPrice.toLocaleString()}`);
+                console.log(`   📊 Distance to Trigger: ${tranche.distanceToTriggerPct.toFixed(2)}%`);
+            } else if (!tranche.currentPrice && tranche.symbol) {
+                console.log(`   ⚠️  No price data available for ${tranche.symbol}`);
+            }
+            console.log(`   ${riskColors[tranche.riskLevel]} Risk Level: ${tranche.riskLevel}`);
+
+            if (tranche.poolAssets) {
+                console.log(`   💧 Pool Assets: $${tranche.poolAssets.formatted}`);
+                console.log(`   📈 Utilization: ${tranche.utilizationPct.toFixed(2)}%`);
             }
         }
 
+        const { summary } = report;
         console.log("\n" + "=" .repeat(60));
         console.log("📊 Portfolio Summary");
         console.log("=" .repeat(60));
-        console.log(`🏦 Total Capacity: $${portfolioStats.totalCapacity.toLocaleString()}`);
-        console.log(`💰 Estimated Revenue: $${portfolioStats.totalRevenue.toLocaleString()}`);
+        console.log(`🏦 Total Capacity: $${Number(summary.totalCapacity.formatted).toLocaleString()}`);
+        console.log(`💰 Estimated Revenue: $${Number(summary.estimatedRevenue.formatted).toLocaleString()}`);
         console.log(`\n🎯 Risk Distribution:`);
-        console.log(`   🟢 Low Risk: ${portfolioStats.lowRisk}`);
-        console.log(`   🟡 Medium Risk: ${portfolioStats.mediumRisk}`);
-        console.log(`   🟠 High Risk: ${portfolioStats.highRisk}`);
-        console.log(`   🔴 Triggered: ${portfolioStats.triggered}`);
+        console.log(`   🟢 Low Risk: ${summary.lowRisk}`);
+        console.log(`   🟡 Medium Risk: ${summary.mediumRisk}`);
+        console.log(`   🟠 High Risk: ${summary.highRisk}`);
+        console.log(`   🔴 Triggered: ${summary.triggered}`);
 
         console.log("\n📝 Recommendations:");
-        if (portfolioStats.triggered > 0) {
+        if (summary.triggered > 0) {
             console.log("🚨 URGENT: Some tranches are triggered - check settlement!");
-        } else if (portfolioStats.highRisk > portfolioStats.lowRisk) {
+        } else if (summary.highRisk > summary.lowRisk) {
             console.log("⚠️  High risk concentration - monitor closely");
         } else {
             console.log("✅ Balanced risk portfolio");
         }
+        return report;
 
     } catch (error) {
         console.error(`❌ Error: ${error.message}`);
@@ -326,298 +200,136 @@ task("monitor-tranches", "Monitor all tranches with auto-discovery and risk anal
   });
 
 task("monitor-insurances", "Monitor insurance rounds with settlement status and lifecycle tracking")
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addOptionalParam("format", "Output format: table, json or csv", "table", types.string)
+  .addOptionalParam("db", "Event store path for --from-store (defaults to deployments/<network>.sqlite)", undefined, types.string)
+  .addFlag("fromStore", "Read participants and round history from the local event store (see the index task)")
   .setAction(async (taskArgs, hre) => {
     const { ethers } = hre;
-    require("dotenv").config();
+    const { loadProtocolContext, requireContracts, getStorePath } = require("./utils");
+    const { collectInsurances, RoundState } = require("./collectors");
+    const { parseFormat, printReport } = require("./output");
 
-    console.log("🔍 Insurance Lifecycle Monitor");
-    console.log("=" .repeat(60));
+    const format = parseFormat(taskArgs.format);
 
-    const PRODUCT_CATALOG_ADDRESS = process.env.PRODUCT_CATALOG_ADDRESS;
-    const TRANCHE_POOL_FACTORY_ADDRESS = process.env.TRANCHE_POOL_FACTORY_ADDRESS;
-    const SETTLEMENT_ENGINE_ADDRESS = process.env.SETTLEMENT_ENGINE_ADDRESS;
-    const ORACLE_ROUTER_ADDRESS = process.env.ORACLE_ROUTER_ADDRESS;
-
-    if (!PRODUCT_CATALOG_ADDRESS || !TRANCHE_POOL_FACTORY_ADDRESS) {
-        throw new Error("Please set required contract addresses in your .env file");
-    }
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "productCatalog", "tranchePoolFactory");
+    const store = taskArgs.fromStore
+        ? require("./eventStore").openEventStoreReadOnly(taskArgs.db || getStorePath(hre.network.name))
+        : null;
 
-    const [deployer] = await ethers.getSigners();
-    console.log(`\n👤 Using account: ${deployer.address}`);
+    try {
+        const report = await collectInsurances(hre, context, { store });
+        // One CSV row per round, tagged with its tranche (history only in json/table)
+        const rows = report.tranches.flatMap((tranche) =>
+            tranche.rounds.map(({ history, ...round }) => ({ trancheId: tranche.trancheId, tranche: tranche.displayName, ...round }))
+        );
+        if (printReport(format, report, rows)) return report;
+
+        console.log("🔍 Insurance Lifecycle Monitor");
+        console.log("=" .repeat(60));
 
-    const productCatalog = await ethers.getContractAt("ProductCatalog", PRODUCT_CATALOG_ADDRESS);
-    const tranchePoolFactory = await ethers.getContractAt("TranchePoolFactory", TRANCHE_POOL_FACTORY_ADDRESS);
-    
-    let settlementEngine, oracleRouter;
-    if (SETTLEMENT_ENGINE_ADDRESS) {
-        settlementEngine = await ethers.getContractAt("SettlementEngine", SETTLEMENT_ENGINE_ADDRESS);
-    }
-    if (ORACLE_ROUTER_ADDRESS) {
-        oracleRouter = await ethers.getContractAt("OracleRouter", ORACLE_ROUTER_ADDRESS);
-    }
+        const [deployer] = await ethers.getSigners();
+        console.log(`\n👤 Using account: ${deployer.address}`);
+        if (store) console.log(`💾 Participants and history from event store (indexed to block ${report.indexedBlock})`);
+        console.log(`\n🔍 Found ${report.tranches.length} active tranche(s) with rounds`);
 
-    try {
-        // Get current market prices for reference
-        let marketPrices = {};
-        if (oracleRouter) {
-            const symbols = ["BTC-USDT", "ETH-USDT", "KAIA-USDT"];
-            for (const symbol of symbols) {
-                try {
-                    const identifier = ethers.keccak256(ethers.toUtf8Bytes(symbol));
-                    const priceResult = await oracleRouter.getPrice(identifier);
-                    const price = Number(ethers.formatUnits(priceResult.price, 8));
-                    marketPrices[symbol] = price;
-                } catch (priceError) {
-                    marketPrices[symbol] = null;
-                }
+        const now = Math.floor(Date.now() / 1000);
+        for (const tranche of report.tranches) {
+            if (tranche.error) {
+                console.log(`\n❌ Error reading tranche ${tranche.trancheId}: ${tranche.error}`);
+                continue;
             }
-        }
 
-        // Auto-discover active tranches and their rounds
-        const activeTranches = await productCatalog.getActiveTranches();
-        console.log(`\n🔍 Found ${activeTranches.length} active tranche(s)`);
+            console.log(`\n🎯 Tranche ${tranche.trancheId}: ${tranche.displayName}`);
+            console.log(`   🎯 Trigger: $${Number(tranche.threshold.formatted).toLocaleString()} (${tranche.triggerDirection})`);
 
-        let totalCoverage = 0n;
-        let roundsRequiringAction = [];
-        const now = Math.floor(Date.now() / 1000);
+            for (const round of tranche.rounds) {
+                console.log(`\n   📋 Round ${round.roundId}: ${round.stateName}`);
+
+                // Always show timeline
+                console.log(`      📅 Sales: ${new Date(round.salesStartTime * 1000).toLocaleString()} → ${new Date(round.salesEndTime * 1000).toLocaleString()}`);
+                console.log(`      📅 Maturity: ${new Date(round.maturityTimestamp * 1000).toLocaleString()}`);
+                if (round.createdAt) console.log(`      🧾 Created: ${new Date(round.createdAt * 1000).toLocaleString()}`);
+                if (round.stateChangedAt) console.log(`      🔄 Last State Change: ${new Date(round.stateChangedAt * 1000).toLocaleString()}`);
+                for (const change of round.history || []) {
+                    console.log(`         - ${change.from} → ${change.to} @ ${new Date(change.timestamp * 1000).toLocaleString()} (block ${change.blockNumber})`);
+                }
 
-        for (const trancheId of activeTranches) {
-            try {
-                const trancheRounds = await productCatalog.getTrancheRounds(trancheId);
-                if (trancheRounds.length === 0) continue;
-
-                const trancheSpec = await productCatalog.getTranche(trancheId);
-                const poolAddress = await tranchePoolFactory.getTranchePool(trancheId);
-
-                // Build a human-readable tranche name from oracle route, trigger direction, and threshold
-                const oracleRouteId = Number(trancheSpec.oracleRouteId || 1);
-                const routeMapping = { 1: "BTC-USDT", 2: "ETH-USDT", 3: "KAIA-USDT" };
-                const symbol = routeMapping[oracleRouteId] || "BTC-USDT";
-                const triggerDir = Number(trancheSpec.triggerType) === 0 ? "BELOW" : (Number(trancheSpec.triggerType) === 1 ? "ABOVE" : "OTHER");
-                const thresholdHuman = Number(ethers.formatEther(trancheSpec.threshold));
-                const trancheDisplayName = `${symbol} ${triggerDir} $${thresholdHuman.toLocaleString()}`;
-                
-                console.log(`\n🎯 Tranche ${trancheId}: ${trancheDisplayName}`);
-                console.log(`   🎯 Trigger: $${Number(ethers.formatEther(trancheSpec.threshold)).toLocaleString()} (${Number(trancheSpec.triggerType) === 0 ? 'BELOW' : 'ABOVE'})`);
-                
-                for (const roundId of trancheRounds) {
-                    const roundInfo = await productCatalog.getRound(roundId);
-                    const roundState = ['ANNOUNCED', 'OPEN', 'ACTIVE', 'MATURED', 'SETTLED', 'CANCELED'][roundInfo.state];
-                    
-                    // Show recent settled rounds (within 24 hours) but skip old ones
-                    if (roundInfo.state === 6) continue; // Skip CANCELED
-                    if (roundInfo.state === 5) { // SETTLED
-                        const hoursSinceSettlement = (now - stateChangedAt) / 3600;
-                        if (hoursSinceSettlement > 24) continue; // Skip if older than 24 hours
+                // Buyer/seller status and economics
+                if (round.economics) {
+                    const { economics, buyers, sellers } = round;
+                    console.log(`      💰 Coverage (matched): $${economics.matchedAmount.formatted}`);
+                    console.log(`      🔒 Locked Collateral: $${economics.lockedCollateral.formatted}`);
+
+                    console.log(`      👥 Buyers: ${buyers.count} (filled ${buyers.filled}, unfilled ${buyers.unfilled})`);
+                    console.log(`         - Purchased: $${economics.totalBuyerPurchases.formatted} | Filled: $${buyers.filledAmount.formatted} | Unmatched: $${buyers.unmatched.formatted}`);
+                    if (buyers.premiumRefunds.raw > 0n) {
+                        console.log(`         - Premium refunds: $${buyers.premiumRefunds.formatted}`);
                     }
-                    
-                    console.log(`\n   📋 Round ${roundId}: ${roundState}`);
-
-                    // Always show timeline
-                    const salesStart = Number(roundInfo.salesStartTime);
-                    const salesEnd = Number(roundInfo.salesEndTime);
-                    const maturityTs = Number(trancheSpec.maturityTimestamp);
-                    const createdAt = Number(roundInfo.createdAt || 0);
-                    const stateChangedAt = Number(roundInfo.stateChangedAt || 0);
-                    console.log(`      📅 Sales: ${new Date(salesStart * 1000).toLocaleString()} → ${new Date(salesEnd * 1000).toLocaleString()}`);
-                    console.log(`      📅 Maturity: ${new Date(maturityTs * 1000).toLocaleString()}`);
-                    if (createdAt) console.log(`      🧾 Created: ${new Date(createdAt * 1000).toLocaleString()}`);
-                    if (stateChangedAt) console.log(`      🔄 Last State Change: ${new Date(stateChangedAt * 1000).toLocaleString()}`);
-
-                    // Show buyer/seller status and economics (always)
-                    if (poolAddress !== ethers.ZeroAddress) {
-                        const pool = await ethers.getContractAt("TranchePoolCore", poolAddress);
-                        const [totalBuyerPurchases, totalSellerCollateral, matchedAmount, lockedCollateral, premiumPool] = await pool.getRoundEconomics(roundId);
-
-                        // Aggregate buyer/seller details
-                        let buyers = [], sellers = [];
-                        try {
-                            const participants = await pool.getRoundParticipants(roundId);
-                            buyers = participants[0] || [];
-                            sellers = participants[1] || [];
-                        } catch {}
-
-                        // Buyers aggregation
-                        let buyerCount = buyers.length;
-                        let buyersFilled = 0, buyersUnfilled = 0;
-                        let buyerFilledAmount = 0n, buyerUnfilledPremiumRefund = 0n;
-                        for (const b of buyers) {
-                            try {
-                                const o = await pool.getBuyerOrder(roundId, b);
-                                if (o.buyer !== ethers.ZeroAddress) {
-                                    if (o.filled) {
-                                        buyersFilled++;
-                                        buyerFilledAmount += o.purchaseAmount;
-                                    } else {
-                                        buyersUnfilled++;
-                                        if (o.refunded) buyerUnfilledPremiumRefund += o.premiumPaid;
-                                    }
-                                }
-                            } catch {}
-                        }
 
-                        // Sellers aggregation
-                        let sellerCount = sellers.length;
-                        let sellersFilled = 0, sellersUnfilled = 0;
-                        for (const s of sellers) {
-                            try {
-                                const p = await pool.getSellerPosition(roundId, s);
-                                if (p.seller !== ethers.ZeroAddress) {
-                                    if (p.filled) {
-                                        sellersFilled++;
-                                    } else {
-                                        if (p.refunded) sellersUnfilled++;
-                                    }
-                                }
-                            } catch {}
-                        }
+                    console.log(`      🏦 Sellers: ${sellers.count} (filled ${sellers.filled}, unfilled ${sellers.unfilled})`);
+                    console.log(`         - Collateral: $${economics.totalSellerCollateral.formatted} | Filled: $${economics.matchedAmount.formatted} | Unmatched refunded: $${sellers.unmatched.formatted}`);
+                }
 
-                        // Economics summary
-                        console.log(`      💰 Coverage (matched): $${ethers.formatUnits(matchedAmount, 6)}`);
-                        // After settlement, locked collateral should be 0 in pool accounting
-                        const lockedDisplay = roundInfo.state === 5 ? 0n : lockedCollateral;
-                        console.log(`      🔒 Locked Collateral: $${ethers.formatUnits(lockedDisplay, 6)}`);
-
-                        // Buyer status
-                        const buyersUnmatched = totalBuyerPurchases > matchedAmount ? (totalBuyerPurchases - matchedAmount) : 0n;
-                        console.log(`      👥 Buyers: ${buyerCount} (filled ${buyersFilled}, unfilled ${buyersUnfilled})`);
-                        console.log(`         - Purchased: $${ethers.formatUnits(totalBuyerPurchases, 6)} | Filled: $${ethers.formatUnits(buyerFilledAmount, 6)} | Unmatched: $${ethers.formatUnits(buyersUnmatched, 6)}`);
-                        if (buyerUnfilledPremiumRefund > 0n) {
-                            console.log(`         - Premium refunds: $${ethers.formatUnits(buyerUnfilledPremiumRefund, 6)}`);
-                        }
+                if (round.pool) {
+                    console.log(round.state === RoundState.SETTLED ? `      📊 Pool after settlement:` : `      📊 Pool state:`);
+                    console.log(`         - Total Assets: $${round.pool.totalAssets.formatted}`);
+                    console.log(`         - Locked Assets: $${round.pool.lockedAssets.formatted}`);
+                    console.log(`         - NAV per Share: ${round.pool.navPerShare.formatted}`);
+                } else if (round.economics && round.state === RoundState.SETTLED) {
+                    console.log(`      ⚠️  Could not read pool state after settlement`);
+                }
 
-                        // Seller status
-                        const sellersUnmatched = totalSellerCollateral > matchedAmount ? (totalSellerCollateral - matchedAmount) : 0n;
-                        console.log(`      🏦 Sellers: ${sellerCount} (filled ${sellersFilled}, unfilled ${sellersUnfilled})`);
-                        console.log(`         - Collateral: $${ethers.formatUnits(totalSellerCollateral, 6)} | Filled: $${ethers.formatUnits(matchedAmount, 6)} | Unmatched refunded: $${ethers.formatUnits(sellersUnmatched, 6)}`);
-
-                        totalCoverage += matchedAmount;
-                        
-                        // Always show pool state; emphasize after settlement
-                        if (roundInfo.state === 5) { // SETTLED
-                            try {
-                                const poolAccounting = await pool.getPoolAccounting();
-                                console.log(`      📊 Pool after settlement:`);
-                                console.log(`         - Total Assets: $${ethers.formatUnits(poolAccounting.totalAssets, 6)}`);
-                                console.log(`         - Locked Assets: $${ethers.formatUnits(poolAccounting.lockedAssets, 6)}`);
-                                console.log(`         - NAV per Share: ${ethers.formatEther(poolAccounting.navPerShare)}`);
-                            } catch (poolError) {
-                                console.log(`      ⚠️  Could not read pool state after settlement`);
-                            }
+                // Settlement status for matured/settled rounds
+                const settlement = round.settlement;
+                if (settlement && settlement.error) {
+                    console.log(`      ⚠️  Settlement info unavailable`);
+                } else if (settlement && settlement.observed) {
+                    console.log(`      🔮 Oracle Result: $${Number(settlement.oracleResult.formatted).toLocaleString()} (${settlement.triggered ? '🔴 TRIGGERED' : '🟢 Safe'})`);
+
+                    if (!settlement.settled) {
+                        if (!settlement.readyToFinalize) {
+                            const mins = Math.floor((settlement.livenessDeadline - now) / 60);
+                            console.log(`      ⏰ Liveness: ${mins}min remaining until finalization`);
+                            console.log(`      📅 Ready: ${new Date(settlement.livenessDeadline * 1000).toLocaleString()}`);
                         } else {
-                            try {
-                                const poolAccounting = await pool.getPoolAccounting();
-                                console.log(`      📊 Pool state:`);
-                                console.log(`         - Total Assets: $${ethers.formatUnits(poolAccounting.totalAssets, 6)}`);
-                                console.log(`         - Locked Assets: $${ethers.formatUnits(poolAccounting.lockedAssets, 6)}`);
-                                console.log(`         - NAV per Share: ${ethers.formatEther(poolAccounting.navPerShare)}`);
-                            } catch {}
+                            console.log(`      ✅ READY TO FINALIZE`);
                         }
-                    }
-                    
-                    // Show settlement status for matured/settled rounds
-                    if ((roundInfo.state === 3 || roundInfo.state === 5) && settlementEngine) { // MATURED or SETTLED
-                        try {
-                            const settlementInfo = await settlementEngine.getSettlementInfo(roundId);
-                            
-                            if (settlementInfo.roundId !== 0n) {
-                                // Oracle observation completed
-                                const oraclePrice = Number(ethers.formatUnits(settlementInfo.oracleResult, 8));
-                                const triggered = settlementInfo.triggered;
-                                const settled = settlementInfo.settled;
-                                const livenessDeadline = Number(settlementInfo.livenessDeadline);
-                                const timeUntilFinalize = livenessDeadline - now;
-                                
-                                console.log(`      🔮 Oracle Result: $${oraclePrice.toLocaleString()} (${triggered ? '🔴 TRIGGERED' : '🟢 Safe'})`);
-                                
-                                if (!settled) {
-                                    if (timeUntilFinalize > 0) {
-                                        const mins = Math.floor(timeUntilFinalize / 60);
-                                        console.log(`      ⏰ Liveness: ${mins}min remaining until finalization`);
-                                        console.log(`      📅 Ready: ${new Date(livenessDeadline * 1000).toLocaleString()}`);
-                                    } else {
-                                        console.log(`      ✅ READY TO FINALIZE`);
-                                        roundsRequiringAction.push({
-                                            roundId,
-                                            action: 'finalize-settlement',
-                                            urgency: 'high',
-                                            description: `Round ${roundId} ready for final settlement`
-                                        });
-                                    }
-                                } else {
-                                    console.log(`      ✅ Settlement complete`);
-                                    
-                                    // Show settlement results
-                                    const totalPayouts = ethers.formatUnits(settlementInfo.totalPayouts, 6);
-                                    if (triggered) {
-                                        console.log(`      🔴 TRIGGERED - Buyers paid $${totalPayouts}`);
-                                        console.log(`      💰 Sellers received yield earnings (lost collateral)`);
-                                    } else {
-                                        console.log(`      🟢 NOT TRIGGERED - Sellers got collateral + yield back`);
-                                        console.log(`      💰 Estimated total seller payout: $${ethers.formatUnits(matchedAmount, 6)} + yield`);
-                                    }
-                                }
-                            } else {
-                                // Oracle observation not yet done
-                                const maturityTime = Number(trancheSpec.maturityTimestamp);
-                                if (now >= maturityTime) {
-                                    console.log(`      ⚖️ READY FOR ORACLE OBSERVATION`);
-                                    roundsRequiringAction.push({
-                                        roundId,
-                                        action: 'settle-rounds',
-                                        urgency: 'high',
-                                        description: `Round ${roundId} matured, needs oracle observation`
-                                    });
-                                } else {
-                                    const timeToMaturity = maturityTime - now;
-                                    const hours = Math.floor(timeToMaturity / 3600);
-                                    console.log(`      ⏰ Matures in ${hours}h`);
-                                }
+                    } else {
+                        console.log(`      ✅ Settlement complete`);
+                        if (settlement.triggered) {
+                            console.log(`      🔴 TRIGGERED - Buyers paid $${settlement.totalPayouts.formatted}`);
+                            console.log(`      💰 Sellers received yield earnings (lost collateral)`);
+                        } else {
+                            console.log(`      🟢 NOT TRIGGERED - Sellers got collateral + yield back`);
+                            if (round.economics) {
+                                console.log(`      💰 Estimated total seller payout: $${round.economics.matchedAmount.formatted} + yield`);
                             }
-                        } catch (settlementError) {
-                            console.log(`      ⚠️  Settlement info unavailable`);
-                        }
-                    }
-                    
-                    // Show current price vs trigger for active rounds
-                    if (roundInfo.state >= 2 && roundInfo.state <= 3) {
-                        const oracleRouteId = Number(trancheSpec.oracleRouteId || 1);
-                        const routeMapping = { 1: "BTC-USDT", 2: "ETH-USDT", 3: "KAIA-USDT" };
-                        const targetSymbol = routeMapping[oracleRouteId] || "BTC-USDT";
-                        const currentPrice = marketPrices[targetSymbol];
-                        
-                        if (currentPrice) {
-                            const triggerPrice = Number(ethers.formatEther(trancheSpec.threshold));
-                            const distance = Math.abs(currentPrice - triggerPrice) / triggerPrice * 100;
-                            console.log(`      📊 ${targetSymbol}: $${currentPrice.toLocaleString()} (${distance.toFixed(1)}% from trigger)`);
                         }
                     }
-                    
-                    // Check for action items
-                    if (roundInfo.state === 1 && now > Number(roundInfo.salesEndTime)) {
-                        roundsRequiringAction.push({
-                            roundId,
-                            action: 'close-rounds',
-                            urgency: 'medium',
-                            description: `Round ${roundId} sales period ended, needs closure`
-                        });
+                } else if (settlement) {
+                    if (settlement.readyForObservation) {
+                        console.log(`      ⚖️ READY FOR ORACLE OBSERVATION`);
+                    } else {
+                        console.log(`      ⏰ Matures in ${Math.floor(settlement.secondsToMaturity / 3600)}h`);
                     }
-                    
-                    // Show maturity countdown for active rounds
-                    if (roundInfo.state === 2) { // ACTIVE
-                        const maturityTime = Number(trancheSpec.maturityTimestamp);
-                        const timeToMaturity = maturityTime - now;
-                        
-                        if (timeToMaturity > 0) {
-                            const days = Math.floor(timeToMaturity / (24 * 60 * 60));
-                            const hours = Math.floor((timeToMaturity % (24 * 60 * 60)) / 3600);
-                            console.log(`      ⏰ Matures: ${days}d ${hours}h (${new Date(maturityTime * 1000).toLocaleString()})`);
-                        }
+                }
+
+                // Current price vs trigger for active rounds
+                if (round.currentPrice) {
+                    console.log(`      📊 ${tranche.symbol}: $${round.currentPrice.toLocaleString()} (${round.distanceFromTriggerPct.toFixed(1)}% from trigger)`);
+                }
+
+                // Maturity countdown for active rounds
+                if (round.state === RoundState.ACTIVE) {
+                    const timeToMaturity = round.maturityTimestamp - now;
+                    if (timeToMaturity > 0) {
+                        const days = Math.floor(timeToMaturity / (24 * 60 * 60));
+                        const hours = Math.floor((timeToMaturity % (24 * 60 * 60)) / 3600);
+                        console.log(`      ⏰ Matures: ${days}d ${hours}h (${new Date(round.maturityTimestamp * 1000).toLocaleString()})`);
                     }
                 }
-                
-            } catch (trancheError) {
-                console.log(`\n❌ Error reading tranche ${trancheId}: ${trancheError.message}`);
             }
         }
 
@@ -625,136 +337,112 @@ task("monitor-insurances", "Monitor insurance rounds with settlement status and
         console.log("\n" + "=" .repeat(60));
         console.log("📊 System Status Summary");
         console.log("=" .repeat(60));
-        console.log(`💰 Total Active Coverage: $${ethers.formatUnits(totalCoverage, 6)}`);
-
-        if (roundsRequiringAction.length > 0) {
-            console.log(`\n📝 Action Items (${roundsRequiringAction.length}):`);
-            
-            // Sort by urgency
-            const sortedActions = roundsRequiringAction.sort((a, b) => {
-                const urgencyOrder = { 'high': 0, 'medium': 1, 'low': 2 };
-                return urgencyOrder[a.urgency] - urgencyOrder[b.urgency];
-            });
-            
-            for (const action of sortedActions) {
+        console.log(`💰 Total Active Coverage: $${report.summary.totalCoverage.formatted}`);
+
+        if (report.actions.length > 0) {
+            console.log(`\n📝 Action Items (${report.actions.length}):`);
+            for (const action of report.actions) {
                 const urgencyIcon = action.urgency === 'high' ? '🔴' : action.urgency === 'medium' ? '🟡' : '🟢';
                 console.log(`   ${urgencyIcon} ${action.description}`);
-                console.log(`      → npx hardhat ${action.action} --round-id ${action.roundId} --network kairos`);
+                console.log(`      → npx hardhat ${action.action} --round-id ${action.roundId} --network ${hre.network.name}`);
             }
         } else {
             console.log("\n✅ No immediate actions required");
         }
 
-        if (totalCoverage === 0n) {
+        if (report.summary.totalCoverage.raw === 0n) {
             console.log("\n💡 No active coverage found. Start new rounds:");
-            console.log("   npx hardhat announce-rounds --tranche-id <id> --network kairos");
+            console.log(`   npx hardhat announce-rounds --tranche-id <id> --network ${hre.network.name}`);
         }
+        return report;
 
     } catch (error) {
         console.error(`❌ Error: ${error.message}`);
         throw error;
+    } finally {
+        if (store) store.close();
     }
   });
 
 task("monitor-yield", "Monitor YieldRouter status and yield generation")
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addOptionalParam("format", "Output format: table, json or csv", "table", types.string)
   .setAction(async (taskArgs, hre) => {
     const { ethers } = hre;
-    require("dotenv").config();
+    const { loadProtocolContext, requireContracts } = require("./utils");
+    const { collectYield } = require("./collectors");
+    const { parseFormat, printReport } = require("./output");
 
-    console.log("💰 Yield Router Monitor");
-    console.log("=" .repeat(60));
+    const format = parseFormat(taskArgs.format);
 
-    const YIELD_ROUTER_ADDRESS = process.env.YIELD_ROUTER_ADDRESS;
-    const TRANCHE_POOL_FACTORY_ADDRESS = process.env.TRANCHE_POOL_FACTORY_ADDRESS;
-
-    if (!YIELD_ROUTER_ADDRESS || !TRANCHE_POOL_FACTORY_ADDRESS) {
-        throw new Error("Please set YIELD_ROUTER_ADDRESS and TRANCHE_POOL_FACTORY_ADDRESS in your .env file");
-    }
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "yieldRouter", "tranchePoolFactory");
 
-    const [deployer] = await ethers.getSigners();
-    console.log(`\n👤 Using account: ${deployer.address}`);
+    try {
+        const report = await collectYield(hre, context);
+        if (printReport(format, report, report.pools)) return report;
 
-    const yieldRouter = await ethers.getContractAt("YieldRouter", YIELD_ROUTER_ADDRESS);
-    const tranchePoolFactory = await ethers.getContractAt("TranchePoolFactory", TRANCHE_POOL_FACTORY_ADDRESS);
+        console.log("💰 Yield Router Monitor");
+        console.log("=" .repeat(60));
 
-    try {
-        // Get YieldRouter overall status
-        const totalBalance = await yieldRouter.getTotalBalance();
-        const valueAtRisk = await yieldRouter.getTotalValueAtRisk();
-        const availableForWithdrawal = await yieldRouter.getAvailableForWithdrawal();
-        const yieldRecord = await yieldRouter.getYieldRecord();
+        const [deployer] = await ethers.getSigners();
+        console.log(`\n👤 Using account: ${deployer.address}`);
 
+        const { router, summary } = report;
         console.log(`\n🏦 YieldRouter Overall Status:`);
-        console.log(`   💎 Total Balance: $${ethers.formatUnits(totalBalance, 6)}`);
-        console.log(`   🔒 Value at Risk: $${ethers.formatUnits(valueAtRisk, 6)}`);
-        console.log(`   💚 Available for Admin Withdrawal: $${ethers.formatUnits(availableForWithdrawal, 6)}`);
+        console.log(`   💎 Total Balance: $${router.totalBalance.formatted}`);
+        console.log(`   🔒 Value at Risk: $${router.valueAtRisk.formatted}`);
+        console.log(`   💚 Available for Admin Withdrawal: $${router.availableForWithdrawal.formatted}`);
         console.log(`\n📊 Yield Statistics:`);
-        console.log(`   📈 Total Deposited: $${ethers.formatUnits(yieldRecord.totalDeposited, 6)}`);
-        console.log(`   📉 Total Returned: $${ethers.formatUnits(yieldRecord.totalReturned, 6)}`);
-        console.log(`   🎁 Total Yield Generated: $${ethers.formatUnits(yieldRecord.totalYieldGenerated, 6)}`);
-
-        // Get registered pools with details
-        const registeredPools = await yieldRouter.getRegisteredPools();
-        console.log(`\n🏊 Registered Pools (${registeredPools.length}):`);
-
-        let totalPoolDeposits = 0n;
-        let activeCount = 0;
-        for (let i = 0; i < registeredPools.length; i++) {
-            const poolAddress = registeredPools[i];
-            const poolInfo = await yieldRouter.getPoolInfo(poolAddress);
-            
-            // Get pool info
-            try {
-                const pool = await ethers.getContractAt("TranchePoolCore", poolAddress);
-                const trancheInfo = await pool.getTrancheInfo();
-                
-                console.log(`\n   🏊 Pool ${i + 1}: Tranche ${poolInfo.trancheId || trancheInfo.trancheId}`);
-                console.log(`      📍 Address: ${poolAddress}`);
-                console.log(`      💰 Funds in Yield: $${ethers.formatUnits(poolInfo.fundsInYield, 6)}`);
-                console.log(`      🎁 Total Yield Earned: $${ethers.formatUnits(poolInfo.totalYieldEarned, 6)}`);
-                console.log(`      📅 Registered: ${new Date(Number(poolInfo.registrationTimestamp) * 1000).toLocaleString()}`);
-                console.log(`      ✅ Active: ${poolInfo.fundsInYield > 0 ? "Yes" : "No"}`);
-                
-                totalPoolDeposits += poolInfo.fundsInYield;
-                if (poolInfo.fundsInYield > 0) activeCount++;
-            } catch (error) {
-                console.log(`\n   ❌ Pool ${i + 1}: Error reading pool data`);
-                console.log(`      📍 Address: ${poolAddress}`);
-                console.log(`      💰 Funds in Yield: $${ethers.formatUnits(poolInfo.fundsInYield, 6)}`);
+        console.log(`   📈 Total Deposited: $${router.totalDeposited.formatted}`);
+        console.log(`   📉 Total Returned: $${router.totalReturned.formatted}`);
+        console.log(`   🎁 Total Yield Generated: $${router.totalYieldGenerated.formatted}`);
+
+        console.log(`\n🏊 Registered Pools (${report.pools.length}):`);
+        for (const pool of report.pools) {
+            if (pool.error) {
+                console.log(`\n   ❌ Pool ${pool.index + 1}: Error reading pool data`);
+                console.log(`      📍 Address: ${pool.address}`);
+                console.log(`      💰 Funds in Yield: $${pool.fundsInYield.formatted}`);
+                continue;
             }
+            console.log(`\n   🏊 Pool ${pool.index + 1}: Tranche ${pool.trancheId}`);
+            console.log(`      📍 Address: ${pool.address}`);
+            console.log(`      💰 Funds in Yield: $${pool.fundsInYield.formatted}`);
+            console.log(`      🎁 Total Yield Earned: $${pool.totalYieldEarned.formatted}`);
+            console.log(`      📅 Registered: ${new Date(pool.registrationTimestamp * 1000).toLocaleString()}`);
+            console.log(`      ✅ Active: ${pool.active ? "Yes" : "No"}`);
         }
 
         console.log(`\n📊 Summary:`);
-        console.log(`   💸 Total Pool Funds in Yield: $${ethers.formatUnits(totalPoolDeposits, 6)}`);
-        console.log(`   🏦 YieldRouter Balance: $${ethers.formatUnits(totalBalance, 6)}`);
-        console.log(`   ⚡ Active Pools: ${activeCount} / ${registeredPools.length}`);
-        
-        const balanceDiff = totalBalance - totalPoolDeposits;
-        if (balanceDiff > 0n) {
-            console.log(`   💰 Extra Funds (admin deposits/yield): $${ethers.formatUnits(balanceDiff, 6)}`);
-        } else if (balanceDiff < 0n) {
-            console.log(`   ⚠️  Deficit: $${ethers.formatUnits(-balanceDiff, 6)}`);
+        console.log(`   💸 Total Pool Funds in Yield: $${summary.totalPoolDeposits.formatted}`);
+        console.log(`   🏦 YieldRouter Balance: $${router.totalBalance.formatted}`);
+        console.log(`   ⚡ Active Pools: ${summary.activeCount} / ${summary.poolCount}`);
+
+        if (summary.balanceDifference.raw > 0n) {
+            console.log(`   💰 Extra Funds (admin deposits/yield): $${summary.balanceDifference.formatted}`);
+        } else if (summary.balanceDifference.raw < 0n) {
+            console.log(`   ⚠️  Deficit: $${ethers.formatUnits(-summary.balanceDifference.raw, 6)}`);
         }
 
         // Health checks
         console.log(`\n🏥 Health Status:`);
-        if (totalBalance < valueAtRisk) {
+        if (!summary.healthy) {
             console.log(`   ❌ CRITICAL: Insufficient funds to cover pool returns`);
-            console.log(`      Balance: $${ethers.formatUnits(totalBalance, 6)}`);
-            console.log(`      Required: $${ethers.formatUnits(valueAtRisk, 6)}`);
+            console.log(`      Balance: $${router.totalBalance.formatted}`);
+            console.log(`      Required: $${router.valueAtRisk.formatted}`);
         } else {
             console.log(`   ✅ Healthy: Sufficient funds to cover all pool returns`);
         }
 
-        if (activeCount === 0) {
+        if (summary.activeCount === 0) {
             console.log(`   💡 No active yield generation - all funds available for admin use`);
         }
-        
-        // Utilization rate
-        if (totalBalance > 0n) {
-            const utilizationRate = (valueAtRisk * 10000n) / totalBalance;
-            console.log(`   📊 Fund Utilization: ${Number(utilizationRate) / 100}%`);
+
+        if (router.totalBalance.raw > 0n) {
+            console.log(`   📊 Fund Utilization: ${summary.utilizationBps / 100}%`);
         }
+        return report;
 
     } catch (error) {
         console.error(`❌ Error: ${error.message}`);
@@ -769,113 +457,118 @@ module.exports = {};
 
 task("monitor-address", "Show user's insurance positions and seller stakes")
   .addParam("address", "User address to inspect", undefined, types.string)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addOptionalParam("format", "Output format: table, json or csv", "table", types.string)
+  .addOptionalParam("db", "Event store path for --from-store (defaults to deployments/<network>.sqlite)", undefined, types.string)
+  .addFlag("fromStore", "Include the address's event history from the local event store (see the index task)")
   .setAction(async (taskArgs, hre) => {
-    const { ethers } = hre;
-    require("dotenv").config();
+    const { loadProtocolContext, requireContracts, getStorePath } = require("./utils");
+    const { collectAddressPositions } = require("./collectors");
+    const { parseFormat, printReport } = require("./output");
 
-    console.log("👤 Address Position Monitor");
-    console.log("=" .repeat(60));
+    const format = parseFormat(taskArgs.format);
 
-    const PRODUCT_CATALOG_ADDRESS = process.env.PRODUCT_CATALOG_ADDRESS;
-    const TRANCHE_POOL_FACTORY_ADDRESS = process.env.TRANCHE_POOL_FACTORY_ADDRESS;
-    const INSURANCE_TOKEN_ADDRESS = process.env.INSURANCE_TOKEN_ADDRESS;
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "productCatalog", "tranchePoolFactory", "insuranceToken");
 
-    if (!PRODUCT_CATALOG_ADDRESS || !TRANCHE_POOL_FACTORY_ADDRESS || !INSURANCE_TOKEN_ADDRESS) {
-        throw new Error("Please set PRODUCT_CATALOG_ADDRESS, TRANCHE_POOL_FACTORY_ADDRESS, and INSURANCE_TOKEN_ADDRESS in your .env file");
+    let report;
+    const store = taskArgs.fromStore
+        ? require("./eventStore").openEventStoreReadOnly(taskArgs.db || getStorePath(hre.network.name))
+        : null;
+    try {
+        report = await collectAddressPositions(hre, context, taskArgs.address, { store });
+    } finally {
+        if (store) store.close();
     }
+    // CSV: one row per position, policies first then seller stakes (then indexed events)
+    const rows = [
+        ...report.policies.map((policy) => ({ type: "policy", ...policy })),
+        ...report.stakes.map((stake) => ({ type: "stake", ...stake })),
+        ...(report.activity || []).map((event) => ({ type: "event", ...event }))
+    ];
+    if (printReport(format, report, rows)) return report;
 
-    const productCatalog = await ethers.getContractAt("ProductCatalog", PRODUCT_CATALOG_ADDRESS);
-    const tranchePoolFactory = await ethers.getContractAt("TranchePoolFactory", TRANCHE_POOL_FACTORY_ADDRESS);
-
-    const user = taskArgs.address;
-    console.log(`\n👤 Address: ${user}`);
+    console.log("👤 Address Position Monitor");
+    console.log("=" .repeat(60));
+    console.log(`\n👤 Address: ${report.address}`);
 
-    // Buyer positions via InsuranceToken balance and tokenInfo scan (guarded)
-    try {
-        const code = await ethers.provider.getCode(INSURANCE_TOKEN_ADDRESS);
-        if (code === "0x") {
-            console.log("\n🎫 Buyer Positions (ERC721): skipped (INSURANCE_TOKEN_ADDRESS is not a deployed contract)");
-        } else {
-            const insuranceToken = await ethers.getContractAt("InsuranceToken", INSURANCE_TOKEN_ADDRESS);
-            const tokenCount = await insuranceToken.balanceOf(user);
-            console.log(`\n🎫 Buyer Positions (ERC721): ${tokenCount}`);
-            let shown = 0n;
-            for (let i = 0n; i < tokenCount && shown < 10n; i++) {
-                const candidateId = tokenCount - i; // heuristic only
-                try {
-                    const owner = await insuranceToken.ownerOf(candidateId);
-                    if (owner.toLowerCase() === user.toLowerCase()) {
-                        const info = await insuranceToken.getTokenInfo(candidateId);
-                        console.log(`   #${candidateId} → tranche ${info.trancheId}, round ${info.roundId}, amount $${ethers.formatUnits(info.purchaseAmount, 6)}`);
-                        shown++;
-                    }
-                } catch {}
-            }
-            if (shown === 0n && tokenCount > 0n) {
-                console.log("   ℹ️ Tokens exist but cannot enumerate IDs (non-enumerable ERC721).");
-            }
+    if (report.buyer.skipped) {
+        console.log(`\n🎫 Buyer Positions (ERC721): skipped (${report.buyer.skipped})`);
+    } else {
+        console.log(`\n🎫 Buyer Positions (ERC721): ${report.buyer.tokenCount}`);
+        for (const policy of report.policies) {
+            console.log(`   #${policy.tokenId} → tranche ${policy.trancheId}, round ${policy.roundId} (${policy.roundState})`);
+            console.log(`      Purchased $${policy.purchaseAmount.formatted} | Coverage $${policy.coverage.formatted} | Claim: ${policy.claimStatus}${policy.transferable ? "" : " | 🔒 non-transferable"}`);
         }
-    } catch (e) {
-        console.log(`\n🎫 Buyer Positions: skipped (${e.message})`);
     }
 
-    // Seller stakes across active tranches
-    const activeTranches = await productCatalog.getActiveTranches();
-    let totalShares = 0n;
-    let totalAvailable = 0n;
     console.log(`\n🏦 Seller Stakes:`);
-    for (const trancheId of activeTranches) {
-        try {
-            const poolAddr = await tranchePoolFactory.getTranchePool(trancheId);
-            if (poolAddr === ethers.ZeroAddress) continue;
-            const pool = await ethers.getContractAt("TranchePoolCore", poolAddr);
-            const shares = await pool.shareBalances(user);
-            if (shares === 0n) continue;
-            const avail = await pool.getAvailableCollateral(user);
-            totalShares += shares;
-            totalAvailable += avail;
-            console.log(`   Tranche ${trancheId}: shares ${ethers.formatUnits(shares, 6)}, available $${ethers.formatUnits(avail, 6)}`);
-        } catch (e) {}
+    for (const stake of report.stakes) {
+        console.log(`   Tranche ${stake.trancheId}: shares ${stake.shares.formatted}, available $${stake.available.formatted}`);
     }
-    if (totalShares === 0n) console.log("   (none)");
-    console.log(`\n📊 Totals: shares ${ethers.formatUnits(totalShares, 6)}, available $${ethers.formatUnits(totalAvailable, 6)}`);
+    if (report.stakes.length === 0) console.log("   (none)");
+    console.log(`\n📊 Totals: shares ${report.totals.shares.formatted}, available $${report.totals.available.formatted}`);
+
+    if (report.activity) {
+        console.log(`\n🗂️  Indexed Activity (${report.activity.length}):`);
+        for (const event of report.activity) {
+            const when = event.timestamp ? new Date(event.timestamp * 1000).toLocaleString() : `block ${event.blockNumber}`;
+            const round = event.roundId ? ` round ${event.roundId}` : "";
+            console.log(`   ${when} ${event.contract}.${event.event}${round} (${event.txHash})`);
+        }
+        if (report.activity.length === 0) console.log("   (none)");
+    }
+    return report;
   });
 
 // ==========================================================================
 // CLAIMABLE MONITOR (BY ADDRESS, ROUND)
 // ==========================================================================
 
-task("monitor-claimable", "Show claimable status for a user in a round (auto-refund model)")
+task("monitor-claimable", "Show claimable balances for a user in a round")
   .addParam("address", "User address", undefined, types.string)
   .addParam("roundId", "Round ID", undefined, types.int)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addOptionalParam("format", "Output format: table, json or csv", "table", types.string)
   .setAction(async (taskArgs, hre) => {
-    const { ethers } = hre;
-    require("dotenv").config();
-
-    const PRODUCT_CATALOG_ADDRESS = process.env.PRODUCT_CATALOG_ADDRESS;
-    const TRANCHE_POOL_FACTORY_ADDRESS = process.env.TRANCHE_POOL_FACTORY_ADDRESS;
-
-    const productCatalog = await ethers.getContractAt("ProductCatalog", PRODUCT_CATALOG_ADDRESS);
-    const tranchePoolFactory = await ethers.getContractAt("TranchePoolFactory", TRANCHE_POOL_FACTORY_ADDRESS);
-
-    const roundInfo = await productCatalog.getRound(taskArgs.roundId);
-    const trancheId = roundInfo.trancheId;
-    const poolAddress = await tranchePoolFactory.getTranchePool(trancheId);
-    const pool = await ethers.getContractAt("TranchePoolCore", poolAddress);
-
-    const buyerOrder = await pool.getBuyerOrder(taskArgs.roundId, taskArgs.address);
-    const sellerPosition = await pool.getSellerPosition(taskArgs.roundId, taskArgs.address);
-
-    console.log("\n📋 Claimable Overview (auto-refund model):");
-    if (buyerOrder.buyer !== ethers.ZeroAddress) {
-        const status = buyerOrder.filled ? "FILLED" : (buyerOrder.refunded ? "REFUNDED" : "UNFILLED");
-        console.log(`   🧾 Buyer: ${taskArgs.address} | ${status}`);
-        console.log(`     - Purchase: $${ethers.formatUnits(buyerOrder.purchaseAmount, 6)}`);
-        console.log(`     - Premium:  $${ethers.formatUnits(buyerOrder.premiumPaid, 6)}`);
-        if (!buyerOrder.filled && buyerOrder.refunded) {
-            console.log(`     - Premium was auto-refunded at matching.`);
-        } else if (!buyerOrder.filled && !buyerOrder.refunded) {
-            console.log(`     - Pending: will auto-refund at matching.`);
+    const { loadProtocolContext, requireContracts } = require("./utils");
+    const { collectClaimable } = require("./collectors");
+    const { parseFormat, printReport } = require("./output");
+
+    const format = parseFormat(taskArgs.format);
+
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "productCatalog", "tranchePoolFactory");
+
+    const report = await collectClaimable(hre, context, taskArgs.address, taskArgs.roundId);
+    const rows = [
+        { side: "buyer", address: report.address, roundId: report.roundId, ...(report.buyer || { status: "NONE" }) },
+        { side: "seller", address: report.address, roundId: report.roundId, ...(report.seller || { status: "NONE" }) },
+        { side: "claimable", address: report.address, roundId: report.roundId, status: "CLAIMABLE", amount: report.claimable }
+    ];
+    if (printReport(format, report, rows)) return report;
+
+    const { buyer, seller } = report;
+    console.log("\n📋 Claimable Overview:");
+    console.log(`   💰 Claimable in round ${report.roundId}: $${report.claimable.formatted}`);
+    if (report.otherRounds.length > 0) {
+        for (const entry of report.otherRounds) {
+            console.log(`   💰 Claimable in round ${entry.roundId}: $${entry.claimable.formatted}`);
+        }
+        console.log(`   💵 Pool total (claimAll): $${report.poolClaimable.formatted}`);
+    }
+    if (report.claimable.raw > 0n) {
+        console.log(`   👉 Claim with TranchePoolCore.claim(${report.roundId}) on ${report.poolAddress}`);
+    }
+
+    if (buyer) {
+        console.log(`   🧾 Buyer: ${report.address} | ${buyer.status}`);
+        console.log(`     - Purchase: $${buyer.purchaseAmount.formatted}`);
+        console.log(`     - Premium:  $${buyer.premiumPaid.formatted}`);
+        if (!buyer.filled && buyer.refunded) {
+            console.log(`     - Premium was credited back at matching.`);
+        } else if (!buyer.filled && !buyer.refunded) {
+            console.log(`     - Pending: premium is credited back if unmatched.`);
         } else {
             console.log(`     - No premium refund (order filled).`);
         }
@@ -883,95 +576,86 @@ task("monitor-claimable", "Show claimable status for a user in a round (auto-ref
         console.log(`   🧾 Buyer: no order found`);
     }
 
-    if (sellerPosition.seller !== ethers.ZeroAddress) {
-        const status = sellerPosition.filled ? "FILLED" : (sellerPosition.refunded ? "REFUNDED" : "UNFILLED");
-        const totalColl = sellerPosition.collateralAmount;
-        const filledColl = sellerPosition.filledCollateral || 0n;
-        const unmatched = totalColl > filledColl ? (totalColl - filledColl) : 0n;
-        console.log(`   🏦 Seller: ${taskArgs.address} | ${status}`);
-        console.log(`     - Collateral (total): $${ethers.formatUnits(totalColl, 6)}`);
-        console.log(`     - Filled Collateral:  $${ethers.formatUnits(filledColl, 6)}`);
-        if (unmatched > 0n) {
-            console.log(`     - Unmatched (auto-refunded): $${ethers.formatUnits(unmatched, 6)}`);
+    if (seller) {
+        console.log(`   🏦 Seller: ${report.address} | ${seller.status}`);
+        console.log(`     - Collateral (total): $${seller.collateralAmount.formatted}`);
+        console.log(`     - Filled Collateral:  $${seller.filledCollateral.formatted}`);
+        if (seller.unmatched.raw > 0n) {
+            console.log(`     - Unmatched (credited back): $${seller.unmatched.formatted}`);
         }
-        if ((sellerPosition.lockedSharesAssigned || 0n) > 0n) {
-            console.log(`     - Locked Shares Assigned: ${ethers.formatUnits(sellerPosition.lockedSharesAssigned, 6)}`);
+        if (seller.lockedSharesAssigned.raw > 0n) {
+            console.log(`     - Locked Shares Assigned: ${seller.lockedSharesAssigned.formatted}`);
         }
-        if (!sellerPosition.filled && sellerPosition.refunded) {
-            console.log(`     - Note: Unmatched collateral was auto-refunded at matching.`);
-        } else if (!sellerPosition.filled && !sellerPosition.refunded) {
-            console.log(`     - Pending: will auto-refund at matching.`);
+        if (!seller.filled && seller.refunded) {
+            console.log(`     - Note: Unmatched collateral was credited back at matching.`);
+        } else if (!seller.filled && !seller.refunded) {
+            console.log(`     - Pending: collateral is credited back if unmatched.`);
         } else {
             console.log(`     - No collateral refund (position filled).`);
         }
     } else {
         console.log(`   🏦 Seller: no position found`);
     }
+    return report;
   });
 // ============================================================================
 // ORACLE MONITOR TASK
 // ============================================================================
 
 task("monitor-oracles", "Monitor oracle routes and current prices")
-  .addOptionalParam("identifier", "Price identifier string (e.g., BTC-USDT, ETH-USDT, KAIA-USDT, or 'all')", "all", types.string)
+  .addOptionalParam("identifier", "Symbol configured in OracleRouter (e.g., BTC-USDT), or 'all'", "all", types.string)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addOptionalParam("format", "Output format: table, json or csv", "table", types.string)
   .setAction(async (taskArgs, hre) => {
     const { ethers } = hre;
-    require("dotenv").config();
+    const { loadProtocolContext } = require("./utils");
+    const { collectOracles } = require("./collectors");
+    const { parseFormat, printReport } = require("./output");
 
-    console.log("🔮 Oracle Monitor");
-    console.log("=" .repeat(60));
+    const format = parseFormat(taskArgs.format);
 
-    const ORACLE_ROUTER_ADDRESS = process.env.ORACLE_ROUTER_ADDRESS;
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
 
-    if (!ORACLE_ROUTER_ADDRESS) {
-        console.log("⚠️  ORACLE_ROUTER_ADDRESS not set. Skipping.");
+    if (!context.oracleRouter) {
+        console.log("⚠️  OracleRouter address not found. Skipping.");
         return;
     }
 
-    const [deployer] = await ethers.getSigners();
-    console.log(`\n👤 Using account: ${deployer.address}`);
+    try {
+        // "all" covers every feed configured in OracleRouter
+        const identifiers = taskArgs.identifier === "all" ? undefined : [taskArgs.identifier];
+        const report = await collectOracles(hre, context, identifiers);
+        if (printReport(format, report, report.prices)) return report;
 
-    const oracleRouter = await ethers.getContractAt("OracleRouter", ORACLE_ROUTER_ADDRESS);
+        console.log("🔮 Oracle Monitor");
+        console.log("=" .repeat(60));
 
-    try {
-        const identifiers = taskArgs.identifier === "all" 
-            ? ["BTC-USDT", "ETH-USDT", "KAIA-USDT"]
-            : [taskArgs.identifier];
-
-        for (const idString of identifiers) {
-            console.log(`\n🎯 Identifier: ${idString}`);
-            const identifier = ethers.keccak256(ethers.toUtf8Bytes(idString));
-
-            try {
-                const result = await oracleRouter.getPrice(identifier);
-                const price = Number(ethers.formatUnits(result.price, 8)); // Both oracles use 8 decimals
-                const ts = Number(result.timestamp);
-                const ageSec = Math.floor(Date.now() / 1000) - ts;
-
-                console.log(`   💰 Price: $${price.toLocaleString()}`);
-                console.log(`   ⏰ Timestamp: ${new Date(ts * 1000).toLocaleString()} (${ageSec}s ago)`);
-                console.log(`   ✅ Valid: ${result.valid}`);
-
-                // If comparePrices available, try a comparison print (best-effort)
-                try {
-                    const cmp = await oracleRouter.comparePrices(identifier);
-                    const orakl = Number(ethers.formatUnits(cmp[0].price, 8)); // Orakl uses 8 decimals
-                    const dino = Number(ethers.formatUnits(cmp[1].price, 8)); // DINO now uses 8 decimals too
-                    const deviationBps = Number(cmp[2]);
-                    console.log(`   🔀 Source Comparison:`);
-                    console.log(`      🌐 Orakl: $${orakl.toLocaleString()}`);
-                    console.log(`      🦕 DINO:  $${dino.toLocaleString()}`);
-                    console.log(`      📉 Deviation: ${deviationBps / 100}%`);
-                } catch {}
+        const [deployer] = await ethers.getSigners();
+        console.log(`\n👤 Using account: ${deployer.address}`);
+
+        report.prices.forEach((entry, i) => {
+            console.log(`\n🎯 Identifier: ${entry.symbol}`);
+
+            if (entry.error) {
+                console.log(`   ❌ Error: ${entry.error}`);
+            } else {
+                console.log(`   💰 Price: $${Number(entry.price.formatted).toLocaleString()}`);
+                console.log(`   ⏰ Timestamp: ${new Date(entry.timestamp * 1000).toLocaleString()} (${entry.ageSeconds}s ago)`);
+                console.log(`   ✅ Valid: ${entry.valid}`);
 
-            } catch (identifierError) {
-                console.log(`   ❌ Error: ${identifierError.message}`);
+                if (entry.comparison) {
+                    console.log(`   🔀 Source Comparison:`);
+                    console.log(`      🌐 Orakl: $${Number(entry.comparison.orakl.formatted).toLocaleString()}`);
+                    console.log(`      🦕 DINO:  $${Number(entry.comparison.dino.formatted).toLocaleString()}`);
+                    console.log(`      📉 Deviation: ${entry.comparison.deviationBps / 100}%`);
+                }
             }
 
-            if (identifiers.length > 1 && idString !== identifiers[identifiers.length - 1]) {
+            if (i < report.prices.length - 1) {
                 console.log("   " + "─".repeat(50));
             }
-        }
+        });
+        return report;
 
     } catch (error) {
         console.error(`\n❌ Oracle error: ${error.message}`);
@@ -983,70 +667,68 @@ task("monitor-oracles", "Monitor oracle routes and current prices")
 // DIRECT ORAKL FEED MONITOR (BYPASS ORACLE ROUTER)
 // ============================================================================
 
-task("monitor-orakl-direct", "Directly query OraklPriceFeed for a symbol")
-  .addOptionalParam("symbol", "Symbol (e.g., BTC-USDT)", "BTC-USDT", types.string)
+task("monitor-orakl-direct", "Directly query OraklPriceFeed for the symbols OracleRouter routes to")
+  .addOptionalParam("symbol", "Orakl symbol (e.g., BTC-USDT), or 'all' for every symbol configured in OracleRouter", "all", types.string)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addOptionalParam("format", "Output format: table, json or csv", "table", types.string)
   .setAction(async (taskArgs, hre) => {
     const { ethers } = hre;
-    require("dotenv").config();
+    const { loadProtocolContext } = require("./utils");
+    const { collectOraklFeeds } = require("./collectors");
+    const { parseFormat, printReport } = require("./output");
 
-    console.log("🔌 Orakl Direct Monitor");
-    console.log("=" .repeat(60));
+    const format = parseFormat(taskArgs.format);
 
-    const ORAKL_FEED_ADDRESS = process.env.ORAKL_FEED_ADDRESS;
-    if (!ORAKL_FEED_ADDRESS) {
-      console.log("⚠️  ORAKL_FEED_ADDRESS not set in .env. Set it to your OraklPriceFeed address.");
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    if (!context.oraklPriceFeed) {
+      console.log("⚠️  OraklPriceFeed address not found. Pass --registry or set ORAKL_FEED_ADDRESS in .env.");
       return;
     }
 
-    const [deployer] = await ethers.getSigners();
-    console.log(`\n👤 Using account: ${deployer.address}`);
+    try {
+      const symbols = taskArgs.symbol === "all" ? undefined : [taskArgs.symbol];
+      const report = await collectOraklFeeds(hre, context, symbols);
+      if (printReport(format, report, report.feeds)) return report;
 
-    const orakl = await ethers.getContractAt("OraklPriceFeed", ORAKL_FEED_ADDRESS);
+      console.log("🔌 Orakl Direct Monitor");
+      console.log("=" .repeat(60));
 
-    try {
-      const symbol = taskArgs.symbol;
-      const feedId = ethers.keccak256(ethers.toUtf8Bytes(symbol));
-      console.log(`\n🎯 Symbol: ${symbol}`);
-      console.log(`🧩 Feed ID: ${feedId}`);
-
-      // Read config from mapping (public)
-      const cfg = await orakl.priceFeeds(feedId);
-      const feedProxy = cfg.feedProxyAddress;
-      const decimals = Number(cfg.decimals || 0);
-      const heartbeat = Number(cfg.heartbeatSeconds || 0);
-      const description = cfg.description || "";
-      const active = Boolean(cfg.active);
-
-      console.log("\n⚙️  Config:");
-      console.log(`   📍 Proxy: ${feedProxy}`);
-      console.log(`   🧮 Decimals: ${decimals}`);
-      console.log(`   ⏱️  Heartbeat: ${heartbeat}s`);
-      console.log(`   📝 Description: ${description}`);
-      console.log(`   ✅ Active: ${active}`);
-
-      const supported = await orakl.isFeedSupported(symbol);
-      console.log(`\n🔎 Supported: ${supported}`);
-
-      // Try latest price
-      console.log("\n📡 Fetching latest price from OraklPriceFeed...");
-      try {
-        const data = await orakl.getLatestPrice(symbol);
-        const rawPrice = data.price;
-        const ts = Number(data.timestamp);
-        const roundId = Number(data.roundId);
-        const valid = data.valid;
-        const humanPrice = decimals > 0 ? ethers.formatUnits(rawPrice, decimals) : rawPrice.toString();
-
-        console.log(`   💰 Raw Price: ${rawPrice.toString()}`);
-        console.log(`   💵 Human Price: $${humanPrice}`);
-        console.log(`   ⏰ Timestamp: ${new Date(ts * 1000).toLocaleString()} (${Math.floor((Date.now()/1000 - ts))}s ago)`);
-        console.log(`   🔁 Round ID: ${roundId}`);
-        console.log(`   ✅ Valid: ${valid}`);
-      } catch (e) {
-        console.log(`   ❌ Error calling getLatestPrice: ${e.message}`);
+      const [deployer] = await ethers.getSigners();
+      console.log(`\n👤 Using account: ${deployer.address}`);
+
+      if (report.feeds.length === 0) {
+        console.log("\n📭 No Orakl symbols configured in OracleRouter. Pass --symbol to query a feed directly.");
+        return report;
+      }
+
+      for (const feed of report.feeds) {
+        console.log(`\n🎯 Symbol: ${feed.symbol}`);
+        console.log(`🧩 Feed ID: ${feed.feedId}`);
+
+        console.log("\n⚙️  Config:");
+        console.log(`   📍 Proxy: ${feed.config.feedProxy}`);
+        console.log(`   🧮 Decimals: ${feed.config.decimals}`);
+        console.log(`   ⏱️  Heartbeat: ${feed.config.heartbeatSeconds}s`);
+        console.log(`   📝 Description: ${feed.config.description}`);
+        console.log(`   ✅ Active: ${feed.config.active}`);
+
+        console.log(`\n🔎 Supported: ${feed.supported}`);
+
+        console.log("\n📡 Fetching latest price from OraklPriceFeed...");
+        if (feed.latest) {
+          console.log(`   💰 Raw Price: ${feed.latest.price.raw.toString()}`);
+          console.log(`   💵 Human Price: $${feed.latest.price.formatted}`);
+          console.log(`   ⏰ Timestamp: ${new Date(feed.latest.timestamp * 1000).toLocaleString()} (${feed.latest.ageSeconds}s ago)`);
+          console.log(`   🔁 Round ID: ${feed.latest.roundId}`);
+          console.log(`   ✅ Valid: ${feed.latest.valid}`);
+        } else {
+          console.log(`   ❌ Error calling getLatestPrice: ${feed.error}`);
+        }
+        console.log("   " + "─".repeat(50));
       }
 
       console.log("\n📝 Note: If values are zero/invalid, ensure the feed proxy is correct and active, and heartbeat/staleness allow reads.");
+      return report;
     } catch (error) {
       console.error(`\n❌ Orakl monitor error: ${error.message}`);
       throw error;
@@ -1059,46 +741,48 @@ task("monitor-orakl-direct", "Directly query OraklPriceFeed for a symbol")
 
 task("monitor-dino-direct", "Directly query DinoOracle for an identifier")
   .addOptionalParam("identifier", "Price identifier string (e.g., BTC-USDT)", "BTC-USDT", types.string)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addOptionalParam("format", "Output format: table, json or csv", "table", types.string)
   .setAction(async (taskArgs, hre) => {
     const { ethers } = hre;
-    require("dotenv").config();
+    const { loadProtocolContext } = require("./utils");
+    const { collectDinoPrice } = require("./collectors");
+    const { parseFormat, printReport } = require("./output");
 
-    console.log("🦕 DINO Oracle Direct Monitor");
-    console.log("=" .repeat(60));
+    const format = parseFormat(taskArgs.format);
 
-    const DINO_ORACLE_ADDRESS = process.env.DINO_ORACLE_ADDRESS;
-    if (!DINO_ORACLE_ADDRESS) {
-      console.log("⚠️  DINO_ORACLE_ADDRESS not set in .env. Set it to your DinoOracle address.");
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    if (!context.dinoOracle) {
+      console.log("⚠️  DinoOracle address not found. Pass --registry or set DINO_ORACLE_ADDRESS in .env.");
       return;
     }
 
-    const [deployer] = await ethers.getSigners();
-    console.log(`\n👤 Using account: ${deployer.address}`);
+    try {
+      const report = await collectDinoPrice(hre, context, taskArgs.identifier);
+      if (printReport(format, report, [report])) return report;
 
-    const dino = await ethers.getContractAt("DinoOracle", DINO_ORACLE_ADDRESS);
+      console.log("🦕 DINO Oracle Direct Monitor");
+      console.log("=" .repeat(60));
 
-    try {
-      const idString = taskArgs.identifier;
-      const identifier = ethers.keccak256(ethers.toUtf8Bytes(idString));
-      console.log(`\n🎯 Identifier: ${idString}`);
-      console.log(`🧩 Keccak: ${identifier}`);
+      const [deployer] = await ethers.getSigners();
+      console.log(`\n👤 Using account: ${deployer.address}`);
+
+      console.log(`\n🎯 Identifier: ${report.identifier}`);
+      console.log(`🧩 Keccak: ${report.identifierHash}`);
 
       console.log("\n📡 Fetching latest price from DinoOracle...");
-      try {
-        const [price, ts] = await dino.getLatestPrice(identifier);
-        const human = ethers.formatUnits(price, 8); // DINO now uses 8 decimals
-        console.log(`   💰 Price: $${human}`);
-        console.log(`   ⏰ Timestamp: ${new Date(Number(ts) * 1000).toLocaleString()} (${Math.floor((Date.now()/1000 - Number(ts)))}s ago)`);
-      } catch (e) {
-        console.log(`   ❌ Error calling getLatestPrice: ${e.message}`);
+      if (report.latest) {
+        console.log(`   💰 Price: $${report.latest.price.formatted}`);
+        console.log(`   ⏰ Timestamp: ${new Date(report.latest.timestamp * 1000).toLocaleString()} (${report.latest.ageSeconds}s ago)`);
+      } else {
+        console.log(`   ❌ Error calling getLatestPrice: ${report.error}`);
       }
 
       console.log("\n🧪 Historical read (last 1h ago, if any)...");
-      try {
-        const ts = Math.floor(Date.now() / 1000) - 3600;
-        const priceAt = await dino.getPrice(identifier, ts);
-        console.log(`   💰 Price @ ${new Date(ts * 1000).toLocaleString()}: $${ethers.formatUnits(priceAt, 8)}`); // DINO now uses 8 decimals
-      } catch {}
+      if (report.historical) {
+        console.log(`   💰 Price @ ${new Date(report.historical.timestamp * 1000).toLocaleString()}: $${report.historical.price.formatted}`);
+      }
+      return report;
 
     } catch (error) {
       console.error(`\n❌ DINO monitor error: ${error.message}`);
@@ -1111,81 +795,70 @@ task("monitor-dino-direct", "Directly query DinoOracle for an identifier")
 // ============================================================================
 
 task("debug-oracle-route", "Debug exact OracleRouter getPrice flow")
-  .addOptionalParam("identifier", "Price identifier string (e.g., BTC-USDT)", "BTC-USDT", types.string)
+  .addOptionalParam("identifier", "Symbol configured in OracleRouter (e.g., BTC-USDT); defaults to every configured symbol", undefined, types.string)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
   .setAction(async (taskArgs, hre) => {
     const { ethers } = hre;
-    require("dotenv").config();
+    const { loadProtocolContext } = require("./utils");
+    const { configuredFeeds } = require("./collectors");
 
     console.log("🔧 Oracle Route Flow Debugger");
     console.log("=" .repeat(60));
 
-    const ORACLE_ROUTER_ADDRESS = process.env.ORACLE_ROUTER_ADDRESS;
-    const ORAKL_FEED_ADDRESS = process.env.ORAKL_FEED_ADDRESS;
+    const { oracleRouter: router, oraklPriceFeed: oraklFeed } = await loadProtocolContext(hre, { registry: taskArgs.registry });
 
-    if (!ORACLE_ROUTER_ADDRESS || !ORAKL_FEED_ADDRESS) {
-      console.log("⚠️  ORACLE_ROUTER_ADDRESS or ORAKL_FEED_ADDRESS not set. Skipping.");
+    if (!router || !oraklFeed) {
+      console.log("⚠️  OracleRouter or OraklPriceFeed address not found. Skipping.");
       return;
     }
 
-    const router = await ethers.getContractAt("OracleRouter", ORACLE_ROUTER_ADDRESS);
-    const oraklFeed = await ethers.getContractAt("OraklPriceFeed", ORAKL_FEED_ADDRESS);
-    const identifier = ethers.keccak256(ethers.toUtf8Bytes(taskArgs.identifier));
-
     try {
-      console.log(`\n🎯 Testing: ${taskArgs.identifier}`);
-      console.log(`🧩 Identifier Hash: ${identifier}`);
-
       // Step 1: Check router configuration
-      const configured = await router.isConfigured(identifier);
-      console.log(`\n📋 Router Configured: ${configured}`);
-
-      if (!configured) {
-        console.log("❌ Identifier not configured in router");
+      const configured = await configuredFeeds(router);
+      const feeds = taskArgs.identifier
+        ? configured.filter((feed) => feed.symbol === taskArgs.identifier)
+        : configured;
+      console.log(`\n📋 Router Configured Symbols: ${configured.map((feed) => feed.symbol).join(", ") || "none"}`);
+
+      if (feeds.length === 0) {
+        const hash = taskArgs.identifier ? ethers.keccak256(ethers.toUtf8Bytes(taskArgs.identifier)) : "";
+        console.log(`❌ ${taskArgs.identifier ? `${taskArgs.identifier} (${hash})` : "No identifier"} configured in router`);
         return;
       }
 
-      const config = await router.getOracleConfig(identifier);
-      console.log(`   🎯 Primary Type: ${config.primaryType} (0=ORAKL, 1=DINO)`);
+      for (const { identifier, symbol, oraklSymbol } of feeds) {
+        console.log(`\n🎯 Testing: ${symbol}`);
+        console.log(`🧩 Identifier Hash: ${identifier}`);
 
-      // Step 2: Test _identifierToString conversion
-      console.log(`\n🔄 Testing identifier conversion...`);
-      
-      // Manually test the conversion logic from our fixed function
-      let convertedSymbol = "";
-      if (identifier === ethers.keccak256(ethers.toUtf8Bytes("BTC-USDT"))) {
-        convertedSymbol = "BTC-USDT";
-      } else if (identifier === ethers.keccak256(ethers.toUtf8Bytes("ETH-USDT"))) {
-        convertedSymbol = "ETH-USDT";
-      } else if (identifier === ethers.keccak256(ethers.toUtf8Bytes("KAIA-USDT"))) {
-        convertedSymbol = "KAIA-USDT";
-      }
-      console.log(`   ✅ Converted Symbol: "${convertedSymbol}"`);
-
-      // Step 3: Test OraklPriceFeed directly with converted symbol
-      console.log(`\n📡 Testing OraklPriceFeed with symbol: "${convertedSymbol}"`);
-      try {
-        const oraklData = await oraklFeed.getLatestPrice(convertedSymbol);
-        console.log(`   💰 Orakl Price: ${oraklData.price}`);
-        console.log(`   ⏰ Orakl Timestamp: ${oraklData.timestamp}`);
-        console.log(`   🔁 Orakl Round ID: ${oraklData.roundId}`);
-        console.log(`   ✅ Orakl Valid: ${oraklData.valid}`);
-        console.log(`   💵 Human Price: $${ethers.formatUnits(oraklData.price, 8)}`);
-      } catch (error) {
-        console.log(`   ❌ OraklPriceFeed Error: ${error.message}`);
-      }
+        const config = await router.getOracleConfig(identifier);
+        console.log(`   🎯 Primary Type: ${config.primaryType} (0=ORAKL, 1=DINO)`);
 
-      // Step 4: Test OracleRouter getPrice
-      console.log(`\n🔀 Testing OracleRouter.getPrice()...`);
-      try {
-        const routerResult = await router.getPrice(identifier);
-        console.log(`   💰 Router Price: ${routerResult.price}`);
-        console.log(`   ⏰ Router Timestamp: ${routerResult.timestamp}`);
-        console.log(`   🎯 Router Source: ${routerResult.source}`);
-        console.log(`   ✅ Router Valid: ${routerResult.valid}`);
-        console.log(`   ❌ Router Error: "${routerResult.error}"`);
-        console.log(`   💵 Human Price: $${ethers.formatUnits(routerResult.price, 8)}`);
-      } catch (error) {
-        console.log(`   ❌ OracleRouter Error: ${error.message}`);
+        // Step 2: Test OraklPriceFeed directly with the symbol the router reads
+        console.log(`\n📡 Testing OraklPriceFeed with Orakl symbol: "${oraklSymbol}"`);
+        try {
+          const oraklData = await oraklFeed.getLatestPrice(oraklSymbol);
+          console.log(`   💰 Orakl Price: ${oraklData.price}`);
+          console.log(`   ⏰ Orakl Timestamp: ${oraklData.timestamp}`);
+          console.log(`   🔁 Orakl Round ID: ${oraklData.roundId}`);
+          console.log(`   ✅ Orakl Valid: ${oraklData.valid}`);
+          console.log(`   💵 Human Price: $${ethers.formatUnits(oraklData.price, 8)}`);
+        } catch (error) {
+          console.log(`   ❌ OraklPriceFeed Error: ${error.message}`);
+        }
+
+        // Step 3: Test OracleRouter getPrice
+        console.log(`\n🔀 Testing OracleRouter.getPrice()...`);
+        try {
+          const routerResult = await router.getPrice(identifier);
+          console.log(`   💰 Router Price: ${routerResult.price}`);
+          console.log(`   ⏰ Router Timestamp: ${routerResult.timestamp}`);
+          console.log(`   🎯 Router Source: ${routerResult.source}`);
+          console.log(`   ✅ Router Valid: ${routerResult.valid}`);
+          console.log(`   ❌ Router Error: "${routerResult.error}"`);
+          console.log(`   💵 Human Price: $${ethers.formatUnits(routerResult.price, 8)}`);
+        } catch (error) {
+          console.log(`   ❌ OracleRouter Error: ${error.message}`);
+        }
       }
 
     } catch (error) {
@@ -1196,20 +869,19 @@ task("debug-oracle-route", "Debug exact OracleRouter getPrice flow")
 
 task("debug-oracle-config", "Debug OracleRouter configuration")
   .addOptionalParam("identifier", "Price identifier string (e.g., BTC-USDT)", "BTC-USDT", types.string)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
   .setAction(async (taskArgs, hre) => {
     const { ethers } = hre;
-    require("dotenv").config();
+    const { loadProtocolContext } = require("./utils");
 
     console.log("🔧 Oracle Configuration Debugger");
     console.log("=" .repeat(60));
 
-    const ORACLE_ROUTER_ADDRESS = process.env.ORACLE_ROUTER_ADDRESS;
-    if (!ORACLE_ROUTER_ADDRESS) {
-      console.log("⚠️  ORACLE_ROUTER_ADDRESS not set. Skipping.");
+    const { oracleRouter: router } = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    if (!router) {
+      console.log("⚠️  OracleRouter address not found. Skipping.");
       return;
     }
-
-    const router = await ethers.getContractAt("OracleRouter", ORACLE_ROUTER_ADDRESS);
     const identifier = ethers.keccak256(ethers.toUtf8Bytes(taskArgs.identifier));
 
     try {
@@ -1229,13 +901,19 @@ task("debug-oracle-config", "Debug OracleRouter configuration")
         console.log(`   📊 Max Deviation: ${Number(config.maxPriceDeviationBps) / 100}%`);
         console.log(`   ⏰ Max Staleness: ${config.maxStaleness}s`);
         console.log(`   ✅ Active: ${config.active}`);
-        console.log(`   📝 Description: ${config.description}`);
+        console.log(`   📝 Symbol: ${config.symbol}`);
+        console.log(`   🌐 Orakl Symbol: ${config.oraklSymbol}`);
+
+        const { AGGREGATION_MODES } = require("./collectors");
+        const aggregation = await router.aggregationConfigs(identifier);
+        const count = await router.getObservationCount(identifier);
+        console.log(`   🧮 Aggregation: ${AGGREGATION_MODES[Number(aggregation.mode)]} (TWAP window ${aggregation.twapWindow}s, ${count} observations)`);
       }
 
-      const allConfigured = await router.getConfiguredIdentifiers();
+      const [allConfigured, symbols, oraklSymbols] = await router.getConfiguredSymbols();
       console.log(`\n📋 All Configured Identifiers (${allConfigured.length}):`);
       for (let i = 0; i < allConfigured.length; i++) {
-        console.log(`   ${i+1}. ${allConfigured[i]}`);
+        console.log(`   ${i+1}. ${symbols[i]} (Orakl: ${oraklSymbols[i]}) ${allConfigured[i]}`);
       }
 
     } catch (error) {
@@ -1247,27 +925,24 @@ task("debug-oracle-config", "Debug OracleRouter configuration")
 task("propose-test-price", "Propose a test price to DinoOracle")
   .addOptionalParam("identifier", "Price identifier (e.g., BTC-USDT)", "BTC-USDT", types.string)
   .addOptionalParam("price", "Price in ETH units (e.g., 113000)", "113000", types.string)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
   .setAction(async (taskArgs, hre) => {
     const { ethers } = hre;
-    require("dotenv").config();
+    const { loadProtocolContext } = require("./utils");
 
     console.log("🦕 DINO Oracle Test Price Proposer");
     console.log("=" .repeat(60));
 
-    const DINO_ORACLE_ADDRESS = process.env.DINO_ORACLE_ADDRESS;
-    const DIN_TOKEN_ADDRESS = process.env.DIN_TOKEN_ADDRESS;
+    const { dinoOracle: dino, dinToken } = await loadProtocolContext(hre, { registry: taskArgs.registry });
 
-    if (!DINO_ORACLE_ADDRESS || !DIN_TOKEN_ADDRESS) {
-      console.log("⚠️  DINO_ORACLE_ADDRESS or DIN_TOKEN_ADDRESS not set. Skipping.");
+    if (!dino || !dinToken) {
+      console.log("⚠️  DinoOracle or DinToken address not found. Skipping.");
       return;
     }
 
     const [deployer] = await ethers.getSigners();
     console.log(`\n👤 Using account: ${deployer.address}`);
 
-    const dino = await ethers.getContractAt("DinoOracle", DINO_ORACLE_ADDRESS);
-    const dinToken = await ethers.getContractAt("DinToken", DIN_TOKEN_ADDRESS);
-
     try {
       const identifier = ethers.keccak256(ethers.toUtf8Bytes(taskArgs.identifier));
       const price = ethers.parseUnits(taskArgs.price, 8); // DINO Oracle now uses 8 decimals
@@ -1342,12 +1017,14 @@ task("propose-test-price", "Propose a test price to DinoOracle")
 
 task("settle-dino-proposal", "Settle a DINO oracle proposal after liveness window")
   .addParam("proposalId", "Proposal ID to settle", undefined, types.int)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
   .setAction(async (taskArgs, hre) => {
     const { ethers } = hre;
-    require("dotenv").config();
+    const { loadProtocolContext, requireContracts } = require("./utils");
 
-    const DINO_ORACLE_ADDRESS = process.env.DINO_ORACLE_ADDRESS;
-    const dino = await ethers.getContractAt("DinoOracle", DINO_ORACLE_ADDRESS);
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "dinoOracle");
+    const dino = context.dinoOracle;
 
     try {
       console.log(`\n🦕 Settling DINO proposal ${taskArgs.proposalId}...`);
@@ -1362,56 +1039,73 @@ task("settle-dino-proposal", "Settle a DINO oracle proposal after liveness windo
 
 task("debug-trigger-evaluation", "Debug trigger price evaluation with current oracle data")
   .addOptionalParam("trancheId", "Tranche ID to test", "1", types.int)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
   .setAction(async (taskArgs, hre) => {
     const { ethers } = hre;
-    require("dotenv").config();
+    const { loadProtocolContext } = require("./utils");
 
     console.log("🔧 Trigger Evaluation Debugger");
     console.log("=" .repeat(60));
 
-    const PRODUCT_CATALOG_ADDRESS = process.env.PRODUCT_CATALOG_ADDRESS;
-    const ORACLE_ROUTER_ADDRESS = process.env.ORACLE_ROUTER_ADDRESS;
+    const { productCatalog, settlementEngine, oracleRouter } = await loadProtocolContext(hre, { registry: taskArgs.registry });
 
-    if (!PRODUCT_CATALOG_ADDRESS || !ORACLE_ROUTER_ADDRESS) {
-      console.log("⚠️  Required addresses not set. Skipping.");
+    if (!productCatalog || !settlementEngine || !oracleRouter) {
+      console.log("⚠️  Required addresses not found. Skipping.");
       return;
     }
 
     try {
-      const productCatalog = await ethers.getContractAt("ProductCatalog", PRODUCT_CATALOG_ADDRESS);
-      const oracleRouter = await ethers.getContractAt("OracleRouter", ORACLE_ROUTER_ADDRESS);
 
       console.log(`\n🎯 Testing Tranche: ${taskArgs.trancheId}`);
 
       // Get tranche spec
       const tranche = await productCatalog.getTranche(taskArgs.trancheId);
       console.log(`\n📋 Tranche Configuration:`);
-      console.log(`   🎯 Trigger Type: ${tranche.triggerType} (0=PRICE_BELOW, 1=PRICE_ABOVE)`);
+      console.log(`   🎯 Trigger Type: ${tranche.triggerType} (0=PRICE_BELOW, 1=PRICE_ABOVE, 2=RELATIVE)`);
       console.log(`   💰 Threshold (18 decimals): ${tranche.threshold}`);
       console.log(`   💵 Threshold (human): $${ethers.formatEther(tranche.threshold)}`);
 
-      // Determine oracle route and get current price
-      const oracleRouteId = Number(tranche.oracleRouteId || 1);
-      const routeMapping = {
-          1: "BTC-USDT",
-          2: "ETH-USDT", 
-          3: "KAIA-USDT"
-      };
-      const targetSymbol = routeMapping[oracleRouteId] || "BTC-USDT";
-      const identifier = ethers.keccak256(ethers.toUtf8Bytes(targetSymbol));
+      // Resolve the oracle route through the binding SettlementEngine settles against
+      const oracleRouteId = Number(tranche.oracleRouteId);
+      const identifier = await settlementEngine.routeIdentifiers(oracleRouteId);
+      if (identifier === ethers.ZeroHash) {
+        console.log(`\n⚠️  Oracle route ${oracleRouteId} is not bound to a price identifier in SettlementEngine`);
+        return;
+      }
+      const targetSymbol = (await oracleRouter.getOracleConfig(identifier)).symbol;
       
       console.log(`\n🔮 Oracle Route: ${targetSymbol} (Route ID: ${oracleRouteId})`);
       
-      const oracleResult = await oracleRouter.getPrice(identifier);
-      console.log(`   💰 Oracle Price (8 decimals): ${oracleResult.price}`);
-      console.log(`   💵 Oracle Price (human): $${ethers.formatUnits(oracleResult.price, 8)}`);
-      console.log(`   ✅ Valid: ${oracleResult.valid}`);
+      // Settlement compares prices and thresholds in the router's price decimals
+      const decimals = Number(await oracleRouter.PRICE_DECIMALS());
+
+      // Aggregate like requestOracleObservation: the route's mode, at maturity once it has passed
+      const { AGGREGATION_MODES, ORACLE_TYPES } = require("./collectors");
+      const routeMode = await settlementEngine.routeAggregation(oracleRouteId);
+      const { timestamp: now } = await ethers.provider.getBlock("latest");
+      const matured = BigInt(now) >= tranche.maturityTimestamp;
+      const [mode, oracleResult, inputs] = await oracleRouter.getAggregationInputs(
+        identifier, routeMode, matured ? tranche.maturityTimestamp : 0
+      );
+      const aggregation = AGGREGATION_MODES[Number(mode)];
+
+      console.log(`   🧮 Aggregation: ${aggregation} (route setting: ${AGGREGATION_MODES[Number(routeMode)]}) ${matured ? "at maturity" : "now"}`);
+      console.log(`   💰 Oracle Price (${decimals} decimals): ${oracleResult.price}`);
+      console.log(`   💵 Oracle Price (human): $${ethers.formatUnits(oracleResult.price, decimals)}`);
+      console.log(`   ✅ Valid: ${oracleResult.valid}${oracleResult.valid ? "" : ` (${oracleResult.error})`}`);
+
+      console.log(`\n📥 ${aggregation} Inputs (${inputs.length}):`);
+      for (const input of inputs) {
+        const weight = aggregation === "TWAP" ? ` held ${input.weight}s` : "";
+        const at = new Date(Number(input.timestamp) * 1000).toISOString();
+        console.log(`   • ${ORACLE_TYPES[Number(input.source)]}: $${ethers.formatUnits(input.price, decimals)} @ ${at}${weight}`);
+      }
 
       // Simulate trigger evaluation
-      const normalizedThreshold = tranche.threshold / BigInt(1e10); // Convert 18 to 8 decimals
+      const normalizedThreshold = await settlementEngine.normalizeThreshold(tranche.threshold);
       console.log(`\n🧮 Trigger Evaluation:`);
-      console.log(`   📏 Normalized Threshold (8 decimals): ${normalizedThreshold}`);
-      console.log(`   💵 Normalized Threshold (human): $${ethers.formatUnits(normalizedThreshold, 8)}`);
+      console.log(`   📏 Normalized Threshold (${decimals} decimals): ${normalizedThreshold}`);
+      console.log(`   💵 Normalized Threshold (human): $${ethers.formatUnits(normalizedThreshold, decimals)}`);
 
       let triggered = false;
       if (tranche.triggerType === 0n) { // PRICE_BELOW
@@ -1430,6 +1124,20 @@ task("debug-trigger-evaluation", "Debug trigger price evaluation with current or
         console.log(`\n✅ Insurance premiums would be kept (no payout).`);
       }
 
+      return {
+        trancheId: taskArgs.trancheId,
+        aggregation,
+        price: oracleResult.price,
+        valid: oracleResult.valid,
+        inputs: inputs.map((input) => ({
+          source: ORACLE_TYPES[Number(input.source)],
+          price: input.price,
+          timestamp: Number(input.timestamp),
+          weight: Number(input.weight)
+        })),
+        triggered
+      };
+
     } catch (error) {
       console.error(`\n❌ Debug error: ${error.message}`);
       throw error;
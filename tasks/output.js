@@ -0,0 +1,95 @@
+// ============================================================================
+// MONITOR OUTPUT FORMATS (table | json | csv)
+// ============================================================================
+
+const OUTPUT_FORMATS = ["table", "json", "csv"];
+
+/**
+ * Validate a --format value
+ */
+function parseFormat(format) {
+    const normalized = String(format || "table").toLowerCase();
+    if (!OUTPUT_FORMATS.includes(normalized)) {
+        throw new Error(`Unsupported format "${format}". Use one of: ${OUTPUT_FORMATS.join(", ")}`);
+    }
+    return normalized;
+}
+
+/**
+ * JSON.stringify replacer: bigints become decimal strings so no precision is lost
+ */
+function bigintReplacer(key, value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+function toJSON(data) {
+    return JSON.stringify(data, bigintReplacer, 2);
+}
+
+/**
+ * Flatten nested objects into dotted keys (e.g. totalAssets.raw, totalAssets.formatted)
+ */
+function flatten(value, prefix = "", out = {}) {
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+        for (const [key, inner] of Object.entries(value)) {
+            flatten(inner, prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else if (Array.isArray(value)) {
+        out[prefix] = value.map((item) => (typeof item === "bigint" ? item.toString() : item)).join(";");
+    } else {
+        out[prefix] = value;
+    }
+    return out;
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    const text = typeof value === "bigint" ? value.toString() : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV; columns are the union of flattened keys in first-seen order
+ */
+function toCSV(rows) {
+    const flatRows = rows.map((row) => flatten(row));
+    const columns = [];
+    for (const row of flatRows) {
+        for (const key of Object.keys(row)) {
+            if (!columns.includes(key)) columns.push(key);
+        }
+    }
+    const lines = [columns.join(",")];
+    for (const row of flatRows) {
+        lines.push(columns.map((column) => csvCell(row[column])).join(","));
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Print collector output in a machine-readable format.
+ * Returns false for "table" so the caller can fall through to its console renderer.
+ * @param format Parsed --format value
+ * @param report Collector result (serialized whole for json)
+ * @param rows Row list used for csv output
+ */
+function printReport(format, report, rows) {
+    if (format === "json") {
+        console.log(toJSON(report));
+        return true;
+    }
+    if (format === "csv") {
+        console.log(toCSV(rows));
+        return true;
+    }
+    return false;
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    parseFormat,
+    toJSON,
+    toCSV,
+    flatten,
+    printReport
+};
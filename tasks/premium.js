@@ -0,0 +1,60 @@
+const { task, types } = require("hardhat/config");
+
+// ============================================================================
+// PREMIUM QUOTES
+// ============================================================================
+
+const USDT_DECIMALS = 6;
+
+const bps = (value) => `${(value / 100).toFixed(2)}%`;
+
+task("quote-premium", "Preview the premium a tranche pool charges for coverage, with the PremiumEngine breakdown")
+  .addParam("trancheId", "Tranche id to price", undefined, types.int)
+  .addOptionalParam("amount", "Coverage to price in USDT (e.g. 1000)", "1000", types.string)
+  .addOptionalParam("roundId", "Round whose subscription is priced (defaults to the tranche's latest round)", undefined, types.int)
+  .addOptionalParam("demand", "Override coverage already ordered in the round, in USDT", undefined, types.string)
+  .addOptionalParam("supply", "Override collateral already deposited in the round, in USDT", undefined, types.string)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addOptionalParam("format", "Output format: table, json or csv", "table", types.string)
+  .setAction(async (taskArgs, hre) => {
+    const { ethers } = hre;
+    const { loadProtocolContext, requireContracts } = require("./utils");
+    const { collectPremiumQuote } = require("./collectors");
+    const { parseFormat, printReport } = require("./output");
+
+    const format = parseFormat(taskArgs.format);
+    const parseUsdt = (value) => (value === undefined ? undefined : ethers.parseUnits(value, USDT_DECIMALS));
+
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "productCatalog");
+
+    const quote = await collectPremiumQuote(hre, context, {
+        trancheId: taskArgs.trancheId,
+        purchaseAmount: parseUsdt(taskArgs.amount),
+        roundId: taskArgs.roundId,
+        demand: parseUsdt(taskArgs.demand),
+        supply: parseUsdt(taskArgs.supply)
+    });
+    if (printReport(format, quote, [quote])) return quote;
+
+    console.log("\n🧮 Premium Quote");
+    console.log("=".repeat(60));
+    console.log(`🎯 Tranche: ${quote.trancheId}${quote.roundId === null ? "" : ` (round ${quote.roundId})`}`);
+    console.log(`🛡️  Coverage: $${quote.purchaseAmount.formatted}`);
+    console.log(`📊 Subscription: $${quote.demand.formatted} ordered / $${quote.supply.formatted} collateral`);
+    console.log(`💰 Base rate: ${bps(quote.baseRateBps)} ($${quote.flatPremium.formatted} flat)`);
+
+    if (!quote.breakdown) {
+        console.log("\n⚠️  No PremiumEngine registered: pools charge the flat base rate");
+    } else {
+        const { breakdown } = quote;
+        console.log(`\n⚙️  PremiumEngine: ${quote.engine}`);
+        console.log(`   ⏳ Time factor: ${bps(breakdown.timeFactorBps)} of base`);
+        console.log(`   📈 Utilization: ${bps(breakdown.utilizationBps)} → +${bps(breakdown.utilizationSurchargeBps)} of base`);
+        console.log(`   🎯 Distance to trigger: ${bps(breakdown.distanceBps)} → +${bps(breakdown.proximitySurchargeBps)} of base`);
+        console.log(`   🧢 Max premium: ${bps(breakdown.maxPremiumBps)}${breakdown.capped ? " (applied)" : ""}`);
+    }
+
+    console.log(`\n✅ Premium: $${quote.premium.formatted} at ${bps(quote.rateBps)}`);
+    return quote;
+  });
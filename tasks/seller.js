@@ -0,0 +1,142 @@
+const { task, types } = require("hardhat/config");
+
+// ============================================================================
+// SELLER ACTIONS
+// ============================================================================
+
+const USDT_DECIMALS = 6;
+// Shares are minted 1:1 with collateral at NAV 1.0, so they carry the USDT decimals
+const SHARE_DECIMALS = USDT_DECIMALS;
+const NAV_DECIMALS = 18;
+
+/**
+ * Resolve the TranchePoolCore a seller action targets
+ * @param taskArgs.pool Pool address (takes precedence)
+ * @param taskArgs.trancheId Tranche id, resolved through TranchePoolFactory
+ */
+async function resolvePool(hre, taskArgs) {
+    const { ethers } = hre;
+    const { loadProtocolContext, requireContracts } = require("./utils");
+
+    if (taskArgs.pool) {
+        return ethers.getContractAt("TranchePoolCore", taskArgs.pool);
+    }
+    if (taskArgs.trancheId === undefined) {
+        throw new Error("Pass --pool <address> or --tranche-id <id>");
+    }
+
+    const context = await loadProtocolContext(hre, { registry: taskArgs.registry });
+    requireContracts(context, "tranchePoolFactory");
+    const poolAddress = await context.tranchePoolFactory.getTranchePool(taskArgs.trancheId);
+    if (poolAddress === ethers.ZeroAddress) {
+        throw new Error(`No pool deployed for tranche ${taskArgs.trancheId}`);
+    }
+    return ethers.getContractAt("TranchePoolCore", poolAddress);
+}
+
+/**
+ * Seller share breakdown and the funds the pool can pay out right now
+ */
+async function readSellerShares(pool, seller) {
+    const [balance, locked, pending, withdrawable, accounting, pendingCollateral] = await Promise.all([
+        pool.shareBalances(seller),
+        pool.lockedShares(seller),
+        pool.pendingShares(seller),
+        pool.getWithdrawableShares(seller),
+        pool.getPoolAccounting(),
+        pool.pendingCollateral()
+    ]);
+
+    // Mirrors TranchePoolCore._liquidAssets
+    const committed = accounting.lockedAssets + accounting.yieldDeposited + pendingCollateral;
+    const liquidAssets = accounting.totalAssets > committed ? accounting.totalAssets - committed : 0n;
+
+    return {
+        balance,
+        locked,
+        pending,
+        withdrawable,
+        navPerShare: accounting.navPerShare,
+        withdrawableValue: (withdrawable * accounting.navPerShare) / 10n ** 18n,
+        liquidAssets
+    };
+}
+
+task("seller-withdraw", "Withdraw idle seller shares from a tranche pool at the current NAV")
+  .addOptionalParam("pool", "TranchePoolCore address", undefined, types.string)
+  .addOptionalParam("trancheId", "Tranche id (pool resolved through TranchePoolFactory)", undefined, types.int)
+  .addOptionalParam("registry", "DinRegistry address to discover contracts from (defaults to manifest/.env)", undefined, types.string)
+  .addOptionalParam("shares", "Shares to burn (e.g. 250.5)", undefined, types.string)
+  .addOptionalParam("assets", "Exact USDT amount to receive (burns shares rounded up)", undefined, types.string)
+  .addFlag("all", "Withdraw every withdrawable share")
+  .setAction(async (taskArgs, hre) => {
+    const { ethers } = hre;
+    const { setupWallet } = require("./utils");
+
+    const modes = ["shares", "assets", "all"].filter((mode) => taskArgs[mode]);
+    if (modes.length !== 1) {
+        throw new Error("Pass exactly one of --shares, --assets or --all");
+    }
+
+    setupWallet(hre);
+    const [seller] = await ethers.getSigners();
+    const pool = await resolvePool(hre, taskArgs);
+
+    console.log("\n💸 Seller Withdrawal");
+    console.log("=".repeat(60));
+    console.log(`👤 Seller: ${seller.address}`);
+    console.log(`🏊 Pool: ${pool.target}`);
+
+    const before = await readSellerShares(pool, seller.address);
+    console.log(`\n📊 Shares: ${ethers.formatUnits(before.balance, SHARE_DECIMALS)}`);
+    console.log(`   🔒 Locked in matched rounds: ${ethers.formatUnits(before.locked, SHARE_DECIMALS)}`);
+    console.log(`   ⏳ Pending matching: ${ethers.formatUnits(before.pending, SHARE_DECIMALS)}`);
+    console.log(`   ✅ Withdrawable: ${ethers.formatUnits(before.withdrawable, SHARE_DECIMALS)} (~$${ethers.formatUnits(before.withdrawableValue, USDT_DECIMALS)})`);
+    console.log(`   📈 NAV per share: ${ethers.formatUnits(before.navPerShare, NAV_DECIMALS)}`);
+    console.log(`   💧 Pool liquidity: $${ethers.formatUnits(before.liquidAssets, USDT_DECIMALS)}`);
+
+    if (before.withdrawable === 0n) {
+        throw new Error("No withdrawable shares: everything is locked or pending matching");
+    }
+
+    let tx;
+    if (taskArgs.assets) {
+        const assets = ethers.parseUnits(taskArgs.assets, USDT_DECIMALS);
+        if (assets > before.withdrawableValue) {
+            throw new Error(`Requested $${taskArgs.assets} exceeds withdrawable value $${ethers.formatUnits(before.withdrawableValue, USDT_DECIMALS)}`);
+        }
+        if (assets > before.liquidAssets) {
+            throw new Error(`Requested $${taskArgs.assets} exceeds pool liquidity; funds may be deployed to yield`);
+        }
+        console.log(`\n📤 Redeeming $${taskArgs.assets}...`);
+        tx = await pool.connect(seller).redeem(assets);
+    } else {
+        const shares = taskArgs.all ? before.withdrawable : ethers.parseUnits(taskArgs.shares, SHARE_DECIMALS);
+        if (shares > before.withdrawable) {
+            throw new Error(`Requested ${taskArgs.shares} shares exceeds withdrawable ${ethers.formatUnits(before.withdrawable, SHARE_DECIMALS)}`);
+        }
+        console.log(`\n📤 Withdrawing ${ethers.formatUnits(shares, SHARE_DECIMALS)} shares...`);
+        tx = await pool.connect(seller).withdrawShares(shares);
+    }
+
+    const receipt = await tx.wait();
+    const withdrawn = receipt.logs
+        .map((log) => { try { return pool.interface.parseLog(log); } catch { return null; } })
+        .find((parsed) => parsed && parsed.name === "SharesWithdrawn");
+
+    const result = {
+        pool: pool.target,
+        seller: seller.address,
+        shares: withdrawn.args.shares,
+        assets: withdrawn.args.assets,
+        txHash: receipt.hash
+    };
+
+    console.log(`✅ Burned ${ethers.formatUnits(result.shares, SHARE_DECIMALS)} shares for $${ethers.formatUnits(result.assets, USDT_DECIMALS)}`);
+    console.log(`   🧾 Tx: ${result.txHash}`);
+    return result;
+  });
+
+module.exports = {
+    readSellerShares
+};
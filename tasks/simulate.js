@@ -0,0 +1,385 @@
+const { task, types } = require("hardhat/config");
+
+// ============================================================================
+// TRANCHE PRICING SIMULATOR (offline)
+// ============================================================================
+// Monte Carlo estimate of how often a proposed tranche triggers, priced from either
+// a historical price CSV (bootstrapped returns) or synthetic GBM parameters. Nothing
+// here touches a network, so it can be run before a tranche is ever proposed.
+
+const BPS = 10000;
+const YEAR_SECONDS = 365 * 86400;
+const USDT_DECIMALS = 6;
+
+// ProductCatalog.TriggerType values the simulator can price
+const SIMULATED_TRIGGERS = {
+    PRICE_BELOW: 0,
+    PRICE_ABOVE: 1,
+    RELATIVE: 2,
+    BARRIER_BELOW: 5,
+    BARRIER_ABOVE: 6
+};
+
+/**
+ * Seeded uniform [0, 1) generator (mulberry32) so runs are reproducible
+ */
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Standard normal sampler (Box-Muller) on top of a uniform generator
+ */
+function normalSampler(random) {
+    let spare = null;
+    return function normal() {
+        if (spare !== null) {
+            const value = spare;
+            spare = null;
+            return value;
+        }
+        const u = 1 - random(); // (0, 1] keeps the log finite
+        const v = random();
+        const radius = Math.sqrt(-2 * Math.log(u));
+        spare = radius * Math.sin(2 * Math.PI * v);
+        return radius * Math.cos(2 * Math.PI * v);
+    };
+}
+
+function parseTimestamp(value) {
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        const number = Number(value);
+        return number > 1e12 ? Math.floor(number / 1000) : number; // milliseconds or seconds
+    }
+    const parsed = Date.parse(value);
+    if (Number.isNaN(parsed)) throw new Error(`Unrecognized timestamp "${value}"`);
+    return Math.floor(parsed / 1000);
+}
+
+/**
+ * Parse a price CSV into points sorted by time.
+ * Columns are found by header name (timestamp/time/date and price/close); without a
+ * header the first two columns are read as timestamp,price.
+ */
+function parsePriceCsv(text) {
+    const rows = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith("#"));
+    if (rows.length === 0) throw new Error("Price CSV is empty");
+
+    let timeColumn = 0;
+    let priceColumn = 1;
+    const header = rows[0].split(",").map((cell) => cell.trim().toLowerCase());
+    const hasHeader = header.some((cell) => /[a-z]/.test(cell) && Number.isNaN(Date.parse(cell)));
+    if (hasHeader) {
+        timeColumn = header.findIndex((cell) => ["timestamp", "time", "date"].includes(cell));
+        priceColumn = header.findIndex((cell) => ["price", "close"].includes(cell));
+        if (timeColumn < 0 || priceColumn < 0) {
+            throw new Error("Price CSV header needs a timestamp/time/date column and a price/close column");
+        }
+        rows.shift();
+    }
+
+    const points = rows.map((row, index) => {
+        const cells = row.split(",").map((cell) => cell.trim());
+        const price = Number(cells[priceColumn]);
+        if (!(price > 0)) throw new Error(`Invalid price on data row ${index + 1}: "${cells[priceColumn]}"`);
+        return { timestamp: parseTimestamp(cells[timeColumn]), price };
+    });
+    points.sort((a, b) => a.timestamp - b.timestamp);
+    if (points.length < 3) throw new Error("Price CSV needs at least 3 prices");
+    return points;
+}
+
+/**
+ * Log returns of a price series with their sampling interval and annualized moments
+ */
+function historicalReturns(points) {
+    const returns = [];
+    const intervals = [];
+    for (let i = 1; i < points.length; i++) {
+        returns.push(Math.log(points[i].price / points[i - 1].price));
+        intervals.push(points[i].timestamp - points[i - 1].timestamp);
+    }
+    intervals.sort((a, b) => a - b);
+    const intervalSeconds = intervals[Math.floor(intervals.length / 2)];
+    if (!(intervalSeconds > 0)) throw new Error("Price CSV timestamps must be distinct");
+
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+    const periodsPerYear = YEAR_SECONDS / intervalSeconds;
+    const annualVolatility = Math.sqrt(variance * periodsPerYear);
+
+    return {
+        returns,
+        intervalSeconds,
+        spot: points[points.length - 1].price,
+        annualVolatility,
+        // GBM drift equivalent of the mean log return
+        annualDrift: mean * periodsPerYear + (annualVolatility ** 2) / 2
+    };
+}
+
+/**
+ * Whether a simulated path triggers, mirroring SettlementEngine._evaluateTrigger.
+ * RELATIVE thresholds are bps of the activation price (the path's first price).
+ */
+function triggerCheck(triggerType, threshold, spot) {
+    switch (triggerType) {
+        case "PRICE_BELOW": return { barrier: false, hit: (price) => price < threshold };
+        case "PRICE_ABOVE": return { barrier: false, hit: (price) => price > threshold };
+        case "BARRIER_BELOW": return { barrier: true, hit: (price) => price < threshold };
+        case "BARRIER_ABOVE": return { barrier: true, hit: (price) => price > threshold };
+        case "RELATIVE": {
+            const level = (spot * threshold) / BPS;
+            return { barrier: false, hit: threshold < BPS ? (price) => price < level : (price) => price > level };
+        }
+        default:
+            throw new Error(`Cannot simulate trigger type ${triggerType}; use one of ${Object.keys(SIMULATED_TRIGGERS).join(", ")}`);
+    }
+}
+
+/**
+ * Run the Monte Carlo simulation and price the tranche.
+ * @param options.triggerType Key of SIMULATED_TRIGGERS
+ * @param options.threshold Trigger price (USD), or bps of the activation price for RELATIVE
+ * @param options.days Days from activation to maturity
+ * @param options.history Output of historicalReturns (bootstrap); otherwise GBM is used
+ * @param options.spot Starting price (defaults to the last historical price)
+ * @param options.drift Annual GBM drift
+ * @param options.volatility Annual GBM volatility
+ * @param options.paths Number of simulated paths
+ * @param options.stepsPerDay GBM monitoring steps per day for barrier triggers
+ * @param options.seed PRNG seed
+ * @param options.loadingBps Margin over the break-even premium
+ * @param options.premiumBps Premium rate to evaluate instead of the suggested one
+ * @param options.protocolFeeBps Pool protocol fee taken from premiums
+ * @param options.maxPremiumBps Registry MAX_PREMIUM_BPS, only used for warnings
+ */
+function simulateTranche(options) {
+    const {
+        triggerType, threshold, days, history,
+        paths = 10000, stepsPerDay = 24, seed = 1,
+        loadingBps = 2000, protocolFeeBps = 1000, maxPremiumBps = 1000
+    } = options;
+
+    if (!(days > 0)) throw new Error("Maturity must be in the future");
+    if (!(paths > 0)) throw new Error("At least one path is required");
+    if (triggerType === "RELATIVE" && (threshold <= 0 || threshold === BPS)) {
+        throw new Error("RELATIVE thresholds are bps of the activation price and cannot be 0 or 10000");
+    }
+
+    const spot = options.spot ?? (history && history.spot);
+    if (!(spot > 0)) throw new Error("A starting price is required: pass --spot or a price CSV");
+    const check = triggerCheck(triggerType, threshold, spot);
+
+    const random = mulberry32(seed);
+    const normal = normalSampler(random);
+    const tenorSeconds = days * 86400;
+
+    // Each generator returns the log return of one step
+    let model;
+    let steps;
+    let nextReturn;
+    if (history) {
+        model = { kind: "historical-bootstrap", intervalSeconds: history.intervalSeconds, samples: history.returns.length };
+        steps = Math.max(1, Math.round(tenorSeconds / history.intervalSeconds));
+        nextReturn = () => history.returns[Math.floor(random() * history.returns.length)];
+    } else {
+        const { drift = 0, volatility } = options;
+        if (!(volatility >= 0)) throw new Error("GBM needs --volatility (annual, e.g. 0.6) when no price CSV is given");
+        model = { kind: "gbm", drift, volatility };
+        // Terminal triggers only need the maturity price, so one exact GBM step suffices
+        steps = check.barrier ? Math.max(1, Math.round(days * stepsPerDay)) : 1;
+        const dt = tenorSeconds / YEAR_SECONDS / steps;
+        const mean = (drift - (volatility ** 2) / 2) * dt;
+        const scale = volatility * Math.sqrt(dt);
+        nextReturn = () => mean + scale * normal();
+    }
+
+    let triggered = 0;
+    for (let path = 0; path < paths; path++) {
+        let logPrice = Math.log(spot);
+        let hit = false;
+        for (let step = 0; step < steps; step++) {
+            logPrice += nextReturn();
+            if (check.barrier && check.hit(Math.exp(logPrice))) {
+                hit = true;
+                break;
+            }
+        }
+        if (!check.barrier) hit = check.hit(Math.exp(logPrice));
+        if (hit) triggered++;
+    }
+
+    const probability = triggered / paths;
+    const standardError = Math.sqrt((probability * (1 - probability)) / paths);
+    const feeShare = 1 - protocolFeeBps / BPS;
+
+    // Triggered rounds pay the full coverage, so the expected loss per unit of coverage is the trigger probability
+    const expectedLossBps = probability * BPS;
+    // Sellers break even when their premium share (after the protocol fee) covers the expected loss
+    const breakEvenPremiumBps = expectedLossBps / feeShare;
+    const suggestedPremiumBps = Math.min(BPS, Math.max(1, Math.ceil(breakEvenPremiumBps * (1 + loadingBps / BPS))));
+    const premiumRateBps = options.premiumBps ?? suggestedPremiumBps;
+
+    // Seller collateral backs coverage 1:1
+    const sellerPremiumShare = (premiumRateBps / BPS) * feeShare;
+    const annualize = YEAR_SECONDS / tenorSeconds;
+
+    const warnings = [];
+    if (premiumRateBps > maxPremiumBps) {
+        warnings.push(`Premium ${premiumRateBps} bps exceeds MAX_PREMIUM_BPS (${maxPremiumBps}); the PremiumEngine will cap it`);
+    }
+    if (triggered === 0 || triggered === paths) {
+        warnings.push(`Every path ${triggered === 0 ? "missed" : "hit"} the trigger; add paths or revisit the threshold`);
+    }
+    if (history && steps > history.returns.length) {
+        warnings.push(`The tenor spans ${steps} steps but the CSV only holds ${history.returns.length} returns; returns are reused`);
+    }
+
+    return {
+        triggerType,
+        threshold,
+        spot,
+        days,
+        model,
+        paths,
+        steps,
+        seed,
+        triggered,
+        triggerProbability: probability,
+        standardError,
+        confidence95: [Math.max(0, probability - 1.96 * standardError), Math.min(1, probability + 1.96 * standardError)],
+        expectedLossBps,
+        fairPremiumBps: expectedLossBps,
+        breakEvenPremiumBps,
+        suggestedPremiumBps,
+        premiumRateBps,
+        protocolFeeBps,
+        seller: {
+            returnIfNotTriggered: sellerPremiumShare,
+            returnIfTriggered: sellerPremiumShare - 1,
+            expectedReturn: sellerPremiumShare - probability,
+            aprIfNotTriggered: sellerPremiumShare * annualize,
+            expectedApr: (sellerPremiumShare - probability) * annualize
+        },
+        warnings
+    };
+}
+
+/**
+ * ProductCatalog.TrancheParams for a simulated tranche, with uint256 fields as decimal strings
+ */
+function buildTrancheParams(ethers, report, options) {
+    return {
+        productId: options.productId,
+        triggerType: SIMULATED_TRIGGERS[report.triggerType],
+        // Price thresholds are stored with 18 decimals; RELATIVE thresholds are bps
+        threshold: report.triggerType === "RELATIVE"
+            ? String(report.threshold)
+            : ethers.parseEther(String(report.threshold)).toString(),
+        maturityTimestamp: options.maturityTimestamp,
+        premiumRateBps: report.premiumRateBps,
+        perAccountMin: ethers.parseUnits(options.perAccountMin, USDT_DECIMALS).toString(),
+        perAccountMax: ethers.parseUnits(options.perAccountMax, USDT_DECIMALS).toString(),
+        trancheCap: ethers.parseUnits(options.trancheCap, USDT_DECIMALS).toString(),
+        oracleRouteId: options.oracleRouteId
+    };
+}
+
+const pct = (value, digits = 2) => `${(value * 100).toFixed(digits)}%`;
+
+task("simulate-tranche", "Monte Carlo pricing of a proposed tranche from a price CSV or GBM parameters (offline)")
+  .addParam("triggerType", "PRICE_BELOW, PRICE_ABOVE, RELATIVE, BARRIER_BELOW or BARRIER_ABOVE", undefined, types.string)
+  .addParam("threshold", "Trigger price in USD, or bps of the activation price for RELATIVE (9000 = 10% drop)", undefined, types.float)
+  .addOptionalParam("days", "Days from activation to maturity (defaults to the time left until --maturity, else 30)", undefined, types.float)
+  .addOptionalParam("maturity", "Maturity unix timestamp for the TrancheParams (defaults to now + --days)", undefined, types.int)
+  .addOptionalParam("prices", "Historical price CSV (timestamp,price) whose returns are bootstrapped", undefined, types.string)
+  .addOptionalParam("spot", "Starting price (defaults to the last CSV price)", undefined, types.float)
+  .addOptionalParam("drift", "Annual GBM drift when no CSV is given (e.g. 0.05)", 0, types.float)
+  .addOptionalParam("volatility", "Annual GBM volatility when no CSV is given (e.g. 0.6)", undefined, types.float)
+  .addOptionalParam("paths", "Number of simulated paths", 10000, types.int)
+  .addOptionalParam("stepsPerDay", "GBM monitoring steps per day for barrier triggers", 24, types.int)
+  .addOptionalParam("seed", "PRNG seed for reproducible runs", 1, types.int)
+  .addOptionalParam("loadingBps", "Risk margin over the break-even premium, in bps of it", 2000, types.int)
+  .addOptionalParam("premiumBps", "Evaluate this premium rate instead of the suggested one", undefined, types.int)
+  .addOptionalParam("protocolFeeBps", "Pool protocol fee taken from premiums", 1000, types.int)
+  .addOptionalParam("maxPremiumBps", "Registry MAX_PREMIUM_BPS to warn against", 1000, types.int)
+  .addOptionalParam("productId", "TrancheParams.productId", 1, types.int)
+  .addOptionalParam("oracleRouteId", "TrancheParams.oracleRouteId", 1, types.int)
+  .addOptionalParam("perAccountMin", "TrancheParams.perAccountMin in USDT", "1000", types.string)
+  .addOptionalParam("perAccountMax", "TrancheParams.perAccountMax in USDT", "100000", types.string)
+  .addOptionalParam("trancheCap", "TrancheParams.trancheCap in USDT", "1000000", types.string)
+  .addOptionalParam("out", "Write the TrancheParams JSON to this file", undefined, types.string)
+  .addOptionalParam("format", "Output format: table, json or csv", "table", types.string)
+  .setAction(async (taskArgs, hre) => {
+    const fs = require("fs");
+    const { ethers } = hre;
+    const { parseFormat, printReport, toJSON } = require("./output");
+
+    const format = parseFormat(taskArgs.format);
+    const triggerType = String(taskArgs.triggerType).toUpperCase();
+    const now = Math.floor(Date.now() / 1000);
+    const days = taskArgs.days ?? (taskArgs.maturity !== undefined ? (taskArgs.maturity - now) / 86400 : 30);
+    const maturityTimestamp = taskArgs.maturity ?? now + Math.round(days * 86400);
+
+    const history = taskArgs.prices ? historicalReturns(parsePriceCsv(fs.readFileSync(taskArgs.prices, "utf8"))) : null;
+    const simulation = simulateTranche({ ...taskArgs, triggerType, days, history });
+    const trancheParams = buildTrancheParams(ethers, simulation, { ...taskArgs, maturityTimestamp });
+    const report = { ...simulation, trancheParams };
+
+    if (history) {
+        report.history = {
+            samples: history.returns.length,
+            intervalSeconds: history.intervalSeconds,
+            annualVolatility: history.annualVolatility,
+            annualDrift: history.annualDrift
+        };
+    }
+    if (taskArgs.out) fs.writeFileSync(taskArgs.out, toJSON(trancheParams) + "\n");
+    if (printReport(format, report, [report])) return report;
+
+    console.log("\n🎲 Tranche Simulation");
+    console.log("=".repeat(60));
+    console.log(`🎯 Trigger: ${triggerType} ${report.threshold}${triggerType === "RELATIVE" ? " bps of the activation price" : ""}`);
+    console.log(`💵 Spot: ${report.spot} | ⏳ Tenor: ${days.toFixed(2)} days`);
+    if (history) {
+        console.log(`📈 Model: bootstrap of ${history.returns.length} historical returns (every ${history.intervalSeconds}s, ${pct(history.annualVolatility)} annual vol)`);
+    } else {
+        console.log(`📈 Model: GBM (drift ${pct(report.model.drift)}, volatility ${pct(report.model.volatility)}, ${report.steps} step(s))`);
+    }
+    console.log(`🔁 Paths: ${report.paths} (seed ${report.seed})`);
+
+    console.log("\n📊 Risk");
+    console.log(`   ⚡ Trigger probability: ${pct(report.triggerProbability)} (95% CI ${pct(report.confidence95[0])} – ${pct(report.confidence95[1])})`);
+    console.log(`   📉 Expected loss: ${report.expectedLossBps.toFixed(1)} bps of coverage`);
+    console.log(`   ⚖️  Fair premium: ${report.fairPremiumBps.toFixed(1)} bps (${report.breakEvenPremiumBps.toFixed(1)} bps to cover the ${report.protocolFeeBps} bps fee)`);
+    console.log(`   💰 Suggested premium: ${report.suggestedPremiumBps} bps`);
+
+    console.log(`\n🏦 Sellers at ${report.premiumRateBps} bps (net of protocol fee)`);
+    console.log(`   ✅ Not triggered: ${pct(report.seller.returnIfNotTriggered)} (${pct(report.seller.aprIfNotTriggered)} APR)`);
+    console.log(`   ❌ Triggered: ${pct(report.seller.returnIfTriggered)}`);
+    console.log(`   📐 Expected: ${pct(report.seller.expectedReturn)} (${pct(report.seller.expectedApr)} APR)`);
+
+    for (const warning of report.warnings) console.log(`\n⚠️  ${warning}`);
+
+    console.log("\n📝 TrancheParams:");
+    console.log(toJSON(trancheParams));
+    if (taskArgs.out) console.log(`\n💾 Written to ${taskArgs.out}`);
+    return report;
+  });
+
+module.exports = {
+    SIMULATED_TRIGGERS,
+    mulberry32,
+    parsePriceCsv,
+    historicalReturns,
+    simulateTranche,
+    buildTrancheParams
+};
@@ -1,5 +1,28 @@
+const fs = require("fs");
+const path = require("path");
 const { ethers } = require("hardhat");
 
+// Default directory for per-network deployment manifests
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// Artifact name => context key, DinRegistry identifier and legacy .env variable
+// InsuranceToken has no registry identifier; it is discovered through TranchePoolFactory
+const PROTOCOL_CONTRACTS = {
+    DinRegistry: { key: "registry", env: "REGISTRY_ADDRESS" },
+    DinUSDT: { key: "usdt", registryId: "USDT_TOKEN", env: "USDT_TOKEN_ADDRESS" },
+    DinToken: { key: "dinToken", registryId: "DIN_TOKEN", env: "DIN_TOKEN_ADDRESS" },
+    FeeTreasury: { key: "feeTreasury", registryId: "FEE_TREASURY", env: "FEE_TREASURY_ADDRESS" },
+    InsuranceToken: { key: "insuranceToken", env: "INSURANCE_TOKEN_ADDRESS" },
+    ProductCatalog: { key: "productCatalog", registryId: "PRODUCT_CATALOG", env: "PRODUCT_CATALOG_ADDRESS" },
+    OraklPriceFeed: { key: "oraklPriceFeed", registryId: "ORAKL_PRICE_FEED", env: "ORAKL_FEED_ADDRESS" },
+    DinoOracle: { key: "dinoOracle", registryId: "DINO_ORACLE", env: "DINO_ORACLE_ADDRESS" },
+    OracleRouter: { key: "oracleRouter", registryId: "ORACLE_ROUTER", env: "ORACLE_ROUTER_ADDRESS" },
+    TranchePoolFactory: { key: "tranchePoolFactory", registryId: "TRANCHE_POOL_FACTORY", env: "TRANCHE_POOL_FACTORY_ADDRESS" },
+    YieldRouter: { key: "yieldRouter", registryId: "YIELD_ROUTER", env: "YIELD_ROUTER_ADDRESS" },
+    SettlementEngine: { key: "settlementEngine", registryId: "SETTLEMENT_ENGINE", env: "SETTLEMENT_ENGINE_ADDRESS" },
+    PremiumEngine: { key: "premiumEngine", registryId: "PREMIUM_ENGINE", env: "PREMIUM_ENGINE_ADDRESS" }
+};
+
 /**
  * Setup wallet with private key from environment variables
  * This ensures tasks use the PRIVATE_KEY from .env file
@@ -19,24 +42,147 @@ function setupWallet(hre) {
 }
 
 /**
- * Get environment variables with fallbacks for common naming variations
+ * Get contract addresses and deployer settings from environment variables
  */
 function getEnvAddresses() {
     require("dotenv").config();
-    
-    return {
-        PRODUCT_CATALOG_ADDRESS: process.env.PRODUCT_CATALOG_ADDRESS,
-        TRANCHE_POOL_FACTORY_ADDRESS: process.env.TRANCHE_POOL_FACTORY_ADDRESS,
-        INSURANCE_TOKEN_ADDRESS: process.env.INSURANCE_TOKEN_ADDRESS,
-        USDT_TOKEN_ADDRESS: process.env.USDT_TOKEN_ADDRESS || process.env.USDT_TOKEN_ADDRESS,
-        SETTLEMENT_ENGINE_ADDRESS: process.env.SETTLEMENT_ENGINE_ADDRESS,
-        ORACLE_ROUTER_ADDRESS: process.env.ORACLE_ROUTER_ADDRESS,
-        DEPLOYER_ADDRESS: process.env.DEPLOYER_ADDRESS,
-        PRIVATE_KEY: process.env.PRIVATE_KEY
-    };
+
+    const env = {};
+    for (const info of Object.values(PROTOCOL_CONTRACTS)) {
+        env[info.env] = process.env[info.env];
+    }
+    env.DEPLOYER_ADDRESS = process.env.DEPLOYER_ADDRESS;
+    env.PRIVATE_KEY = process.env.PRIVATE_KEY;
+    return env;
+}
+
+/**
+ * Resolve the deployment manifest path for a network
+ * @param networkName Hardhat network name (e.g. "kairos", "hardhat")
+ * @param dir Optional manifest directory (defaults to ./deployments)
+ */
+function getManifestPath(networkName, dir) {
+    return path.join(dir || DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+/**
+ * Path of the local event store written by the `index` task
+ * @param networkName Hardhat network name
+ * @param dir Optional directory (defaults to ./deployments)
+ */
+function getStorePath(networkName, dir) {
+    return path.join(dir || DEPLOYMENTS_DIR, `${networkName}.sqlite`);
+}
+
+/**
+ * Write a deployment manifest to disk, creating the directory if needed
+ */
+function writeManifest(manifestPath, manifest) {
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+    return manifestPath;
+}
+
+/**
+ * Read a deployment manifest, returning null when none exists for the network
+ */
+function readManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) return null;
+    return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+/**
+ * Discover protocol addresses on-chain from a single DinRegistry
+ * @param registryAddress DinRegistry contract address
+ * @return Map of artifact name => address (unset registry entries are omitted)
+ */
+async function discoverAddresses(hre, registryAddress) {
+    const registry = await hre.ethers.getContractAt("DinRegistry", registryAddress);
+    const addresses = { DinRegistry: registryAddress };
+
+    for (const [name, info] of Object.entries(PROTOCOL_CONTRACTS)) {
+        if (!info.registryId) continue;
+        const address = await registry.getContractAddress(await registry[info.registryId]());
+        if (address !== ethers.ZeroAddress) addresses[name] = address;
+    }
+
+    if (addresses.TranchePoolFactory) {
+        const factory = await hre.ethers.getContractAt("TranchePoolFactory", addresses.TranchePoolFactory);
+        addresses.InsuranceToken = await factory.insuranceToken();
+    }
+    return addresses;
+}
+
+/**
+ * Load the protocol context used by tasks: resolved addresses plus contract handles.
+ * Resolution order: explicit registry address, per-network manifest, REGISTRY_ADDRESS
+ * from .env, then the legacy per-contract .env variables for anything still missing.
+ * @param options.registry DinRegistry address to discover from (e.g. a task's --registry)
+ * @param options.manifestDir Optional manifest directory (defaults to ./deployments)
+ */
+async function loadProtocolContext(hre, options = {}) {
+    const env = getEnvAddresses();
+
+    let source;
+    let addresses = {};
+    const manifestPath = getManifestPath(hre.network.name, options.manifestDir);
+    const manifest = options.registry ? null : readManifest(manifestPath);
+
+    if (options.registry) {
+        if (!ethers.isAddress(options.registry)) throw new Error(`Invalid registry address: ${options.registry}`);
+        source = `registry ${options.registry}`;
+        addresses = await discoverAddresses(hre, options.registry);
+    } else if (manifest) {
+        source = `manifest ${path.relative(process.cwd(), manifestPath)}`;
+        addresses = { ...manifest.contracts };
+    } else if (env.REGISTRY_ADDRESS && ethers.isAddress(env.REGISTRY_ADDRESS)) {
+        source = `registry ${env.REGISTRY_ADDRESS} (.env)`;
+        addresses = await discoverAddresses(hre, env.REGISTRY_ADDRESS);
+    } else {
+        source = ".env";
+    }
+
+    for (const [name, info] of Object.entries(PROTOCOL_CONTRACTS)) {
+        if (!addresses[name] && env[info.env] && ethers.isAddress(env[info.env])) {
+            addresses[name] = env[info.env];
+        }
+    }
+
+    const context = { source, addresses, manifest };
+    for (const [name, info] of Object.entries(PROTOCOL_CONTRACTS)) {
+        context[info.key] = addresses[name] ? await hre.ethers.getContractAt(name, addresses[name]) : undefined;
+    }
+    return context;
+}
+
+/**
+ * Ensure the given context keys resolved to contracts, with a hint on how to provide them
+ * @param context Result of loadProtocolContext
+ * @param keys Context keys (e.g. "productCatalog", "tranchePoolFactory")
+ */
+function requireContracts(context, ...keys) {
+    const missing = Object.entries(PROTOCOL_CONTRACTS)
+        .filter(([, info]) => keys.includes(info.key) && !context[info.key])
+        .map(([name, info]) => `${name} (${info.env})`);
+
+    if (missing.length > 0) {
+        throw new Error(
+            `Missing contract address(es): ${missing.join(", ")}. ` +
+            "Pass --registry <DinRegistry address>, run deploy-protocol to write a manifest, or set them in your .env file"
+        );
+    }
 }
 
 module.exports = {
+    DEPLOYMENTS_DIR,
+    PROTOCOL_CONTRACTS,
     setupWallet,
-    getEnvAddresses
+    getEnvAddresses,
+    getManifestPath,
+    getStorePath,
+    readManifest,
+    writeManifest,
+    discoverAddresses,
+    loadProtocolContext,
+    requireContracts
 };
@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { setBalance, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { wirePool } = require("../tasks/deploy");
+const { loadProtocolContext } = require("../tasks/utils");
+const { RoundState } = require("../tasks/collectors");
+const { runKeeperTick } = require("../tasks/keeper");
+const { restoreChainAfterAll } = require("./fixtures/chain");
+const { deployProtocol } = require("./fixtures/protocol");
+
+describe("Batch processing", function () {
+  restoreChainAfterAll();
+
+  // Hundreds of participants take a while to set up on the in-process network
+  this.timeout(600000);
+
+  const { ethers } = hre;
+  const BTC = ethers.keccak256(ethers.toUtf8Bytes("BTC-USDT"));
+  const BUYERS = 200;
+  const SELLERS = 100;
+  const BATCH_SIZE = 40;
+  const BATCH_DONE = 3n;
+  const usd = (amount) => ethers.parseUnits(amount, 6);
+
+  let contracts;
+  let context;
+  let pool;
+  let buyers;
+  let sellers;
+  let salesEnd;
+  let maturity;
+
+  const kinds = (tick) => tick.results.map((result) => `${result.kind}:${result.status}`);
+  const batchesNeeded = (items) => Math.ceil(items / BATCH_SIZE);
+
+  // Fresh funded wallets; balances are set directly to keep setup to one transaction per step
+  async function fundedWallets(count, usdtAmount) {
+    const wallets = [];
+    for (let i = 0; i < count; i++) {
+      const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+      await setBalance(wallet.address, ethers.parseEther("10"));
+      await contracts.usdt.transfer(wallet.address, usdtAmount);
+      await contracts.usdt.connect(wallet).approve(pool.target, ethers.MaxUint256);
+      wallets.push(wallet);
+    }
+    return wallets;
+  }
+
+  before(async function () {
+    const [deployer] = await ethers.getSigners();
+    ({ contracts } = await deployProtocol(deployer.address));
+
+    const { productCatalog, tranchePoolFactory, oracleRouter, dinoOracle, dinToken, settlementEngine } = contracts;
+    const now = await time.latest();
+    const salesStart = now + 3600;
+    salesEnd = now + 2 * 86400;
+    maturity = now + 10 * 86400;
+
+    await productCatalog.createProduct(ethers.keccak256(ethers.toUtf8Bytes("BatchProduct")));
+    await productCatalog.createTranche({
+      productId: 1,
+      triggerType: 0, // PRICE_BELOW
+      threshold: ethers.parseEther("100000"),
+      maturityTimestamp: maturity,
+      premiumRateBps: 500,
+      perAccountMin: usd("100"),
+      perAccountMax: usd("10000"),
+      trancheCap: usd("100000"),
+      oracleRouteId: 1 // BTC-USDT
+    });
+    await tranchePoolFactory.createTranchePool(1);
+    pool = await wirePool(hre, contracts, await tranchePoolFactory.getTranchePool(1), deployer.address);
+
+    await oracleRouter.configureOracle(BTC, 1, 1, 500, 3600, "BTC-USDT", ""); // DINO_ORACLE, PREFER_DINO
+    await dinoOracle.addIdentifier(BTC, "BTC-USDT");
+    await settlementEngine.setRouteIdentifier(1, BTC);
+    await dinToken.approve(dinoOracle.target, ethers.MaxUint256);
+
+    await productCatalog.announceRound(1, salesStart, salesEnd);
+    await time.increaseTo(salesStart);
+    await productCatalog.openRound(1);
+
+    // 20,000 of demand against 14,950 of supply: buyer #150 is partially filled, the last 50 are refunded
+    buyers = await fundedWallets(BUYERS, usd("5")); // premium only
+    sellers = await fundedWallets(SELLERS, usd("149.5"));
+    for (const buyer of buyers) {
+      await pool.connect(buyer).placeBuyerOrder(1, usd("100"));
+    }
+    for (const seller of sellers) {
+      await pool.connect(seller).depositCollateral(1, usd("149.5"));
+    }
+
+    context = await loadProtocolContext(hre, { registry: contracts.registry.target });
+  });
+
+  it("Should stop a matching batch at maxItems and keep the cursor on-chain", async function () {
+    await time.increaseTo(salesEnd + 1);
+
+    expect(await pool.processMatchingBatch.staticCall(1, BATCH_SIZE)).to.be.false;
+    await pool.processMatchingBatch(1, BATCH_SIZE);
+
+    const progress = await pool.matchingProgress(1);
+    expect(progress.phase).to.equal(1n); // BUYERS
+    expect(progress.cursor).to.equal(BigInt(BATCH_SIZE));
+    expect((await pool.getRoundEconomics(1)).matchedAmount).to.equal(usd("14950"));
+    expect(await pool.queryFilter(pool.filters.RoundMatched(1))).to.have.lengthOf(0);
+  });
+
+  it("Should refuse to close a round part way through its matching batches", async function () {
+    await expect(contracts.productCatalog.closeAndMarkMatched(1, usd("14950")))
+      .to.be.revertedWithCustomError(contracts.productCatalog, "MatchingNotFinished")
+      .withArgs(1);
+
+    expect((await contracts.productCatalog.getRound(1)).state).to.equal(RoundState.OPEN);
+    expect((await pool.matchingProgress(1)).cursor).to.equal(BigInt(BATCH_SIZE));
+  });
+
+  it("Should loop matching batches to completion before closing the round", async function () {
+    const tick = await runKeeperTick(hre, context, { batchSize: BATCH_SIZE });
+
+    expect(kinds(tick)).to.deep.equal(["match:sent", "close:sent"]);
+    expect(tick.results[0].batches).to.equal(batchesNeeded(BUYERS + SELLERS - BATCH_SIZE));
+    expect((await pool.matchingProgress(1)).phase).to.equal(BATCH_DONE);
+    expect(await pool.queryFilter(pool.filters.RoundMatched(1))).to.have.lengthOf(1);
+
+    const round = await contracts.productCatalog.getRound(1);
+    expect(round.state).to.equal(RoundState.ACTIVE);
+    expect(round.matchedAmount).to.equal(usd("14950"));
+
+    // Full, partial and unfilled buyers
+    expect((await pool.getBuyerOrder(1, buyers[0].address)).filled).to.be.true;
+    expect(await pool.claimable(1, buyers[0].address)).to.equal(0);
+    expect((await pool.getBuyerOrder(1, buyers[149].address)).purchaseAmount).to.equal(usd("50"));
+    expect(await pool.claimable(1, buyers[149].address)).to.equal(usd("2.5"));
+    expect(await pool.claimable(1, buyers[BUYERS - 1].address)).to.equal(usd("5"));
+
+    // Every seller is filled and shares the premiums net of the 10% protocol fee
+    const econ = await pool.getRoundEconomics(1);
+    expect(econ.premiumPool).to.equal(usd("747.5"));
+    expect(econ.protocolFees).to.equal(usd("74.75"));
+    expect(await pool.claimable(1, sellers[SELLERS - 1].address)).to.equal(usd("6.7275"));
+    expect(await pool.pendingCollateral()).to.equal(0);
+    expect((await pool.getPoolAccounting()).lockedAssets).to.equal(usd("14950"));
+  });
+
+  it("Should refuse disputes once settlement batches have started", async function () {
+    const { settlementEngine, dinoOracle } = contracts;
+    await time.increaseTo(maturity);
+    const proposalId = await dinoOracle.nextProposalId();
+    await dinoOracle.proposePrice(BTC, maturity, 90000n * 10n ** 8n, "BTC below threshold");
+    await time.increase(Number(await dinoOracle.livenessWindow()));
+    await dinoOracle.settleProposal(proposalId);
+    await settlementEngine.requestOracleObservation(1, pool.target);
+    await time.increase(Number(await settlementEngine.livenessWindow()));
+
+    await settlementEngine.settleBatch(1, BATCH_SIZE);
+
+    expect((await settlementEngine.getSettlementInfo(1)).settled).to.be.false;
+    expect((await pool.settlementProgress(1)).cursor).to.equal(BigInt(BATCH_SIZE));
+    await expect(settlementEngine.disputeOracleResult(1))
+      .to.be.revertedWithCustomError(settlementEngine, "SettlementInProgress")
+      .withArgs(1);
+  });
+
+  it("Should loop settlement batches to completion and credit every participant", async function () {
+    const { settlementEngine, productCatalog } = contracts;
+    const tick = await runKeeperTick(hre, context, { batchSize: BATCH_SIZE });
+
+    expect(kinds(tick)).to.deep.equal(["finalize:sent"]);
+    expect(tick.results[0].batches).to.equal(batchesNeeded(SELLERS + BUYERS - BATCH_SIZE));
+    expect((await productCatalog.getRound(1)).state).to.equal(RoundState.SETTLED);
+
+    const info = await settlementEngine.getSettlementInfo(1);
+    expect(info.settled).to.be.true;
+    expect(info.triggered).to.be.true;
+    expect(info.totalPayouts).to.equal(usd("14950"));
+
+    expect(await pool.claimable(1, buyers[0].address)).to.equal(usd("100"));
+    expect(await pool.claimable(1, buyers[149].address)).to.equal(usd("52.5"));
+    expect(await pool.lockedShares(sellers[0].address)).to.equal(0);
+
+    const accounting = await pool.getPoolAccounting();
+    expect(accounting.lockedAssets).to.equal(0);
+    expect(accounting.totalShares).to.equal(0);
+    expect(await contracts.usdt.balanceOf(pool.target)).to.equal(await pool.totalClaimable());
+
+    await expect(settlementEngine.settleBatch(1, BATCH_SIZE)).to.be.revertedWithCustomError(settlementEngine, "AlreadySettled");
+  });
+});
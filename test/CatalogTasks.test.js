@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { deployProtocol } = require("./fixtures/protocol");
+
+describe("Catalog tasks", function () {
+  const { ethers } = hre;
+  const usd = (amount) => ethers.parseUnits(amount, 6);
+
+  let contracts;
+  let workDir;
+  let registry;
+  let keeper;
+
+  const writeSpec = (name, text) => {
+    const file = path.join(workDir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  };
+
+  before(async function () {
+    [, keeper] = await ethers.getSigners();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "din-catalog-"));
+    ({ contracts } = await deployProtocol(keeper.address));
+    registry = contracts.registry.target;
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("Should create a product and tranche from a YAML spec in human units", async function () {
+    const spec = writeSpec("btc.yaml", [
+      "product:",
+      "  metadata: BTC-USDT price protection",
+      "tranche:",
+      "  productId: 1",
+      "  triggerType: price_below",
+      "  threshold: 90000.5",
+      "  maturity: +30d",
+      "  premiumBps: 500",
+      "  trancheCap: 250000",
+      "  oracleRouteId: 1"
+    ].join("\n"));
+
+    const product = await hre.run("create-product", { spec, registry });
+    expect(product.productId).to.equal(1);
+    expect(product.metadataHash).to.equal(ethers.keccak256(ethers.toUtf8Bytes("BTC-USDT price protection")));
+
+    const created = await hre.run("create-tranche", { spec, registry });
+    expect(created.trancheId).to.equal(1);
+
+    const tranche = await contracts.productCatalog.getTranche(1);
+    expect(tranche.threshold).to.equal(ethers.parseEther("90000.5"));
+    expect(tranche.premiumRateBps).to.equal(500);
+    expect(tranche.trancheCap).to.equal(usd("250000"));
+    // Unset per-account bounds take the registry defaults
+    expect(tranche.perAccountMin).to.equal(usd("1000"));
+    expect(tranche.perAccountMax).to.equal(usd("100000"));
+    expect(tranche.maturityTimestamp - BigInt(await time.latest())).to.be.closeTo(30n * 86400n, 5n);
+  });
+
+  it("Should reject specs outside the registry parameters before sending", async function () {
+    const spec = writeSpec("invalid.json", JSON.stringify({
+      productId: 1,
+      triggerType: "RELATIVE",
+      threshold: 10000,
+      maturity: "+200d",
+      premiumBps: 2000,
+      perAccountMin: 500,
+      perAccountMax: 100,
+      trancheCap: 1000
+    }));
+
+    let error;
+    try {
+      await hre.run("create-tranche", { spec, registry, dryRun: true });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.contain("exceeds MAX_PREMIUM_BPS 1000");
+    expect(error.message).to.contain("above MAX_MATURITY_SECONDS");
+    expect(error.message).to.contain("perAccountMin <= perAccountMax <= trancheCap");
+    expect(error.message).to.contain("cannot be 0 or 10000");
+    expect(await contracts.productCatalog.getActiveTranches()).to.have.lengthOf(1);
+  });
+
+  it("Should accept raw TrancheParams from simulate-tranche", async function () {
+    const out = path.join(workDir, "simulated.json");
+    await hre.run("simulate-tranche", {
+      triggerType: "BARRIER_BELOW",
+      threshold: 85000,
+      spot: 100000,
+      volatility: 0.6,
+      maturity: (await time.latest()) + 20 * 86400,
+      paths: 1000,
+      premiumBps: 400,
+      out,
+      format: "json"
+    });
+
+    const created = await hre.run("create-tranche", { spec: out, registry });
+    const tranche = await contracts.productCatalog.getTranche(created.trancheId);
+    expect(tranche.triggerType).to.equal(5);
+    expect(tranche.threshold).to.equal(ethers.parseEther("85000"));
+    expect(tranche.premiumRateBps).to.equal(400);
+  });
+
+  it("Should clamp the default per-account maximum to the tranche cap", async function () {
+    const spec = writeSpec("small.json", JSON.stringify({
+      productId: 1,
+      triggerType: "PRICE_BELOW",
+      threshold: 80000,
+      maturity: "+30d",
+      premiumBps: 300,
+      trancheCap: 50000,
+      oracleRouteId: 1
+    }));
+
+    const preview = await hre.run("create-tranche", { spec, registry, dryRun: true });
+    expect(preview.params.perAccountMax).to.equal(usd("50000"));
+    expect(preview.warnings).to.have.lengthOf(0);
+
+    const created = await hre.run("create-tranche", { spec, registry });
+    const tranche = await contracts.productCatalog.getTranche(created.trancheId);
+    expect(tranche.perAccountMax).to.equal(preview.params.perAccountMax);
+  });
+
+  it("Should deploy and wire a pool through TranchePoolFactory", async function () {
+    const { tranchePoolFactory, insuranceToken, yieldRouter, settlementEngine } = contracts;
+
+    const created = await hre.run("create-pool", { trancheId: 1, keeper: keeper.address, registry });
+    expect(created.pool).to.equal(await tranchePoolFactory.getTranchePool(1));
+    expect(created.txHash).to.be.a("string");
+
+    const pool = await ethers.getContractAt("TranchePoolCore", created.pool);
+    expect(await insuranceToken.authorizedPools(created.pool)).to.equal(true);
+    expect(await pool.settlementEngine()).to.equal(settlementEngine.target);
+    expect(await pool.hasRole(await pool.SETTLEMENT_ROLE(), settlementEngine.target)).to.equal(true);
+    expect(await pool.yieldRouter()).to.equal(yieldRouter.target);
+    expect((await yieldRouter.poolInfo(created.pool)).registered).to.equal(true);
+    expect(await pool.hasRole(await pool.OPERATOR_ROLE(), keeper.address)).to.equal(true);
+
+    // Re-running only re-wires the existing pool
+    const again = await hre.run("create-pool", { trancheId: 1, keeper: keeper.address, registry });
+    expect(again.pool).to.equal(created.pool);
+    expect(again.txHash).to.equal(undefined);
+  });
+
+  it("Should announce a round from a spec and keep coverage before maturity", async function () {
+    const spec = writeSpec("round.yaml", ["round:", "  trancheId: 1", "  salesStart: +1h", "  salesDuration: 3d"].join("\n"));
+
+    const announced = await hre.run("announce-round", { spec, registry });
+    const round = await contracts.productCatalog.getRound(announced.roundId);
+    expect(round.trancheId).to.equal(1);
+    expect(round.state).to.equal(0); // ANNOUNCED
+    expect(round.salesEndTime - round.salesStartTime).to.equal(3n * 86400n);
+
+    // Tranche 2 matures in 20 days, so sales ending on day 19.5 leave less than MIN_MATURITY_SECONDS of coverage
+    const late = writeSpec("late.json", JSON.stringify({ trancheId: 2, salesStart: "+1h", salesEnd: "+468h" }));
+    await expect(hre.run("announce-round", { spec: late, registry })).to.be.rejectedWith("of coverage before the tranche maturity");
+  });
+});
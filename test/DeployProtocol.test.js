@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { wirePool } = require("../tasks/deploy");
+const { PROTOCOL_CONTRACTS, loadProtocolContext } = require("../tasks/utils");
+
+describe("deploy-protocol task", function () {
+  let result;
+  let manifestDir;
+  let deployer;
+  let keeper;
+
+  before(async function () {
+    [deployer, keeper] = await hre.ethers.getSigners();
+    manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "din-deploy-"));
+    result = await hre.run("deploy-protocol", { keeper: keeper.address, manifestDir, protocolVersion: "1.2.0" });
+  });
+
+  after(function () {
+    fs.rmSync(manifestDir, { recursive: true, force: true });
+  });
+
+  it("Should register every protocol contract in DinRegistry", async function () {
+    const { registry } = result.contracts;
+
+    for (const [name, info] of Object.entries(PROTOCOL_CONTRACTS)) {
+      if (!info.registryId) continue;
+      expect(await registry.getContractAddress(await registry[info.registryId]())).to.equal(result.manifest.contracts[name]);
+    }
+  });
+
+  it("Should grant cross-contract roles", async function () {
+    const { productCatalog, settlementEngine, tranchePoolFactory, oracleRouter } = result.contracts;
+
+    expect(await productCatalog.hasRole(await productCatalog.ENGINE_ROLE(), settlementEngine.target)).to.be.true;
+    expect(await productCatalog.hasRole(await productCatalog.OPERATOR_ROLE(), keeper.address)).to.be.true;
+    expect(await settlementEngine.hasRole(await settlementEngine.KEEPER_ROLE(), keeper.address)).to.be.true;
+    expect(await oracleRouter.hasRole(await oracleRouter.KEEPER_ROLE(), keeper.address)).to.be.true;
+    expect(await tranchePoolFactory.hasRole(await tranchePoolFactory.OPERATOR_ROLE(), deployer.address)).to.be.true;
+  });
+
+  it("Should write a manifest with all deployed addresses", async function () {
+    const manifest = JSON.parse(fs.readFileSync(result.manifestPath, "utf8"));
+
+    expect(result.manifestPath).to.equal(path.join(manifestDir, "hardhat.json"));
+    expect(manifest.network).to.equal("hardhat");
+    expect(manifest.keeper).to.equal(keeper.address);
+    expect(manifest.version).to.equal("1.2.0");
+    expect(await result.contracts.registry.version()).to.equal("1.2.0");
+    expect(Object.keys(manifest.contracts)).to.have.lengthOf(13);
+    expect(manifest.contracts.InsuranceToken).to.equal(result.contracts.insuranceToken.target);
+  });
+
+  it("Should load the protocol context from a registry address", async function () {
+    const context = await loadProtocolContext(hre, { registry: result.contracts.registry.target });
+
+    expect(context.addresses).to.deep.equal(result.manifest.contracts);
+    expect(context.tranchePoolFactory.target).to.equal(result.contracts.tranchePoolFactory.target);
+    expect(context.insuranceToken.target).to.equal(result.contracts.insuranceToken.target);
+  });
+
+  it("Should load the protocol context from the network manifest", async function () {
+    const context = await loadProtocolContext(hre, { manifestDir });
+
+    expect(context.source).to.contain("manifest");
+    expect(context.settlementEngine.target).to.equal(result.contracts.settlementEngine.target);
+  });
+
+  it("Should wire pools created through the factory", async function () {
+    const { productCatalog, tranchePoolFactory, insuranceToken, settlementEngine } = result.contracts;
+
+    await productCatalog.createProduct(hre.ethers.keccak256(hre.ethers.toUtf8Bytes("DeployTaskProduct")));
+    const now = BigInt((await hre.ethers.provider.getBlock("latest")).timestamp);
+    await productCatalog.createTranche({
+      productId: 1,
+      triggerType: 0,
+      threshold: hre.ethers.parseUnits("100000", 18),
+      maturityTimestamp: now + 30n * 24n * 3600n,
+      premiumRateBps: 500,
+      perAccountMin: hre.ethers.parseUnits("100", 6),
+      perAccountMax: hre.ethers.parseUnits("10000", 6),
+      trancheCap: hre.ethers.parseUnits("100000", 6),
+      oracleRouteId: 1
+    });
+
+    await tranchePoolFactory.createTranchePool(1);
+    const poolAddress = await tranchePoolFactory.getTranchePool(1);
+    const pool = await wirePool(hre, result.contracts, poolAddress, keeper.address);
+
+    expect(await insuranceToken.authorizedPools(poolAddress)).to.be.true;
+    expect(await pool.settlementEngine()).to.equal(settlementEngine.target);
+    expect(await pool.hasRole(await pool.OPERATOR_ROLE(), keeper.address)).to.be.true;
+  });
+});
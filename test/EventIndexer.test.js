@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { wirePool } = require("../tasks/deploy");
+const { loadProtocolContext } = require("../tasks/utils");
+const { collectInsurances } = require("../tasks/collectors");
+const { openEventStore, getSources, queryEvents } = require("../tasks/eventStore");
+const { restoreChainAfterAll } = require("./fixtures/chain");
+const { deployProtocol } = require("./fixtures/protocol");
+
+describe("index task and event store", function () {
+  restoreChainAfterAll();
+
+  const { ethers } = hre;
+
+  let deployment;
+  let context;
+  let pool;
+  let tmpDir;
+  let dbPath;
+  let buyer;
+  let buyer2;
+  let seller;
+  let salesEnd;
+
+  const runIndex = () => hre.run("index", {
+    registry: deployment.contracts.registry.target,
+    db: dbPath,
+    fromBlock: deployment.manifest.blockNumber
+  });
+
+  // Read through a fresh handle so every assertion sees what the task committed
+  const readStore = (fn) => {
+    const db = openEventStore(dbPath);
+    try {
+      return fn(db);
+    } finally {
+      db.close();
+    }
+  };
+
+  before(async function () {
+    const [deployer] = await ethers.getSigners();
+    [, buyer, buyer2, seller] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "din-index-"));
+    dbPath = path.join(tmpDir, "hardhat.sqlite");
+    deployment = await deployProtocol(deployer.address);
+
+    const { productCatalog, tranchePoolFactory, usdt } = deployment.contracts;
+    const now = await time.latest();
+    const salesStart = now + 3600;
+    salesEnd = now + 2 * 86400;
+
+    await productCatalog.createProduct(ethers.keccak256(ethers.toUtf8Bytes("IndexerProduct")));
+    await productCatalog.createTranche({
+      productId: 1,
+      triggerType: 0, // PRICE_BELOW
+      threshold: ethers.parseEther("100000"),
+      maturityTimestamp: now + 10 * 86400,
+      premiumRateBps: 500,
+      perAccountMin: ethers.parseUnits("100", 6),
+      perAccountMax: ethers.parseUnits("10000", 6),
+      trancheCap: ethers.parseUnits("100000", 6),
+      oracleRouteId: 1
+    });
+    await tranchePoolFactory.createTranchePool(1);
+    pool = await wirePool(hre, deployment.contracts, await tranchePoolFactory.getTranchePool(1), deployer.address);
+
+    for (const account of [buyer, buyer2, seller]) {
+      await usdt.transfer(account.address, ethers.parseUnits("10000", 6));
+      await usdt.connect(account).approve(pool.target, ethers.MaxUint256);
+    }
+
+    await productCatalog.announceRound(1, salesStart, salesEnd);
+    await time.increaseTo(salesStart);
+    await productCatalog.openRound(1);
+    await pool.connect(buyer).placeBuyerOrder(1, ethers.parseUnits("1000", 6));
+    await pool.connect(seller).depositCollateral(1, ethers.parseUnits("5000", 6));
+
+    context = await loadProtocolContext(hre, { registry: deployment.contracts.registry.target });
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should backfill catalog and pool events with per-source checkpoints", async function () {
+    const result = await runIndex();
+    const head = await ethers.provider.getBlockNumber();
+
+    expect(result.indexedTo).to.equal(head);
+    readStore((db) => {
+      expect(getSources(db).map((source) => source.contract)).to.have.members([
+        "ProductCatalog", "SettlementEngine", "FeeTreasury", "DinoOracle", "TranchePoolCore"
+      ]);
+      expect(getSources(db).every((source) => source.indexedTo === head)).to.be.true;
+
+      expect(queryEvents(db, { contract: "ProductCatalog", event: "RoundAnnounced" })).to.have.lengthOf(1);
+      const [opened] = queryEvents(db, { contract: "ProductCatalog", event: "RoundStateChanged", roundId: 1 });
+      expect(opened.args).to.include({ oldState: "0", newState: "1" });
+
+      const [order] = queryEvents(db, { address: pool.target, event: "BuyerOrderPlaced" });
+      expect(order.account).to.equal(buyer.address.toLowerCase());
+      expect(order.args.purchaseAmount).to.equal(ethers.parseUnits("1000", 6).toString());
+      expect(order.timestamp).to.be.a("number");
+    });
+  });
+
+  it("Should not duplicate events when re-run", async function () {
+    const before = readStore((db) => queryEvents(db).length);
+    const result = await runIndex();
+
+    expect(result.inserted).to.equal(0);
+    expect(result.reorg).to.be.null;
+    expect(readStore((db) => queryEvents(db).length)).to.equal(before);
+  });
+
+  it("Should rewind events from blocks that were reorganized away", async function () {
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await pool.connect(buyer2).placeBuyerOrder(1, ethers.parseUnits("500", 6));
+    await runIndex();
+    expect(readStore((db) => queryEvents(db, { event: "BuyerOrderPlaced" }))).to.have.lengthOf(2);
+
+    // Replace the indexed block with a different one at the same height
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await ethers.provider.send("evm_mine", []);
+    await ethers.provider.send("evm_mine", []);
+
+    const result = await runIndex();
+
+    expect(result.reorg).to.not.be.null;
+    expect(result.reorg.removed).to.equal(1);
+    readStore((db) => {
+      const orders = queryEvents(db, { event: "BuyerOrderPlaced" });
+      expect(orders).to.have.lengthOf(1);
+      expect(orders[0].account).to.equal(buyer.address.toLowerCase());
+    });
+  });
+
+  it("Should give monitor-insurances the same participant stats as the chain", async function () {
+    const { productCatalog } = deployment.contracts;
+    await time.increaseTo(salesEnd + 1);
+    const matchedAmount = await pool.computeMatchAndDistribute.staticCall(1);
+    await pool.computeMatchAndDistribute(1);
+    await productCatalog.closeAndMarkMatched(1, matchedAmount);
+    await runIndex();
+
+    const fromChain = await collectInsurances(hre, context);
+    const db = openEventStore(dbPath);
+    const fromStore = await collectInsurances(hre, context, { store: db }).finally(() => db.close());
+    const chainRound = fromChain.tranches[0].rounds[0];
+    const storeRound = fromStore.tranches[0].rounds[0];
+
+    expect(storeRound.buyers).to.deep.equal(chainRound.buyers);
+    expect(storeRound.sellers).to.deep.equal(chainRound.sellers);
+    expect(storeRound.history.map((change) => `${change.from}->${change.to}`)).to.deep.equal(["ANNOUNCED->OPEN", "OPEN->ACTIVE"]);
+  });
+
+  it("Should list indexed activity in monitor-address", async function () {
+    const report = await hre.run("monitor-address", {
+      address: seller.address,
+      registry: deployment.contracts.registry.target,
+      db: dbPath,
+      fromStore: true,
+      format: "json"
+    });
+
+    expect(report.activity.map((event) => event.event)).to.deep.equal(["SellerPositionCreated", "RefundProcessed"]);
+  });
+});
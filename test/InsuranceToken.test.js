@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { wirePool } = require("../tasks/deploy");
+const { restoreChainAfterAll } = require("./fixtures/chain");
+const { deployProtocol } = require("./fixtures/protocol");
+
+const { ethers } = hre;
+
+describe("InsuranceToken", function () {
+  restoreChainAfterAll();
+
+  async function deployInsuranceTokenFixture() {
+    const [admin, pool, alice, bob] = await ethers.getSigners();
+
+    const InsuranceToken = await ethers.getContractFactory("InsuranceToken");
+    const insuranceToken = await InsuranceToken.deploy(admin.address);
+    await insuranceToken.waitForDeployment();
+
+    // An EOA stands in for an authorized TranchePoolCore
+    await insuranceToken.setPoolAuthorization(pool.address, true);
+    const mint = (to, roundId, amount) =>
+      insuranceToken.connect(pool).mintInsuranceToken(to.address, 1, roundId, ethers.parseUnits(amount, 6));
+
+    await mint(alice, 1, "1000"); // #1
+    await mint(bob, 1, "500");    // #2
+    await mint(alice, 2, "250");  // #3
+
+    return { insuranceToken, admin, pool, alice, bob, mint };
+  }
+
+  describe("Owner enumeration", function () {
+    it("Should list every token held by an address", async function () {
+      const { insuranceToken, alice, bob } = await loadFixture(deployInsuranceTokenFixture);
+
+      expect([...(await insuranceToken.tokensOfOwner(alice.address))]).to.deep.equal([1n, 3n]);
+      expect([...(await insuranceToken.tokensOfOwner(bob.address))]).to.deep.equal([2n]);
+      expect(await insuranceToken.totalSupply()).to.equal(3);
+    });
+
+    it("Should return an empty list for addresses without policies", async function () {
+      const { insuranceToken, admin } = await loadFixture(deployInsuranceTokenFixture);
+
+      expect([...(await insuranceToken.tokensOfOwner(admin.address))]).to.deep.equal([]);
+    });
+
+    it("Should follow transfers", async function () {
+      const { insuranceToken, alice, bob } = await loadFixture(deployInsuranceTokenFixture);
+
+      await insuranceToken.connect(alice).transferFrom(alice.address, bob.address, 1);
+
+      expect([...(await insuranceToken.tokensOfOwner(alice.address))]).to.deep.equal([3n]);
+      expect([...(await insuranceToken.tokensOfOwner(bob.address))]).to.have.members([1n, 2n]);
+      expect(await insuranceToken.tokenOfOwnerByIndex(alice.address, 0)).to.equal(3);
+    });
+
+    it("Should keep the original buyer in token info after a transfer", async function () {
+      const { insuranceToken, alice, bob } = await loadFixture(deployInsuranceTokenFixture);
+
+      await insuranceToken.connect(alice).transferFrom(alice.address, bob.address, 1);
+      const info = await insuranceToken.getTokenInfo(1);
+
+      expect(info.originalBuyer).to.equal(alice.address);
+      expect(info.purchaseAmount).to.equal(ethers.parseUnits("1000", 6));
+    });
+
+    it("Should support the ERC721Enumerable and AccessControl interfaces", async function () {
+      const { insuranceToken } = await loadFixture(deployInsuranceTokenFixture);
+
+      expect(await insuranceToken.supportsInterface("0x780e9d63")).to.be.true; // IERC721Enumerable
+      expect(await insuranceToken.supportsInterface("0x80ac58cd")).to.be.true; // IERC721
+      expect(await insuranceToken.supportsInterface("0x7965db0b")).to.be.true; // IAccessControl
+    });
+  });
+
+  describe("Minting", function () {
+    it("Should reject mints from unauthorized accounts", async function () {
+      const { insuranceToken, alice } = await loadFixture(deployInsuranceTokenFixture);
+
+      await expect(
+        insuranceToken.connect(alice).mintInsuranceToken(alice.address, 1, 1, 1)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Token metadata", function () {
+    const BTC = ethers.keccak256(ethers.toUtf8Bytes("BTC-USDT"));
+
+    const decodeJson = (uri) => {
+      const prefix = "data:application/json;base64,";
+      expect(uri.startsWith(prefix)).to.be.true;
+      return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString("utf8"));
+    };
+    const decodeSvg = (metadata) => {
+      const prefix = "data:image/svg+xml;base64,";
+      expect(metadata.image.startsWith(prefix)).to.be.true;
+      return Buffer.from(metadata.image.slice(prefix.length), "base64").toString("utf8");
+    };
+    const traits = (metadata) => Object.fromEntries(metadata.attributes.map(({ trait_type, value }) => [trait_type, value]));
+
+    // Tranche 1 (BTC below $100,000) with round 1 OPEN and one $1,000 policy (#1)
+    async function openRoundFixture() {
+      const [deployer, buyer, seller] = await ethers.getSigners();
+      const { contracts } = await deployProtocol(deployer.address);
+      const { productCatalog, tranchePoolFactory, oracleRouter, dinoOracle, dinToken, settlementEngine, usdt } = contracts;
+
+      const now = await time.latest();
+      const salesEnd = now + 2 * 86400;
+      const maturity = now + 10 * 86400;
+      await productCatalog.createProduct(ethers.keccak256(ethers.toUtf8Bytes("MetadataProduct")));
+      await productCatalog.createTranche({
+        productId: 1,
+        triggerType: 0, // PRICE_BELOW
+        threshold: ethers.parseEther("100000"),
+        maturityTimestamp: maturity,
+        premiumRateBps: 500,
+        perAccountMin: ethers.parseUnits("100", 6),
+        perAccountMax: ethers.parseUnits("10000", 6),
+        trancheCap: ethers.parseUnits("100000", 6),
+        oracleRouteId: 1
+      });
+      await tranchePoolFactory.createTranchePool(1);
+      const pool = await wirePool(hre, contracts, await tranchePoolFactory.getTranchePool(1), deployer.address);
+
+      await oracleRouter.configureOracle(BTC, 1, 1, 500, 3600, "BTC-USDT", ""); // DINO_ORACLE, PREFER_DINO
+      await dinoOracle.addIdentifier(BTC, "BTC-USDT");
+      await settlementEngine.setRouteIdentifier(1, BTC);
+      await dinToken.approve(dinoOracle.target, ethers.MaxUint256);
+
+      for (const account of [buyer, seller]) {
+        await usdt.transfer(account.address, ethers.parseUnits("10000", 6));
+        await usdt.connect(account).approve(pool.target, ethers.MaxUint256);
+      }
+      await productCatalog.announceRound(1, now + 60, salesEnd);
+      await time.increaseTo(now + 60);
+      await productCatalog.openRound(1);
+      await pool.connect(buyer).placeBuyerOrder(1, ethers.parseUnits("1000", 6));
+      await pool.connect(seller).depositCollateral(1, ethers.parseUnits("5000", 6));
+
+      return { contracts, pool, salesEnd, maturity };
+    }
+
+    // Match, activate, observe the given BTC price at maturity and finalize
+    async function settleRound({ contracts, pool, salesEnd, maturity }, dollars) {
+      const { productCatalog, dinoOracle, settlementEngine } = contracts;
+      await time.increaseTo(salesEnd + 1);
+      await pool.computeMatchAndDistribute(1);
+      await productCatalog.closeAndMarkMatched(1, ethers.parseUnits("1000", 6));
+
+      await time.increaseTo(maturity);
+      const proposalId = await dinoOracle.nextProposalId();
+      await dinoOracle.proposePrice(BTC, maturity, BigInt(dollars) * 10n ** 8n, "BTC-USDT");
+      await time.increase(Number(await dinoOracle.livenessWindow()));
+      await dinoOracle.settleProposal(proposalId);
+      await settlementEngine.requestOracleObservation(1, pool.target);
+      await time.increase(Number(await settlementEngine.livenessWindow()));
+      await settlementEngine.finalizeSettlement(1);
+    }
+
+    it("Should return a base64 JSON data URI with the trigger, coverage, maturity and status", async function () {
+      const { contracts, maturity } = await loadFixture(openRoundFixture);
+
+      const metadata = decodeJson(await contracts.insuranceToken.tokenURI(1));
+
+      expect(metadata.name).to.equal("DIN Insurance Token #1");
+      expect(traits(metadata)).to.include({
+        Asset: "BTC-USDT",
+        Trigger: "BTC-USDT closes below $100000",
+        Coverage: "1000",
+        Maturity: new Date(maturity * 1000).toISOString().slice(0, 10),
+        Status: "OPEN",
+        Tranche: "1",
+        Round: "1"
+      });
+      expect(metadata.description).to.include("Pays 1000 USDT if BTC-USDT closes below $100000");
+    });
+
+    it("Should render the policy as an SVG image", async function () {
+      const { contracts } = await loadFixture(openRoundFixture);
+
+      const svg = decodeSvg(decodeJson(await contracts.insuranceToken.tokenURI(1)));
+
+      expect(svg.startsWith("<svg")).to.be.true;
+      expect(svg).to.include("DIN Insurance #1");
+      expect(svg).to.include("BTC-USDT closes below $100000");
+      expect(svg).to.include("1000 USDT");
+      expect(svg).to.include(">OPEN<");
+    });
+
+    it("Should read SETTLED-PAID from the live round once a triggered round settles", async function () {
+      const fixture = await loadFixture(openRoundFixture);
+      await settleRound(fixture, 90000);
+
+      const metadata = decodeJson(await fixture.contracts.insuranceToken.tokenURI(1));
+
+      expect(traits(metadata).Status).to.equal("SETTLED-PAID");
+      expect(decodeSvg(metadata)).to.include(">SETTLED-PAID<");
+    });
+
+    it("Should read SETTLED-EXPIRED when the trigger did not fire", async function () {
+      const fixture = await loadFixture(openRoundFixture);
+      await settleRound(fixture, 120000);
+
+      const metadata = decodeJson(await fixture.contracts.insuranceToken.tokenURI(1));
+
+      expect(traits(metadata).Status).to.equal("SETTLED-EXPIRED");
+    });
+
+    it("Should fall back to purchase data when no registry is set", async function () {
+      const { insuranceToken } = await loadFixture(deployInsuranceTokenFixture);
+
+      const metadata = decodeJson(await insuranceToken.tokenURI(2));
+
+      expect(traits(metadata)).to.include({ Coverage: "500", Status: "-", Round: "1" });
+    });
+  });
+});
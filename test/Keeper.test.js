@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { wirePool } = require("../tasks/deploy");
+const { loadProtocolContext } = require("../tasks/utils");
+const { RoundState } = require("../tasks/collectors");
+const { runKeeperTick } = require("../tasks/keeper");
+const { restoreChainAfterAll } = require("./fixtures/chain");
+const { deployProtocol } = require("./fixtures/protocol");
+
+describe("keeper task", function () {
+  const { ethers } = hre;
+  const BTC = ethers.keccak256(ethers.toUtf8Bytes("BTC-USDT"));
+
+  let contracts;
+  let context;
+  let pool;
+  let buyer;
+  let seller;
+  let salesStart;
+  let salesEnd;
+  let maturity;
+
+  // The ticks below walk the chain through a whole round
+  restoreChainAfterAll();
+
+  const kinds = (tick) => tick.results.map((result) => `${result.kind}:${result.status}`);
+  const roundState = async () => Number((await contracts.productCatalog.getRound(1)).state);
+
+  before(async function () {
+    const [deployer] = await ethers.getSigners();
+    [, buyer, seller] = await ethers.getSigners();
+    ({ contracts } = await deployProtocol(deployer.address));
+
+    const { productCatalog, tranchePoolFactory, oracleRouter, dinoOracle, usdt } = contracts;
+    const now = await time.latest();
+    salesStart = now + 3600;
+    salesEnd = now + 2 * 86400;
+    maturity = now + 10 * 86400;
+
+    await productCatalog.createProduct(ethers.keccak256(ethers.toUtf8Bytes("KeeperProduct")));
+    await productCatalog.createTranche({
+      productId: 1,
+      triggerType: 0, // PRICE_BELOW
+      threshold: ethers.parseEther("100000"),
+      maturityTimestamp: maturity,
+      premiumRateBps: 500,
+      perAccountMin: ethers.parseUnits("100", 6),
+      perAccountMax: ethers.parseUnits("10000", 6),
+      trancheCap: ethers.parseUnits("100000", 6),
+      oracleRouteId: 1 // BTC-USDT
+    });
+    await tranchePoolFactory.createTranchePool(1);
+    pool = await wirePool(hre, contracts, await tranchePoolFactory.getTranchePool(1), deployer.address);
+    await productCatalog.announceRound(1, salesStart, salesEnd);
+
+    // Route BTC-USDT through the DINO oracle so settlement can read a proposed price
+    await oracleRouter.configureOracle(BTC, 1, 1, 500, 3600, "BTC-USDT", ""); // DINO_ORACLE, PREFER_DINO
+    await dinoOracle.addIdentifier(BTC, "BTC-USDT");
+    await contracts.settlementEngine.setRouteIdentifier(1, BTC);
+
+    for (const account of [buyer, seller]) {
+      await usdt.transfer(account.address, ethers.parseUnits("10000", 6));
+      await usdt.connect(account).approve(pool.target, ethers.MaxUint256);
+    }
+
+    context = await loadProtocolContext(hre, { registry: contracts.registry.target });
+  });
+
+  it("Should wait until the sales window starts", async function () {
+    const tick = await runKeeperTick(hre, context);
+
+    expect(tick.results).to.have.lengthOf(0);
+    expect(await roundState()).to.equal(RoundState.ANNOUNCED);
+  });
+
+  it("Should open the round at salesStartTime", async function () {
+    await time.increaseTo(salesStart);
+    const tick = await runKeeperTick(hre, context);
+
+    expect(kinds(tick)).to.deep.equal(["open:sent"]);
+    expect(await roundState()).to.equal(RoundState.OPEN);
+
+    await pool.connect(buyer).placeBuyerOrder(1, ethers.parseUnits("1000", 6));
+    await pool.connect(seller).depositCollateral(1, ethers.parseUnits("5000", 6));
+  });
+
+  it("Should not repeat a transition on the next tick", async function () {
+    const tick = await runKeeperTick(hre, context);
+
+    expect(tick.results).to.have.lengthOf(0);
+  });
+
+  it("Should only plan the match in dry-run mode", async function () {
+    await time.increaseTo(salesEnd + 1);
+    const tick = await runKeeperTick(hre, context, { dryRun: true });
+
+    expect(kinds(tick)).to.deep.equal(["match:planned", "close:planned"]);
+    expect(tick.results[1].args[1]).to.equal(ethers.parseUnits("1000", 6));
+    expect(await roundState()).to.equal(RoundState.OPEN);
+    expect(await pool.queryFilter(pool.filters.RoundMatched(1))).to.have.lengthOf(0);
+  });
+
+  it("Should match and close the round after salesEndTime", async function () {
+    const tick = await runKeeperTick(hre, context);
+
+    expect(kinds(tick)).to.deep.equal(["match:sent", "close:sent"]);
+    expect(await roundState()).to.equal(RoundState.ACTIVE);
+    expect((await contracts.productCatalog.getRound(1)).matchedAmount).to.equal(ethers.parseUnits("1000", 6));
+    expect(await pool.queryFilter(pool.filters.RoundMatched(1))).to.have.lengthOf(1);
+  });
+
+  it("Should keep waiting at maturity while the oracle has no price", async function () {
+    await time.increaseTo(maturity);
+    const tick = await runKeeperTick(hre, context, { maxRetries: 0 });
+
+    // Nothing to sample on the router either
+    expect(kinds(tick)).to.deep.equal(["sample:done", "observe:waiting"]);
+    expect(await roundState()).to.equal(RoundState.ACTIVE);
+  });
+
+  it("Should request the oracle observation once a price is available", async function () {
+    const { dinoOracle, dinToken } = contracts;
+    await dinToken.approve(dinoOracle.target, await dinoOracle.proposalBond());
+    await dinoOracle.proposePrice(BTC, maturity, 120000n * 10n ** 8n, "BTC above threshold");
+    await time.increase(Number(await dinoOracle.livenessWindow()));
+    await dinoOracle.settleProposal(1);
+
+    const tick = await runKeeperTick(hre, context);
+
+    expect(kinds(tick)).to.deep.equal(["observe:sent"]);
+    expect(await roundState()).to.equal(RoundState.MATURED);
+  });
+
+  it("Should finalize settlement once the liveness window passes", async function () {
+    const { settlementEngine } = contracts;
+
+    expect(kinds(await runKeeperTick(hre, context))).to.deep.equal(["skip:waiting"]);
+
+    await time.increase(Number(await settlementEngine.livenessWindow()));
+    const tick = await runKeeperTick(hre, context);
+
+    expect(kinds(tick)).to.deep.equal(["finalize:sent"]);
+    expect(await roundState()).to.equal(RoundState.SETTLED);
+
+    const info = await settlementEngine.getSettlementInfo(1);
+    expect(info.settled).to.be.true;
+    expect(info.triggered).to.be.false;
+    expect((await runKeeperTick(hre, context)).results).to.have.lengthOf(0);
+  });
+
+  it("Should run a single tick through the task", async function () {
+    const tick = await hre.run("keeper", { registry: contracts.registry.target, once: true });
+
+    expect(tick.results).to.have.lengthOf(0);
+  });
+});
@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { wirePool } = require("../tasks/deploy");
+const { loadProtocolContext } = require("../tasks/utils");
+const { collectPools, collectTranches, collectAddressPositions, collectClaimable } = require("../tasks/collectors");
+const { toJSON, toCSV, parseFormat } = require("../tasks/output");
+const { restoreChainAfterAll } = require("./fixtures/chain");
+const { deployProtocol } = require("./fixtures/protocol");
+
+describe("Monitor collectors and output formats", function () {
+  restoreChainAfterAll();
+
+  let deployment;
+  let context;
+
+  before(async function () {
+    const { ethers } = hre;
+    const [, keeper] = await ethers.getSigners();
+    deployment = await deployProtocol(keeper.address);
+
+    const { productCatalog, tranchePoolFactory } = deployment.contracts;
+    await productCatalog.createProduct(ethers.keccak256(ethers.toUtf8Bytes("MonitorProduct")));
+    const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+    await productCatalog.createTranche({
+      productId: 1,
+      triggerType: 0, // PRICE_BELOW
+      threshold: ethers.parseEther("100000"),
+      maturityTimestamp: now + 30n * 24n * 3600n,
+      premiumRateBps: 300,
+      perAccountMin: ethers.parseUnits("100", 6),
+      perAccountMax: ethers.parseUnits("10000", 6),
+      trancheCap: ethers.parseUnits("100000", 6),
+      oracleRouteId: 1
+    });
+    await tranchePoolFactory.createTranchePool(1);
+    await wirePool(hre, deployment.contracts, await tranchePoolFactory.getTranchePool(1), keeper.address);
+
+    context = await loadProtocolContext(hre, { registry: deployment.contracts.registry.target });
+  });
+
+  it("Should collect pools with raw and formatted amounts", async function () {
+    const report = await collectPools(hre, context);
+
+    expect(report.kind).to.equal("pools");
+    expect(report.pools).to.have.lengthOf(1);
+    expect(report.pools[0].trancheId).to.equal(1n);
+    expect(report.pools[0].totalAssets).to.deep.equal({ raw: 0n, formatted: "0.0" });
+    expect(report.pools[0].navPerShare.formatted).to.equal("1.0");
+  });
+
+  it("Should serialize bigints as decimal strings in JSON", async function () {
+    const report = await collectPools(hre, context);
+    const parsed = JSON.parse(toJSON(report));
+
+    expect(parsed.pools[0].trancheId).to.equal("1");
+    expect(parsed.pools[0].navPerShare.raw).to.equal(hre.ethers.parseEther("1").toString());
+    expect(parsed.summary.tvl).to.deep.equal({ raw: "0", formatted: "0.0" });
+  });
+
+  it("Should flatten rows into CSV columns", async function () {
+    const report = await collectTranches(hre, context);
+    const [headerLine, firstRow] = toCSV(report.tranches).split("\n");
+    const columns = headerLine.split(",");
+
+    expect(columns).to.include.members(["trancheId", "threshold.raw", "threshold.formatted", "trancheCap.raw", "riskLevel"]);
+    expect(firstRow.split(",")[columns.indexOf("trancheCap.raw")]).to.equal("100000000000");
+  });
+
+  it("Should label tranches with the oracle route bound on-chain", async function () {
+    const { ethers } = hre;
+    const { oracleRouter, settlementEngine } = deployment.contracts;
+    const BTC = ethers.keccak256(ethers.toUtf8Bytes("BTC-USDT"));
+
+    expect((await collectTranches(hre, context)).tranches[0].symbol).to.equal(null);
+
+    await oracleRouter.configureOracle(BTC, 1, 1, 500, 3600, "BTC-USDT", "");
+    await settlementEngine.setRouteIdentifier(1, BTC);
+    const report = await collectTranches(hre, context);
+
+    expect(report.tranches[0].oracleRouteId).to.equal(1);
+    expect(report.tranches[0].symbol).to.equal("BTC-USDT");
+    expect(report.marketPrices.map((entry) => entry.symbol)).to.deep.equal(["BTC-USDT"]);
+  });
+
+  it("Should enumerate oracle symbols configured on-chain", async function () {
+    const { ethers } = hre;
+    const { oracleRouter, oraklPriceFeed } = deployment.contracts;
+    const SOL = ethers.keccak256(ethers.toUtf8Bytes("SOL-USDT"));
+    const feed = await (await ethers.getContractFactory("MockFeedProxy")).deploy(8, "SOL / USD", 150n * 10n ** 8n);
+    await oraklPriceFeed.addPriceFeed("SOL-USD", feed.target, 86400);
+    await oracleRouter.configureOracle(SOL, 0, 1, 500, 3600, "SOL-USDT", "SOL-USD"); // ORAKL_NETWORK, PREFER_DINO
+
+    const registry = deployment.contracts.registry.target;
+    const oracles = await hre.run("monitor-oracles", { registry, format: "json" });
+    expect(oracles.prices.map((entry) => entry.symbol)).to.include("SOL-USDT");
+    expect(oracles.prices.find((entry) => entry.symbol === "SOL-USDT").price.formatted).to.equal("150.0");
+
+    const orakl = await hre.run("monitor-orakl-direct", { registry, format: "json" });
+    expect(orakl.feeds.map((entry) => entry.symbol)).to.include("SOL-USD");
+    expect(orakl.feeds.find((entry) => entry.symbol === "SOL-USD").supported).to.equal(true);
+  });
+
+  it("Should return the report from monitor tasks in json mode", async function () {
+    const report = await hre.run("monitor-pools", { registry: deployment.contracts.registry.target, format: "json" });
+
+    expect(report.summary.poolCount).to.equal(1);
+  });
+
+  it("Should reject unknown formats", function () {
+    expect(() => parseFormat("xml")).to.throw("Unsupported format");
+    expect(parseFormat("CSV")).to.equal("csv");
+  });
+
+  it("Should list a holder's policies with round state and claim status", async function () {
+    const { ethers } = hre;
+    const [, keeper, buyer, seller] = await ethers.getSigners();
+    const { productCatalog, tranchePoolFactory, usdt } = deployment.contracts;
+    const pool = await ethers.getContractAt("TranchePoolCore", await tranchePoolFactory.getTranchePool(1));
+
+    for (const account of [buyer, seller]) {
+      await usdt.transfer(account.address, ethers.parseUnits("10000", 6));
+      await usdt.connect(account).approve(pool.target, ethers.MaxUint256);
+    }
+    const salesStart = (await time.latest()) + 60;
+    const salesEnd = salesStart + 86400;
+    await productCatalog.announceRound(1, salesStart, salesEnd);
+    await time.increaseTo(salesStart);
+    await productCatalog.openRound(1);
+    await pool.connect(buyer).placeBuyerOrder(1, ethers.parseUnits("1000", 6));
+    await pool.connect(seller).depositCollateral(1, ethers.parseUnits("600", 6));
+
+    let report = await collectAddressPositions(hre, context, buyer.address);
+    expect(report.buyer.tokenCount).to.equal(1n);
+    expect(report.policies[0]).to.include({ roundState: "OPEN", claimStatus: "PENDING_MATCH" });
+    expect(report.policies[0].purchaseAmount.raw).to.equal(ethers.parseUnits("1000", 6));
+
+    await time.increaseTo(salesEnd + 1);
+    await pool.connect(keeper).computeMatchAndDistribute(1);
+    await productCatalog.connect(keeper).closeAndMarkMatched(1, ethers.parseUnits("600", 6));
+
+    report = await collectAddressPositions(hre, context, buyer.address);
+    expect(report.policies[0]).to.include({ roundState: "ACTIVE", claimStatus: "COVERED" });
+    expect(report.policies[0].coverage.raw).to.equal(ethers.parseUnits("600", 6));
+  });
+
+  it("Should report claimable balances credited at matching", async function () {
+    const { ethers } = hre;
+    const [, , buyer] = await ethers.getSigners();
+    const pool = await ethers.getContractAt("TranchePoolCore", await deployment.contracts.tranchePoolFactory.getTranchePool(1));
+
+    // The buyer was only filled for 600 of 1000, so the unmatched premium waits to be claimed
+    const owed = await pool.claimable(1, buyer.address);
+    expect(owed).to.be.gt(0);
+
+    let report = await collectClaimable(hre, context, buyer.address, 1);
+    expect(report.claimable.raw).to.equal(owed);
+    expect(report.poolClaimable.raw).to.equal(owed);
+    expect(report.buyer.refunded).to.be.true;
+
+    await pool.connect(buyer).claim(1);
+    report = await collectClaimable(hre, context, buyer.address, 1);
+    expect(report.claimable.raw).to.equal(0n);
+  });
+});
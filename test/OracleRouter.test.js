@@ -0,0 +1,333 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { OracleType, FallbackStrategy, deployOracleStack, publishDinoPrice, toPrice } = require("./fixtures/oracleStack");
+const { restoreChainAfterAll } = require("./fixtures/chain");
+
+const AggregationMode = { DEFAULT: 0, SPOT: 1, TWAP: 2, MEDIAN: 3 };
+
+describe("OracleRouter", function () {
+  restoreChainAfterAll();
+
+  const { ethers } = hre;
+  const BTC = ethers.keccak256(ethers.toUtf8Bytes("BTC-USDT"));
+  const MAX_STALENESS = 3 * 3600; // outlives the 2h DINO liveness window
+  const dollars = toPrice;
+
+  function deployOraclesFixture() {
+    return deployOracleStack({ fallbackStrategy: FallbackStrategy.REQUIRE_BOTH, maxStaleness: MAX_STALENESS });
+  }
+
+  function deployPreferDinoFixture() {
+    return deployOracleStack({ maxStaleness: MAX_STALENESS });
+  }
+
+  // Publish a verified DINO price, then a fresh Orakl answer; returns the DINO timestamp
+  async function publishPrices(contracts, dinoDollars, oraklDollars) {
+    const timestamp = await publishDinoPrice(contracts, dinoDollars);
+    await contracts.feed.setPrice(dollars(oraklDollars));
+    return timestamp;
+  }
+
+  describe("REQUIRE_BOTH", function () {
+    it("Should return the primary price when both oracles agree", async function () {
+      const contracts = await loadFixture(deployOraclesFixture);
+      const { oracleRouter } = contracts;
+      const dinoTimestamp = await publishPrices(contracts, 100000, 101000);
+
+      const result = await oracleRouter.getPrice(BTC);
+      expect(result.valid).to.equal(true);
+      expect(result.source).to.equal(OracleType.ORAKL_NETWORK);
+      expect(result.price).to.equal(dollars(101000));
+
+      await expect(oracleRouter.fetchPrice(BTC)).to.emit(oracleRouter, "PriceRetrieved");
+      await expect(oracleRouter.fetchPrice(BTC)).not.to.emit(oracleRouter, "PriceDeviationAlert");
+      expect(await oracleRouter.lastOraklPrice(BTC)).to.equal(dollars(101000));
+      expect(await oracleRouter.lastDinoPrice(BTC)).to.equal(dollars(100000));
+
+      // Historical lookups only compare prices published by then
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, await time.latest())).valid).to.equal(true);
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, dinoTimestamp)).error)
+        .to.equal("Both oracles required: Orakl price published after timestamp");
+    });
+
+    it("Should reject prices that deviate beyond maxPriceDeviationBps", async function () {
+      const contracts = await loadFixture(deployOraclesFixture);
+      const { oracleRouter } = contracts;
+      await publishPrices(contracts, 100000, 110000);
+
+      // 10,000 apart around a 105,000 midpoint: 952 bps against a 500 bps limit
+      const result = await oracleRouter.getPrice(BTC);
+      expect(result.valid).to.equal(false);
+      expect(result.error).to.equal("Oracle price deviation too high");
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, await time.latest())).valid).to.equal(false);
+
+      await expect(oracleRouter.fetchPrice(BTC))
+        .to.emit(oracleRouter, "PriceDeviationAlert")
+        .withArgs(BTC, dollars(110000), dollars(100000), 952);
+      await expect(oracleRouter.fetchPrice(BTC)).not.to.emit(oracleRouter, "PriceRetrieved");
+    });
+
+    it("Should be invalid while either source is missing or stale", async function () {
+      const contracts = await loadFixture(deployOraclesFixture);
+      const { oracleRouter, feed } = contracts;
+
+      expect((await oracleRouter.getPrice(BTC)).error).to.contain("Both oracles required: DINO");
+
+      await publishPrices(contracts, 100000, 100000);
+      expect((await oracleRouter.getPrice(BTC)).valid).to.equal(true);
+
+      await feed.setRoundData(dollars(100000), (await time.latest()) - MAX_STALENESS - 1);
+      expect((await oracleRouter.getPrice(BTC)).error).to.equal("Both oracles required: Orakl price too stale");
+    });
+  });
+
+  describe("Symbols", function () {
+    it("Should route new assets to the Orakl symbol recorded on-chain", async function () {
+      const { oracleRouter, oraklPriceFeed } = await loadFixture(deployOraclesFixture);
+      const SOL = ethers.keccak256(ethers.toUtf8Bytes("SOL-USDT"));
+      const feed = await (await ethers.getContractFactory("MockFeedProxy")).deploy(8, "SOL / USD", dollars(150));
+      await oraklPriceFeed.addPriceFeed("SOL-USD", feed.target, 86400);
+
+      await expect(oracleRouter.configureOracle(
+        SOL, OracleType.ORAKL_NETWORK, FallbackStrategy.PREFER_DINO, 500, MAX_STALENESS, "SOL-USDT", "SOL-USD"
+      ))
+        .to.emit(oracleRouter, "OracleConfigured")
+        .withArgs(SOL, OracleType.ORAKL_NETWORK, FallbackStrategy.PREFER_DINO, 500, MAX_STALENESS, "SOL-USDT", "SOL-USD");
+
+      const result = await oracleRouter.getPrice(SOL);
+      expect(result.valid).to.equal(true);
+      expect(result.price).to.equal(dollars(150));
+
+      const [identifiers, symbols, oraklSymbols] = await oracleRouter.getConfiguredSymbols();
+      expect([...identifiers]).to.deep.equal([BTC, SOL]);
+      expect([...symbols]).to.deep.equal(["BTC-USDT", "SOL-USDT"]);
+      expect([...oraklSymbols]).to.deep.equal(["BTC-USDT", "SOL-USD"]);
+
+      await expect(oracleRouter.configureOracle(SOL, 0, 1, 500, MAX_STALENESS, "", ""))
+        .to.be.revertedWithCustomError(oracleRouter, "InvalidConfiguration");
+    });
+
+    it("Should reject a symbol that does not hash to the identifier", async function () {
+      const { oracleRouter } = await loadFixture(deployOraclesFixture);
+      const SOL = ethers.keccak256(ethers.toUtf8Bytes("SOL-USDT"));
+
+      await expect(oracleRouter.configureOracle(SOL, 0, 1, 500, MAX_STALENESS, "BTC-USDT", ""))
+        .to.be.revertedWithCustomError(oracleRouter, "SymbolMismatch")
+        .withArgs(SOL, "BTC-USDT");
+      await expect(oracleRouter.configureOracle(BTC, 0, 1, 500, MAX_STALENESS, "BTC-USD", "BTC-USDT"))
+        .to.be.revertedWithCustomError(oracleRouter, "SymbolMismatch")
+        .withArgs(BTC, "BTC-USD");
+      expect(await oracleRouter.isConfigured(SOL)).to.equal(false);
+    });
+  });
+
+  describe("Decimals", function () {
+    it("Should normalize 6-, 8- and 18-decimal Orakl feeds to PRICE_DECIMALS", async function () {
+      const { oracleRouter, oraklPriceFeed } = await loadFixture(deployOraclesFixture);
+      expect(await oracleRouter.PRICE_DECIMALS()).to.equal(8);
+      expect(await oraklPriceFeed.PRICE_DECIMALS()).to.equal(8);
+
+      for (const decimals of [6, 8, 18]) {
+        const symbol = `BTC-D${decimals}`;
+        const identifier = ethers.keccak256(ethers.toUtf8Bytes(symbol));
+        const answer = ethers.parseUnits(decimals === 18 ? "100000.123456789" : "100000.12", decimals);
+        const feed = await (await ethers.getContractFactory("MockFeedProxy")).deploy(decimals, symbol, answer);
+        await oraklPriceFeed.addPriceFeed(symbol, feed.target, 86400);
+        await oracleRouter.configureOracle(identifier, OracleType.ORAKL_NETWORK, FallbackStrategy.PREFER_DINO, 500, MAX_STALENESS, symbol, "");
+
+        // Precision beyond 8 decimals is truncated
+        const expected = decimals === 18 ? 10000012345678n : 10000012000000n;
+        expect((await oraklPriceFeed.getLatestPrice(symbol)).price).to.equal(expected);
+        expect((await oracleRouter.getPrice(identifier)).price).to.equal(expected);
+      }
+
+      const wide = await (await ethers.getContractFactory("MockFeedProxy")).deploy(19, "BTC / USDT", 1);
+      await expect(oraklPriceFeed.addPriceFeed("BTC-D19", wide.target, 86400))
+        .to.be.revertedWithCustomError(oraklPriceFeed, "InvalidDecimals")
+        .withArgs(19);
+    });
+  });
+
+  describe("Fallbacks", function () {
+    it("Should emit FallbackTriggered when the primary oracle fails", async function () {
+      const contracts = await loadFixture(deployOraclesFixture);
+      const { oracleRouter, feed } = contracts;
+      await oracleRouter.configureOracle(
+        BTC, OracleType.ORAKL_NETWORK, FallbackStrategy.PREFER_DINO, 500, MAX_STALENESS, "BTC-USDT", ""
+      );
+      await publishPrices(contracts, 100000, 100000);
+      await feed.setRoundData(dollars(100000), (await time.latest()) - MAX_STALENESS - 1);
+
+      const result = await oracleRouter.getPrice(BTC);
+      expect(result.valid).to.equal(true);
+      expect(result.source).to.equal(OracleType.DINO_ORACLE);
+
+      await expect(oracleRouter.fetchPrice(BTC))
+        .to.emit(oracleRouter, "FallbackTriggered")
+        .withArgs(BTC, OracleType.ORAKL_NETWORK, OracleType.DINO_ORACLE, "Orakl price too stale")
+        .and.to.emit(oracleRouter, "PriceRetrieved");
+    });
+  });
+
+  describe("Historical prices", function () {
+    it("Should resolve the latest verified price at or before the timestamp, never a later one", async function () {
+      const contracts = await loadFixture(deployPreferDinoFixture);
+      const { oracleRouter, feed } = contracts;
+      const dinoTimestamp = await publishDinoPrice(contracts, 100000);
+
+      await feed.setPrice(dollars(105000));
+      const sampledAt = await time.latest();
+      await oracleRouter.recordObservation(BTC);
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, sampledAt - 1)).price).to.equal(dollars(100000));
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, sampledAt)).price).to.equal(dollars(105000));
+
+      // Once the feed moves on, its earlier answer is only known from the recorded observation
+      await feed.setPrice(dollars(90000));
+      const movedAt = await time.latest();
+      const result = await oracleRouter.getPriceAtTimestamp(BTC, sampledAt);
+      expect(result.price).to.equal(dollars(105000));
+      expect(result.timestamp).to.equal(sampledAt);
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, dinoTimestamp - 1)).error)
+        .to.equal("No verified price at or before timestamp");
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, movedAt + MAX_STALENESS + 1)).error)
+        .to.equal("Price too stale at timestamp");
+    });
+  });
+
+  describe("Aggregation", function () {
+    // Time-weighted average of getAggregationInputs, newest first
+    const twap = (inputs) => {
+      const weight = inputs.reduce((sum, input) => sum + input.weight, 0n);
+      return inputs.reduce((sum, input) => sum + input.price * input.weight, 0n) / weight;
+    };
+
+    it("Should average recorded observations over the TWAP window", async function () {
+      const { oracleRouter, feed } = await loadFixture(deployPreferDinoFixture);
+      await expect(oracleRouter.setAggregation(BTC, AggregationMode.TWAP, 3600))
+        .to.emit(oracleRouter, "AggregationConfigured")
+        .withArgs(BTC, AggregationMode.TWAP, 3600);
+
+      // 90,000 is sampled before the window and holds until 100,000 replaces it
+      const end = await time.latest();
+      for (const [dollarsAt, age] of [[90000, 5000], [100000, 3000], [110000, 1200]]) {
+        await feed.setRoundData(dollars(dollarsAt), end - age);
+        await expect(oracleRouter.recordObservation(BTC))
+          .to.emit(oracleRouter, "ObservationRecorded")
+          .withArgs(BTC, dollars(dollarsAt), end - age, OracleType.ORAKL_NETWORK);
+      }
+      // Nothing newer to sample
+      await expect(oracleRouter.recordObservation(BTC)).not.to.emit(oracleRouter, "ObservationRecorded");
+      expect(await oracleRouter.getObservationCount(BTC)).to.equal(3);
+
+      const [mode, result, inputs] = await oracleRouter.getAggregationInputs(BTC, AggregationMode.DEFAULT, end);
+      expect(mode).to.equal(AggregationMode.TWAP);
+      expect([...inputs].map((input) => input.weight)).to.deep.equal([1200n, 1800n, 600n]);
+      expect(result.price).to.equal(twap(inputs));
+      expect(result.timestamp).to.equal(end - 1200);
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, end)).price).to.equal(twap(inputs));
+
+      // A window the last sample does not reach has no TWAP
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, end + 3600)).error).to.equal("No observations in TWAP window");
+    });
+
+    it("Should only let the keeper sample, once per observation interval", async function () {
+      const { oracleRouter, feed } = await loadFixture(deployPreferDinoFixture);
+      const [, outsider] = await ethers.getSigners();
+      await oracleRouter.setAggregation(BTC, AggregationMode.TWAP, 3600);
+      const interval = Number(await oracleRouter.observationInterval(BTC));
+      expect(interval).to.equal(77); // ceil(3600 / 47)
+
+      await expect(oracleRouter.connect(outsider).recordObservation(BTC)).to.be.revertedWith(
+        `AccessControl: account ${outsider.address.toLowerCase()} is missing role ${await oracleRouter.KEEPER_ROLE()}`
+      );
+
+      const end = await time.latest();
+      const first = end - 4000;
+      await feed.setRoundData(dollars(100000), first);
+      await oracleRouter.recordObservation(BTC);
+      // A newer answer inside the interval is not stored
+      await feed.setRoundData(dollars(90000), first + interval - 1);
+      await expect(oracleRouter.recordObservation(BTC)).not.to.emit(oracleRouter, "ObservationRecorded");
+
+      // Even sampling every interval, the window holds no more than MAX_TWAP_INPUTS samples
+      for (let i = 1; i < 50; i++) {
+        await feed.setRoundData(dollars(100000 + i), first + i * interval);
+        await oracleRouter.recordObservation(BTC);
+      }
+      expect(await oracleRouter.getObservationCount(BTC)).to.equal(50);
+      const [, , inputs] = await oracleRouter.getAggregationInputs(BTC, AggregationMode.TWAP, end);
+      expect(inputs.length).to.be.at.most(Number(await oracleRouter.MAX_TWAP_INPUTS()));
+
+      // A window widened past the samples' spacing reverts instead of averaging only the newest
+      await oracleRouter.setAggregation(BTC, AggregationMode.TWAP, 7200);
+      await expect(oracleRouter.getAggregatedPrice(BTC, AggregationMode.TWAP, end))
+        .to.be.revertedWithCustomError(oracleRouter, "TooManyTwapInputs")
+        .withArgs(BTC, end - 7200);
+    });
+
+    it("Should build TWAPs from DINO verified prices without observations", async function () {
+      const contracts = await loadFixture(deployPreferDinoFixture);
+      const { oracleRouter, dinoOracle } = contracts;
+      await oracleRouter.setAggregation(BTC, AggregationMode.SPOT, 3600);
+      expect((await oracleRouter.getAggregatedPrice(BTC, AggregationMode.TWAP, 0)).error).to.equal("No observations in TWAP window");
+
+      // Settled out of order, indexed in timestamp order
+      const end = await time.latest();
+      await publishDinoPrice(contracts, 102000, end - 300);
+      await publishDinoPrice(contracts, 100000, end - 600);
+      expect(await dinoOracle.priceTimestampCount(BTC)).to.equal(2);
+      expect(await dinoOracle.priceTimestamps(BTC, 0)).to.equal(end - 600);
+
+      const [, result, inputs] = await oracleRouter.getAggregationInputs(BTC, AggregationMode.TWAP, end);
+      expect([...inputs].map((input) => input.source)).to.deep.equal([BigInt(OracleType.DINO_ORACLE), BigInt(OracleType.DINO_ORACLE)]);
+      expect(result.price).to.equal(dollars(101000));
+      expect(result.source).to.equal(OracleType.DINO_ORACLE);
+
+      // The identifier itself still resolves single prices
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, end - 300)).price).to.equal(dollars(102000));
+    });
+
+    it("Should take the median of the Orakl, DINO and manual prices", async function () {
+      const contracts = await loadFixture(deployPreferDinoFixture);
+      const { oracleRouter, feed } = contracts;
+      await oracleRouter.setAggregation(BTC, AggregationMode.MEDIAN, 0);
+
+      const dinoTimestamp = await publishDinoPrice(contracts, 103000);
+      await feed.setPrice(dollars(100000));
+      const target = await time.latest();
+      await oracleRouter.setManualPrice(BTC, target, dollars(101000));
+
+      const [, result, inputs] = await oracleRouter.getAggregationInputs(BTC, AggregationMode.DEFAULT, target);
+      expect([...inputs].map((input) => input.price)).to.deep.equal([dollars(100000), dollars(101000), dollars(103000)]);
+      expect(result.price).to.equal(dollars(101000));
+      expect(result.source).to.equal(OracleType.FALLBACK);
+      expect(result.timestamp).to.equal(dinoTimestamp); // oldest input
+
+      // Without the manual price the two remaining sources are averaged
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, target + 1)).price).to.equal(dollars(101500));
+      // The Orakl answer published at target does not count for an earlier time
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, target - 1)).error).to.equal("Median requires two sources");
+
+      await feed.setPrice(dollars(120000));
+      const later = await time.latest();
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, target)).price).to.equal(dollars(102000));
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, later)).error).to.equal("Oracle price deviation too high");
+      expect((await oracleRouter.getPriceAtTimestamp(BTC, later + 4 * 3600)).error).to.equal("Median requires two sources");
+    });
+
+    it("Should validate aggregation settings", async function () {
+      const { oracleRouter } = await loadFixture(deployPreferDinoFixture);
+      const ETH = ethers.keccak256(ethers.toUtf8Bytes("ETH-USDT"));
+
+      await expect(oracleRouter.setAggregation(BTC, AggregationMode.TWAP, 0))
+        .to.be.revertedWithCustomError(oracleRouter, "InvalidConfiguration");
+      await expect(oracleRouter.setAggregation(BTC, AggregationMode.SPOT, 7 * 86400 + 1))
+        .to.be.revertedWithCustomError(oracleRouter, "InvalidConfiguration");
+      await expect(oracleRouter.setAggregation(ETH, AggregationMode.MEDIAN, 0))
+        .to.be.revertedWithCustomError(oracleRouter, "IdentifierNotConfigured");
+      expect((await oracleRouter.getAggregatedPrice(BTC, AggregationMode.TWAP, 0)).error).to.equal("TWAP window not configured");
+    });
+  });
+});
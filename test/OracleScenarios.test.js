@@ -0,0 +1,391 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  OracleType,
+  FallbackStrategy,
+  TriggerType,
+  deployOracleStack,
+  proposeDinoPrice,
+  publishDinoPrice,
+  activateRound,
+  toPrice
+} = require("./fixtures/oracleStack");
+const { loadProtocolContext } = require("../tasks/utils");
+const { runKeeperTick } = require("../tasks/keeper");
+const { restoreChainAfterAll } = require("./fixtures/chain");
+
+describe("Oracle scenarios", function () {
+  restoreChainAfterAll();
+
+  const { ethers } = hre;
+  const MAX_STALENESS = 3 * 3600;
+  const ProposalState = { PROPOSED: 0, ACCEPTED: 1, DISPUTED: 2, RESOLVED: 3 };
+  const AggregationMode = { DEFAULT: 0, SPOT: 1, TWAP: 2, MEDIAN: 3 };
+
+  function deployPreferDinoFixture() {
+    return deployOracleStack();
+  }
+
+  function deployPreferOraklFixture() {
+    return deployOracleStack({ primaryType: OracleType.DINO_ORACLE, fallbackStrategy: FallbackStrategy.PREFER_ORAKL });
+  }
+
+  function deployManualOnlyFixture() {
+    return deployOracleStack({ fallbackStrategy: FallbackStrategy.MANUAL_ONLY });
+  }
+
+  function deployHourlyHeartbeatFixture() {
+    return deployOracleStack({ heartbeat: 3600 });
+  }
+
+  async function signers() {
+    const [, buyer, seller, disputer, voter] = await ethers.getSigners();
+    return { buyer, seller, disputer, voter };
+  }
+
+  describe("Staleness", function () {
+    it("Should revert OraklPriceFeed reads past the heartbeat grace period", async function () {
+      const { oraklPriceFeed, feed } = await loadFixture(deployHourlyHeartbeatFixture);
+      const updatedAt = (await time.latest()) - 7200 - 60; // heartbeat + MAX_STALENESS, plus a margin
+
+      await feed.setRoundData(toPrice(100000), updatedAt);
+      await expect(oraklPriceFeed.getLatestPrice("BTC-USDT"))
+        .to.be.revertedWithCustomError(oraklPriceFeed, "StalePriceData")
+        .withArgs(updatedAt, 7200);
+
+      await feed.setPrice(toPrice(100000));
+      expect((await oraklPriceFeed.getLatestPrice("BTC-USDT")).price).to.equal(toPrice(100000));
+    });
+
+    it("Should reject Orakl data older than the router's maxStaleness", async function () {
+      const { oracleRouter, feed, identifier } = await loadFixture(deployPreferDinoFixture);
+
+      await feed.setRoundData(toPrice(100000), (await time.latest()) - MAX_STALENESS + 60);
+      expect((await oracleRouter.getPrice(identifier)).source).to.equal(OracleType.ORAKL_NETWORK);
+
+      // Still inside the feed heartbeat, but too old for this identifier
+      await feed.setRoundData(toPrice(100000), (await time.latest()) - MAX_STALENESS - 60);
+      const result = await oracleRouter.getPrice(identifier);
+      expect(result.valid).to.equal(false);
+      expect(result.error).to.equal("DINO error: No price available");
+    });
+
+    it("Should refuse to settle a round when no Orakl update lands near maturity", async function () {
+      const stack = await loadFixture(deployPreferDinoFixture);
+      const { settlementEngine } = stack;
+      const { pool, maturity } = await activateRound(stack, {
+        triggerType: TriggerType.PRICE_BELOW,
+        threshold: ethers.parseEther("100000"),
+        ...(await signers())
+      });
+
+      // The last answer is from deployment, ten days before maturity
+      await time.increaseTo(maturity);
+      await expect(settlementEngine.requestOracleObservation(1, pool.target))
+        .to.be.revertedWithCustomError(settlementEngine, "OracleRequestFailed");
+    });
+  });
+
+  describe("Fallback strategies", function () {
+    it("Should fall back from a stale Orakl feed to DINO under PREFER_DINO", async function () {
+      const stack = await loadFixture(deployPreferDinoFixture);
+      const { oracleRouter, feed, identifier } = stack;
+
+      await publishDinoPrice(stack, 99000);
+      await feed.setRoundData(toPrice(100000), (await time.latest()) - MAX_STALENESS - 60);
+
+      const result = await oracleRouter.getPrice(identifier);
+      expect(result.source).to.equal(OracleType.DINO_ORACLE);
+      expect(result.price).to.equal(toPrice(99000));
+
+      await expect(oracleRouter.fetchPrice(identifier))
+        .to.emit(oracleRouter, "FallbackTriggered")
+        .withArgs(identifier, OracleType.ORAKL_NETWORK, OracleType.DINO_ORACLE, "Orakl price too stale");
+    });
+
+    it("Should fall back from a missing DINO price to Orakl under PREFER_ORAKL", async function () {
+      const { oracleRouter, feed, identifier } = await loadFixture(deployPreferOraklFixture);
+      await feed.setPrice(toPrice(101000));
+
+      const result = await oracleRouter.getPrice(identifier);
+      expect(result.source).to.equal(OracleType.ORAKL_NETWORK);
+      expect(result.price).to.equal(toPrice(101000));
+
+      await expect(oracleRouter.fetchPrice(identifier))
+        .to.emit(oracleRouter, "FallbackTriggered")
+        .withArgs(identifier, OracleType.DINO_ORACLE, OracleType.ORAKL_NETWORK, "DINO error: No price available")
+        .and.to.emit(oracleRouter, "PriceRetrieved");
+    });
+
+    it("Should require a manual override under MANUAL_ONLY", async function () {
+      const stack = await loadFixture(deployManualOnlyFixture);
+      const { oracleRouter, feed, identifier } = stack;
+
+      // A verified DINO price is not consulted
+      await publishDinoPrice(stack, 99000);
+      await feed.setRoundData(toPrice(100000), (await time.latest()) - MAX_STALENESS - 60);
+
+      const result = await oracleRouter.getPrice(identifier);
+      expect(result.valid).to.equal(false);
+      expect(result.error).to.equal("Manual override required");
+
+      await expect(oracleRouter.fetchPrice(identifier))
+        .to.emit(oracleRouter, "FallbackTriggered")
+        .withArgs(identifier, OracleType.ORAKL_NETWORK, OracleType.FALLBACK, "Orakl price too stale");
+    });
+  });
+
+  describe("Emergency mode", function () {
+    it("Should settle a round from a manual price at maturity", async function () {
+      const stack = await loadFixture(deployPreferDinoFixture);
+      const { oracleRouter, settlementEngine, feed, identifier, deployer } = stack;
+      const { pool, maturity } = await activateRound(stack, {
+        triggerType: TriggerType.PRICE_BELOW,
+        threshold: ethers.parseEther("100000"),
+        ...(await signers())
+      });
+
+      await time.increaseTo(maturity);
+      await feed.setPrice(toPrice(100000)); // ignored while emergency mode is on
+
+      await expect(oracleRouter.setManualPrice(identifier, maturity, toPrice(95000)))
+        .to.emit(oracleRouter, "ManualPriceSet")
+        .withArgs(identifier, maturity, toPrice(95000), deployer.address);
+      await expect(oracleRouter.setEmergencyMode(identifier, true))
+        .to.emit(oracleRouter, "EmergencyModeToggled")
+        .withArgs(identifier, true);
+
+      const manual = await oracleRouter.getPriceAtTimestamp(identifier, maturity);
+      expect(manual.source).to.equal(OracleType.FALLBACK);
+
+      await expect(settlementEngine.requestOracleObservation(1, pool.target))
+        .to.emit(settlementEngine, "OracleResultReceived")
+        .withArgs(1, toPrice(95000), maturity, deployer.address, true);
+    });
+
+    it("Should be invalid without a manual price for the timestamp", async function () {
+      const { oracleRouter, identifier } = await loadFixture(deployPreferDinoFixture);
+      const timestamp = await time.latest();
+
+      await oracleRouter.setManualPrice(identifier, timestamp, toPrice(95000));
+      await oracleRouter.setEmergencyMode(identifier, true);
+
+      expect((await oracleRouter.getPriceAtTimestamp(identifier, timestamp)).valid).to.equal(true);
+      const result = await oracleRouter.getPriceAtTimestamp(identifier, timestamp - 1);
+      expect(result.valid).to.equal(false);
+      expect(result.error).to.equal("No manual price set");
+
+      // Leaving emergency mode restores the oracle route
+      await oracleRouter.setEmergencyMode(identifier, false);
+      expect((await oracleRouter.getPrice(identifier)).source).to.equal(OracleType.ORAKL_NETWORK);
+    });
+
+    it("Should restrict manual prices and emergency mode to admins", async function () {
+      const { oracleRouter, identifier } = await loadFixture(deployPreferDinoFixture);
+      const { buyer } = await signers();
+
+      await expect(oracleRouter.connect(buyer).setManualPrice(identifier, await time.latest(), toPrice(1))).to.be.reverted;
+      await expect(oracleRouter.connect(buyer).setEmergencyMode(identifier, true)).to.be.reverted;
+    });
+  });
+
+  describe("DINO proposals", function () {
+    // Dispute a fresh proposal and have one voter side with or against it
+    async function disputeAndVote(stack, supportsDispute) {
+      const { dinoOracle, dinToken } = stack;
+      const { disputer, voter } = await signers();
+      const stake = await dinoOracle.minVoterStake();
+
+      for (const account of [disputer, voter]) {
+        await dinToken.transfer(account.address, ethers.parseEther("5000"));
+        await dinToken.connect(account).approve(dinoOracle.target, ethers.MaxUint256);
+      }
+
+      const proposalId = await proposeDinoPrice(stack, 100000);
+      const disputeId = await dinoOracle.nextDisputeId();
+      await dinoOracle.connect(disputer).disputeProposal(proposalId, "Off-market print");
+      expect((await dinoOracle.proposals(proposalId)).state).to.equal(ProposalState.DISPUTED);
+
+      await dinoOracle.connect(voter).voteOnDispute(disputeId, supportsDispute, stake);
+      await expect(dinoOracle.resolveDispute(disputeId)).to.be.revertedWith("Voting window not closed");
+      await time.increase(Number(await dinoOracle.votingWindow()) + 1);
+
+      return { proposalId, disputeId, disputer };
+    }
+
+    it("Should only settle an undisputed proposal after the liveness window", async function () {
+      const stack = await loadFixture(deployPreferDinoFixture);
+      const { dinoOracle, identifier } = stack;
+      const timestamp = await time.latest();
+      const proposalId = await proposeDinoPrice(stack, 100000, timestamp);
+
+      await expect(dinoOracle.settleProposal(proposalId)).to.be.revertedWith("Liveness window not passed");
+
+      await time.increase(Number(await dinoOracle.livenessWindow()));
+      await expect(dinoOracle.connect((await signers()).disputer).disputeProposal(proposalId, "Too late"))
+        .to.be.revertedWithCustomError(dinoOracle, "DisputeWindowClosed");
+      await dinoOracle.settleProposal(proposalId);
+
+      expect((await dinoOracle.proposals(proposalId)).state).to.equal(ProposalState.ACCEPTED);
+      expect(await dinoOracle.getPrice(identifier, timestamp)).to.equal(toPrice(100000));
+    });
+
+    it("Should discard the price and pay both bonds to a successful disputer", async function () {
+      const stack = await loadFixture(deployPreferDinoFixture);
+      const { dinoOracle, dinToken, identifier } = stack;
+      const { proposalId, disputeId, disputer } = await disputeAndVote(stack, true);
+      const balanceBefore = await dinToken.balanceOf(disputer.address);
+
+      await dinoOracle.resolveDispute(disputeId);
+
+      expect((await dinoOracle.proposals(proposalId)).state).to.equal(ProposalState.RESOLVED);
+      expect(await dinToken.balanceOf(disputer.address))
+        .to.equal(balanceBefore + (await dinoOracle.proposalBond()) + (await dinoOracle.disputeBond()));
+      await expect(dinoOracle.getLatestPrice(identifier)).to.be.revertedWith("No price available");
+    });
+
+    it("Should publish the price and pay both bonds to the proposer when a dispute fails", async function () {
+      const stack = await loadFixture(deployPreferDinoFixture);
+      const { dinoOracle, dinToken, oracleRouter, identifier, deployer } = stack;
+      const { proposalId, disputeId } = await disputeAndVote(stack, false);
+      const balanceBefore = await dinToken.balanceOf(deployer.address);
+
+      await dinoOracle.resolveDispute(disputeId);
+
+      const proposal = await dinoOracle.proposals(proposalId);
+      expect(proposal.state).to.equal(ProposalState.ACCEPTED);
+      expect(await dinToken.balanceOf(deployer.address))
+        .to.equal(balanceBefore + (await dinoOracle.proposalBond()) + (await dinoOracle.disputeBond()));
+
+      const result = await oracleRouter.getPriceAtTimestamp(identifier, proposal.timestamp);
+      expect(result.source).to.equal(OracleType.DINO_ORACLE);
+      expect(result.price).to.equal(toPrice(100000));
+    });
+  });
+
+  describe("Round settlement", function () {
+    // Drive a PRICE_BELOW $100,000 round through maturity with the given last Orakl answer before it and finalize it
+    async function settleAt(finalPrice) {
+      const stack = await loadFixture(deployPreferDinoFixture);
+      const { settlementEngine, feed } = stack;
+      const { buyer, seller } = await signers();
+      const { pool, maturity } = await activateRound(stack, {
+        triggerType: TriggerType.PRICE_BELOW,
+        threshold: ethers.parseEther("100000"),
+        buyer,
+        seller
+      });
+      const sellerCredit = await pool.claimable(1, seller.address);
+
+      await time.increaseTo(maturity - 60);
+      await feed.setPrice(toPrice(finalPrice));
+      await time.increaseTo(maturity);
+      await settlementEngine.requestOracleObservation(1, pool.target);
+      const info = await settlementEngine.getSettlementInfo(1);
+
+      await time.increase(Number(await settlementEngine.livenessWindow()));
+      await settlementEngine.finalizeSettlement(1);
+
+      return { ...stack, pool, buyer, seller, info, sellerCredit };
+    }
+
+    it("Should pay the buyer when the maturity price is below the threshold", async function () {
+      const { pool, usdt, buyer, info } = await settleAt(95000);
+
+      expect(info.triggered).to.be.true;
+      expect(info.oracleResult).to.equal(toPrice(95000));
+
+      const balanceBefore = await usdt.balanceOf(buyer.address);
+      await pool.connect(buyer).claim(1);
+      expect(await usdt.balanceOf(buyer.address)).to.equal(balanceBefore + ethers.parseUnits("1000", 6));
+      expect((await pool.getPoolAccounting()).lockedAssets).to.equal(0);
+    });
+
+    it("Should release collateral to the seller when the threshold holds", async function () {
+      const { pool, buyer, seller, info, sellerCredit } = await settleAt(105000);
+
+      expect(info.triggered).to.be.false;
+      expect(info.oracleResult).to.equal(toPrice(105000));
+      expect(await pool.claimable(1, buyer.address)).to.equal(0);
+      // Matched collateral plus any yield on it
+      expect(await pool.claimable(1, seller.address)).to.be.at.least(sellerCredit + ethers.parseUnits("1000", 6));
+      expect((await pool.getPoolAccounting()).lockedAssets).to.equal(0);
+    });
+
+    it("Should settle on the Orakl answer sampled before maturity when the keeper calls late", async function () {
+      const stack = await loadFixture(deployPreferDinoFixture);
+      const { oracleRouter, settlementEngine, feed, identifier } = stack;
+      const { pool, maturity } = await activateRound(stack, {
+        triggerType: TriggerType.PRICE_BELOW,
+        threshold: ethers.parseEther("100000"),
+        ...(await signers())
+      });
+
+      await time.increaseTo(maturity - 60);
+      await feed.setPrice(toPrice(105000));
+      await oracleRouter.recordObservation(identifier);
+
+      // A crash after maturity is the feed's latest answer by the time the keeper calls
+      await time.increaseTo(maturity + 1800);
+      await feed.setPrice(toPrice(90000));
+      await settlementEngine.requestOracleObservation(1, pool.target);
+
+      const info = await settlementEngine.getSettlementInfo(1);
+      expect(info.oracleResult).to.equal(toPrice(105000));
+      expect(info.observationTimestamp).to.be.lte(maturity);
+      expect(info.triggered).to.be.false;
+    });
+
+    it("Should refuse to settle on an Orakl answer published after maturity", async function () {
+      const stack = await loadFixture(deployPreferDinoFixture);
+      const { settlementEngine, feed } = stack;
+      const { pool, maturity } = await activateRound(stack, {
+        triggerType: TriggerType.PRICE_BELOW,
+        threshold: ethers.parseEther("100000"),
+        ...(await signers())
+      });
+
+      await time.increaseTo(maturity + 60);
+      await feed.setPrice(toPrice(90000));
+
+      await expect(settlementEngine.requestOracleObservation(1, pool.target))
+        .to.be.revertedWithCustomError(settlementEngine, "OracleRequestFailed");
+    });
+
+    it("Should settle a TWAP route on the observations the keeper sampled before maturity", async function () {
+      const stack = await loadFixture(deployPreferDinoFixture);
+      const { oracleRouter, settlementEngine, feed, identifier, registry } = stack;
+      const { pool, maturity } = await activateRound(stack, {
+        triggerType: TriggerType.PRICE_BELOW,
+        threshold: ethers.parseEther("100000"),
+        ...(await signers())
+      });
+      await oracleRouter.setAggregation(identifier, AggregationMode.SPOT, 3600);
+      await expect(settlementEngine.setRouteAggregation(1, AggregationMode.TWAP))
+        .to.emit(settlementEngine, "RouteAggregationSet")
+        .withArgs(1, AggregationMode.TWAP);
+
+      const context = await loadProtocolContext(hre, { registry: registry.target });
+      const kinds = (tick) => tick.results.map((result) => `${result.kind}:${result.status}`);
+
+      await time.increaseTo(maturity - 3000);
+      await feed.setPrice(toPrice(110000));
+      expect(kinds(await runKeeperTick(hre, context))).to.deep.equal(["sample:sent"]);
+      expect(kinds(await runKeeperTick(hre, context))).to.deep.equal(["sample:done"]);
+
+      // A dip just before maturity barely moves the hour's average
+      await time.increaseTo(maturity - 60);
+      await feed.setPrice(toPrice(95000));
+      await time.increaseTo(maturity);
+      expect(kinds(await runKeeperTick(hre, context))).to.deep.equal(["sample:sent", "observe:sent"]);
+
+      const info = await settlementEngine.getSettlementInfo(1);
+      expect(info.oracleResult).to.equal((await oracleRouter.getAggregatedPrice(identifier, AggregationMode.TWAP, maturity)).price);
+      expect(info.oracleResult).to.be.gt(toPrice(109000));
+      expect(info.triggered).to.be.false;
+      expect((await oracleRouter.getAggregatedPrice(identifier, AggregationMode.SPOT, maturity)).price).to.equal(toPrice(95000));
+    });
+  });
+});
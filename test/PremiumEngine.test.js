@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { wirePool } = require("../tasks/deploy");
+const { restoreChainAfterAll } = require("./fixtures/chain");
+const { deployProtocol } = require("./fixtures/protocol");
+
+describe("PremiumEngine", function () {
+  restoreChainAfterAll();
+
+  const { ethers } = hre;
+  const BTC = ethers.keccak256(ethers.toUtf8Bytes("BTC-USDT"));
+  const usd = (amount) => ethers.parseUnits(amount, 6);
+  const curve = (overrides = {}) => ({
+    utilizationSlopeBps: 0,
+    referenceDuration: 0,
+    minTimeFactorBps: 0,
+    proximityBandBps: 0,
+    proximitySlopeBps: 0,
+    ...overrides
+  });
+
+  let contracts;
+  let premiumEngine;
+  let pool;
+  let buyer;
+  let outsider;
+
+  before(async function () {
+    const [deployer, seller] = await ethers.getSigners();
+    [, , buyer, outsider] = await ethers.getSigners();
+    ({ contracts } = await deployProtocol(deployer.address));
+    ({ premiumEngine } = contracts);
+
+    const { productCatalog, tranchePoolFactory, oracleRouter, dinoOracle, settlementEngine, dinToken, usdt } = contracts;
+    const now = await time.latest();
+    const salesStart = now + 3600;
+
+    await productCatalog.createProduct(ethers.keccak256(ethers.toUtf8Bytes("PremiumProduct")));
+    await productCatalog.createTranche({
+      productId: 1,
+      triggerType: 0, // PRICE_BELOW
+      threshold: ethers.parseEther("100000"),
+      maturityTimestamp: now + 10 * 86400,
+      premiumRateBps: 500,
+      perAccountMin: usd("100"),
+      perAccountMax: usd("10000"),
+      trancheCap: usd("100000"),
+      oracleRouteId: 1 // BTC-USDT
+    });
+    await tranchePoolFactory.createTranchePool(1);
+    pool = await wirePool(hre, contracts, await tranchePoolFactory.getTranchePool(1), deployer.address);
+
+    await oracleRouter.configureOracle(BTC, 1, 1, 500, 3600, "BTC-USDT", ""); // DINO_ORACLE, PREFER_DINO
+    await dinoOracle.addIdentifier(BTC, "BTC-USDT");
+    await settlementEngine.setRouteIdentifier(1, BTC);
+    await dinToken.approve(dinoOracle.target, ethers.MaxUint256);
+
+    await productCatalog.announceRound(1, salesStart, now + 2 * 86400);
+    await time.increaseTo(salesStart);
+    await productCatalog.openRound(1);
+
+    await usdt.transfer(seller.address, usd("1000"));
+    await usdt.connect(seller).approve(pool.target, ethers.MaxUint256);
+    await pool.connect(seller).depositCollateral(1, usd("1000"));
+    await usdt.transfer(buyer.address, usd("1000"));
+    await usdt.connect(buyer).approve(pool.target, ethers.MaxUint256);
+  });
+
+  it("Should be registered and quote the flat base rate until a curve is set", async function () {
+    expect(await contracts.registry.getPremiumEngine()).to.equal(premiumEngine.target);
+
+    const [premium, rateBps] = await premiumEngine.quotePremium(1, usd("1000"), 0, usd("1000"));
+    expect(rateBps).to.equal(500);
+    expect(premium).to.equal(usd("50"));
+    expect(await pool.quotePremium(1, usd("1000"))).to.equal(await pool.calculatePremium(usd("1000")));
+  });
+
+  it("Should only let admins configure curves", async function () {
+    await expect(premiumEngine.connect(outsider).setDefaultCurve(curve({ utilizationSlopeBps: 1000 }))).to.be.reverted;
+    await expect(premiumEngine.setDefaultCurve(curve({ minTimeFactorBps: 10001 })))
+      .to.be.revertedWithCustomError(premiumEngine, "InvalidCurve");
+  });
+
+  it("Should add a utilization surcharge that includes the order being priced", async function () {
+    await premiumEngine.setDefaultCurve(curve({ utilizationSlopeBps: 4000 }));
+
+    // 500 ordered against 1,000 of collateral: 50% utilization, +20% of the 5% base rate
+    const quote = await premiumEngine.quoteRate(1, usd("500"), usd("1000"));
+    expect(quote.utilizationBps).to.equal(5000);
+    expect(quote.utilizationSurchargeBps).to.equal(2000);
+    expect(quote.rateBps).to.equal(600);
+
+    // Unbacked demand is priced at the 200% utilization cap
+    expect((await premiumEngine.quoteRate(1, usd("500"), 0)).utilizationBps).to.equal(20000);
+  });
+
+  it("Should charge pool orders the engine quote", async function () {
+    const premium = await pool.quotePremium(1, usd("500"));
+    expect(premium).to.equal(usd("30"));
+
+    await expect(pool.connect(buyer).placeBuyerOrder(1, usd("500")))
+      .to.emit(pool, "PremiumCalculated")
+      .withArgs(1, buyer.address, usd("500"), premium);
+
+    // The top-up is priced at 100% utilization
+    await pool.connect(buyer).increaseBuyerOrder(1, usd("500"));
+    const order = await pool.getBuyerOrder(1, buyer.address);
+    expect(order.premiumPaid).to.equal(usd("30") + usd("35"));
+    expect((await pool.getRoundEconomics(1)).premiumPool).to.equal(usd("65"));
+  });
+
+  it("Should discount rounds closer to maturity down to the floor", async function () {
+    await premiumEngine.setTrancheCurve(1, curve({ referenceDuration: 86400 }));
+    expect((await premiumEngine.quoteRate(1, 0, 0)).timeFactorBps).to.equal(10000);
+
+    await premiumEngine.setTrancheCurve(1, curve({ referenceDuration: 1000 * 86400, minTimeFactorBps: 2500 }));
+    const quote = await premiumEngine.quoteRate(1, 0, 0);
+    expect(quote.timeFactorBps).to.equal(2500);
+    expect(quote.rateBps).to.equal(125);
+
+    await premiumEngine.clearTrancheCurve(1);
+    expect((await premiumEngine.getCurve(1)).utilizationSlopeBps).to.equal(4000);
+  });
+
+  it("Should add a proximity surcharge as the price nears the trigger", async function () {
+    const { dinoOracle } = contracts;
+    await premiumEngine.setDefaultCurve(curve({ proximityBandBps: 1000, proximitySlopeBps: 10000 }));
+    expect((await premiumEngine.quoteRate(1, 0, 0)).distanceBps).to.equal(10000); // no price yet
+
+    const proposalId = await dinoOracle.nextProposalId();
+    await dinoOracle.proposePrice(BTC, await time.latest(), 105000n * 10n ** 8n, "BTC near threshold");
+    await time.increase(Number(await dinoOracle.livenessWindow()));
+    await dinoOracle.settleProposal(proposalId);
+
+    // 105,000 is 4.76% above the 100,000 trigger, inside the 10% band
+    const quote = await premiumEngine.quoteRate(1, 0, 0);
+    expect(quote.distanceBps).to.equal(476);
+    expect(quote.proximitySurchargeBps).to.equal(5240);
+    expect(quote.rateBps).to.equal(762);
+  });
+
+  it("Should cap the rate at MAX_PREMIUM_BPS", async function () {
+    await premiumEngine.setDefaultCurve(curve({ utilizationSlopeBps: 100000 }));
+
+    const quote = await premiumEngine.quoteRate(1, usd("500"), usd("1000"));
+    expect(quote.maxPremiumBps).to.equal(await contracts.registry.getMaxPremiumBps());
+    expect(quote.rateBps).to.equal(quote.maxPremiumBps);
+  });
+
+  it("Should preview quotes with the quote-premium task", async function () {
+    await premiumEngine.setDefaultCurve(curve({ utilizationSlopeBps: 4000 }));
+
+    // Round 1 already holds 1,000 of orders against 1,000 of collateral
+    const quote = await hre.run("quote-premium", {
+      trancheId: 1,
+      amount: "500",
+      registry: contracts.registry.target,
+      format: "json"
+    });
+    expect(quote.roundId).to.equal(1);
+    expect(quote.demand.raw).to.equal(usd("1000"));
+    expect(quote.breakdown.utilizationBps).to.equal(15000);
+    expect(quote.rateBps).to.equal(800);
+    expect(quote.premium.raw).to.equal(await pool.quotePremium(1, usd("500")));
+
+    const preview = await hre.run("quote-premium", {
+      trancheId: 1,
+      amount: "500",
+      demand: "0",
+      supply: "2000",
+      registry: contracts.registry.target,
+      format: "json"
+    });
+    expect(preview.breakdown.utilizationBps).to.equal(2500);
+    expect(preview.premium.raw).to.equal(usd("27.5"));
+  });
+});
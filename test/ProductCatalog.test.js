@@ -1,5 +1,6 @@
 const { expect } = require("chai");
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { ethers } = require("hardhat");
 
 describe("ProductCatalog", function () {
@@ -644,4 +645,99 @@ describe("ProductCatalog", function () {
       expect(await productCatalog.hasRole(await productCatalog.OPERATOR_ROLE(), user1.address)).to.be.false;
     });
   });
+
+  describe("Registry Parameters", function () {
+    const DAY = 24 * 60 * 60;
+    const usd = (amount) => ethers.parseUnits(amount, 6);
+
+    async function createProductFixture() {
+      const fixture = await loadFixture(deployProductCatalogFixture);
+      await fixture.productCatalog.connect(fixture.operator).createProduct(ethers.keccak256(ethers.toUtf8Bytes("metadata")));
+
+      const trancheParams = async (overrides = {}) => ({
+        productId: 1,
+        triggerType: 0, // PRICE_BELOW
+        threshold: ethers.parseEther("2000"),
+        maturityTimestamp: (await time.latest()) + 30 * DAY,
+        premiumRateBps: 500,
+        perAccountMin: usd("100"),
+        perAccountMax: usd("10000"),
+        trancheCap: usd("100000"),
+        oracleRouteId: 1,
+        ...overrides
+      });
+      return { ...fixture, trancheParams };
+    }
+
+    it("Should fill unset per-account limits from the registry defaults", async function () {
+      const { productCatalog, operator, trancheParams } = await createProductFixture();
+
+      await productCatalog.connect(operator).createTranche(await trancheParams({ perAccountMin: 0, perAccountMax: 0 }));
+      let tranche = await productCatalog.getTranche(1);
+      expect(tranche.perAccountMin).to.equal(usd("1000"));
+      expect(tranche.perAccountMax).to.equal(usd("100000"));
+
+      // The default maximum is capped at a smaller tranche cap
+      await productCatalog.connect(operator).createTranche(await trancheParams({ perAccountMax: 0, trancheCap: usd("50000") }));
+      tranche = await productCatalog.getTranche(2);
+      expect(tranche.perAccountMax).to.equal(usd("50000"));
+    });
+
+    it("Should reject premiums and maturities outside the registry limits", async function () {
+      const { productCatalog, operator, trancheParams } = await createProductFixture();
+      const catalog = productCatalog.connect(operator);
+
+      await expect(catalog.createTranche(await trancheParams({ premiumRateBps: 0 })))
+        .to.be.revertedWithCustomError(productCatalog, "InvalidPremiumRate")
+        .withArgs(0);
+      await expect(catalog.createTranche(await trancheParams({ premiumRateBps: 1500 })))
+        .to.be.revertedWithCustomError(productCatalog, "PremiumRateAboveMax")
+        .withArgs(1500, 1000);
+      await expect(catalog.createTranche(await trancheParams({ maturityTimestamp: (await time.latest()) + DAY / 2 })))
+        .to.be.revertedWithCustomError(productCatalog, "MaturityOutOfRange");
+      await expect(catalog.createTranche(await trancheParams({ maturityTimestamp: (await time.latest()) + 120 * DAY })))
+        .to.be.revertedWithCustomError(productCatalog, "MaturityOutOfRange")
+        .withArgs(anyValue, DAY, 90 * DAY);
+    });
+
+    it("Should apply bounds tightened by governance to new and updated tranches", async function () {
+      const { productCatalog, registry, admin, operator, trancheParams } = await createProductFixture();
+      const catalog = productCatalog.connect(operator);
+      await catalog.createTranche(await trancheParams());
+
+      await registry.connect(admin).setParameter(await registry.MAX_PREMIUM_BPS(), 300);
+      await expect(catalog.createTranche(await trancheParams()))
+        .to.be.revertedWithCustomError(productCatalog, "PremiumRateAboveMax")
+        .withArgs(500, 300);
+      await expect(catalog.updateTranche(1, 500, usd("100"), usd("10000"), usd("100000")))
+        .to.be.revertedWithCustomError(productCatalog, "PremiumRateAboveMax")
+        .withArgs(500, 300);
+      await catalog.updateTranche(1, 300, usd("100"), usd("10000"), usd("100000"));
+
+      await registry.connect(admin).setParameter(await registry.MAX_MATURITY_SECONDS(), 7 * DAY);
+      await expect(catalog.createTranche(await trancheParams({ premiumRateBps: 300 })))
+        .to.be.revertedWithCustomError(productCatalog, "MaturityOutOfRange")
+        .withArgs(anyValue, DAY, 7 * DAY);
+      await catalog.createTranche(await trancheParams({ premiumRateBps: 300, maturityTimestamp: (await time.latest()) + 5 * DAY }));
+    });
+
+    it("Should require MIN_MATURITY_SECONDS of coverage after a round's sales end", async function () {
+      const { productCatalog, registry, admin, operator, trancheParams } = await createProductFixture();
+      const catalog = productCatalog.connect(operator);
+      const params = await trancheParams({ maturityTimestamp: (await time.latest()) + 10 * DAY });
+      await catalog.createTranche(params);
+
+      const salesStart = (await time.latest()) + 3600;
+      await expect(catalog.announceRound(1, salesStart, params.maturityTimestamp - DAY / 2))
+        .to.be.revertedWithCustomError(productCatalog, "CoverageWindowTooShort")
+        .withArgs(params.maturityTimestamp - DAY / 2, params.maturityTimestamp, DAY);
+
+      // A longer minimum set by governance rules out a window that used to fit
+      await registry.connect(admin).setParameterBound(await registry.MIN_MATURITY_SECONDS(), 30 * DAY);
+      await registry.connect(admin).setParameter(await registry.MIN_MATURITY_SECONDS(), 9 * DAY);
+      await expect(catalog.announceRound(1, salesStart, salesStart + DAY))
+        .to.be.revertedWithCustomError(productCatalog, "CoverageWindowTooShort");
+      await catalog.announceRound(1, salesStart, salesStart + DAY / 2);
+    });
+  });
 });
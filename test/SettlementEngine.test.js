@@ -0,0 +1,697 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { wirePool } = require("../tasks/deploy");
+const { loadProtocolContext } = require("../tasks/utils");
+const { RoundState } = require("../tasks/collectors");
+const { planKeeperActions, runKeeperTick } = require("../tasks/keeper");
+const { restoreChainAfterAll } = require("./fixtures/chain");
+const { deployProtocol } = require("./fixtures/protocol");
+
+describe("SettlementEngine", function () {
+  restoreChainAfterAll();
+
+  const { ethers } = hre;
+  const BTC = ethers.keccak256(ethers.toUtf8Bytes("BTC-USDT"));
+  const ETH = ethers.keccak256(ethers.toUtf8Bytes("ETH-USDT"));
+  const TriggerType = { PRICE_BELOW: 0, RELATIVE: 2, BARRIER_BELOW: 5, BARRIER_ABOVE: 6 };
+
+  async function deployProtocolFixture() {
+    const [deployer, buyer, seller] = await ethers.getSigners();
+    const { contracts } = await deployProtocol(deployer.address);
+
+    const { productCatalog, oracleRouter, dinoOracle, dinToken, settlementEngine } = contracts;
+    await productCatalog.createProduct(ethers.keccak256(ethers.toUtf8Bytes("SettlementProduct")));
+
+    // Route BTC-USDT through the DINO oracle; the deployer posts every proposal bond
+    await oracleRouter.configureOracle(BTC, 1, 1, 500, 3600, "BTC-USDT", ""); // DINO_ORACLE, PREFER_DINO
+    await dinoOracle.addIdentifier(BTC, "BTC-USDT");
+    await settlementEngine.setRouteIdentifier(1, BTC);
+    await dinToken.approve(dinoOracle.target, ethers.MaxUint256);
+
+    return { contracts, deployer, buyer, seller };
+  }
+
+  // Publish a verified DINO price (whole dollars, 8 decimals on-chain)
+  async function publishPrice(contracts, dollars, identifier = BTC) {
+    const { dinoOracle } = contracts;
+    const proposalId = await dinoOracle.nextProposalId();
+    await dinoOracle.proposePrice(identifier, await time.latest(), BigInt(dollars) * 10n ** 8n, "test price");
+    await time.increase(Number(await dinoOracle.livenessWindow()));
+    await dinoOracle.settleProposal(proposalId);
+  }
+
+  // Publish a synthetic price path of [timestamp, dollars] points in one liveness window
+  async function publishPath(contracts, points) {
+    const { dinoOracle } = contracts;
+    const proposalIds = [];
+    for (const [timestamp, dollars] of points) {
+      proposalIds.push(await dinoOracle.nextProposalId());
+      await dinoOracle.proposePrice(BTC, timestamp, BigInt(dollars) * 10n ** 8n, "BTC-USDT");
+    }
+    await time.increase(Number(await dinoOracle.livenessWindow()));
+    for (const proposalId of proposalIds) {
+      await dinoOracle.settleProposal(proposalId);
+    }
+  }
+
+  // Publish a verified DINO price at round 1's activation; returns the activation time
+  async function publishAtActivation(contracts, dollars) {
+    const activatedAt = Number((await contracts.productCatalog.getRound(1)).stateChangedAt);
+    await publishPath(contracts, [[activatedAt, dollars]]);
+    return activatedAt;
+  }
+
+  // Create tranche 1 with the given trigger and drive round 1 to ACTIVE
+  async function activateRound(fixture, triggerType, threshold, oracleRouteId = 1) {
+    const { contracts, deployer, buyer, seller } = fixture;
+    const { productCatalog, tranchePoolFactory, usdt } = contracts;
+    const now = await time.latest();
+    const salesStart = now + 3600;
+    const salesEnd = now + 2 * 86400;
+    const maturity = now + 10 * 86400;
+
+    await productCatalog.createTranche({
+      productId: 1,
+      triggerType,
+      threshold,
+      maturityTimestamp: maturity,
+      premiumRateBps: 500,
+      perAccountMin: ethers.parseUnits("100", 6),
+      perAccountMax: ethers.parseUnits("10000", 6),
+      trancheCap: ethers.parseUnits("100000", 6),
+      oracleRouteId
+    });
+    await tranchePoolFactory.createTranchePool(1);
+    const pool = await wirePool(hre, contracts, await tranchePoolFactory.getTranchePool(1), deployer.address);
+
+    for (const account of [buyer, seller]) {
+      await usdt.transfer(account.address, ethers.parseUnits("10000", 6));
+      await usdt.connect(account).approve(pool.target, ethers.MaxUint256);
+    }
+
+    await productCatalog.announceRound(1, salesStart, salesEnd);
+    await time.increaseTo(salesStart);
+    await productCatalog.openRound(1);
+    await pool.connect(buyer).placeBuyerOrder(1, ethers.parseUnits("1000", 6));
+    await pool.connect(seller).depositCollateral(1, ethers.parseUnits("5000", 6));
+
+    await time.increaseTo(salesEnd + 1);
+    const matchedAmount = await pool.computeMatchAndDistribute.staticCall(1);
+    await pool.computeMatchAndDistribute(1);
+    await productCatalog.closeAndMarkMatched(1, matchedAmount);
+
+    return { pool, maturity };
+  }
+
+  // Reference at $100,000, then observe the given price at maturity
+  async function observeRelative(threshold, finalPrice) {
+    const fixture = await loadFixture(deployProtocolFixture);
+    const { settlementEngine } = fixture.contracts;
+    const { pool, maturity } = await activateRound(fixture, TriggerType.RELATIVE, threshold);
+
+    await publishAtActivation(fixture.contracts, 100000);
+    await settlementEngine.recordReferencePrice(1, pool.target);
+
+    await time.increaseTo(maturity);
+    await publishPrice(fixture.contracts, finalPrice);
+    await settlementEngine.requestOracleObservation(1, pool.target);
+
+    return { ...fixture, pool, info: await settlementEngine.getSettlementInfo(1) };
+  }
+
+  describe("RELATIVE triggers", function () {
+    it("Should trigger a drop threshold when the price falls more than it", async function () {
+      const { contracts, pool, buyer, info } = await observeRelative(9000, 89000); // -11% vs a 10% threshold
+
+      expect(info.triggered).to.be.true;
+      expect(info.oracleResult).to.equal(89000n * 10n ** 8n);
+
+      const { settlementEngine, usdt } = contracts;
+      await time.increase(Number(await settlementEngine.livenessWindow()));
+      const balanceBefore = await usdt.balanceOf(buyer.address);
+      await settlementEngine.finalizeSettlement(1);
+      await pool.connect(buyer).claim(1);
+      expect(await usdt.balanceOf(buyer.address)).to.equal(balanceBefore + ethers.parseUnits("1000", 6));
+      expect((await pool.getPoolAccounting()).lockedAssets).to.equal(0);
+    });
+
+    it("Should not trigger a drop threshold on a smaller drop or a rise", async function () {
+      expect((await observeRelative(9000, 91000)).info.triggered).to.be.false;
+      expect((await observeRelative(9000, 90000)).info.triggered).to.be.false; // exactly at the threshold
+      expect((await observeRelative(9000, 120000)).info.triggered).to.be.false;
+    });
+
+    it("Should trigger a rise threshold when the price climbs more than it", async function () {
+      expect((await observeRelative(11000, 111000)).info.triggered).to.be.true;
+    });
+
+    it("Should not trigger a rise threshold on a smaller rise or a drop", async function () {
+      expect((await observeRelative(11000, 109000)).info.triggered).to.be.false;
+      expect((await observeRelative(11000, 50000)).info.triggered).to.be.false;
+    });
+
+    it("Should re-evaluate against the reference when a dispute is resolved", async function () {
+      const { contracts, info } = await observeRelative(9000, 95000);
+      const { settlementEngine } = contracts;
+      expect(info.triggered).to.be.false;
+
+      await settlementEngine.disputeOracleResult(1);
+      await settlementEngine.resolveDispute(1, 85000n * 10n ** 8n);
+
+      expect((await settlementEngine.getSettlementInfo(1)).triggered).to.be.true;
+    });
+
+    it("Should reject RELATIVE thresholds without a direction", async function () {
+      const { contracts } = await loadFixture(deployProtocolFixture);
+      const { productCatalog } = contracts;
+      const params = {
+        productId: 1,
+        triggerType: TriggerType.RELATIVE,
+        threshold: 10000,
+        maturityTimestamp: (await time.latest()) + 86400,
+        premiumRateBps: 500,
+        perAccountMin: ethers.parseUnits("100", 6),
+        perAccountMax: ethers.parseUnits("10000", 6),
+        trancheCap: ethers.parseUnits("100000", 6),
+        oracleRouteId: 1
+      };
+
+      await expect(productCatalog.createTranche(params))
+        .to.be.revertedWithCustomError(productCatalog, "InvalidTrancheParams");
+      await expect(productCatalog.createTranche({ ...params, threshold: 0 }))
+        .to.be.revertedWithCustomError(productCatalog, "InvalidTrancheParams");
+    });
+  });
+
+  describe("Price decimals", function () {
+    for (const decimals of [6, 8, 18]) {
+      it(`Should settle price triggers against a ${decimals}-decimal Orakl feed`, async function () {
+        const fixture = await loadFixture(deployProtocolFixture);
+        const { oracleRouter, oraklPriceFeed, settlementEngine } = fixture.contracts;
+        const { pool, maturity } = await activateRound(fixture, TriggerType.PRICE_BELOW, ethers.parseEther("100000"));
+
+        const feed = await (await ethers.getContractFactory("MockFeedProxy")).deploy(decimals, "BTC / USDT", ethers.parseUnits("120000", decimals));
+        await oraklPriceFeed.addPriceFeed("BTC-USDT", feed.target, 86400);
+        await oracleRouter.configureOracle(BTC, 0, 0, 500, 3600, "BTC-USDT", ""); // ORAKL_NETWORK, PREFER_ORAKL
+        // The route records its feed's decimals; prices still reach settlement in PRICE_DECIMALS
+        await settlementEngine.configureOracleRoute(1, oraklPriceFeed.target, [], 86400, decimals);
+
+        await time.increaseTo(maturity - 60);
+        await feed.setPrice(ethers.parseUnits("99999.5", decimals));
+        await time.increaseTo(maturity);
+        await settlementEngine.requestOracleObservation(1, pool.target);
+
+        const info = await settlementEngine.getSettlementInfo(1);
+        expect(info.oracleResult).to.equal(ethers.parseUnits("99999.5", 8));
+        expect(info.triggered).to.be.true;
+      });
+    }
+
+    it("Should compare thresholds in PRICE_DECIMALS whatever decimals a route's feed has", async function () {
+      const { contracts } = await loadFixture(deployProtocolFixture);
+      const { settlementEngine, oracleRouter } = contracts;
+      const threshold = ethers.parseEther("100000");
+
+      expect(await settlementEngine.normalizeThreshold(threshold)).to.equal(ethers.parseUnits("100000", 8));
+
+      await settlementEngine.configureOracleRoute(2, oracleRouter.target, [], 3600, 6);
+      expect((await settlementEngine.getOracleRoute(2)).decimals).to.equal(6);
+      expect(await settlementEngine.normalizeThreshold(threshold)).to.equal(ethers.parseUnits("100000", 8));
+
+      await expect(settlementEngine.configureOracleRoute(3, oracleRouter.target, [], 3600, 0)).to.be.revertedWith("Invalid decimals");
+      await expect(settlementEngine.configureOracleRoute(3, oracleRouter.target, [], 3600, 19)).to.be.revertedWith("Invalid decimals");
+    });
+  });
+
+  describe("Maturity observation", function () {
+    // PRICE_BELOW $100,000: $120,000 at maturity is safe, the later $90,000 would trigger
+    async function lateCrashFixture() {
+      const fixture = await deployProtocolFixture();
+      const { pool, maturity } = await activateRound(fixture, TriggerType.PRICE_BELOW, ethers.parseEther("100000"));
+      await time.increaseTo(maturity);
+      await publishPath(fixture.contracts, [[maturity, 120000]]);
+      await time.increase(86400);
+      await publishPrice(fixture.contracts, 90000);
+      return { ...fixture, pool, maturity };
+    }
+
+    it("Should settle against the maturity price when the keeper calls late", async function () {
+      const { contracts, pool, maturity } = await loadFixture(lateCrashFixture);
+      const { settlementEngine, dinoOracle } = contracts;
+      expect((await dinoOracle.getLatestPrice(BTC)).price).to.equal(90000n * 10n ** 8n);
+
+      await settlementEngine.requestOracleObservation(1, pool.target);
+
+      const info = await settlementEngine.getSettlementInfo(1);
+      expect(info.oracleResult).to.equal(120000n * 10n ** 8n);
+      expect(info.observationTimestamp).to.equal(maturity);
+      expect(info.triggered).to.be.false;
+    });
+
+    it("Should let the keeper settle without choosing the observation", async function () {
+      const { contracts, maturity } = await loadFixture(lateCrashFixture);
+      const context = await loadProtocolContext(hre, { registry: contracts.registry.target });
+
+      const tick = await runKeeperTick(hre, context);
+
+      expect(tick.results.map((result) => `${result.kind}:${result.status}`)).to.deep.equal(["observe:sent"]);
+      const info = await contracts.settlementEngine.getSettlementInfo(1);
+      expect(info.observationTimestamp).to.equal(maturity);
+      expect(info.triggered).to.be.false;
+    });
+
+    it("Should pick the latest verified price at or before maturity", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { settlementEngine } = fixture.contracts;
+      const { pool, maturity } = await activateRound(fixture, TriggerType.PRICE_BELOW, ethers.parseEther("100000"));
+      await time.increaseTo(maturity + 3600);
+      await publishPath(fixture.contracts, [
+        [maturity - 2400, 95000],
+        [maturity - 1800, 99000],
+        [maturity + 600, 120000] // after maturity: never used
+      ]);
+
+      await settlementEngine.requestOracleObservation(1, pool.target);
+
+      const info = await settlementEngine.getSettlementInfo(1);
+      expect(info.oracleResult).to.equal(99000n * 10n ** 8n);
+      expect(info.observationTimestamp).to.equal(maturity - 1800);
+      expect(info.triggered).to.be.true;
+    });
+
+    it("Should reject an observation older than the tolerance before maturity", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { settlementEngine, oracleRouter } = fixture.contracts;
+      const { pool, maturity } = await activateRound(fixture, TriggerType.PRICE_BELOW, ethers.parseEther("100000"));
+      await oracleRouter.configureOracle(BTC, 1, 1, 500, 86400, "BTC-USDT", ""); // the router accepts a day-old price
+      await time.increaseTo(maturity);
+      await publishPath(fixture.contracts, [[maturity - 7200, 95000]]);
+
+      await expect(settlementEngine.requestOracleObservation(1, pool.target))
+        .to.be.revertedWithCustomError(settlementEngine, "NoObservationNearMaturity")
+        .withArgs(maturity, maturity - 7200);
+
+      // Widening the tolerance is an explicit admin decision
+      await settlementEngine.setObservationTolerance(7200);
+      await settlementEngine.requestOracleObservation(1, pool.target);
+      expect((await settlementEngine.getSettlementInfo(1)).observationTimestamp).to.equal(maturity - 7200);
+    });
+
+    it("Should fail clearly when no price was published by maturity", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { settlementEngine } = fixture.contracts;
+      const { pool, maturity } = await activateRound(fixture, TriggerType.PRICE_BELOW, ethers.parseEther("100000"));
+      await time.increaseTo(maturity + 600);
+      await publishPrice(fixture.contracts, 90000);
+
+      await expect(settlementEngine.requestOracleObservation(1, pool.target))
+        .to.be.revertedWithCustomError(settlementEngine, "OracleRequestFailed");
+
+      // Not even a wider tolerance makes a later price eligible
+      await settlementEngine.setObservationTolerance(86400);
+      await expect(settlementEngine.requestOracleObservation(1, pool.target))
+        .to.be.revertedWithCustomError(settlementEngine, "OracleRequestFailed");
+    });
+  });
+
+  describe("Barrier triggers", function () {
+    const DAY = 86400;
+
+    // Activate a BARRIER_BELOW $90,000 round and publish the path once maturity has passed
+    async function replayBarrierPath(dips) {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { contracts } = fixture;
+      const { pool, maturity } = await activateRound(fixture, TriggerType.BARRIER_BELOW, ethers.parseEther("90000"));
+      const activatedAt = Number((await contracts.productCatalog.getRound(1)).stateChangedAt);
+
+      await time.increaseTo(maturity);
+      await publishPath(contracts, [
+        [activatedAt - 3600, 80000], // before activation: outside the coverage window
+        [activatedAt + DAY, 98000],
+        [activatedAt + 3 * DAY, dips ? 86000 : 91000],
+        [activatedAt + 5 * DAY, 93000],
+        [maturity, 101000] // recovered by maturity
+      ]);
+
+      const context = await loadProtocolContext(hre, { registry: contracts.registry.target });
+      const tick = await runKeeperTick(hre, context);
+      return { ...fixture, pool, maturity, activatedAt, tick };
+    }
+
+    it("Should pay out a breach that recovered before maturity", async function () {
+      const { contracts, tick, activatedAt } = await replayBarrierPath(true);
+      const { settlementEngine } = contracts;
+
+      expect(tick.results.map((result) => `${result.kind}:${result.status}`)).to.deep.equal(["checkpoint:sent", "observe:sent"]);
+      expect(tick.results[0].timestamps).to.have.lengthOf(4);
+
+      const barrier = await settlementEngine.barrierStates(1);
+      expect(barrier.checkpoints).to.equal(4);
+      expect(barrier.breached).to.be.true;
+      expect(barrier.breachPrice).to.equal(86000n * 10n ** 8n);
+      expect(barrier.breachTimestamp).to.equal(activatedAt + 3 * DAY);
+
+      const info = await settlementEngine.getSettlementInfo(1);
+      expect(info.oracleResult).to.equal(101000n * 10n ** 8n);
+      expect(info.triggered).to.be.true;
+    });
+
+    it("Should not trigger when the path stays above the barrier inside the window", async function () {
+      const { contracts, tick } = await replayBarrierPath(false);
+      const { settlementEngine } = contracts;
+
+      expect(tick.results.map((result) => `${result.kind}:${result.status}`)).to.deep.equal(["checkpoint:sent", "observe:sent"]);
+      expect((await settlementEngine.barrierStates(1)).breached).to.be.false;
+      expect((await settlementEngine.getSettlementInfo(1)).triggered).to.be.false;
+    });
+
+    it("Should trigger an upside barrier from checkpoints submitted during the round", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { settlementEngine } = fixture.contracts;
+      const { pool, maturity } = await activateRound(fixture, TriggerType.BARRIER_ABOVE, ethers.parseEther("110000"));
+
+      const spike = await time.latest();
+      await publishPath(fixture.contracts, [[spike, 115000]]);
+      await expect(settlementEngine.recordBarrierCheckpoints(1, pool.target, 10))
+        .to.emit(settlementEngine, "BarrierCheckpointRecorded")
+        .withArgs(1, spike, 115000n * 10n ** 8n, true);
+
+      await time.increaseTo(maturity);
+      await publishPrice(fixture.contracts, 100000);
+      await settlementEngine.requestOracleObservation(1, pool.target);
+
+      expect((await settlementEngine.getSettlementInfo(1)).triggered).to.be.true;
+    });
+
+    it("Should check the verified prices in the window in order, however many the keeper asks for", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { settlementEngine } = fixture.contracts;
+      const { pool } = await activateRound(fixture, TriggerType.BARRIER_BELOW, ethers.parseEther("90000"));
+      const activatedAt = Number((await fixture.contracts.productCatalog.getRound(1)).stateChangedAt);
+
+      await time.increaseTo(activatedAt + 120);
+      await publishPath(fixture.contracts, [[activatedAt - 60, 80000], [activatedAt + 60, 96000], [activatedAt + 120, 85000]]);
+
+      // The price before activation is outside the window; the next one is checked first
+      await expect(settlementEngine.recordBarrierCheckpoints(1, pool.target, 1))
+        .to.emit(settlementEngine, "BarrierCheckpointRecorded")
+        .withArgs(1, activatedAt + 60, 96000n * 10n ** 8n, false);
+      await expect(settlementEngine.recordBarrierCheckpoints(1, pool.target, 10))
+        .to.emit(settlementEngine, "BarrierCheckpointRecorded")
+        .withArgs(1, activatedAt + 120, 85000n * 10n ** 8n, true);
+      expect(await settlementEngine.recordBarrierCheckpoints.staticCall(1, pool.target, 10)).to.equal(0);
+
+      const barrier = await settlementEngine.barrierStates(1);
+      expect(barrier.checkpoints).to.equal(2);
+      expect(barrier.lastTimestamp).to.equal(activatedAt + 120);
+    });
+
+    it("Should check the prices no checkpoint covered before settling at maturity", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { settlementEngine } = fixture.contracts;
+      const { pool, maturity } = await activateRound(fixture, TriggerType.BARRIER_BELOW, ethers.parseEther("90000"));
+      const activatedAt = Number((await fixture.contracts.productCatalog.getRound(1)).stateChangedAt);
+
+      await time.increaseTo(maturity);
+      await publishPath(fixture.contracts, [
+        [activatedAt + DAY, 98000],
+        [activatedAt + 3 * DAY, 86000],
+        [maturity, 101000]
+      ]);
+      // The keeper only got as far as the first price
+      await settlementEngine.recordBarrierCheckpoints(1, pool.target, 1);
+
+      await expect(settlementEngine.requestOracleObservation(1, pool.target))
+        .to.emit(settlementEngine, "BarrierCheckpointRecorded")
+        .withArgs(1, activatedAt + 3 * DAY, 86000n * 10n ** 8n, true);
+
+      expect((await settlementEngine.barrierStates(1)).checkpoints).to.equal(3);
+      expect((await settlementEngine.getSettlementInfo(1)).triggered).to.be.true;
+    });
+
+    it("Should reject checkpoints for non-barrier tranches", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { settlementEngine } = fixture.contracts;
+      const { pool } = await activateRound(fixture, TriggerType.PRICE_BELOW, ethers.parseEther("90000"));
+      const now = await time.latest();
+      await publishPath(fixture.contracts, [[now, 85000]]);
+
+      await expect(settlementEngine.recordBarrierCheckpoints(1, pool.target, 10))
+        .to.be.revertedWithCustomError(settlementEngine, "NotBarrierTrigger")
+        .withArgs(1);
+    });
+  });
+
+  describe("Reference prices", function () {
+    it("Should only record the reference of an ACTIVE round, once", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { settlementEngine } = fixture.contracts;
+      const { pool } = await activateRound(fixture, TriggerType.RELATIVE, 9000);
+
+      const activatedAt = await publishAtActivation(fixture.contracts, 100000);
+      await expect(settlementEngine.recordReferencePrice(1, pool.target))
+        .to.emit(settlementEngine, "ReferencePriceRecorded")
+        .withArgs(1, 100000n * 10n ** 8n, activatedAt);
+
+      const reference = await settlementEngine.referencePrices(1);
+      expect(reference.price).to.equal(100000n * 10n ** 8n);
+      await expect(settlementEngine.recordReferencePrice(1, pool.target))
+        .to.be.revertedWithCustomError(settlementEngine, "ReferencePriceAlreadyRecorded");
+    });
+
+    it("Should not record a reference the REQUIRE_BOTH oracles disagree on", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { oracleRouter, oraklPriceFeed, settlementEngine } = fixture.contracts;
+      const { pool } = await activateRound(fixture, TriggerType.RELATIVE, 9000);
+
+      const activatedAt = await publishAtActivation(fixture.contracts, 100000);
+      const feed = await (await ethers.getContractFactory("MockFeedProxy")).deploy(8, "BTC / USDT", 110000n * 10n ** 8n);
+      await feed.setRoundData(110000n * 10n ** 8n, activatedAt);
+      await oraklPriceFeed.addPriceFeed("BTC-USDT", feed.target, 86400);
+      await oracleRouter.configureOracle(BTC, 1, 2, 500, 3 * 3600, "BTC-USDT", ""); // DINO_ORACLE, REQUIRE_BOTH
+
+      await expect(settlementEngine.recordReferencePrice(1, pool.target))
+        .to.be.revertedWithCustomError(settlementEngine, "OracleRequestFailed");
+    });
+
+    it("Should record the price at activation when the keeper calls late", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { settlementEngine } = fixture.contracts;
+      const { pool } = await activateRound(fixture, TriggerType.RELATIVE, 9000);
+      const activatedAt = Number((await fixture.contracts.productCatalog.getRound(1)).stateChangedAt);
+
+      await publishPath(fixture.contracts, [[activatedAt - 60, 100000]]);
+      // The keeper only calls once the tolerance has passed and the price has moved on
+      await time.increase(2 * Number(await settlementEngine.observationTolerance()));
+      await publishPrice(fixture.contracts, 80000);
+
+      await settlementEngine.recordReferencePrice(1, pool.target);
+      const reference = await settlementEngine.referencePrices(1);
+      expect(reference.price).to.equal(100000n * 10n ** 8n);
+      expect(reference.timestamp).to.equal(activatedAt - 60);
+    });
+
+    it("Should reject a reference published too long before activation", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { oracleRouter, productCatalog, settlementEngine } = fixture.contracts;
+      // Keep week-old prices valid on the router so only the activation check applies
+      await oracleRouter.configureOracle(BTC, 1, 1, 500, 30 * 86400, "BTC-USDT", "");
+
+      await publishPrice(fixture.contracts, 100000);
+      const stalePrice = await oracleRouter.getPrice(BTC);
+      const { pool } = await activateRound(fixture, TriggerType.RELATIVE, 9000);
+      const activatedAt = (await productCatalog.getRound(1)).stateChangedAt;
+
+      await expect(settlementEngine.recordReferencePrice(1, pool.target))
+        .to.be.revertedWithCustomError(settlementEngine, "ReferencePriceNotNearActivation")
+        .withArgs(activatedAt, stalePrice.timestamp);
+    });
+
+    it("Should reject recording before the round is ACTIVE", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { contracts, deployer } = fixture;
+      const { productCatalog, tranchePoolFactory, settlementEngine } = contracts;
+      const now = await time.latest();
+
+      await productCatalog.createTranche({
+        productId: 1,
+        triggerType: TriggerType.RELATIVE,
+        threshold: 9000,
+        maturityTimestamp: now + 10 * 86400,
+        premiumRateBps: 500,
+        perAccountMin: ethers.parseUnits("100", 6),
+        perAccountMax: ethers.parseUnits("10000", 6),
+        trancheCap: ethers.parseUnits("100000", 6),
+        oracleRouteId: 1
+      });
+      await tranchePoolFactory.createTranchePool(1);
+      const pool = await wirePool(hre, contracts, await tranchePoolFactory.getTranchePool(1), deployer.address);
+      await productCatalog.announceRound(1, now + 3600, now + 2 * 86400);
+      await publishPrice(contracts, 100000);
+
+      await expect(settlementEngine.recordReferencePrice(1, pool.target)).to.be.revertedWith("Round not active");
+    });
+
+    it("Should refuse to observe a RELATIVE round without a reference price", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { settlementEngine } = fixture.contracts;
+      const { pool, maturity } = await activateRound(fixture, TriggerType.RELATIVE, 9000);
+
+      await time.increaseTo(maturity);
+      await publishPrice(fixture.contracts, 80000);
+
+      await expect(settlementEngine.requestOracleObservation(1, pool.target))
+        .to.be.revertedWithCustomError(settlementEngine, "ReferencePriceNotRecorded")
+        .withArgs(1);
+    });
+
+    it("Should have the keeper record the reference right after activation", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { contracts } = fixture;
+      await activateRound(fixture, TriggerType.RELATIVE, 9000);
+      await publishAtActivation(contracts, 100000);
+      const context = await loadProtocolContext(hre, { registry: contracts.registry.target });
+
+      const tick = await runKeeperTick(hre, context);
+
+      expect(tick.results.map((result) => `${result.kind}:${result.status}`)).to.deep.equal(["reference:sent"]);
+      expect((await contracts.settlementEngine.referencePrices(1)).price).to.equal(100000n * 10n ** 8n);
+      expect((await runKeeperTick(hre, context)).results).to.have.lengthOf(0);
+      expect(Number((await contracts.productCatalog.getRound(1)).state)).to.equal(RoundState.ACTIVE);
+    });
+
+    it("Should not need a reference for absolute triggers", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { settlementEngine } = fixture.contracts;
+      const { pool, maturity } = await activateRound(fixture, TriggerType.PRICE_BELOW, ethers.parseEther("100000"));
+
+      await time.increaseTo(maturity);
+      await publishPrice(fixture.contracts, 90000);
+      await settlementEngine.requestOracleObservation(1, pool.target);
+
+      expect((await settlementEngine.getSettlementInfo(1)).triggered).to.be.true;
+    });
+  });
+
+  describe("Oracle routes", function () {
+    // Route 2 settles against ETH-USDT
+    async function bindEthRoute(contracts) {
+      const { oracleRouter, dinoOracle, settlementEngine } = contracts;
+      await oracleRouter.configureOracle(ETH, 1, 1, 500, 3600, "ETH-USDT", "");
+      await dinoOracle.addIdentifier(ETH, "ETH-USDT");
+      await settlementEngine.setRouteIdentifier(2, ETH);
+    }
+
+    it("Should only let the admin bind identifiers configured in OracleRouter", async function () {
+      const { contracts, buyer } = await loadFixture(deployProtocolFixture);
+      const { oracleRouter, settlementEngine } = contracts;
+
+      await expect(settlementEngine.setRouteIdentifier(2, ETH)).to.be.revertedWith("Identifier not configured");
+
+      await oracleRouter.configureOracle(ETH, 1, 1, 500, 3600, "ETH-USDT", "");
+      await expect(settlementEngine.connect(buyer).setRouteIdentifier(2, ETH)).to.be.reverted;
+      await expect(settlementEngine.setRouteIdentifier(2, ETH))
+        .to.emit(settlementEngine, "RouteIdentifierSet")
+        .withArgs(2, ETH);
+
+      expect(await settlementEngine.routeIdentifiers(1)).to.equal(BTC);
+      expect(await settlementEngine.routeIdentifiers(2)).to.equal(ETH);
+    });
+
+    it("Should settle against the feed bound to the tranche's route", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { settlementEngine } = fixture.contracts;
+      await bindEthRoute(fixture.contracts);
+      const { pool, maturity } = await activateRound(fixture, TriggerType.PRICE_BELOW, ethers.parseEther("3000"), 2);
+
+      await time.increaseTo(maturity);
+      // BTC sits far above the $3,000 trigger; only the ETH print may decide the round
+      await publishPrice(fixture.contracts, 2500, ETH);
+      await publishPrice(fixture.contracts, 100000, BTC);
+      await expect(settlementEngine.requestOracleObservation(1, pool.target))
+        .to.emit(settlementEngine, "OracleObservationRequested");
+
+      const info = await settlementEngine.getSettlementInfo(1);
+      expect(info.oracleResult).to.equal(2500n * 10n ** 8n);
+      expect(info.triggered).to.be.true;
+    });
+
+    it("Should refuse to settle a route without a bound identifier", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { settlementEngine } = fixture.contracts;
+      const { pool, maturity } = await activateRound(fixture, TriggerType.PRICE_BELOW, ethers.parseEther("100000"), 3);
+
+      await time.increaseTo(maturity);
+      await publishPrice(fixture.contracts, 90000);
+
+      await expect(settlementEngine.requestOracleObservation(1, pool.target))
+        .to.be.revertedWithCustomError(settlementEngine, "RouteNotBound")
+        .withArgs(3);
+    });
+
+    it("Should have the keeper skip rounds on an unbound route", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { contracts } = fixture;
+      const { maturity } = await activateRound(fixture, TriggerType.PRICE_BELOW, ethers.parseEther("100000"), 3);
+      await time.increaseTo(maturity);
+      const context = await loadProtocolContext(hre, { registry: contracts.registry.target });
+
+      const actions = await planKeeperActions(hre, context, await time.latest());
+
+      expect(actions.map((action) => action.kind)).to.deep.equal(["skip"]);
+      expect(actions[0].reason).to.include("oracle route 3 not bound");
+    });
+  });
+
+  describe("Policy transfers", function () {
+    it("Should pay a triggered claim to the holder a policy was transferred to", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { contracts, buyer } = fixture;
+      const { settlementEngine, insuranceToken, usdt } = contracts;
+      const [, , , holder] = await ethers.getSigners();
+      const { pool, maturity } = await activateRound(fixture, TriggerType.PRICE_BELOW, ethers.parseEther("100000"));
+
+      const { insuranceTokenId } = await pool.getBuyerOrder(1, buyer.address);
+      await insuranceToken.connect(buyer).transferFrom(buyer.address, holder.address, insuranceTokenId);
+
+      await time.increaseTo(maturity);
+      await publishPrice(contracts, 90000);
+      await settlementEngine.requestOracleObservation(1, pool.target);
+      await time.increase(Number(await settlementEngine.livenessWindow()));
+      await settlementEngine.finalizeSettlement(1);
+
+      expect(await pool.claimable(1, buyer.address)).to.equal(0);
+      expect(await pool.claimable(1, holder.address)).to.equal(ethers.parseUnits("1000", 6));
+
+      const balanceBefore = await usdt.balanceOf(holder.address);
+      await pool.connect(holder).claim(1);
+      expect(await usdt.balanceOf(holder.address)).to.equal(balanceBefore + ethers.parseUnits("1000", 6));
+    });
+
+    it("Should lock transfers once the round has matured", async function () {
+      const fixture = await loadFixture(deployProtocolFixture);
+      const { contracts, buyer } = fixture;
+      const { settlementEngine, insuranceToken } = contracts;
+      const [, , , holder] = await ethers.getSigners();
+      const { pool, maturity } = await activateRound(fixture, TriggerType.PRICE_BELOW, ethers.parseEther("100000"));
+      const { insuranceTokenId } = await pool.getBuyerOrder(1, buyer.address);
+
+      expect(await insuranceToken.isTransferable(insuranceTokenId)).to.be.true;
+
+      await time.increaseTo(maturity);
+      await publishPrice(contracts, 90000);
+      await settlementEngine.requestOracleObservation(1, pool.target);
+
+      expect(await insuranceToken.isTransferable(insuranceTokenId)).to.be.false;
+      await expect(
+        insuranceToken.connect(buyer).transferFrom(buyer.address, holder.address, insuranceTokenId)
+      ).to.be.revertedWith("Token not transferable");
+
+      await time.increase(Number(await settlementEngine.livenessWindow()));
+      await settlementEngine.finalizeSettlement(1);
+      expect(await insuranceToken.isTransferable(insuranceTokenId)).to.be.false;
+    });
+  });
+});
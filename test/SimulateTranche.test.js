@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { parsePriceCsv, historicalReturns, simulateTranche } = require("../tasks/simulate");
+
+describe("simulate-tranche task", function () {
+  const { ethers } = hre;
+  const gbm = { spot: 100000, drift: 0, volatility: 0.6, days: 30, paths: 4000 };
+
+  let workDir;
+
+  before(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "din-simulate-"));
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("Should match the closed-form trigger probability of a GBM", function () {
+    // Drift of sigma^2 / 2 leaves the log price centered on spot, so an at-the-money trigger is a coin flip
+    const report = simulateTranche({ ...gbm, drift: 0.18, triggerType: "PRICE_BELOW", threshold: 100000 });
+
+    expect(report.steps).to.equal(1);
+    expect(Math.abs(report.triggerProbability - 0.5)).to.be.lessThan(4 * report.standardError);
+    expect(report.expectedLossBps).to.equal(report.triggerProbability * 10000);
+  });
+
+  it("Should be deterministic with zero volatility and reproducible per seed", function () {
+    const still = { ...gbm, volatility: 0 };
+    expect(simulateTranche({ ...still, triggerType: "PRICE_BELOW", threshold: 90000 }).triggerProbability).to.equal(0);
+    expect(simulateTranche({ ...still, triggerType: "PRICE_ABOVE", threshold: 90000 }).triggerProbability).to.equal(1);
+
+    const first = simulateTranche({ ...gbm, triggerType: "PRICE_BELOW", threshold: 90000, seed: 7 });
+    const second = simulateTranche({ ...gbm, triggerType: "PRICE_BELOW", threshold: 90000, seed: 7 });
+    expect(second.triggered).to.equal(first.triggered);
+  });
+
+  it("Should price barriers above the matching terminal trigger", function () {
+    const terminal = simulateTranche({ ...gbm, triggerType: "PRICE_BELOW", threshold: 90000 });
+    const barrier = simulateTranche({ ...gbm, triggerType: "BARRIER_BELOW", threshold: 90000 });
+
+    expect(barrier.steps).to.equal(30 * 24);
+    expect(barrier.triggerProbability).to.be.greaterThan(terminal.triggerProbability);
+    expect(barrier.suggestedPremiumBps).to.be.greaterThan(terminal.suggestedPremiumBps);
+  });
+
+  it("Should price the seller side net of the protocol fee", function () {
+    const report = simulateTranche({ ...gbm, triggerType: "RELATIVE", threshold: 9000, premiumBps: 500, protocolFeeBps: 1000 });
+
+    expect(report.premiumRateBps).to.equal(500);
+    expect(report.seller.returnIfNotTriggered).to.be.closeTo(0.045, 1e-12);
+    expect(report.seller.expectedReturn).to.be.closeTo(0.045 - report.triggerProbability, 1e-12);
+    expect(report.seller.aprIfNotTriggered).to.be.closeTo((0.045 * 365) / 30, 1e-12);
+    expect(report.breakEvenPremiumBps).to.be.closeTo(report.expectedLossBps / 0.9, 1e-9);
+    expect(() => simulateTranche({ ...gbm, triggerType: "RELATIVE", threshold: 10000 })).to.throw("cannot be 0 or 10000");
+    expect(() => simulateTranche({ ...gbm, triggerType: "BOOLEAN", threshold: 1 })).to.throw("Cannot simulate");
+  });
+
+  it("Should bootstrap returns from a historical price CSV", function () {
+    const start = Date.UTC(2024, 0, 1);
+    const rows = Array.from({ length: 200 }, (_, i) => {
+      const date = new Date(start + i * 86400000).toISOString().slice(0, 10);
+      return `${date},${(60000 * Math.exp(0.02 * Math.sin(i * 1.3))).toFixed(2)}`;
+    });
+    const history = historicalReturns(parsePriceCsv(["date,close", ...rows.reverse()].join("\n")));
+
+    expect(history.returns).to.have.lengthOf(199);
+    expect(history.intervalSeconds).to.equal(86400);
+    expect(history.spot).to.equal(Number(rows[0].split(",")[1]));
+
+    const report = simulateTranche({ triggerType: "BARRIER_BELOW", threshold: history.spot * 0.9, days: 30, history, paths: 2000 });
+    expect(report.model.kind).to.equal("historical-bootstrap");
+    expect(report.steps).to.equal(30);
+    expect(report.triggerProbability).to.be.within(0, 1);
+  });
+
+  it("Should output TrancheParams that ProductCatalog accepts", async function () {
+    const [deployer] = await ethers.getSigners();
+    const registry = await (await ethers.getContractFactory("DinRegistry")).deploy(deployer.address, "1.0.0");
+    const productCatalog = await (await ethers.getContractFactory("ProductCatalog")).deploy(registry.target, deployer.address);
+    await productCatalog.grantRole(await productCatalog.OPERATOR_ROLE(), deployer.address);
+    await productCatalog.createProduct(ethers.keccak256(ethers.toUtf8Bytes("SimulatedProduct")));
+
+    const out = path.join(workDir, "tranche.json");
+    const report = await hre.run("simulate-tranche", {
+      triggerType: "price_below",
+      threshold: 75000, // far enough out that the suggested premium stays under MAX_PREMIUM_BPS
+      spot: 100000,
+      volatility: 0.6,
+      days: 30,
+      maturity: (await time.latest()) + 30 * 86400,
+      paths: 2000,
+      out,
+      format: "json"
+    });
+
+    const params = JSON.parse(fs.readFileSync(out, "utf8"));
+    expect(params).to.deep.equal(report.trancheParams);
+    expect(params.threshold).to.equal(ethers.parseEther("75000").toString());
+    expect(params.premiumRateBps).to.equal(report.suggestedPremiumBps);
+
+    await productCatalog.createTranche(params);
+    const tranche = await productCatalog.getTranche(1);
+    expect(tranche.triggerType).to.equal(0);
+    expect(tranche.premiumRateBps).to.equal(report.suggestedPremiumBps);
+    expect(tranche.perAccountMin).to.equal(ethers.parseUnits("1000", 6));
+  });
+});
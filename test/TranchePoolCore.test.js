@@ -43,8 +43,8 @@ describe("TranchePoolCore", function () {
         await productCatalog.createProduct(productMetadata);
 
         // Create a test tranche with USDT values (6 decimals)
-        const now = Math.floor(Date.now() / 1000);
-        const maturityTimestamp = now + (24 * 60 * 60); // 24 hours
+        const now = (await ethers.provider.getBlock("latest")).timestamp;
+        const maturityTimestamp = now + (7 * 24 * 60 * 60); // 7 days, within the registry's maturity range
         
         const trancheParams = {
             productId: 1,
@@ -451,12 +451,16 @@ describe("TranchePoolCore", function () {
             expect(econ[2]).to.equal(purchaseAmount); // matchedAmount = 1500
             expect(econ[3]).to.equal(purchaseAmount); // lockedCollateral = 1500
 
-            // Seller should receive: unmatched refund (250) + premium share (40.5) = 290.5
-            const sellerUsdtAfter = await usdt.balanceOf(seller.address);
+            // Seller should be credited: unmatched refund (250) + premium share (40.5) = 290.5
             const expectedRefund = ethers.parseUnits("250", 6); // Unmatched portion
             const protocolFee = (premium * 1000n) / 10000n; // 10% protocol fee  
             const sellerPremiumShare = premium - protocolFee; // 90% to seller
             const expectedTotal = expectedRefund + sellerPremiumShare;
+            expect(await pool.claimable(1, seller.address)).to.equal(expectedTotal);
+            expect(await usdt.balanceOf(seller.address)).to.equal(sellerUsdtAfterDeposit);
+
+            await pool.connect(seller).claim(1);
+            const sellerUsdtAfter = await usdt.balanceOf(seller.address);
             // Compare total (refund + premium) relative to post-deposit balance
             expect(sellerUsdtAfter - sellerUsdtAfterDeposit).to.equal(expectedTotal);
 
@@ -474,4 +478,424 @@ describe("TranchePoolCore", function () {
         });
     });
 
+    describe("Seller Withdrawals", function () {
+        const deposit = ethers.parseUnits("1750", 6);
+
+        // Open round 1 and deposit seller collateral into it
+        async function openRoundWithDepositFixture() {
+            const fixture = await deployTranchePoolFixture();
+            const { pool, seller, usdt, productCatalog } = fixture;
+
+            const latest = (await ethers.provider.getBlock("latest")).timestamp;
+            const salesStart = latest + 60;
+            const salesEnd = salesStart + 3600;
+
+            await productCatalog.announceRound(1, salesStart, salesEnd);
+            await ethers.provider.send("evm_setNextBlockTimestamp", [salesStart]);
+            await productCatalog.openRound(1);
+
+            await usdt.connect(seller).approve(pool.target, deposit);
+            await pool.connect(seller).depositCollateral(1, deposit);
+
+            return { ...fixture, salesEnd };
+        }
+
+        // Cancel round 1 before matching so the seller's shares become idle
+        async function idleSharesFixture() {
+            const fixture = await openRoundWithDepositFixture();
+            await fixture.productCatalog.emergencyCancelRound(1);
+            await fixture.pool.connect(fixture.seller).releaseCanceledPosition(1);
+            return fixture;
+        }
+
+        it("Should keep shares pending matching out of withdrawals", async function () {
+            const { pool, seller } = await loadFixture(openRoundWithDepositFixture);
+
+            expect(await pool.shareBalances(seller.address)).to.equal(deposit);
+            expect(await pool.pendingShares(seller.address)).to.equal(deposit);
+            expect(await pool.pendingCollateral()).to.equal(deposit);
+            expect(await pool.getWithdrawableShares(seller.address)).to.equal(0);
+            expect(await pool.getAvailableCollateral(seller.address)).to.equal(0);
+
+            await expect(pool.connect(seller).withdrawShares(deposit))
+                .to.be.revertedWithCustomError(pool, "InsufficientShares");
+        });
+
+        it("Should keep matched shares locked after matching", async function () {
+            const { pool, operator, buyer, seller, usdt, salesEnd } = await loadFixture(openRoundWithDepositFixture);
+
+            const purchaseAmount = ethers.parseUnits("1500", 6);
+            const premium = await pool.calculatePremium(purchaseAmount);
+            await usdt.connect(buyer).approve(pool.target, purchaseAmount + premium);
+            await pool.connect(buyer).placeBuyerOrder(1, purchaseAmount);
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [salesEnd + 1]);
+            await pool.connect(operator).computeMatchAndDistribute(1);
+
+            // Unfilled remainder was refunded; the filled portion moved from pending to locked
+            expect(await pool.pendingShares(seller.address)).to.equal(0);
+            expect(await pool.pendingCollateral()).to.equal(0);
+            expect(await pool.lockedShares(seller.address)).to.equal(purchaseAmount);
+            expect(await pool.getWithdrawableShares(seller.address)).to.equal(0);
+
+            await expect(pool.connect(seller).withdrawShares(1))
+                .to.be.revertedWithCustomError(pool, "InsufficientShares");
+        });
+
+        it("Should only release positions of canceled rounds", async function () {
+            const { pool, seller, buyer, productCatalog } = await loadFixture(openRoundWithDepositFixture);
+
+            await expect(pool.connect(seller).releaseCanceledPosition(1))
+                .to.be.revertedWithCustomError(pool, "InvalidRoundState");
+
+            await productCatalog.emergencyCancelRound(1);
+            await expect(pool.connect(buyer).releaseCanceledPosition(1))
+                .to.be.revertedWithCustomError(pool, "InvalidAmount");
+
+            await expect(pool.connect(seller).releaseCanceledPosition(1))
+                .to.emit(pool, "PendingSharesReleased")
+                .withArgs(1, seller.address, deposit);
+            await expect(pool.connect(seller).releaseCanceledPosition(1))
+                .to.be.revertedWithCustomError(pool, "InvalidAmount");
+        });
+
+        it("Should withdraw idle shares at the current NAV", async function () {
+            const { pool, seller, usdt } = await loadFixture(idleSharesFixture);
+
+            expect(await pool.getWithdrawableShares(seller.address)).to.equal(deposit);
+            const balanceBefore = await usdt.balanceOf(seller.address);
+
+            await expect(pool.connect(seller).withdrawShares(deposit))
+                .to.emit(pool, "SharesWithdrawn")
+                .withArgs(seller.address, deposit, deposit);
+
+            expect(await usdt.balanceOf(seller.address)).to.equal(balanceBefore + deposit);
+            expect(await pool.shareBalances(seller.address)).to.equal(0);
+            const accounting = await pool.getPoolAccounting();
+            expect(accounting.totalShares).to.equal(0);
+            expect(accounting.totalAssets).to.equal(0);
+        });
+
+        it("Should not pay out funds deployed to the yield router", async function () {
+            const { pool, seller, operator } = await loadFixture(idleSharesFixture);
+
+            // An EOA stands in for the YieldRouter
+            await pool.setYieldRouter(operator.address);
+            await pool.connect(operator).withdrawForYield(ethers.parseUnits("1000", 6));
+
+            await expect(pool.connect(seller).withdrawShares(deposit))
+                .to.be.revertedWithCustomError(pool, "InsufficientAvailableFunds");
+
+            await pool.connect(seller).redeem(ethers.parseUnits("750", 6));
+            expect(await pool.getWithdrawableShares(seller.address)).to.equal(ethers.parseUnits("1000", 6));
+        });
+
+        it("Should round redeemed shares up when NAV is above 1", async function () {
+            const { pool, seller, operator, usdt } = await loadFixture(idleSharesFixture);
+
+            // Round-trip funds through the yield router with 1 USDT of yield
+            const principal = ethers.parseUnits("1000", 6);
+            const yieldAmount = ethers.parseUnits("1", 6);
+            await pool.setYieldRouter(operator.address);
+            await pool.connect(operator).withdrawForYield(principal);
+            await usdt.transfer(operator.address, yieldAmount);
+            await usdt.connect(operator).transfer(pool.target, principal + yieldAmount);
+            await pool.connect(operator).depositFromYield(principal, yieldAmount);
+
+            const { navPerShare } = await pool.getPoolAccounting();
+            expect(navPerShare).to.be.gt(ethers.parseEther("1"));
+
+            const assets = ethers.parseUnits("100", 6);
+            const expectedShares = (assets * ethers.parseEther("1") + navPerShare - 1n) / navPerShare;
+            await expect(pool.connect(seller).redeem(assets))
+                .to.emit(pool, "SharesWithdrawn")
+                .withArgs(seller.address, expectedShares, assets);
+            expect(expectedShares * navPerShare / ethers.parseEther("1")).to.be.gte(assets);
+
+            // Burning every remaining share pays out the rest of the pool, rounded down
+            const remaining = await pool.getWithdrawableShares(seller.address);
+            await pool.connect(seller).withdrawShares(remaining);
+            const accounting = await pool.getPoolAccounting();
+            expect(accounting.totalShares).to.equal(0);
+            expect(accounting.totalAssets).to.be.lte(1);
+        });
+
+        it("Should block withdrawals while paused", async function () {
+            const { pool, seller } = await loadFixture(idleSharesFixture);
+
+            await pool.pause();
+            await expect(pool.connect(seller).withdrawShares(deposit)).to.be.revertedWith("Pausable: paused");
+        });
+    });
+
+    describe("Claims", function () {
+        const purchaseAmount = ethers.parseUnits("1500", 6);
+
+        // Open round 1 for orders
+        async function openRoundFixture() {
+            const fixture = await deployTranchePoolFixture();
+            const latest = (await ethers.provider.getBlock("latest")).timestamp;
+            const salesStart = latest + 60;
+            const salesEnd = salesStart + 3600;
+
+            await fixture.productCatalog.announceRound(1, salesStart, salesEnd);
+            await ethers.provider.send("evm_setNextBlockTimestamp", [salesStart]);
+            await fixture.productCatalog.openRound(1);
+
+            return { ...fixture, salesEnd };
+        }
+
+        async function placeOrders({ pool, buyer, seller, usdt }, depositAmount) {
+            const premium = await pool.calculatePremium(purchaseAmount);
+
+            await usdt.connect(buyer).approve(pool.target, premium);
+            await pool.connect(buyer).placeBuyerOrder(1, purchaseAmount);
+            await usdt.connect(seller).approve(pool.target, depositAmount);
+            await pool.connect(seller).depositCollateral(1, depositAmount);
+            return premium;
+        }
+
+        async function matchRound({ pool, operator, salesEnd }) {
+            await ethers.provider.send("evm_setNextBlockTimestamp", [salesEnd + 1]);
+            await pool.connect(operator).computeMatchAndDistribute(1);
+        }
+
+        // Seller over-collateralizes: 250 unmatched collateral plus the premium share is credited
+        async function matchedRoundFixture() {
+            const fixture = await openRoundFixture();
+            const premium = await placeOrders(fixture, ethers.parseUnits("1750", 6));
+            await matchRound(fixture);
+            const sellerCredit = ethers.parseUnits("250", 6) + premium - (premium * 1000n) / 10000n;
+            return { ...fixture, sellerCredit };
+        }
+
+        it("Should credit refunds and premiums at matching instead of transferring them", async function () {
+            const { pool, seller, buyer, usdt, sellerCredit } = await loadFixture(matchedRoundFixture);
+
+            expect(await pool.claimable(1, seller.address)).to.equal(sellerCredit);
+            expect(await pool.claimable(1, buyer.address)).to.equal(0);
+            expect(await pool.totalClaimable()).to.equal(sellerCredit);
+            expect(await pool.getClaimRounds(seller.address)).to.deep.equal([1n]);
+
+            const balanceBefore = await usdt.balanceOf(seller.address);
+            await expect(pool.connect(seller).claim(1))
+                .to.emit(pool, "Claimed")
+                .withArgs(1, seller.address, sellerCredit);
+
+            expect(await usdt.balanceOf(seller.address)).to.equal(balanceBefore + sellerCredit);
+            expect(await pool.claimable(1, seller.address)).to.equal(0);
+            expect(await pool.totalClaimable()).to.equal(0);
+            await expect(pool.connect(seller).claim(1)).to.be.revertedWithCustomError(pool, "InvalidAmount");
+        });
+
+        it("Should not let a blacklisted participant block matching", async function () {
+            const fixture = await loadFixture(openRoundFixture);
+            const { pool, buyer, seller, usdt } = fixture;
+
+            // Buyer is only half filled, so the unmatched premium is owed to a blacklisted address
+            await placeOrders(fixture, ethers.parseUnits("750", 6));
+            await usdt.addBlackList(buyer.address);
+            await matchRound(fixture);
+
+            const buyerCredit = await pool.claimable(1, buyer.address);
+            expect(buyerCredit).to.be.gt(0);
+            expect((await pool.getRoundEconomics(1))[2]).to.equal(ethers.parseUnits("750", 6));
+
+            await pool.connect(seller).claim(1);
+            expect(await pool.claimable(1, seller.address)).to.equal(0);
+
+            await expect(pool.connect(buyer).claim(1)).to.be.revertedWithCustomError(usdt, "BlacklistedAddress");
+            expect(await pool.claimable(1, buyer.address)).to.equal(buyerCredit);
+        });
+
+        it("Should credit refunds to the current policy holder", async function () {
+            const fixture = await loadFixture(openRoundFixture);
+            const { pool, buyer, insuranceToken } = fixture;
+            const [, , , , holder] = await ethers.getSigners();
+
+            // Half filled: the unmatched premium follows the InsuranceToken, not the order
+            const premium = await placeOrders(fixture, ethers.parseUnits("750", 6));
+            const { insuranceTokenId } = await pool.getBuyerOrder(1, buyer.address);
+            await insuranceToken.connect(buyer).transferFrom(buyer.address, holder.address, insuranceTokenId);
+            await matchRound(fixture);
+
+            expect(await pool.claimable(1, buyer.address)).to.equal(0);
+            expect(await pool.claimable(1, holder.address)).to.equal(premium / 2n);
+            await expect(pool.connect(holder).claim(1))
+                .to.emit(pool, "Claimed")
+                .withArgs(1, holder.address, premium / 2n);
+        });
+
+        it("Should pay every credited round with claimAll", async function () {
+            const { pool, seller, usdt, sellerCredit } = await loadFixture(matchedRoundFixture);
+
+            const balanceBefore = await usdt.balanceOf(seller.address);
+            await pool.connect(seller).claimAll();
+
+            expect(await usdt.balanceOf(seller.address)).to.equal(balanceBefore + sellerCredit);
+            expect(await pool.getClaimRounds(seller.address)).to.deep.equal([]);
+            await expect(pool.connect(seller).claimAll()).to.be.revertedWithCustomError(pool, "InvalidAmount");
+        });
+
+        it("Should block claims while paused", async function () {
+            const { pool, seller } = await loadFixture(matchedRoundFixture);
+
+            await pool.pause();
+            await expect(pool.connect(seller).claim(1)).to.be.revertedWith("Pausable: paused");
+            await expect(pool.connect(seller).claimAll()).to.be.revertedWith("Pausable: paused");
+        });
+    });
+
+
+    describe("Order Amendments", function () {
+        const usd = (amount) => ethers.parseUnits(amount, 6);
+
+        // Open round 1 with a 1,000 order and a 1,000 deposit
+        async function openOrdersFixture() {
+            const fixture = await deployTranchePoolFixture();
+            const { pool, buyer, seller, usdt, productCatalog } = fixture;
+            const latest = (await ethers.provider.getBlock("latest")).timestamp;
+            const salesStart = latest + 60;
+            const salesEnd = salesStart + 3600;
+
+            await productCatalog.announceRound(1, salesStart, salesEnd);
+            await ethers.provider.send("evm_setNextBlockTimestamp", [salesStart]);
+            await productCatalog.openRound(1);
+
+            await usdt.connect(buyer).approve(pool.target, ethers.MaxUint256);
+            await usdt.connect(seller).approve(pool.target, ethers.MaxUint256);
+            await pool.connect(buyer).placeBuyerOrder(1, usd("1000"));
+            await pool.connect(seller).depositCollateral(1, usd("1000"));
+
+            return { ...fixture, salesEnd };
+        }
+
+        it("Should mirror subscription totals into the catalog", async function () {
+            const { productCatalog } = await loadFixture(openOrdersFixture);
+
+            const round = await productCatalog.getRound(1);
+            expect(round.totalBuyerPurchases).to.equal(usd("1000"));
+            expect(round.totalSellerCollateral).to.equal(usd("1000"));
+        });
+
+        it("Should top up an order, its premium and its InsuranceToken", async function () {
+            const { pool, buyer, usdt, insuranceToken, productCatalog } = await loadFixture(openOrdersFixture);
+
+            const balanceBefore = await usdt.balanceOf(buyer.address);
+            await expect(pool.connect(buyer).increaseBuyerOrder(1, usd("500")))
+                .to.emit(pool, "BuyerOrderUpdated")
+                .withArgs(1, buyer.address, usd("1500"), usd("45"));
+
+            expect(await usdt.balanceOf(buyer.address)).to.equal(balanceBefore - usd("15"));
+            const order = await pool.getBuyerOrder(1, buyer.address);
+            expect((await insuranceToken.getTokenInfo(order.insuranceTokenId)).purchaseAmount).to.equal(usd("1500"));
+
+            const econ = await pool.getRoundEconomics(1);
+            expect(econ.totalBuyerPurchases).to.equal(usd("1500"));
+            expect(econ.premiumPool).to.equal(usd("45"));
+            expect((await productCatalog.getRound(1)).totalBuyerPurchases).to.equal(usd("1500"));
+
+            // Limits apply to the order total
+            await expect(pool.connect(buyer).increaseBuyerOrder(1, usd("8501")))
+                .to.be.revertedWithCustomError(pool, "AccountLimitExceeded");
+        });
+
+        it("Should only let the current token holder amend an order", async function () {
+            const { pool, buyer, insuranceToken } = await loadFixture(openOrdersFixture);
+            const [, , , , holder] = await ethers.getSigners();
+
+            const { insuranceTokenId } = await pool.getBuyerOrder(1, buyer.address);
+            await insuranceToken.connect(buyer).transferFrom(buyer.address, holder.address, insuranceTokenId);
+
+            await expect(pool.connect(buyer).increaseBuyerOrder(1, usd("100")))
+                .to.be.revertedWithCustomError(pool, "Unauthorized");
+            await expect(pool.connect(buyer).cancelBuyerOrder(1))
+                .to.be.revertedWithCustomError(pool, "Unauthorized");
+            await expect(pool.connect(holder).cancelBuyerOrder(1))
+                .to.be.revertedWithCustomError(pool, "OrderNotFound");
+        });
+
+        it("Should cancel an order, burn its token and allow placing it again", async function () {
+            const { pool, buyer, seller, usdt, insuranceToken, productCatalog, operator, salesEnd } = await loadFixture(openOrdersFixture);
+
+            const { insuranceTokenId } = await pool.getBuyerOrder(1, buyer.address);
+            const balanceBefore = await usdt.balanceOf(buyer.address);
+            await expect(pool.connect(buyer).cancelBuyerOrder(1))
+                .to.emit(pool, "RefundProcessed")
+                .withArgs(1, buyer.address, usd("30"), true);
+
+            expect(await usdt.balanceOf(buyer.address)).to.equal(balanceBefore + usd("30"));
+            expect(await insuranceToken.balanceOf(buyer.address)).to.equal(0);
+            await expect(insuranceToken.ownerOf(insuranceTokenId)).to.be.reverted;
+            expect((await pool.getRoundEconomics(1)).premiumPool).to.equal(0);
+            expect((await productCatalog.getRound(1)).totalBuyerPurchases).to.equal(0);
+
+            // A canceled order is skipped by matching
+            await expect(pool.connect(buyer).cancelBuyerOrder(1))
+                .to.be.revertedWithCustomError(pool, "OrderNotFound");
+            await pool.connect(buyer).placeBuyerOrder(1, usd("400"));
+            const [buyers] = await pool.getRoundParticipants(1);
+            expect(buyers).to.deep.equal([buyer.address]);
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [salesEnd + 1]);
+            await pool.connect(operator).computeMatchAndDistribute(1);
+            expect((await pool.getRoundEconomics(1)).matchedAmount).to.equal(usd("400"));
+            expect(await pool.claimable(1, seller.address)).to.be.gt(usd("600"));
+        });
+
+        it("Should top up and withdraw collateral with its shares", async function () {
+            const { pool, seller, usdt, productCatalog } = await loadFixture(openOrdersFixture);
+
+            await expect(pool.connect(seller).increaseCollateral(1, usd("500")))
+                .to.emit(pool, "SellerPositionUpdated")
+                .withArgs(1, seller.address, usd("1500"), usd("1500"));
+            expect(await pool.pendingShares(seller.address)).to.equal(usd("1500"));
+
+            const balanceBefore = await usdt.balanceOf(seller.address);
+            await expect(pool.connect(seller).withdrawCollateral(1, usd("600")))
+                .to.emit(pool, "SellerPositionUpdated")
+                .withArgs(1, seller.address, usd("900"), usd("900"));
+
+            expect(await usdt.balanceOf(seller.address)).to.equal(balanceBefore + usd("600"));
+            expect(await pool.shareBalances(seller.address)).to.equal(usd("900"));
+            expect(await pool.pendingCollateral()).to.equal(usd("900"));
+            expect((await pool.getPoolAccounting()).totalAssets).to.equal(usd("900"));
+            expect((await productCatalog.getRound(1)).totalSellerCollateral).to.equal(usd("900"));
+
+            await expect(pool.connect(seller).withdrawCollateral(1, usd("901")))
+                .to.be.revertedWithCustomError(pool, "InvalidAmount");
+            await pool.connect(seller).withdrawCollateral(1, usd("900"));
+            expect(await pool.shareBalances(seller.address)).to.equal(0);
+            await expect(pool.connect(seller).increaseCollateral(1, usd("100")))
+                .to.be.revertedWithCustomError(pool, "OrderNotFound");
+        });
+
+        it("Should keep open-order collateral out of yield so it can be withdrawn", async function () {
+            const { pool, seller, operator, usdt } = await loadFixture(openOrdersFixture);
+
+            // An EOA stands in for the YieldRouter
+            await pool.setYieldRouter(operator.address);
+            expect(await pool.pendingCollateral()).to.equal(usd("1000"));
+            expect(await pool.getAvailableForYield()).to.equal(0);
+
+            expect(await pool.connect(operator).withdrawForYield.staticCall(usd("1000"))).to.equal(false);
+            await pool.connect(operator).withdrawForYield(usd("1000"));
+            expect((await pool.getPoolAccounting()).yieldDeposited).to.equal(0);
+
+            const balanceBefore = await usdt.balanceOf(seller.address);
+            await pool.connect(seller).withdrawCollateral(1, usd("1000"));
+            expect(await usdt.balanceOf(seller.address)).to.equal(balanceBefore + usd("1000"));
+        });
+
+        it("Should reject amendments after the sales window", async function () {
+            const { pool, buyer, seller, salesEnd } = await loadFixture(openOrdersFixture);
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [salesEnd + 1]);
+            await expect(pool.connect(buyer).cancelBuyerOrder(1))
+                .to.be.revertedWithCustomError(pool, "SalesWindowNotOpen");
+            await expect(pool.connect(seller).withdrawCollateral(1, usd("100")))
+                .to.be.revertedWithCustomError(pool, "SalesWindowNotOpen");
+        });
+    });
+
 });
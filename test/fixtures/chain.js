@@ -0,0 +1,20 @@
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * Snapshot the chain before the enclosing describe and restore it (block time included)
+ * afterwards, so later test files that build sales windows from Date.now() see a sane clock.
+ * Call it first in the describe, before any hook that deploys or moves time.
+ */
+function restoreChainAfterAll() {
+  let snapshot;
+
+  before(async function () {
+    snapshot = await takeSnapshot();
+  });
+
+  after(async function () {
+    await snapshot.restore();
+  });
+}
+
+module.exports = { restoreChainAfterAll };
@@ -0,0 +1,132 @@
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { wirePool } = require("../../tasks/deploy");
+const { deployProtocol } = require("./protocol");
+
+const SYMBOL = "BTC-USDT";
+const OracleType = { ORAKL_NETWORK: 0, DINO_ORACLE: 1, FALLBACK: 2 };
+const FallbackStrategy = { PREFER_ORAKL: 0, PREFER_DINO: 1, REQUIRE_BOTH: 2, MANUAL_ONLY: 3 };
+const TriggerType = { PRICE_BELOW: 0, PRICE_ABOVE: 1, RELATIVE: 2, BARRIER_BELOW: 5, BARRIER_ABOVE: 6 };
+
+/**
+ * Deploy the protocol with BTC-USDT routed through OracleRouter to a MockFeedProxy
+ * behind OraklPriceFeed and a DinoOracle identifier, bound to oracle route 1
+ * @param options { decimals, price, primaryType, fallbackStrategy, maxDeviationBps, maxStaleness, heartbeat }
+ * @return Protocol contracts plus { feed, identifier, deployer }
+ */
+async function deployOracleStack(options = {}) {
+  const { ethers } = hre;
+  const {
+    decimals = 8,
+    price = "100000",
+    primaryType = OracleType.ORAKL_NETWORK,
+    fallbackStrategy = FallbackStrategy.PREFER_DINO,
+    maxDeviationBps = 500,
+    maxStaleness = 3 * 3600, // outlives the 2h DINO liveness window
+    heartbeat = 86400
+  } = options;
+  const [deployer] = await ethers.getSigners();
+  const identifier = ethers.keccak256(ethers.toUtf8Bytes(SYMBOL));
+
+  const { contracts } = await deployProtocol(deployer.address);
+  const { oraklPriceFeed, dinoOracle, oracleRouter, settlementEngine, dinToken, productCatalog } = contracts;
+
+  const feed = await (await ethers.getContractFactory("MockFeedProxy")).deploy(decimals, "BTC / USDT", ethers.parseUnits(price, decimals));
+  await oraklPriceFeed.addPriceFeed(SYMBOL, feed.target, heartbeat);
+  await dinoOracle.addIdentifier(identifier, SYMBOL);
+  await oracleRouter.configureOracle(identifier, primaryType, fallbackStrategy, maxDeviationBps, maxStaleness, SYMBOL, "");
+  await settlementEngine.setRouteIdentifier(1, identifier);
+  await dinToken.approve(dinoOracle.target, ethers.MaxUint256);
+  await productCatalog.createProduct(ethers.keccak256(ethers.toUtf8Bytes("OracleProduct")));
+
+  return { ...contracts, feed, identifier, deployer };
+}
+
+/**
+ * Propose a DINO price (whole or decimal dollars) as the deployer
+ * @return proposalId
+ */
+async function proposeDinoPrice(stack, dollars, timestamp) {
+  const { dinoOracle, identifier } = stack;
+  const proposalId = await dinoOracle.nextProposalId();
+  await dinoOracle.proposePrice(identifier, timestamp ?? (await time.latest()), toPrice(dollars), SYMBOL);
+  return proposalId;
+}
+
+/**
+ * Propose a DINO price and settle it once the liveness window has passed
+ * @return The verified price timestamp
+ */
+async function publishDinoPrice(stack, dollars, timestamp) {
+  const { dinoOracle } = stack;
+  const priceTimestamp = timestamp ?? (await time.latest());
+  const proposalId = await proposeDinoPrice(stack, dollars, priceTimestamp);
+  await time.increase(Number(await dinoOracle.livenessWindow()));
+  await dinoOracle.settleProposal(proposalId);
+  return priceTimestamp;
+}
+
+/**
+ * Create tranche 1 on oracle route 1 and drive round 1 to ACTIVE with 1,000 USDT of cover
+ * @return { pool, maturity }
+ */
+async function activateRound(stack, { triggerType, threshold, buyer, seller }) {
+  const { ethers } = hre;
+  const { productCatalog, tranchePoolFactory, usdt, deployer } = stack;
+  const now = await time.latest();
+  const salesStart = now + 3600;
+  const salesEnd = now + 2 * 86400;
+  const maturity = now + 10 * 86400;
+
+  await productCatalog.createTranche({
+    productId: 1,
+    triggerType,
+    threshold,
+    maturityTimestamp: maturity,
+    premiumRateBps: 500,
+    perAccountMin: ethers.parseUnits("100", 6),
+    perAccountMax: ethers.parseUnits("10000", 6),
+    trancheCap: ethers.parseUnits("100000", 6),
+    oracleRouteId: 1
+  });
+  await tranchePoolFactory.createTranchePool(1);
+  const pool = await wirePool(hre, stack, await tranchePoolFactory.getTranchePool(1), deployer.address);
+
+  for (const account of [buyer, seller]) {
+    await usdt.transfer(account.address, ethers.parseUnits("10000", 6));
+    await usdt.connect(account).approve(pool.target, ethers.MaxUint256);
+  }
+
+  await productCatalog.announceRound(1, salesStart, salesEnd);
+  await time.increaseTo(salesStart);
+  await productCatalog.openRound(1);
+  await pool.connect(buyer).placeBuyerOrder(1, ethers.parseUnits("1000", 6));
+  await pool.connect(seller).depositCollateral(1, ethers.parseUnits("5000", 6));
+
+  await time.increaseTo(salesEnd + 1);
+  const matchedAmount = await pool.computeMatchAndDistribute.staticCall(1);
+  await pool.computeMatchAndDistribute(1);
+  await productCatalog.closeAndMarkMatched(1, matchedAmount);
+
+  return { pool, maturity };
+}
+
+/**
+ * Dollars to an oracle price with PRICE_DECIMALS (8) decimals
+ */
+function toPrice(dollars) {
+  return hre.ethers.parseUnits(String(dollars), 8);
+}
+
+module.exports = {
+  SYMBOL,
+  OracleType,
+  FallbackStrategy,
+  TriggerType,
+  deployOracleStack,
+  proposeDinoPrice,
+  publishDinoPrice,
+  activateRound,
+  toPrice
+};
@@ -0,0 +1,21 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Run deploy-protocol with its manifest in a throwaway directory
+ * @param keeper Address granted the keeper roles
+ * @return deploy-protocol's result ({ contracts, manifest, ... })
+ */
+async function deployProtocol(keeper) {
+  // The manifest is only needed by tasks that resolve contracts from disk
+  const manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "din-protocol-"));
+  try {
+    return await hre.run("deploy-protocol", { keeper, manifestDir });
+  } finally {
+    fs.rmSync(manifestDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { deployProtocol };